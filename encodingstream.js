@@ -31,6 +31,74 @@ var byteOrderMark = 0xFEFF;
 var defaultReplChar = '\uFFFD';
 var defaultSubstByte = '?';
 
+// EncodingError codes
+var codeInvalidSequence = 'ERR_INVALID_SEQUENCE';
+var codeIncompleteSequence = 'ERR_INCOMPLETE_SEQUENCE';
+var codeInvalidSurrogate = 'ERR_INVALID_SURROGATE';
+var codeUnencodable = 'ERR_UNENCODABLE_CHARACTER';
+var codeEncodingMismatch = 'ERR_ENCODING_MISMATCH';
+var codeUnknownEncoding = 'ERR_UNKNOWN_ENCODING';
+
+// EncodingError
+
+/**
+ * The <code>EncodingError</code> class is the class of the errors thrown when an encoding or
+ * decoding error occurs and the <code>errorFatal</code> option is set.  The <code>code</code>
+ * property identifies the type of error:
+ * <dl>
+ *   <dt><code>'ERR_INVALID_SEQUENCE'</code></dt>
+ *   <dd>an invalid or undefined byte sequence was found when decoding</dd>
+ *   <dt><code>'ERR_INCOMPLETE_SEQUENCE'</code></dt>
+ *   <dd>the data ended part-way through a byte sequence when decoding</dd>
+ *   <dt><code>'ERR_INVALID_SURROGATE'</code></dt>
+ *   <dd>an unpaired surrogate was found when encoding</dd>
+ *   <dt><code>'ERR_UNENCODABLE_CHARACTER'</code></dt>
+ *   <dd>a character that can not be represented in the encoding was found when encoding</dd>
+ *   <dt><code>'ERR_ENCODING_MISMATCH'</code></dt>
+ *   <dd>the encoding declared by a document is inconsistent with the encoding detected from its
+ *       first bytes</dd>
+ *   <dt><code>'ERR_UNKNOWN_ENCODING'</code></dt>
+ *   <dd>the charset specified by a message is not a known encoding</dd>
+ * </dl>
+ *
+ * <p>For a decoding error, the <code>offset</code> and <code>bytes</code> properties give the
+ * location of the error in the input (counted from the start of the stream, in the case of a
+ * decode stream) and the offending bytes.  For an encoding error, the <code>index</code> and
+ * <code>character</code> properties give the location of the offending character in the input
+ * string (again, counted from the start of the stream) and the character itself.</p>
+ *
+ * @constructor
+ * @param {String}  message     the text of the error message
+ * @param {String}  code        the error code (see above)
+ * @param {String}  encoding    the name of the encoding
+ * @param {Number}  offset      the byte offset of the error, or <code>null</code>
+ * @param {Buffer}  bytes       the offending bytes, or <code>null</code>
+ * @param {Number}  index       the string index of the error, or <code>null</code>
+ * @param {String}  character   the offending character, or <code>null</code>
+ */
+function EncodingError(message, code, encoding, offset, bytes, index, character) {
+    Error.call(this, message);
+    Error.captureStackTrace(this, EncodingError);
+    this.message = message;
+    /** The error code @type String */
+    this.code = code;
+    /** The name of the encoding @type String */
+    this.encoding = encoding;
+    /** The offset of the offending bytes in the input (decoding only) @type Number */
+    this.offset = offset;
+    /** The offending bytes (decoding only) @type Buffer */
+    this.bytes = bytes;
+    /** The index of the offending character in the input string (encoding only) @type Number */
+    this.index = index;
+    /** The offending character (encoding only) @type String */
+    this.character = character;
+}
+
+EncodingError.prototype = Object.create(Error.prototype, {
+    constructor: { value: EncodingError, enumerable: false, writable: true, configurable: true },
+    name: { value: 'EncodingError', enumerable: false, writable: true, configurable: true }
+});
+
 // EncodeDecodeStream - EncodeStream / DecodeStream common functionality
 
 /**
@@ -74,16 +142,32 @@ EncodeDecodeStream.prototype.setEncoding = function (encoding) {
     // ignore - don't allow encoding to be set in this way
 };
 
+/**
+ * Report an error that has been handled by substituting the replacement character or byte (that
+ * is, when the <code>errorFatal</code> option is not set).  The replacement is counted in the
+ * stream statistics, and an <code>invalid</code> event is emitted with the error that would
+ * otherwise have been thrown.
+ *
+ * @param {EncodingError} e     the error
+ */
+EncodeDecodeStream.prototype.reportReplacement = function (e) {
+    this.stats.replacements++;
+    this.emit('invalid', e);
+};
+
 // EncodeStream
 
 /**
  * The <code>EncodeStream</code> class is the base class for the various forms of encode stream.
  *
  * <p>The constructor takes an options object which is passed to the {@link EncodeDecodeStream}
- * constructor.  In addition, the following option is used by this class:</p>
+ * constructor.  In addition, the following options are used by this class:</p>
  * <dl>
  *   <dt><code>{Boolean} outputBOM</code></dt>
  *   <dd>if true, output a BOM character at start of stream</dd>
+ *   <dt><code>{String|Function} encodeFallback</code></dt>
+ *   <dd>the treatment of characters that can not be encoded (see {@link getFallbackString})
+ *       </dd>
  * </dl>
  *
  * @constructor
@@ -96,7 +180,14 @@ function EncodeStream(encoding, options) {
     this._writableState.decodeStrings = false;
     this.outputBOM = options && options.outputBOM;
     this.substByte = options && options.substByte || defaultSubstByte;
+    this.encodeFallback = options && options.encodeFallback;
     this.highSurrogate = 0;
+    /** The index in the stream of the character being encoded @type Number */
+    this.charIndex = 0;
+    /** The index in the stream of the last character reported as an error @type Number */
+    this.reportedIndex = -1;
+    /** The counts of characters received, bytes output and replacements made @type Object */
+    this.stats = { charsIn: 0, bytesOut: 0, replacements: 0 };
 }
 
 EncodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
@@ -105,9 +196,47 @@ EncodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
 
 /**
  * Transform a string into a buffer of encoded bytes.  This function is called by the
- * {@link Transform} class when data is available to be transformed.  The input chunk is
- * expected to be a UTF-16 string of characters, and the output will be a sequence of bytes in
- * the specified encoding.
+ * {@link Transform} class when data is available to be transformed.
+ *
+ * @param {String}   chunk    the string to be encoded
+ * @param {String}   encoding the encoding name from the stream base class (ignored)
+ * @param {Function} callback the function to call on completion
+ */
+EncodeStream.prototype._transform = function (chunk, encoding, callback) {
+    // assert chunk is a String
+    try {
+        var buf = this.encodeData(chunk);
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
+    }
+};
+
+/**
+ * Complete the transformation process.  This function is called by the {@link Transform} class
+ * when there is no more data (end of stream).
+ *
+ * @param {Function} callback the function to call on completion
+ */
+EncodeStream.prototype._flush = function (callback) {
+    try {
+        var buf = this.encodeFinal();
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
+    }
+};
+
+/**
+ * Encode a chunk of the string written to the stream.  The input chunk is expected to be a
+ * UTF-16 string of characters, and the output will be a sequence of bytes in the specified
+ * encoding.  A high surrogate at the end of the chunk is held until the next chunk is received.
  *
  * <p>The operation works in two passes: First, it calculates the required size of the buffer,
  * and then it allocates the buffer and fills it with the encoded output.  The derived classes
@@ -115,37 +244,37 @@ EncodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
  * particular character, and to store the character in the buffer.</p>
  *
  * @param {String}   chunk    the string to be encoded
- * @param {String}   encoding the encoding name from the stream base class (ignored)
- * @param {Function} callback the function to call on completion
+ * @returns {Buffer} the encoded bytes
+ * @throws EncodingError    if the string contains an invalid surrogate sequence or a character
+ *                  that can not be encoded, and 'errorFatal' is set to true
  */
-EncodeStream.prototype._transform = function (chunk, encoding, callback) {
-    // assert chunk is a String
+EncodeStream.prototype.encodeData = function (chunk) {
     try {
         var len = 0, i = 0, ch, hs = this.highSurrogate;
         for (; i < chunk.length; i++) {
+            this.charIndex = this.stats.charsIn + (hs ? i - 1 : i);
             ch = chunk.charCodeAt(i);
             if (hs == 0 && isHighSurrogate(ch))
                 hs = ch;
             else {
                 if (hs) {
                     if (!isLowSurrogate(ch)) {
-                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence');
-                        len += this.encoding.lenCharacter(ch);
+                        len += this.encoding.lenCharacter(getReplCharCode(this), this);
                         i--;
                     }
                     else
-                        len += this.encoding.lenSurrogate(hs, ch);
+                        len += this.encoding.lenSurrogate(hs, ch, this);
                     hs = 0;
                 }
                 else {
                     if (isLowSurrogate(ch))
-                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence');
-                    len += this.encoding.lenCharacter(ch);
+                        ch = getReplCharCode(this);
+                    len += this.encoding.lenCharacter(ch, this);
                 }
             }
         }
         if (this.outputBOM)
-            len += this.encoding.lenCharacter(byteOrderMark);
+            len += this.encoding.lenCharacter(byteOrderMark, this);
         var buf = new Buffer(len);
         var offset = 0;
         if (this.outputBOM) {
@@ -153,13 +282,15 @@ EncodeStream.prototype._transform = function (chunk, encoding, callback) {
             this.outputBOM = false;
         }
         for (i = 0; i < chunk.length; i++) {
+            this.charIndex = this.stats.charsIn + (this.highSurrogate ? i - 1 : i);
             ch = chunk.charCodeAt(i);
             if (this.highSurrogate == 0 && isHighSurrogate(ch))
                 this.highSurrogate = ch;
             else {
                 if (this.highSurrogate) {
                     if (!isLowSurrogate(ch)) {
-                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence');
+                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence',
+                                this.encoding, this.highSurrogate);
                         offset += this.encoding.storeCharacter(buf, offset, ch, this);
                         i--;
                     }
@@ -170,53 +301,77 @@ EncodeStream.prototype._transform = function (chunk, encoding, callback) {
                     this.highSurrogate = 0;
                 }
                 else {
-                    if (isLowSurrogate(ch))
-                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence');
+                    if (isLowSurrogate(ch)) {
+                        ch = getReplCharCodeOrError(this, 'Invalid surrogate sequence',
+                                this.encoding, ch);
+                    }
                     offset += this.encoding.storeCharacter(buf, offset, ch, this);
                 }
             }
         }
-        this.push(buf);
-        callback(null);
+        this.stats.charsIn += chunk.length;
+        this.stats.bytesOut += buf.length;
+        return buf;
     }
     catch (e) {
-        callback(e);
+        throw setErrorIndex(e, this.charIndex);
     }
 };
 
 /**
- * Complete the transformation process.  This function is called by the {@link Transform} class
- * when there is no more data (end of stream).  The function simply checks that there is no
- * outstanding surrogate sequence.
+ * Complete the encoding of the string written to the stream.  The function simply checks that
+ * there is no outstanding surrogate sequence.
  *
- * @param {Function} callback the function to call on completion
+ * @returns {Buffer} any final encoded bytes
+ * @throws EncodingError    if there is an outstanding surrogate sequence and 'errorFatal' is set
+ *                  to true
  */
-EncodeStream.prototype._flush = function (callback) {
+EncodeStream.prototype.encodeFinal = function () {
     try {
-        if (this.highSurrogate) {
-            var ch = getReplCharCodeOrError(this, 'Incomplete surrogate sequence');
-            var buf = new Buffer(this.encoding.lenCharacter(ch));
-            this.encoding.storeCharacter(buf, 0, ch, this);
-            this.push(buf);
-            this.highSurrogate = 0;
-        }
-        callback(null);
+        if (!this.highSurrogate)
+            return new Buffer(0);
+        this.charIndex = this.stats.charsIn - 1;
+        var ch = getReplCharCodeOrError(this, 'Incomplete surrogate sequence',
+                this.encoding, this.highSurrogate);
+        var buf = new Buffer(this.encoding.lenCharacter(ch, this));
+        this.encoding.storeCharacter(buf, 0, ch, this);
+        this.stats.bytesOut += buf.length;
+        this.highSurrogate = 0;
+        return buf;
     }
     catch (e) {
-        callback(e);
+        throw setErrorIndex(e, this.charIndex);
     }
 };
 
+/**
+ * Report an error that has been handled by substituting the replacement character or byte.
+ * The index of the character being encoded is set in the error before it is reported.  Only
+ * one error is reported for each character (the replacement character for an invalid
+ * surrogate sequence may itself be reported as a character that can not be encoded).
+ *
+ * @param {EncodingError} e     the error
+ */
+EncodeStream.prototype.reportReplacement = function (e) {
+    if (this.charIndex === this.reportedIndex)
+        return;
+    this.reportedIndex = e.index = this.charIndex;
+    EncodeDecodeStream.prototype.reportReplacement.call(this, e);
+};
+
 // DecodeStream
 
 /**
  * The <code>DecodeStream</code> class is the base class for the various forms of decode stream.
  *
  * <p>The constructor takes an options object which is passed to the {@link EncodeDecodeStream}
- * constructor.  In addition, the following option is used by this class:</p>
+ * constructor.  In addition, the following options are used by this class:</p>
  * <dl>
  *   <dt><code>{Boolean} dropBOM</code></dt>
  *   <dd>if true, drop any BOM character if present (don't pass through to receiver)</dd>
+ *   <dt><code>{Boolean} bomSniff</code></dt>
+ *   <dd>if true, check for a UTF-8, UTF-16LE or UTF-16BE BOM at the start of the stream, and if
+ *       one is found, drop it and decode the stream in the encoding it indicates</dd>
  * </dl>
  *
  * @constructor
@@ -229,6 +384,14 @@ function DecodeStream(encoding, options) {
     this._readableState.objectMode = true;
     this.dropBOM = options && options.dropBOM;
     this.hold = null;
+    /** The bytes held while checking for a BOM, or null if not checking @type Buffer */
+    this.bomPrefix = options && options.bomSniff ? new Buffer(0) : null;
+    /** The decode stream to which decoding is delegated, if any @type DecodeStream */
+    this.delegate = null;
+    /** The offset in the stream of the buffer being decoded @type Number */
+    this.chunkOffset = 0;
+    /** The counts of bytes received, characters output and replacements made @type Object */
+    this.stats = { bytesIn: 0, charsOut: 0, replacements: 0 };
 }
 
 DecodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
@@ -237,9 +400,7 @@ DecodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
 
 /**
  * Transform a buffer of encoded bytes into a string of UTF-16 characters.  This function is
- * called by the {@link Transform} class when data is available to be transformed.  The bulk of
- * the transformation is carried out by the specific subclass in the
- * {@link DecodeSteam#decodeBuffer} function.
+ * called by the {@link Transform} class when data is available to be transformed.
  *
  * @param {Buffer}   chunk    the buffer to be decoded
  * @param {String}   encoding the encoding name from the stream base class (ignored)
@@ -248,7 +409,7 @@ DecodeStream.prototype = Object.create(EncodeDecodeStream.prototype, {
 DecodeStream.prototype._transform = function (chunk, encoding, callback) {
     // assert chunk is a Buffer
     try {
-        var a = this.decodeBuffer(chunk);
+        var a = this.decodeData(chunk);
         if (a.length)
             this.push(a);
         callback(null);
@@ -260,17 +421,15 @@ DecodeStream.prototype._transform = function (chunk, encoding, callback) {
 
 /**
  * Complete the transformation process.  This function is called by the {@link Transform} class
- * when there is no more data (end of stream).  The function simply checks that there is no
- * outstanding character sequence.
+ * when there is no more data (end of stream).
  *
  * @param {Function} callback the function to call on completion
  */
 DecodeStream.prototype._flush = function (callback) {
     try {
-        if (this.hold) {
-            this.hold = null;
-            this.push(getReplCharOrError(this, 'Incomplete character at end of stream'));
-        }
+        var a = this.decodeFinal();
+        if (a.length)
+            this.push(a);
         callback(null);
     }
     catch (e) {
@@ -278,6 +437,139 @@ DecodeStream.prototype._flush = function (callback) {
     }
 };
 
+/**
+ * Decode a chunk of data written to the stream.  The bulk of the transformation is carried out
+ * by the specific subclass in the {@link DecodeSteam#decodeBuffer} function (or by the delegate
+ * stream, if the encoding has been switched as a result of a BOM check).  Any incomplete
+ * character sequence at the end of the chunk is held until the next chunk is received.
+ *
+ * @param {Buffer}   chunk    the buffer to be decoded
+ * @returns {String} the decoded string
+ */
+DecodeStream.prototype.decodeData = function (chunk) {
+    if (this.bomPrefix) {
+        chunk = this.checkBOM(chunk);
+        if (!chunk) // need more bytes to decide
+            return '';
+    }
+    var a = (this.delegate || this).decodeChunk(chunk);
+    this.stats.charsOut += a.length;
+    return a;
+};
+
+/**
+ * Complete the decoding of the data written to the stream.  The function decodes any bytes held
+ * while checking for a BOM, and then checks that there is no outstanding character sequence.
+ *
+ * @returns {String} any final decoded characters
+ */
+DecodeStream.prototype.decodeFinal = function () {
+    var a = '';
+    if (this.bomPrefix) {
+        var prefix = this.bomPrefix;
+        this.bomPrefix = null;
+        a += this.decodeChunk(prefix);
+    }
+    a += (this.delegate || this).decodeChunk(null);
+    this.stats.charsOut += a.length;
+    return a;
+};
+
+/**
+ * Complete the decoding at the end of the stream.  The default implementation checks that
+ * there is no outstanding character sequence in the hold buffer.
+ *
+ * @returns {String} the replacement character if there was an incomplete sequence, otherwise an
+ *                   empty string
+ * @throws Error    if there was an incomplete sequence and 'errorFatal' is set to true
+ */
+DecodeStream.prototype.decodeEnd = function () {
+    if (this.hold) {
+        var hold = this.hold;
+        this.hold = null;
+        return getReplCharOrError(this, 'Incomplete character at end of stream', this.encoding,
+                0, hold, codeIncompleteSequence);
+    }
+    return '';
+};
+
+/**
+ * Decode a chunk of the stream, or complete the decoding at the end of the stream.  The offset
+ * in any {@link EncodingError} thrown or reported by the decoding functions is relative to the
+ * start of the buffer being decoded (including any held bytes from the previous chunk); it is
+ * adjusted to be relative to the start of the stream.
+ *
+ * @param {Buffer}   chunk    the buffer to be decoded, or <code>null</code> at end of stream
+ * @returns {String} the decoded string
+ */
+DecodeStream.prototype.decodeChunk = function (chunk) {
+    this.chunkOffset = this.stats.bytesIn - (this.hold ? this.hold.length : 0);
+    try {
+        if (!chunk)
+            return this.decodeEnd();
+        var a = this.decodeBuffer(chunk);
+        this.stats.bytesIn += chunk.length;
+        return a;
+    }
+    catch (e) {
+        throw addErrorOffset(e, this.chunkOffset);
+    }
+};
+
+/**
+ * Report an error that has been handled by substituting the replacement character.  The offset
+ * in the error is adjusted to be relative to the start of the stream before it is reported.
+ *
+ * @param {EncodingError} e     the error
+ */
+DecodeStream.prototype.reportReplacement = function (e) {
+    addErrorOffset(e, this.chunkOffset);
+    EncodeDecodeStream.prototype.reportReplacement.call(this, e);
+};
+
+/**
+ * Create a decode stream to which the decoding of this stream is delegated.  The delegate
+ * shares the statistics of this stream, and its <code>invalid</code> events are re-emitted by
+ * this stream.
+ *
+ * @param {Encoding} encoding   the encoding for the delegate stream
+ * @param {Boolean}  dropBOM    if true, the delegate stream is to drop any BOM
+ */
+DecodeStream.prototype.createDelegate = function (encoding, dropBOM) {
+    var self = this;
+    this.delegate = encoding.decodeStream({ errorFatal: this.errorFatal,
+            replChar: this.replChar, dropBOM: dropBOM });
+    this.delegate.stats = this.stats;
+    this.delegate.on('invalid', function (e) {
+        self.emit('invalid', e);
+    });
+};
+
+/**
+ * Check for a BOM at the start of the stream.  Bytes are accumulated until it can be determined
+ * whether a BOM is present; if one is found, it is removed and, if it indicates an encoding
+ * other than the encoding of this stream, a delegate stream is created to decode the remainder
+ * of the data.
+ *
+ * @param {Buffer}   chunk    the buffer to be decoded
+ * @returns {Buffer} the data to be decoded, or <code>null</code> if more data is required
+ */
+DecodeStream.prototype.checkBOM = function (chunk) {
+    var buf = Buffer.concat([ this.bomPrefix, chunk ], this.bomPrefix.length + chunk.length);
+    if (isPartialBOM(buf)) {
+        this.bomPrefix = buf;
+        return null;
+    }
+    this.bomPrefix = null;
+    var bom = sniffBOM(buf);
+    if (!bom)
+        return buf;
+    if (bom.encoding !== this.encoding)
+        this.createDelegate(bom.encoding, false);
+    this.stats.bytesIn = bom.length;
+    return buf.slice(bom.length);
+};
+
 /**
  * Decode the buffer into a string.
  *
@@ -333,25 +625,29 @@ UTF8DecodeStream.prototype.decodeBuffer = function (buf) {
         this.hold = null;
     }
     var a = ''; // using string concatenation; now reported to be faster than Array.join()
-    var i = 0, ch, ch2, ch3, ch4, cp;
+    var i = 0, start, ch, ch2, ch3, ch4, cp;
     while (i < buf.length) {
+        start = i;
         ch = buf[i++];
         if (ch < 0x80)
             a += String.fromCharCode(ch);
         else if (ch < 0xC0)
-            a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch));
+            a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch),
+                    this.encoding, start, buf.slice(start, i));
         else if (ch < 0xE0) {
             if (i >= buf.length) {
                 this.createHoldBuffer(buf, i - 1);
                 break;
             }
             if (!isContinuationByte(ch2 = buf[i]))
-                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch2));
+                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch2),
+                        this.encoding, start, buf.slice(start, i));
             else {
                 ++i;
                 cp = (ch & 0x1F) << 6 | (ch2 & 0x3F);
                 if (cp < 0x80)
-                    a += getReplCharOrError(this, 'Illegal character');
+                    a += getReplCharOrError(this, 'Illegal character',
+                            this.encoding, start, buf.slice(start, i));
                 else
                     a += String.fromCharCode(cp);
             }
@@ -362,12 +658,14 @@ UTF8DecodeStream.prototype.decodeBuffer = function (buf) {
                 break;
             }
             if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]))
-                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]));
+                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]),
+                        this.encoding, start, buf.slice(start, i));
             else {
                 ++i;
                 cp = (ch & 0x0F) << 12 | (ch2 & 0x3F) << 6 | (ch3 & 0x3F);
                 if (cp < 0x800 || isSurrogate(cp))
-                    a += getReplCharOrError(this, 'Illegal character');
+                    a += getReplCharOrError(this, 'Illegal character',
+                            this.encoding, start, buf.slice(start, i));
                 else {
                     if (!(this.dropBOM && cp == byteOrderMark))
                         a += String.fromCharCode(cp);
@@ -381,18 +679,21 @@ UTF8DecodeStream.prototype.decodeBuffer = function (buf) {
             }
             if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]) ||
                     !isContinuationByte(ch4 = buf[++i]))
-                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]));
+                a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]),
+                        this.encoding, start, buf.slice(start, i));
             else {
                 ++i;
                 cp = (ch & 7) << 18 | (ch2 & 0x3F) << 12 | (ch3 & 0x3F) << 6 | (ch4 & 0x3F);
                 if (cp < 0x10000 || cp > 0x10FFFF)
-                    a += getReplCharOrError(this, 'Illegal surrogate sequence');
+                    a += getReplCharOrError(this, 'Illegal surrogate sequence',
+                            this.encoding, start, buf.slice(start, i));
                 else
                     a += createSurrogateString(cp);
             }
         }
         else
-            a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch));
+            a += getReplCharOrError(this, 'Illegal UTF-8 byte: 0x' + hexChar(ch),
+                    this.encoding, start, buf.slice(start, i));
         this.dropBOM = false;
     }
     return a;
@@ -438,7 +739,8 @@ UTF16DecodeStream.prototype.decodeBuffer = function (buf) {
         var ch = this.encoding.readBuf(buf, i);
         if (!isHighSurrogate(ch)) {
             if (isLowSurrogate(ch))
-                a += getReplCharOrError(this, 'Illegal surrogate sequence');
+                a += getReplCharOrError(this, 'Illegal surrogate sequence',
+                        this.encoding, i, buf.slice(i, i + 2));
             else {
                 if (!(this.dropBOM && ch == byteOrderMark))
                     a += String.fromCharCode(ch);
@@ -451,7 +753,8 @@ UTF16DecodeStream.prototype.decodeBuffer = function (buf) {
             }
             var ch2 = this.encoding.readBuf(buf, i + 2);
             if (!isLowSurrogate(ch2))
-                a += getReplCharOrError(this, 'Illegal surrogate sequence');
+                a += getReplCharOrError(this, 'Illegal surrogate sequence',
+                        this.encoding, i, buf.slice(i, i + 2));
             else {
                 i += 2;
                 a += String.fromCharCode(ch, ch2);
@@ -462,6 +765,84 @@ UTF16DecodeStream.prototype.decodeBuffer = function (buf) {
     return a;
 };
 
+// UTF32DecodeStream
+
+/**
+ * Construct a UTF-32 decode stream.  The constructor takes an options object which is passed to
+ * the {@link DecodeStream} constructor.  There are no additional options specific to this
+ * stream.
+ *
+ * @constructor
+ * @param {Encoding}    encoding    the Encoding object for this encoding
+ * @param {Object}      [options]   a set of options (see above)
+ */
+function UTF32DecodeStream(encoding, options) {
+    DecodeStream.call(this, encoding, options);
+}
+
+UTF32DecodeStream.prototype = Object.create(DecodeStream.prototype, {
+    constructor: { value: UTF32DecodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Check for a BOM at the start of the stream.  The UTF-32 BOMs are checked first (the UTF-32LE
+ * BOM starts with the UTF-16LE BOM, so up to four bytes are accumulated); if neither is found,
+ * the check is passed on to {@link DecodeStream#checkBOM}.
+ *
+ * @param {Buffer}   chunk    the buffer to be decoded
+ * @returns {Buffer} the data to be decoded, or <code>null</code> if more data is required
+ */
+UTF32DecodeStream.prototype.checkBOM = function (chunk) {
+    var buf = Buffer.concat([ this.bomPrefix, chunk ], this.bomPrefix.length + chunk.length);
+    if (isPartialUTF32BOM(buf)) {
+        this.bomPrefix = buf;
+        return null;
+    }
+    var bom = sniffUTF32BOM(buf);
+    if (!bom) {
+        this.bomPrefix = new Buffer(0);
+        return DecodeStream.prototype.checkBOM.call(this, buf);
+    }
+    this.bomPrefix = null;
+    if (bom.encoding !== this.encoding)
+        this.createDelegate(bom.encoding, false);
+    this.stats.bytesIn = bom.length;
+    return buf.slice(bom.length);
+};
+
+/**
+ * Decode the buffer into a string.
+ *
+ * @param {Buffer}   buf    the buffer to be decoded
+ * @returns {String} the decoded string
+ */
+UTF32DecodeStream.prototype.decodeBuffer = function (buf) {
+    if (this.hold) {
+        buf = Buffer.concat([ this.hold, buf ], this.hold.length + buf.length);
+        this.hold = null;
+    }
+    var a = '';
+    for (var i = 0; i < buf.length; i += 4) {
+        if (i + 3 >= buf.length) {
+            this.createHoldBuffer(buf, i);
+            break;
+        }
+        var cp = this.encoding.readBuf(buf, i);
+        if (cp > 0x10FFFF || isSurrogate(cp))
+            a += getReplCharOrError(this, 'Illegal UTF-32 character: 0x' + hexChar(cp),
+                    this.encoding, i, buf.slice(i, i + 4));
+        else if (cp > 0xFFFF)
+            a += createSurrogateString(cp);
+        else {
+            if (!(this.dropBOM && cp == byteOrderMark))
+                a += String.fromCharCode(cp);
+        }
+        this.dropBOM = false;
+    }
+    return a;
+};
+
 // CodePageDecodeStream
 
 /**
@@ -503,854 +884,7077 @@ ASCIIDecodeStream.prototype = Object.create(DecodeStream.prototype, {
             configurable: true }
 });
 
-// general functions
+// MultiByteDecodeStream
 
 /**
- * Tests whether a character code is in the surrogate range.
+ * Construct a decode stream for a multi-byte encoding.  The constructor takes an options object
+ * which is passed to the {@link DecodeStream} constructor.  There are no additional options
+ * specific to this stream.
  *
- * @param {Number} ch   the numeric code for the character
- * @returns {Boolean}   <code>true</code> if the character is a surrogate
+ * @constructor
+ * @param {MultiByteEncoding}   encoding    the Encoding object for this encoding
+ * @param {Object}              [options]   a set of options (see above)
  */
-function isSurrogate(ch) {
-    return (ch & 0xF800) == 0xD800;
+function MultiByteDecodeStream(encoding, options) {
+    DecodeStream.call(this, encoding, options);
 }
 
+MultiByteDecodeStream.prototype = Object.create(DecodeStream.prototype, {
+    constructor: { value: MultiByteDecodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
+
 /**
- * Tests whether a character code represents a valid high surrogate character.
+ * Decode the buffer into a string.  Any incomplete sequence held from the previous chunk is
+ * prepended to the buffer, and the encoding's {@link MultiByteEncoding#decodeBytes} function
+ * will store any incomplete sequence at the end of this chunk in the hold buffer.
  *
- * @param {Number} ch   the numeric code for the character
- * @returns {Boolean}   <code>true</code> if the character is a high surrogate
+ * @param {Buffer}   buf    the buffer to be decoded
+ * @returns {String} the decoded string
  */
-function isHighSurrogate(ch) {
-    return (ch & 0xFC00) == 0xD800;
-}
+MultiByteDecodeStream.prototype.decodeBuffer = function (buf) {
+    if (this.hold) {
+        buf = Buffer.concat([ this.hold, buf ], this.hold.length + buf.length);
+        this.hold = null;
+    }
+    return this.encoding.decodeBytes(buf, this, this);
+};
+
+// StatefulEncodeStream
 
 /**
- * Tests whether a character code represents a valid low surrogate character.
+ * Construct an encode stream for a stateful encoding.  The shift state of the encoder is
+ * carried from one chunk to the next, and the encoder is returned to its initial state at the
+ * end of the stream.  The constructor takes an options object which is passed to the
+ * {@link EncodeStream} constructor.  There are no additional options specific to this stream.
  *
- * @param {Number} ch   the numeric code for the character
- * @returns {Boolean}   <code>true</code> if the character is a low surrogate
+ * @constructor
+ * @param {StatefulEncoding}    encoding    the Encoding object for this encoding
+ * @param {Object}              [options]   a set of options (see above)
  */
-function isLowSurrogate(ch) {
-    return (ch & 0xFC00) == 0xDC00;
+function StatefulEncodeStream(encoding, options) {
+    EncodeStream.call(this, encoding, options);
+    this.state = encoding.createState();
 }
 
+StatefulEncodeStream.prototype = Object.create(EncodeStream.prototype, {
+    constructor: { value: StatefulEncodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
+
 /**
- * Combine high and low surrogate codes to create a combined codepoint number.
+ * Encode a chunk of the string written to the stream, using and updating the encoder state.
  *
- * @param {Number} high  the numeric code for the high surrogate
- * @param {Number} low   the numeric code for the low surrogate
- * @returns {Number}     the codepoint number for the character
+ * @param {String}   chunk    the string to be encoded
+ * @returns {Buffer} the encoded bytes
  */
-function combineSurrogates(high, low) {
-    return ((high & 0x3FF) << 10) + (low & 0x3FF) + 0x10000;
-}
+StatefulEncodeStream.prototype.encodeData = function (chunk) {
+    try {
+        var bytes = [];
+        if (this.outputBOM) {
+            this.encoding.encodeCodePoint(bytes, byteOrderMark, this, this.state);
+            this.outputBOM = false;
+        }
+        this.encoding.encodeChunk(bytes, chunk, this, this.state);
+        this.stats.charsIn += chunk.length;
+        this.stats.bytesOut += bytes.length;
+        return new Buffer(bytes);
+    }
+    catch (e) {
+        throw setErrorIndex(e, this.stats.charsIn + (e.index || 0));
+    }
+};
 
 /**
- * Create a two-character surrogate string from a codepoint number (must be a valid codepoint,
- * not in the BMP).
+ * Complete the encoding of the string written to the stream.  Any outstanding surrogate
+ * sequence is reported, and the bytes required to return the encoder to its initial state are
+ * output.
  *
- * @param {Number} cp the codepoint number
- * @returns {String}  a two-character string representing the codepoint as a pair of surrogates
+ * @returns {Buffer} any final encoded bytes
  */
-function createSurrogateString(cp) {
-    cp -= 0x10000;
-    return String.fromCharCode((cp >> 10 & 0x3FF) + 0xD800, (cp & 0x3FF) + 0xDC00);
-}
+StatefulEncodeStream.prototype.encodeFinal = function () {
+    try {
+        var bytes = [];
+        this.encoding.encodeFinish(bytes, this, this.state);
+        this.stats.bytesOut += bytes.length;
+        return new Buffer(bytes);
+    }
+    catch (e) {
+        throw setErrorIndex(e, this.stats.charsIn - 1);
+    }
+};
 
 /**
- * Check that a character is a valid UTF-8 continuation byte.
+ * Report an error that has been handled by substituting the replacement character or byte.
+ * The index of the character being encoded is set in the error before it is reported.
  *
- * @param {Number}  ch  the character (as retrieved from a Buffer)
- * @returns {Boolean}   <code>true</code> if the character is valid
+ * @param {EncodingError} e     the error
  */
-function isContinuationByte(ch) {
-    return (ch & 0xC0) == 0x80;
-}
+StatefulEncodeStream.prototype.reportReplacement = function (e) {
+    this.charIndex = this.stats.charsIn + this.state.index;
+    EncodeStream.prototype.reportReplacement.call(this, e);
+};
+
+// StatefulDecodeStream
 
 /**
- * Test error handling setting and return the replacement character or throw an error, as
- * appropriate.
+ * Construct a decode stream for a stateful encoding.  The shift state of the decoder is carried
+ * from one chunk to the next.  The constructor takes an options object which is passed to the
+ * {@link DecodeStream} constructor.  There are no additional options specific to this stream.
  *
- * @param {Object}    [options] an options object
- * @param {String}    msg       the text of the error message
- * @returns {String}            the replacement character
- * @throws Error    if the <code>errorFatal</code> option is set to <code>true</code>
+ * @constructor
+ * @param {StatefulEncoding}    encoding    the Encoding object for this encoding
+ * @param {Object}              [options]   a set of options (see above)
  */
-function getReplCharOrError(options, msg) {
-    if (options && options.errorFatal)
-        throw new Error(msg);
-    return options && options.replChar || defaultReplChar;
+function StatefulDecodeStream(encoding, options) {
+    DecodeStream.call(this, encoding, options);
+    this.state = encoding.createState();
 }
 
+StatefulDecodeStream.prototype = Object.create(DecodeStream.prototype, {
+    constructor: { value: StatefulDecodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
+
 /**
- * Test error handling setting and return the numeric code for the replacement character or
- * throw an error, as appropriate.
+ * Decode the buffer into a string, using and updating the decoder state.
  *
- * @param {Object}    [options] an options object
- * @param {String}    msg       the text of the error message
- * @returns {Number}            the numeric code for the replacement character
- * @throws Error    if the <code>errorFatal</code> option is set to <code>true</code>
+ * @param {Buffer}   buf    the buffer to be decoded
+ * @returns {String} the decoded string
  */
-function getReplCharCodeOrError(options, msg) {
-    return getReplCharOrError(options, msg).charCodeAt(0);
-}
-
-// debugging functions
-
-var hexDigits = '0123456789ABCDEF';
-
-function hexChar(n) {
-    var result = '';
-    do {
-        result = hexDigits.charAt(n & 0xF) + result;
-        n >>>= 4;
-    } while (n);
-    return result;
-}
+StatefulDecodeStream.prototype.decodeBuffer = function (buf) {
+    return this.encoding.decodeBytes(buf, this, this.state);
+};
 
-function hexString(str) {
-    var a = [];
-    for (var i = 0; i < str.length; i++)
-        a.push(hexChar(str.charCodeAt(i)));
-    return a.join('.');
-}
+/**
+ * Complete the decoding at the end of the stream.  The decoder is given the opportunity to
+ * report an incomplete sequence.
+ *
+ * @returns {String} any final decoded characters
+ */
+StatefulDecodeStream.prototype.decodeEnd = function () {
+    return this.encoding.decodeEnd(this, this.state);
+};
 
-// Encoding
+// DetectDecodeStream
 
 /**
- * Encoding table entry.
+ * Construct a decode stream for data of unknown encoding.  The stream holds the data until it
+ * has accumulated a prefix of the required length (or until the end of the stream, if that is
+ * sooner), selects the encoding by means of {@link Encoding.detect}, and then delegates the
+ * decoding of the whole stream to a decode stream for the selected encoding.  The selected
+ * encoding is available in the <code>encoding</code> property once the decision has been made.
+ *
+ * <p>The constructor takes an options object which is passed to the {@link DecodeStream}
+ * constructor.  In addition, the following options are used by this class:</p>
+ * <dl>
+ *   <dt><code>{Number} detectLength</code></dt>
+ *   <dd>the number of bytes to examine before selecting the encoding (default 4096)</dd>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if no candidate is found (default UTF-8)</dd>
+ * </dl>
  *
  * @constructor
- * @param {String} name      the name of this encoding
- * @param {RegExp} test      a regular expression to compare for this encoding name
- * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ * @param {Object}  [options]   a set of options (see above)
  */
-function Encoding(name, test, qvalue) {
-    this.name = name;
-    this.test = test;
-    this.qvalue = qvalue || 1.0;
+function DetectDecodeStream(options) {
+    DecodeStream.call(this, null, options);
+    this.bomPrefix = null; // the BOM is checked by the detection
+    this.detectLength = options && options.detectLength || defaultDetectLength;
+    this.defaultEncoding = options && options.defaultEncoding || Encoding.utf8;
+    /** The bytes held until the encoding is selected @type Buffer */
+    this.prefix = new Buffer(0);
 }
 
+DetectDecodeStream.prototype = Object.create(DecodeStream.prototype, {
+    constructor: { value: DetectDecodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
+
 /**
- * Encode a string to a Buffer.
- * 
- * @param {String}  str         the input string
- * @param {Object}  [options]   an options object
- * @returns {Buffer}            a Buffer containing the encoded string
- * @throws Error    if the string contains an invalid surrogate sequence and 'errorFatal' is
- *                  set to true in the options object
+ * Transform a buffer of encoded bytes into a string of UTF-16 characters.  Until the encoding
+ * has been selected, the data is accumulated in the prefix buffer.
+ *
+ * @param {Buffer}   chunk    the buffer to be decoded
+ * @param {String}   encoding the encoding name from the stream base class (ignored)
+ * @param {Function} callback the function to call on completion
  */
-Encoding.prototype.encode = function (str, options) {
-    var len = 0, i = 0, ch, ls;
-    for (; i < str.length; i++) {
-        ch = str.charCodeAt(i);
-        if (isHighSurrogate(ch)) {
-            if (i + 1 >= str.length) {
-                len += this.lenCharacter(getReplCharCodeOrError(options,
-                        'Incomplete surrogate sequence'));
-                break;
-            }
-            ls = str.charCodeAt(i + 1);
-            if (!isLowSurrogate(ls))
-                len += this.lenCharacter(getReplCharCodeOrError(options,
-                        'Invalid surrogate sequence'));
-            else {
-                len += this.lenSurrogate(ch, ls);
-                i++;
-            }
-        }
-        else {
-            if (isLowSurrogate(ch))
-                ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence');
-            len += this.lenCharacter(ch);
+DetectDecodeStream.prototype._transform = function (chunk, encoding, callback) {
+    if (!this.delegate) {
+        chunk = Buffer.concat([ this.prefix, chunk ], this.prefix.length + chunk.length);
+        if (chunk.length < this.detectLength) {
+            this.prefix = chunk;
+            callback(null);
+            return;
         }
-    }
-    var buf = new Buffer(len);
-    var offset = 0;
-    for (i = 0; i < str.length; i++) {
-        ch = str.charCodeAt(i);
-        if (isHighSurrogate(ch)) {
-            if (i + 1 >= str.length) {
-                ch = getReplCharCodeOrError(options, 'Incomplete surrogate sequence');
-                offset += this.storeCharacter(buf, offset, ch, options);
-                break;
-            }
-            ls = str.charCodeAt(i + 1);
-            if (!isLowSurrogate(ls)) {
-                ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence');
-                offset += this.storeCharacter(buf, offset, ch, options);
-            }
-            else {
-                offset += this.storeSurrogate(buf, offset, ch, ls, options);
-                i++;
-            }
+        this.prefix = null;
+        try {
+            this.selectEncoding(chunk);
         }
-        else {
-            if (isLowSurrogate(ch))
-                ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence');
-            offset += this.storeCharacter(buf, offset, ch, options);
+        catch (e) {
+            callback(e);
+            return;
         }
     }
-    return buf;
-};
-
-Encoding.prototype.decode = function (buf, options) {
-    throw new Error('No decode method for ' + this.name);
-};
-
-Encoding.prototype.encodeStream = function (options) {
-    return new EncodeStream(this, options);
-};
-
-Encoding.prototype.decodeStream = function (options) {
-    throw new Error('No decodeStream method for ' + this.name);
+    DecodeStream.prototype._transform.call(this, chunk, encoding, callback);
 };
 
 /**
- * Calculate the number of bytes required to encode the given surrogate sequence.
+ * Complete the transformation process.  If the stream ended before the encoding was selected,
+ * the selection is made on the basis of the data received, and that data is decoded.
  *
- * @param {Number} high    the numeric code for the high surrogate
- * @param {Number} low     the numeric code for the low surrogate
- * @returns {Number}       the length of the sequence for this character (always 1)
+ * @param {Function} callback the function to call on completion
  */
-Encoding.prototype.lenSurrogate = function (high, low) {
-    return this.lenCharacter(combineSurrogates(high, low));
+DetectDecodeStream.prototype._flush = function (callback) {
+    if (this.delegate) {
+        DecodeStream.prototype._flush.call(this, callback);
+        return;
+    }
+    var self = this;
+    var prefix = this.prefix;
+    this.prefix = null;
+    try {
+        this.selectEncoding(prefix);
+    }
+    catch (e) {
+        callback(e);
+        return;
+    }
+    DecodeStream.prototype._transform.call(this, prefix, null, function (e) {
+        if (e)
+            callback(e);
+        else
+            DecodeStream.prototype._flush.call(self, callback);
+    });
 };
 
 /**
- * Store the mapping for the surrogate sequence in the output buffer.
+ * Select the encoding for the stream, and create the delegate stream to decode it.  Any BOM
+ * will be removed by the delegate.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  high        the numeric code for the high surrogate
- * @param {Number}  low         the numeric code for the low surrogate
- * @param {Object}  [options]   an options object
- * @returns {Number}            the length of the sequence for this character (always 4)
+ * @param {Buffer}   buf    the prefix of the stream
  */
-Encoding.prototype.storeSurrogate = function (buf, offset, high, low, options) {
-    return this.storeCharacter(buf, offset, combineSurrogates(high, low), options);
+DetectDecodeStream.prototype.selectEncoding = function (buf) {
+    var candidates = Encoding.detect(buf);
+    this.encoding = candidates.length ? candidates[0].encoding : this.defaultEncoding;
+    this.createDelegate(this.encoding, true);
 };
 
-// static functions
+// HtmlDecodeStream
 
 /**
- * Find the encoding that matches the given string, by testing against the regular expression
- * associated with the encoding.
+ * Construct a decode stream for an HTML document.  The stream holds the first 1024 bytes of the
+ * data (or all of the data, if there is less), selects the encoding by means of
+ * {@link Encoding.sniffHtml}, and then delegates the decoding of the whole stream to a decode
+ * stream for the selected encoding.  The selected encoding is available in the
+ * <code>encoding</code> property once the decision has been made.
  *
- * @param {String}  str   the string to match for the encoding name
- * @returns {Encoding}    the encoding, or <code>null</code> if not found
+ * <p>The constructor takes an options object which is passed to the {@link DecodeStream}
+ * constructor.  In addition, the following options are used by this class:</p>
+ * <dl>
+ *   <dt><code>{String|Encoding} transportCharset</code></dt>
+ *   <dd>the charset specified by the transport layer (for example, the <code>charset</code>
+ *       parameter of the HTTP "Content-Type" header)</dd>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if no other is found (default windows-1252)</dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {Object}  [options]   a set of options (see above)
  */
-Encoding.getEncoding = function (str) {
-    var s = str.trim();
-    var table = Encoding.encodings;
-    for (var i = 0; i < table.length; i++) {
-        var entry = table[i];
-        if (entry.test.test(s))
-            return entry;
-    }
-    return null;
-};
+function HtmlDecodeStream(options) {
+    DetectDecodeStream.call(this, options);
+    this.detectLength = htmlPrescanLength;
+    this.transportCharset = options && options.transportCharset;
+    this.defaultEncoding = options && options.defaultEncoding || Encoding.windows1252;
+}
+
+HtmlDecodeStream.prototype = Object.create(DetectDecodeStream.prototype, {
+    constructor: { value: HtmlDecodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
 
 /**
- * Create an "Accept-Charset" HTTP header, based on the encodings table.  Optionally add an
- * entry "*;q=0" which should, in theory, indicate that any encoding not explicitly mentioned
- * is not acceptable.
+ * Select the encoding for the stream, and create the delegate stream to decode it.  Any BOM
+ * will be removed by the delegate.
  *
- * @param {Boolean} blockOthers   if true, append an entry for "*" to block other encodings
- * @returns     the value for the header
+ * @param {Buffer}   buf    the prefix of the stream
  */
-Encoding.getAcceptCharset = function (blockOthers) {
-    var a = [];
-    var table = Encoding.encodings;
-    for (var i = 0; i < table.length; i++) {
-        var entry = table[i];
-        a.push(entry.qvalue == 1.0 ? entry.name : entry.name + ';q=' + entry.qvalue);
-    }
-    if (blockOthers)
-        a.push('*;q=0');
-    return a.join(',');
+HtmlDecodeStream.prototype.selectEncoding = function (buf) {
+    this.encoding = Encoding.sniffHtml(buf, { transportCharset: this.transportCharset,
+            defaultEncoding: this.defaultEncoding });
+    this.createDelegate(this.encoding, true);
 };
 
-// CodePageEncoding
+// XmlDecodeStream
 
 /**
- * Encoding table entry for a 'code page' encoding.  These encodings map the characters 0x00 to
- * 0x7F to the same values in the encoded form, and a predefined selection of characters (the
- * code page) into the values 0x80 to 0xFF.
+ * Construct a decode stream for an XML document.  The stream holds the first 1024 bytes of the
+ * data (or all of the data, if there is less), selects the encoding by means of
+ * {@link Encoding.sniffXml}, and then delegates the decoding of the whole stream to a decode
+ * stream for the selected encoding.  The selected encoding is available in the
+ * <code>encoding</code> property once the decision has been made.
+ *
+ * <p>The constructor takes an options object which is passed to the {@link DecodeStream}
+ * constructor; if the <code>errorFatal</code> option is set, an encoding declaration that is
+ * inconsistent with the first bytes of the document causes an error.  In addition, the
+ * following option is used by this class:</p>
+ * <dl>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if the first bytes do not indicate one (default UTF-8)</dd>
+ * </dl>
  *
  * @constructor
- * @param {String} codePage  the code page - the characters that map to 0x80 to 0xFF
- * @param {String} name      the name of this encoding
- * @param {RegExp} test      a regular expression to compare for this encoding name
- * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ * @param {Object}  [options]   a set of options (see above)
  */
-function CodePageEncoding(codePage, name, test, qvalue) {
-    Encoding.call(this, name, test, qvalue);
-    this.codePage = codePage;
-    this.mapping = null;
+function XmlDecodeStream(options) {
+    DetectDecodeStream.call(this, options);
+    this.detectLength = xmlPrefixLength;
 }
 
-CodePageEncoding.prototype = Object.create(Encoding.prototype, {
-    constructor: { value: CodePageEncoding, enumerable: false, writable: true,
+XmlDecodeStream.prototype = Object.create(DetectDecodeStream.prototype, {
+    constructor: { value: XmlDecodeStream, enumerable: false, writable: true,
             configurable: true }
 });
 
 /**
- * Calculate the number of bytes required to encode the given character.
+ * Select the encoding for the stream, and create the delegate stream to decode it.  Any BOM
+ * will be removed by the delegate.
  *
- * @param {Number} ch      the numeric code for the character
- * @returns {Number}       the length of the sequence for this character (always 1)
+ * @param {Buffer}   buf    the prefix of the stream
+ * @throws EncodingError    if the declared encoding is inconsistent with the first bytes of the
+ *                  document and 'errorFatal' is set
  */
-CodePageEncoding.prototype.lenCharacter = function (ch) {
-    return 1;
+XmlDecodeStream.prototype.selectEncoding = function (buf) {
+    this.encoding = Encoding.sniffXml(buf, { errorFatal: this.errorFatal,
+            defaultEncoding: this.defaultEncoding });
+    this.createDelegate(this.encoding, true);
 };
 
+// TranscodeStream
+
 /**
- * Calculate the number of bytes required to encode the given surrogate sequence.
+ * Construct a stream to transcode data from one encoding to another.  The stream takes Buffers
+ * of data in the source encoding and outputs Buffers of data in the target encoding.  In
+ * general, the data is decoded by a {@link DecodeStream} for the source encoding and encoded by
+ * an {@link EncodeStream} for the target encoding (both given the options object) without the
+ * overhead of piping one stream into the other; the <code>invalid</code> events of both streams
+ * are re-emitted by this stream.  There are fast paths for the following cases:
+ * <ul>
+ *   <li>if both encodings are ASCII-compatible, a chunk that contains only ASCII bytes (and
+ *       that does not follow an incomplete sequence) is passed through unchanged</li>
+ *   <li>transcoding from a single-byte (code page) encoding to UTF-8 uses a table of the UTF-8
+ *       sequences for each byte value (see {@link transcodeCodePageToUTF8})</li>
+ * </ul>
  *
- * @param {Number} high    the numeric code for the high surrogate
- * @param {Number} low     the numeric code for the low surrogate
- * @returns {Number}       the length of the sequence for this character (always 1)
+ * @constructor
+ * @param {Encoding}    from        the source encoding
+ * @param {Encoding}    to          the target encoding
+ * @param {Object}      [options]   a set of options, as for the decode and encode streams
  */
-CodePageEncoding.prototype.lenSurrogate = function (high, low) {
-    return 1;
-};
+function TranscodeStream(from, to, options) {
+    Transform.call(this);
+    var self = this;
+    /** The source {@link Encoding} @type Encoding */
+    this.from = from;
+    /** The target {@link Encoding} @type Encoding */
+    this.to = to;
+    /** The stream decoding the source encoding @type DecodeStream */
+    this.decoder = from.decodeStream(options);
+    /** The stream encoding the target encoding @type EncodeStream */
+    this.encoder = to.encodeStream(options);
+    this.decoder.on('invalid', function (e) {
+        self.stats.replacements++;
+        self.emit('invalid', e);
+    });
+    this.encoder.on('invalid', function (e) {
+        self.stats.replacements++;
+        self.emit('invalid', e);
+    });
+    var direct = !(options && (options.bomSniff || options.swapNL || options.outputBOM));
+    /** Indication that ASCII chunks may be passed through unchanged @type Boolean */
+    this.asciiPassthrough = direct && isASCIICompatible(from) && isASCIICompatible(to);
+    /** Indication that the UTF-8 table of the source code page is to be used @type Boolean */
+    this.useTable = direct && from instanceof CodePageEncoding && to === Encoding.utf8;
+    /** The counts of bytes received, bytes output and replacements made @type Object */
+    this.stats = { bytesIn: 0, bytesOut: 0, replacements: 0 };
+}
+
+TranscodeStream.prototype = Object.create(Transform.prototype, {
+    constructor: { value: TranscodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
 
 /**
- * Store the mapping for the character in the output buffer.
+ * Transform a buffer of data in the source encoding into data in the target encoding.  This
+ * function is called by the {@link Transform} class when data is available to be transformed.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  ch          the numeric code for the character
- * @param {Object}  [options]   an options object
- * @returns {Number}            the length of the sequence for this character (always 1)
- * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
- *                  options object
+ * @param {Buffer}   chunk    the buffer to be transcoded
+ * @param {String}   encoding the encoding name from the stream base class (ignored)
+ * @param {Function} callback the function to call on completion
  */
-CodePageEncoding.prototype.storeCharacter = function (buf, offset, ch, options) {
-    if (ch < 0x80)
-        buf[offset] = ch;
-    else {
-        // binary search mapping table
-        var mapping = this.getMappingTable();
-        var lo = 0, hi = mapping.length;
-        for (;;) {
-            if (lo >= hi) { // no more entries
-                if (options && options.errorFatal)
-                    throw new Error('Character can not be encoded: 0x' + hexChar(ch));
-                var substByte = options && options.substByte || defaultSubstByte;
-                buf[offset] = substByte.charCodeAt(0);
-                break;
+TranscodeStream.prototype._transform = function (chunk, encoding, callback) {
+    // assert chunk is a Buffer
+    try {
+        var buf;
+        if (this.asciiPassthrough && !this.decoder.hold && !this.encoder.highSurrogate &&
+                isASCII(chunk)) {
+            // keep the positions used in error reports in step
+            this.decoder.stats.bytesIn += chunk.length;
+            this.encoder.stats.charsIn += chunk.length;
+            buf = chunk;
+        }
+        else if (this.useTable) {
+            this.decoder.chunkOffset = this.stats.bytesIn;
+            try {
+                buf = transcodeCodePageToUTF8(chunk, this.from, this.decoder);
             }
-            var mid = (lo + hi) >> 1;
-            var entry = mapping[mid];
-            if (entry.cp == ch) {
-                buf[offset] = entry.to;
-                break;
+            catch (e) {
+                throw addErrorOffset(e, this.stats.bytesIn);
             }
-            if (entry.cp > ch)
-                hi = mid;
-            else
-                lo = mid + 1;
         }
+        else
+            buf = this.encoder.encodeData(this.decoder.decodeData(chunk));
+        this.stats.bytesIn += chunk.length;
+        this.stats.bytesOut += buf.length;
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
     }
-    return 1;
 };
 
 /**
- * Decode a buffer encoded in a code page encoding to a string.
+ * Complete the transformation process.  This function is called by the {@link Transform} class
+ * when there is no more data (end of stream).  Any incomplete sequence held by the decoder is
+ * reported, and the encoder is given the opportunity to output any final bytes.
  *
- * @param   {Buffer}     buf        the buffer
- * @param   {Object}    [options]   an options object (unused)
- * @returns {String}    the decoded string
+ * @param {Function} callback the function to call on completion
  */
-CodePageEncoding.prototype.decode = function (buf, options) {
-    var a = '';
-    for (var i = 0; i < buf.length; i++) {
-        var ch = buf[i];
-        a += ch < 0x80 ? String.fromCharCode(ch) : this.codePage.charAt(ch - 0x80);
+TranscodeStream.prototype._flush = function (callback) {
+    try {
+        var buf = this.encoder.encodeData(this.decoder.decodeFinal());
+        buf = Buffer.concat([ buf, this.encoder.encodeFinal() ]);
+        this.stats.bytesOut += buf.length;
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
     }
-    return a;
 };
 
+// QPEncodeStream
+
 /**
- * Get the mapping table for the reverse mapping of code points to encoded values.  The table is
- * an array in code point order of mapping entries; it is lazily initialised from the code page
- * when required.
+ * The <code>QPEncodeStream</code> class encodes data in the quoted-printable content transfer
+ * encoding (RFC 2045).  If an {@link Encoding} is given, the stream accepts strings, which are
+ * first encoded in that encoding (which should be ASCII-compatible) by an {@link EncodeStream}
+ * created with the same options; otherwise, the stream accepts Buffers.
  *
- * @returns {Array} the mapping table
+ * <p>Line breaks (LF or CR LF) in the data are output as CR LF, and longer lines are broken by
+ * soft line breaks, so that no encoded line exceeds the maximum length.  Whitespace at the end
+ * of a line is encoded.  The following options are used by this class:</p>
+ * <dl>
+ *   <dt><code>{Number} lineLength</code></dt>
+ *   <dd>the maximum length of an encoded line (default 76)</dd>
+ *   <dt><code>{Boolean} binary</code></dt>
+ *   <dd>if true, treat the data as binary, encoding CR and LF rather than treating them as line
+ *       breaks</dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {Encoding}    [encoding]  the Encoding object for the encoding of the strings, or
+ *                                  <code>null</code> if the stream accepts Buffers
+ * @param {Object}      [options]   a set of options (see above)
  */
-CodePageEncoding.prototype.getMappingTable = function () {
-    if (!this.mapping) {
-        // create mapping table from code page
-        this.mapping = [];
-        for (var i = 0; i < 128; i++) {
-            var ch = this.codePage.charCodeAt(i);
-            // binary search to find insertion point
-            var lo = 0, hi = this.mapping.length;
-            while (lo < hi) {
-                var mid = (lo + hi) >> 1;
-                // assert this.mapping[mid].cp != ch (no duplicates)
-                if (this.mapping[mid].cp > ch)
-                    hi = mid;
-                else
-                    lo = mid + 1;
-            }
-            this.mapping.splice(lo, 0, { cp: ch, to: i + 128 });
-        }
+function QPEncodeStream(encoding, options) {
+    Transform.call(this);
+    var self = this;
+    /** The stream encoding the strings, or null if the stream accepts Buffers @type EncodeStream */
+    this.encoder = null;
+    if (encoding) {
+        this._writableState.decodeStrings = false;
+        this.encoder = encoding.encodeStream(options);
+        this.encoder.on('invalid', function (e) {
+            self.stats.replacements++;
+            self.emit('invalid', e);
+        });
     }
-    return this.mapping;
-};
+    /** The maximum length of an encoded line @type Number */
+    this.lineLength = options && options.lineLength || 76;
+    /** Indication that CR and LF are to be encoded, not treated as line breaks @type Boolean */
+    this.binary = options && options.binary;
+    /** The length of the current encoded line @type Number */
+    this.column = 0;
+    /** The whitespace byte held until it is known whether it ends a line, or -1 @type Number */
+    this.pendingSpace = -1;
+    /** Indication that a CR is held until it is known whether it is followed by LF @type Boolean */
+    this.pendingCR = false;
+    /** The counts of bytes received, bytes output and replacements made @type Object */
+    this.stats = { bytesIn: 0, bytesOut: 0, replacements: 0 };
+}
 
-CodePageEncoding.prototype.encodeStream = function (options) {
-    var stream = new EncodeStream(this, options);
-    stream.outputBOM = false;
-    return stream;
-};
+QPEncodeStream.prototype = Object.create(Transform.prototype, {
+    constructor: { value: QPEncodeStream, enumerable: false, writable: true,
+            configurable: true }
+});
 
-CodePageEncoding.prototype.decodeStream = function (options) {
-    return new CodePageDecodeStream(this, options);
-};
-
-// Table of encodings
-
-Encoding.encodings = [];
-
-// UTF-8
-
-Encoding.utf8 = new Encoding('utf-8', /^utf[\-_]?8$/i);
+/**
+ * Transform a chunk of data into quoted-printable bytes.  This function is called by the
+ * {@link Transform} class when data is available to be transformed.
+ *
+ * @param {String|Buffer} chunk     the string (or buffer) to be encoded
+ * @param {String}   encoding the encoding name from the stream base class (ignored)
+ * @param {Function} callback the function to call on completion
+ */
+QPEncodeStream.prototype._transform = function (chunk, encoding, callback) {
+    try {
+        var buf = this.encodeData(this.encoder ? this.encoder.encodeData(String(chunk)) : chunk);
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
+    }
+};
 
-Encoding.utf8.decodeStream = function (options) {
-    return new UTF8DecodeStream(this, options);
+/**
+ * Complete the transformation process.  This function is called by the {@link Transform} class
+ * when there is no more data (end of stream).  Any final bytes from the encoder and any held
+ * whitespace or CR are encoded.
+ *
+ * @param {Function} callback the function to call on completion
+ */
+QPEncodeStream.prototype._flush = function (callback) {
+    try {
+        var buf = this.encoder ? this.encodeData(this.encoder.encodeFinal()) : new Buffer(0);
+        buf = Buffer.concat([ buf, this.encodeFinal() ]);
+        if (buf.length)
+            this.push(buf);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
+    }
 };
 
 /**
- * Decode a UTF-8 encoded buffer to a string.
+ * Encode a buffer of data in quoted-printable.  A whitespace byte or a CR at the end of the
+ * buffer is held until the next buffer is received.
  *
- * @param {Buffer} buf          the buffer
- * @param {Object} [options]    an options object
- * @returns {String} the decoded string
- * @throws Error    if the string contains an invalid byte sequence and 'errorFatal' is set to
- *                  true in the options object
+ * @param {Buffer}  buf     the data to be encoded
+ * @returns {Buffer}        the encoded bytes
  */
-Encoding.utf8.decode = function (buf, options) {
-    var a = ''; // using string concatenation; now reported to be faster than Array.join()
-    var i = 0, ch, ch2, ch3, ch4, cp;
-    while (i < buf.length) {
-        ch = buf[i++];
-        if (ch < 0x80)
-            a += String.fromCharCode(ch);
-        else if (ch < 0xC0)
-            a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch));
-        else if (ch < 0xE0) {
-            if (i >= buf.length) {
-                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence');
-                break;
-            }
-            if (!isContinuationByte(ch2 = buf[i]))
-                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch2));
-            else {
-                ++i;
-                cp = (ch & 0x1F) << 6 | (ch2 & 0x3F);
-                a += cp < 0x80 ? getReplCharOrError(options, 'Illegal character') :
-                        String.fromCharCode(cp);
-            }
+QPEncodeStream.prototype.encodeData = function (buf) {
+    var a = '';
+    for (var i = 0; i < buf.length; i++) {
+        var b = buf[i];
+        if (b == 0x0A && !this.binary) {
+            if (this.pendingSpace >= 0)
+                a += this.encodeToken(encodeQPByte(this.pendingSpace));
+            this.pendingSpace = -1;
+            this.pendingCR = false;
+            a += '\r\n';
+            this.column = 0;
+            continue;
         }
-        else if (ch < 0xF0) {
-            if (i + 1 >= buf.length) {
-                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence');
-                break;
-            }
-            if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]))
-                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]));
-            else {
-                ++i;
-                cp = (ch & 0x0F) << 12 | (ch2 & 0x3F) << 6 | (ch3 & 0x3F);
-                a += cp < 0x800 || isSurrogate(cp) ?
-                        getReplCharOrError(options, 'Illegal character') :
-                        String.fromCharCode(cp);
-            }
+        if (this.pendingCR) {
+            a += this.encodePending() + this.encodeToken('=0D');
+            this.pendingCR = false;
         }
-        else if (ch < 0xF8) {
-            if (i + 2 >= buf.length) {
-                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence');
-                break;
-            }
-            if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]) ||
-                    !isContinuationByte(ch4 = buf[++i]))
-                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]));
-            else {
-                ++i;
-                cp = (ch & 7) << 18 | (ch2 & 0x3F) << 12 | (ch3 & 0x3F) << 6 | (ch4 & 0x3F);
-                a += cp < 0x10000 || cp > 0x10FFFF ?
-                        getReplCharOrError(options, 'Illegal surrogate sequence') :
-                        createSurrogateString(cp);
-            }
+        if (b == 0x0D && !this.binary)
+            this.pendingCR = true;
+        else if (b == 0x20 || b == 0x09) {
+            a += this.encodePending();
+            this.pendingSpace = b;
         }
         else
-            a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch));
+            a += this.encodePending() + this.encodeToken(b >= 0x21 && b <= 0x7E && b != 0x3D ?
+                    String.fromCharCode(b) : encodeQPByte(b));
     }
-    return a;
+    this.stats.bytesIn += buf.length;
+    this.stats.bytesOut += a.length;
+    return new Buffer(a, 'binary');
 };
 
 /**
- * Calculate the number of bytes required to encode the given character in UTF-8.
+ * Complete the encoding: encode any held whitespace or CR.
  *
- * @param {Number} ch      the numeric code for the character
- * @returns {Number}       the length of the sequence for this character
+ * @returns {Buffer}    the final encoded bytes
  */
-Encoding.utf8.lenCharacter = function (ch) {
-    return ch < 0x80 ? 1 : ch < 0x800 ? 2 : 3;
+QPEncodeStream.prototype.encodeFinal = function () {
+    var a = this.pendingCR ? this.encodePending() + this.encodeToken('=0D') :
+            this.pendingSpace >= 0 ? this.encodeToken(encodeQPByte(this.pendingSpace)) : '';
+    this.pendingSpace = -1;
+    this.pendingCR = false;
+    this.stats.bytesOut += a.length;
+    return new Buffer(a, 'binary');
 };
 
 /**
- * Calculate the number of bytes required to encode the given surrogate sequence in UTF-8.
+ * Output the held whitespace byte (if any) literally, since it does not end a line.
  *
- * @param {Number} high    the numeric code for the high surrogate
- * @param {Number} low     the numeric code for the low surrogate
- * @returns {Number}       the length of the sequence for this character (always 4)
+ * @returns {String}    the encoded text
  */
-Encoding.utf8.lenSurrogate = function (high, low) {
-    return 4;
+QPEncodeStream.prototype.encodePending = function () {
+    if (this.pendingSpace < 0)
+        return '';
+    var token = String.fromCharCode(this.pendingSpace);
+    this.pendingSpace = -1;
+    return this.encodeToken(token);
 };
 
 /**
- * Store the mapping for the character in the output buffer.
+ * Output a literal character or an escape sequence, preceded by a soft line break if the
+ * current line would otherwise be too long.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  ch          the numeric code for the character
- * @param {Object}  [options]   an options object
- * @returns {Number}            the length of the sequence for this character
+ * @param {String}  token   the literal character or escape sequence
+ * @returns {String}        the encoded text
  */
-Encoding.utf8.storeCharacter = function (buf, offset, ch, options) {
-    if (ch < 0x80) {
-        buf[offset] = ch;
-        return 1;
-    }
-    else if (ch < 0x800) {
-        buf[offset] = ch >>> 6 | 0xC0;
-        buf[offset + 1] = ch & 0x3F | 0x80;
-        return 2;
-    }
-    else {
-        buf[offset] = ch >>> 12 | 0xE0;
-        buf[offset + 1] = ch >>> 6 & 0x3F | 0x80;
-        buf[offset + 2] = ch & 0x3F | 0x80;
-        return 3;
+QPEncodeStream.prototype.encodeToken = function (token) {
+    var a = '';
+    if (this.column + token.length > this.lineLength - 1) {
+        a = '=\r\n';
+        this.column = 0;
     }
+    this.column += token.length;
+    return a + token;
 };
 
+// QPDecodeStream
+
 /**
- * Store the mapping for the surrogate sequence in the output buffer.
+ * The <code>QPDecodeStream</code> class decodes data in the quoted-printable content transfer
+ * encoding (RFC 2045).  If an {@link Encoding} is given, the decoded bytes are then decoded to
+ * strings by a {@link DecodeStream} created by that encoding with the same options; otherwise,
+ * the stream outputs Buffers.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  high        the numeric code for the high surrogate
- * @param {Number}  low         the numeric code for the low surrogate
- * @param {Object}  [options]   an options object
- * @returns {Number}            the length of the sequence for this character (always 4)
+ * <p>Soft line breaks are removed, as is whitespace at the end of a line.  An <code>=</code>
+ * that is not followed by two hexadecimal digits or a line break is passed through unchanged,
+ * as RFC 2045 recommends.  The following option is used by this class:</p>
+ * <dl>
+ *   <dt><code>{String} lineBreak</code></dt>
+ *   <dd>the sequence to output for a (hard) line break (default CR LF)</dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {Encoding}    [encoding]  the Encoding object for the encoding of the decoded bytes,
+ *                                  or <code>null</code> if the stream outputs Buffers
+ * @param {Object}      [options]   a set of options (see above)
  */
-Encoding.utf8.storeSurrogate = function (buf, offset, high, low, options) {
-    var ch = combineSurrogates(high, low);
-    buf[offset] = ch >>> 18 | 0xF0;
-    buf[offset + 1] = ch >>> 12 & 0x3F | 0x80;
-    buf[offset + 2] = ch >>> 6 & 0x3F | 0x80;
-    buf[offset + 3] = ch & 0x3F | 0x80;
-    return 4;
-};
-
-Encoding.encodings.push(Encoding.utf8);
-
-// UTF16Encoding
-
-function UTF16Encoding(name, test, qvalue) {
-    Encoding.call(this, name, test, qvalue);
+function QPDecodeStream(encoding, options) {
+    Transform.call(this);
+    var self = this;
+    /** The stream decoding the bytes, or null if the stream outputs Buffers @type DecodeStream */
+    this.decoder = null;
+    if (encoding) {
+        this._readableState.objectMode = true;
+        this.decoder = encoding.decodeStream(options);
+        this.decoder.on('invalid', function (e) {
+            self.stats.replacements++;
+            self.emit('invalid', e);
+        });
+    }
+    /** The bytes output for a line break @type Buffer */
+    this.lineBreak = new Buffer(options && options.lineBreak || '\r\n', 'binary');
+    /** The bytes held until the end of the line or escape sequence is received @type Buffer */
+    this.hold = new Buffer(0);
+    /** The counts of bytes received, bytes output and replacements made @type Object */
+    this.stats = { bytesIn: 0, bytesOut: 0, replacements: 0 };
 }
 
-UTF16Encoding.prototype = Object.create(Encoding.prototype, {
-    constructor: { value: UTF16Encoding, enumerable: false, writable: true, configurable: true }
+QPDecodeStream.prototype = Object.create(Transform.prototype, {
+    constructor: { value: QPDecodeStream, enumerable: false, writable: true,
+            configurable: true }
 });
 
-UTF16Encoding.prototype.decodeStream = function (options) {
-    return new UTF16DecodeStream(this, options);
-};
-
 /**
- * Decode a UTF-16 encoded buffer to a string.
+ * Transform a buffer of quoted-printable bytes.  This function is called by the
+ * {@link Transform} class when data is available to be transformed.
  *
- * @param {Buffer}   buf        the buffer
- * @param {Object}   [options]  an options object
- * @returns {String} the decoded string
- * @throws Error    if the string contains an invalid byte sequence and 'errorFatal' is set to
- *                  true in the options object
+ * @param {Buffer}   chunk    the buffer to be decoded
+ * @param {String}   encoding the encoding name from the stream base class (ignored)
+ * @param {Function} callback the function to call on completion
  */
-UTF16Encoding.prototype.decode = function (buf, options) {
-    var a = '';
-    for (var i = 0; i < buf.length; i += 2) {
-        if (i + 1 >= buf.length) {
-            a += getReplCharOrError(options, 'Incomplete UTF-16 character');
-            break;
-        }
-        var ch = this.readBuf(buf, i);
-        if (!isHighSurrogate(ch)) {
-            if (isLowSurrogate(ch))
-                a += getReplCharOrError(options, 'Illegal surrogate sequence');
-            else
-                a += String.fromCharCode(ch);
-        }
-        else {
-            if (i + 3 >= buf.length) {
-                a += getReplCharOrError(options, 'Incomplete surrogate sequence');
-                break;
-            }
-            var ch2 = this.readBuf(buf, i + 2);
-            if (!isLowSurrogate(ch2))
-                a += getReplCharOrError(options, 'Illegal surrogate sequence');
-            else {
-                i += 2;
-                a += String.fromCharCode(ch, ch2);
-            }
-        }
+QPDecodeStream.prototype._transform = function (chunk, encoding, callback) {
+    // assert chunk is a Buffer
+    try {
+        var buf = this.decodeData(chunk);
+        var a = this.decoder ? this.decoder.decodeData(buf) : buf;
+        if (a.length)
+            this.push(a);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
     }
-    return a;
 };
 
 /**
- * Calculate the number of bytes required to encode the given character.
+ * Complete the transformation process.  This function is called by the {@link Transform} class
+ * when there is no more data (end of stream).  The held bytes are decoded as a final line
+ * without a line break, and the decoder (if any) is given the opportunity to report an
+ * incomplete sequence.
  *
- * @param {Number} ch      the numeric code for the character
- * @returns {Number}       the length of the sequence for this character (always 2)
+ * @param {Function} callback the function to call on completion
  */
-UTF16Encoding.prototype.lenCharacter = function (ch) {
-    return 2;
+QPDecodeStream.prototype._flush = function (callback) {
+    try {
+        var buf = this.decodeFinal();
+        var a = this.decoder ? this.decoder.decodeData(buf) + this.decoder.decodeFinal() : buf;
+        if (a.length)
+            this.push(a);
+        callback(null);
+    }
+    catch (e) {
+        callback(e);
+    }
 };
 
 /**
- * Calculate the number of bytes required to encode the given surrogate sequence.
+ * Decode a buffer of quoted-printable bytes.  Complete lines are decoded; of the final
+ * incomplete line, any trailing whitespace or CR, and any escape sequence that may be
+ * incomplete, are held until the next buffer is received.
  *
- * @param {Number} high    the numeric code for the high surrogate
- * @param {Number} low     the numeric code for the low surrogate
- * @returns {Number}       the length of the sequence for this character (always 4)
+ * @param {Buffer}  chunk   the bytes to be decoded
+ * @returns {Buffer}        the decoded bytes
  */
-UTF16Encoding.prototype.lenSurrogate = function (high, low) {
-    return 4;
+QPDecodeStream.prototype.decodeData = function (chunk) {
+    var buf = this.hold.length ? Buffer.concat([ this.hold, chunk ]) : chunk;
+    var out = [], start = 0, i;
+    this.stats.bytesIn += chunk.length;
+    for (i = 0; i < buf.length; i++) {
+        if (buf[i] == 0x0A) {
+            decodeQPLine(buf.slice(start, i), true, this.lineBreak, out);
+            start = i + 1;
+        }
+    }
+    var end = buf.length;
+    while (end > start && (buf[end - 1] == 0x20 || buf[end - 1] == 0x09 || buf[end - 1] == 0x0D))
+        end--;
+    for (i = Math.max(end - 2, start); i < end; i++) {
+        if (buf[i] == 0x3D) {
+            end = i;
+            break;
+        }
+    }
+    decodeQPLine(buf.slice(start, end), false, this.lineBreak, out);
+    this.hold = new Buffer(buf.slice(end));
+    buf = Buffer.concat(out);
+    this.stats.bytesOut += buf.length;
+    return buf;
 };
 
 /**
- * Store the mapping for the character in the output buffer.
+ * Complete the decoding: decode the held bytes as a final line without a line break.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  ch          the numeric code for the character
- * @param {Object}  [options]   an options object (unused)
- * @returns {Number}            the length of the sequence for this character
+ * @returns {Buffer}    the final decoded bytes
  */
-UTF16Encoding.prototype.storeCharacter = function (buf, offset, ch, options) {
-    this.writeBuf(buf, offset, ch);
-    return 2;
+QPDecodeStream.prototype.decodeFinal = function () {
+    var out = [];
+    decodeQPLine(this.hold, true, null, out);
+    this.hold = new Buffer(0);
+    var buf = Buffer.concat(out);
+    this.stats.bytesOut += buf.length;
+    return buf;
 };
 
 /**
- * Store the mapping for the surrogate sequence in the output buffer.
+ * Decode a line (or part of a line) of quoted-printable data.  In the case of a complete line,
+ * trailing whitespace is removed, and the line break is output unless the line ends with a soft
+ * line break.
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  high        the numeric code for the high surrogate
- * @param {Number}  low         the numeric code for the low surrogate
- * @param {Object}  [options]   an options object (unused)
- * @returns {Number}            the length of the sequence for this character (always 4)
+ * @param {Buffer}  line        the bytes of the line, excluding the LF
+ * @param {Boolean} complete    true if this is a complete line
+ * @param {Buffer}  lineBreak   the bytes to output for a line break, or <code>null</code> if the
+ *                              line does not end with a line break
+ * @param {Array}   out         the array of Buffers to which the decoded bytes are added
  */
-UTF16Encoding.prototype.storeSurrogate = function (buf, offset, high, low, options) {
-    this.writeBuf(buf, offset, high);
-    this.writeBuf(buf, offset + 2, low);
-    return 4;
-};
-
-// UTF-16LE
+function decodeQPLine(line, complete, lineBreak, out) {
+    var text = line.toString('binary');
+    if (complete) {
+        text = text.replace(/[ \t\r]+$/, '');
+        if (text.charAt(text.length - 1) == '=') {
+            text = text.slice(0, -1);
+            lineBreak = null;
+        }
+    }
+    out.push(decodeEscapes(text, '=', false));
+    if (complete && lineBreak)
+        out.push(lineBreak);
+}
 
-Encoding.utf16le = new UTF16Encoding('utf-16le', /^utf[\-_]?16[\-_]?le$/i, 0.9);
+/**
+ * Encode a byte as a quoted-printable escape sequence.
+ *
+ * @param {Number}  b   the byte
+ * @returns {String}    the escape sequence
+ */
+function encodeQPByte(b) {
+    return '=' + hexDigits.charAt(b >> 4) + hexDigits.charAt(b & 0xF);
+}
 
-Encoding.utf16le.readBuf = function (buf, offset) {
-    return buf.readUInt16LE(offset);
-};
+// EncodeWebStream
+
+/**
+ * Construct a WHATWG web stream (a <code>TransformStream</code> pair of <code>readable</code>
+ * and <code>writable</code> streams, suitable for <code>pipeThrough()</code>) to encode
+ * strings, like the standard <code>TextEncoderStream</code> but for any encoding.  The encoding
+ * is carried out by an {@link EncodeStream} created by the encoding, which is given the options
+ * object; the statistics of that stream are available in the <code>stats</code> property.
+ *
+ * @constructor
+ * @param {Encoding}    encoding    the Encoding object for this encoding
+ * @param {Object}      [options]   a set of options, as for {@link Encoding#encodeStream}
+ */
+function EncodeWebStream(encoding, options) {
+    var stream = encoding.encodeStream(options);
+    var transform = new (getTransformStream())({
+        transform: function (chunk, controller) {
+            var buf = stream.encodeData(String(chunk));
+            if (buf.length)
+                controller.enqueue(buf);
+        },
+        flush: function (controller) {
+            var buf = stream.encodeFinal();
+            if (buf.length)
+                controller.enqueue(buf);
+        }
+    });
+    /** The {@link Encoding} object for this stream @type Encoding */
+    this.encoding = encoding;
+    /** The counts of characters received, bytes output and replacements made @type Object */
+    this.stats = stream.stats;
+    /** The stream from which the encoded bytes are read @type ReadableStream */
+    this.readable = transform.readable;
+    /** The stream to which the strings are written @type WritableStream */
+    this.writable = transform.writable;
+}
+
+// DecodeWebStream
+
+/**
+ * Construct a WHATWG web stream (a <code>TransformStream</code> pair of <code>readable</code>
+ * and <code>writable</code> streams, suitable for <code>pipeThrough()</code>) to decode bytes,
+ * like the standard <code>TextDecoderStream</code> but for any encoding.  The chunks written may
+ * be Buffers, ArrayBuffers or ArrayBufferViews (such as <code>Uint8Array</code>).  The decoding
+ * is carried out by a {@link DecodeStream} created by the encoding, which is given the options
+ * object; the statistics of that stream are available in the <code>stats</code> property.
+ *
+ * @constructor
+ * @param {Encoding}    encoding    the Encoding object for this encoding
+ * @param {Object}      [options]   a set of options, as for {@link Encoding#decodeStream}
+ */
+function DecodeWebStream(encoding, options) {
+    var stream = encoding.decodeStream(options);
+    var transform = new (getTransformStream())({
+        transform: function (chunk, controller) {
+            var a = stream.decodeData(toBuffer(chunk));
+            if (a.length)
+                controller.enqueue(a);
+        },
+        flush: function (controller) {
+            var a = stream.decodeFinal();
+            if (a.length)
+                controller.enqueue(a);
+        }
+    });
+    /** The {@link Encoding} object for this stream @type Encoding */
+    this.encoding = encoding;
+    /** The counts of bytes received, characters output and replacements made @type Object */
+    this.stats = stream.stats;
+    /** The stream from which the decoded strings are read @type ReadableStream */
+    this.readable = transform.readable;
+    /** The stream to which the bytes are written @type WritableStream */
+    this.writable = transform.writable;
+}
+
+/**
+ * Get the WHATWG <code>TransformStream</code> class, which is a global in recent versions of
+ * node.js, and is otherwise available from the <code>stream/web</code> module.
+ *
+ * @returns {Function}  the <code>TransformStream</code> constructor
+ * @throws Error    if web streams are not supported
+ */
+function getTransformStream() {
+    if (typeof TransformStream === 'function')
+        return TransformStream;
+    try {
+        return require('stream/web').TransformStream;
+    }
+    catch (e) {
+        throw new Error('Web streams are not supported by this version of node.js');
+    }
+}
+
+// general functions
+
+/**
+ * Tests whether a character code is in the surrogate range.
+ *
+ * @param {Number} ch   the numeric code for the character
+ * @returns {Boolean}   <code>true</code> if the character is a surrogate
+ */
+function isSurrogate(ch) {
+    return (ch & 0xF800) == 0xD800;
+}
+
+/**
+ * Tests whether a character code represents a valid high surrogate character.
+ *
+ * @param {Number} ch   the numeric code for the character
+ * @returns {Boolean}   <code>true</code> if the character is a high surrogate
+ */
+function isHighSurrogate(ch) {
+    return (ch & 0xFC00) == 0xD800;
+}
+
+/**
+ * Tests whether a character code represents a valid low surrogate character.
+ *
+ * @param {Number} ch   the numeric code for the character
+ * @returns {Boolean}   <code>true</code> if the character is a low surrogate
+ */
+function isLowSurrogate(ch) {
+    return (ch & 0xFC00) == 0xDC00;
+}
+
+/**
+ * Combine high and low surrogate codes to create a combined codepoint number.
+ *
+ * @param {Number} high  the numeric code for the high surrogate
+ * @param {Number} low   the numeric code for the low surrogate
+ * @returns {Number}     the codepoint number for the character
+ */
+function combineSurrogates(high, low) {
+    return ((high & 0x3FF) << 10) + (low & 0x3FF) + 0x10000;
+}
+
+/**
+ * Create a two-character surrogate string from a codepoint number (must be a valid codepoint,
+ * not in the BMP).
+ *
+ * @param {Number} cp the codepoint number
+ * @returns {String}  a two-character string representing the codepoint as a pair of surrogates
+ */
+function createSurrogateString(cp) {
+    cp -= 0x10000;
+    return String.fromCharCode((cp >> 10 & 0x3FF) + 0xD800, (cp & 0x3FF) + 0xDC00);
+}
+
+/**
+ * Check that a character is a valid UTF-8 continuation byte.
+ *
+ * @param {Number}  ch  the character (as retrieved from a Buffer)
+ * @returns {Boolean}   <code>true</code> if the character is valid
+ */
+function isContinuationByte(ch) {
+    return (ch & 0xC0) == 0x80;
+}
+
+/**
+ * Test error handling setting and return the replacement character or throw an error, as
+ * appropriate, for an error in decoding.
+ *
+ * @param {Object}    [options] an options object
+ * @param {String}    msg       the text of the error message
+ * @param {Encoding}  encoding  the encoding
+ * @param {Number}    offset    the offset of the offending bytes in the buffer being decoded
+ * @param {Array}     bytes     the offending bytes (an array or a Buffer)
+ * @param {String}    [code]    the error code (default 'ERR_INVALID_SEQUENCE')
+ * @returns {String}            the replacement character
+ * @throws EncodingError    if the <code>errorFatal</code> option is set to <code>true</code>
+ */
+function getReplCharOrError(options, msg, encoding, offset, bytes, code) {
+    if (options && (options.errorFatal || options.reportReplacement)) {
+        reportError(options, new EncodingError(msg, code || codeInvalidSequence, encoding.name,
+                offset, new Buffer(bytes), null, null));
+    }
+    return options && options.replChar || defaultReplChar;
+}
+
+/**
+ * Test error handling setting and return the numeric code for the replacement character or
+ * throw an error, as appropriate, for an invalid surrogate sequence in a string being encoded.
+ * The index of the error in the string is set by the caller (see {@link setErrorIndex}).
+ *
+ * @param {Object}    [options] an options object
+ * @param {String}    msg       the text of the error message
+ * @param {Encoding}  encoding  the encoding
+ * @param {Number}    ch        the numeric code for the unpaired surrogate
+ * @returns {Number}            the numeric code for the replacement character
+ * @throws EncodingError    if the <code>errorFatal</code> option is set to <code>true</code>
+ */
+function getReplCharCodeOrError(options, msg, encoding, ch) {
+    if (options && (options.errorFatal || options.reportReplacement)) {
+        reportError(options, new EncodingError(msg, codeInvalidSurrogate, encoding.name, null,
+                null, null, String.fromCharCode(ch)));
+    }
+    return getReplCharCode(options);
+}
+
+/**
+ * Get the numeric code for the replacement character.  This is used in place of
+ * {@link getReplCharCodeOrError} when calculating the length of the encoded data, so that any
+ * error is reported only once, when the data is stored.
+ *
+ * @param {Object}    [options] an options object
+ * @returns {Number}            the numeric code for the replacement character
+ */
+function getReplCharCode(options) {
+    return (options && options.replChar || defaultReplChar).charCodeAt(0);
+}
+
+/**
+ * Report an encoding or decoding error: if the <code>errorFatal</code> option is set, the error
+ * is thrown; otherwise it is passed to the <code>reportReplacement</code> function of the
+ * options object (which is present when the options object is a stream), if any.
+ *
+ * @param {Object}        options   an options object
+ * @param {EncodingError} e         the error
+ * @throws EncodingError    if the <code>errorFatal</code> option is set to <code>true</code>
+ */
+function reportError(options, e) {
+    if (options.errorFatal)
+        throw e;
+    if (options.reportReplacement)
+        options.reportReplacement(e);
+}
+
+/**
+ * Set the index of the offending character in an {@link EncodingError} thrown while encoding
+ * a string.  Any index set by a nested call (for example, when encoding a fallback string) is
+ * overwritten.
+ *
+ * @param {Error}     e         the error
+ * @param {Number}    index     the index of the character in the string
+ * @returns {Error}             the error
+ */
+function setErrorIndex(e, index) {
+    if (e instanceof EncodingError)
+        e.index = index;
+    return e;
+}
+
+/**
+ * Add to the offset of the offending bytes in an {@link EncodingError} thrown while decoding a
+ * buffer, to make it relative to the start of the complete input.
+ *
+ * @param {Error}     e         the error
+ * @param {Number}    offset    the offset of the start of the buffer in the complete input
+ * @returns {Error}             the error
+ */
+function addErrorOffset(e, offset) {
+    if (e instanceof EncodingError && e.offset !== null)
+        e.offset += offset;
+    return e;
+}
+
+/**
+ * Check for a byte order mark at the start of a buffer.  Only the UTF-8, UTF-16LE and UTF-16BE
+ * BOMs are recognised.
+ *
+ * @param {Buffer} buf  the buffer
+ * @returns {Object}    an object containing the <code>encoding</code> indicated by the BOM and
+ *                      the <code>length</code> of the BOM, or <code>null</code> if none found
+ */
+function sniffBOM(buf) {
+    if (buf.length >= 3 && buf[0] == 0xEF && buf[1] == 0xBB && buf[2] == 0xBF)
+        return { encoding: Encoding.utf8, length: 3 };
+    if (buf.length >= 2 && buf[0] == 0xFF && buf[1] == 0xFE)
+        return { encoding: Encoding.utf16le, length: 2 };
+    if (buf.length >= 2 && buf[0] == 0xFE && buf[1] == 0xFF)
+        return { encoding: Encoding.utf16be, length: 2 };
+    return null;
+}
+
+/**
+ * Test whether a buffer is too short to determine whether it starts with a byte order mark,
+ * that is, whether it is a proper prefix of one of the BOMs recognised by {@link sniffBOM}.
+ *
+ * @param {Buffer} buf  the buffer
+ * @returns {Boolean}   <code>true</code> if more bytes are required
+ */
+function isPartialBOM(buf) {
+    switch (buf.length) {
+    case 0:
+        return true;
+    case 1:
+        return buf[0] == 0xEF || buf[0] == 0xFF || buf[0] == 0xFE;
+    case 2:
+        return buf[0] == 0xEF && buf[1] == 0xBB;
+    }
+    return false;
+}
+
+/**
+ * Check for a UTF-32LE or UTF-32BE byte order mark at the start of a buffer.
+ *
+ * @param {Buffer} buf  the buffer
+ * @returns {Object}    an object containing the <code>encoding</code> indicated by the BOM and
+ *                      the <code>length</code> of the BOM, or <code>null</code> if none found
+ */
+function sniffUTF32BOM(buf) {
+    if (buf.length >= 4 && buf[0] == 0xFF && buf[1] == 0xFE && buf[2] == 0 && buf[3] == 0)
+        return { encoding: Encoding.utf32le, length: 4 };
+    if (buf.length >= 4 && buf[0] == 0 && buf[1] == 0 && buf[2] == 0xFE && buf[3] == 0xFF)
+        return { encoding: Encoding.utf32be, length: 4 };
+    return null;
+}
+
+/**
+ * Test whether a buffer is a proper prefix of one of the UTF-32 BOMs.
+ *
+ * @param {Buffer} buf  the buffer
+ * @returns {Boolean}   <code>true</code> if more bytes are required
+ */
+function isPartialUTF32BOM(buf) {
+    var le = [ 0xFF, 0xFE, 0, 0 ], be = [ 0, 0, 0xFE, 0xFF ];
+    if (buf.length >= 4)
+        return false;
+    for (var i = 0; i < buf.length; i++) {
+        if (buf[i] != le[i])
+            le = [];
+        if (buf[i] != be[i])
+            be = [];
+    }
+    return le.length > 0 || be.length > 0;
+}
+
+/**
+ * Decode a buffer, first checking for a byte order mark.  If a BOM is found, it is removed and
+ * the remainder of the buffer is decoded using the encoding it indicates; otherwise the whole
+ * buffer is decoded using the given encoding.  The UTF-32 BOMs are recognised only when the
+ * given encoding is a UTF-32 encoding.
+ *
+ * @param {Encoding}  encoding  the encoding to use if there is no BOM
+ * @param {Buffer}    buf       the buffer
+ * @param {Object}    [options] an options object
+ * @returns {String}            the decoded string
+ */
+function decodeWithBOM(encoding, buf, options) {
+    var bom = encoding instanceof UTF32Encoding && sniffUTF32BOM(buf) || sniffBOM(buf);
+    if (bom) {
+        encoding = bom.encoding;
+        buf = buf.slice(bom.length);
+    }
+    var opts = Object.create(options || null);
+    opts.bomSniff = false;
+    try {
+        return encoding.decode(buf, opts);
+    }
+    catch (e) {
+        throw addErrorOffset(e, bom ? bom.length : 0);
+    }
+}
+
+/**
+ * Test error handling setting and return the substitution byte for a character that can not
+ * be encoded, or throw an error, as appropriate.  The index of the error in the string is set
+ * by the caller (see {@link setErrorIndex}).
+ *
+ * @param {Object}    [options] an options object
+ * @param {Number}    ch        the numeric code for the character
+ * @param {Encoding}  encoding  the encoding
+ * @returns {Number}            the substitution byte
+ * @throws EncodingError    if the <code>errorFatal</code> option is set to <code>true</code>
+ */
+function getSubstByteOrError(options, ch, encoding) {
+    if (options && (options.errorFatal || options.reportReplacement))
+        reportError(options, createUnencodableError(ch, encoding));
+    return encoding.getSubstByte(options);
+}
+
+/**
+ * Create the error for a character that can not be encoded.
+ *
+ * @param {Number}    ch        the numeric code for the character
+ * @param {Encoding}  encoding  the encoding
+ * @returns {EncodingError}     the error
+ */
+function createUnencodableError(ch, encoding) {
+    return new EncodingError('Character can not be encoded: 0x' + hexChar(ch), codeUnencodable,
+            encoding.name, null, null, null, ch > 0xFFFF ? createSurrogateString(ch) :
+            String.fromCharCode(ch));
+}
+
+/**
+ * Get the string to be encoded in place of a character that can not be encoded, according to
+ * the <code>encodeFallback</code> option:
+ * <dl>
+ *   <dt><code>'html'</code> or <code>'xml'</code></dt>
+ *   <dd>a hexadecimal character reference, for example <code>&amp;#x2014;</code></dd>
+ *   <dt><code>'escape'</code></dt>
+ *   <dd>a JavaScript-style escape sequence, for example <code>\u2014</code> (characters outside
+ *       the BMP are given as an escaped surrogate pair)</dd>
+ *   <dt>a function</dt>
+ *   <dd>the function is called with the code point of the character, and returns the
+ *       replacement string, or <code>null</code> to use the substitution byte; it may be
+ *       called more than once for the same character, and must give the same result each
+ *       time</dd>
+ * </dl>
+ *
+ * @param {Object}    [options] an options object
+ * @param {Number}    ch        the numeric code for the character
+ * @returns {String}            the replacement string, or <code>null</code> if there is none
+ * @throws Error    if the <code>encodeFallback</code> option is not recognised
+ */
+function getFallbackString(options, ch) {
+    var fallback = options && options.encodeFallback;
+    if (!fallback)
+        return null;
+    if (typeof fallback == 'function') {
+        var str = fallback(ch);
+        return str === null || str === undefined ? null : String(str);
+    }
+    if (fallback == 'html' || fallback == 'xml')
+        return '&#x' + hexChar(ch) + ';';
+    if (fallback == 'escape') {
+        if (ch >= 0x10000)
+            return getFallbackString(options, 0xD800 + (ch - 0x10000 >> 10)) +
+                    getFallbackString(options, 0xDC00 + (ch & 0x3FF));
+        return '\\u' + ('000' + hexChar(ch)).slice(-4);
+    }
+    throw new Error('Unrecognised encodeFallback option: ' + fallback);
+}
+
+/**
+ * Get the options object to use when encoding a fallback string: characters in the string that
+ * can not be encoded are treated according to the <code>errorFatal</code> and
+ * <code>substByte</code> options, with no further fallback.
+ *
+ * @param {Object}    options   an options object
+ * @returns {Object}            the options object for the fallback string
+ */
+function getFallbackOptions(options) {
+    return { errorFatal: options.errorFatal, substByte: options.substByte };
+}
+
+// debugging functions
+
+var hexDigits = '0123456789ABCDEF';
+
+function hexChar(n) {
+    var result = '';
+    do {
+        result = hexDigits.charAt(n & 0xF) + result;
+        n >>>= 4;
+    } while (n);
+    return result;
+}
+
+function hexString(str) {
+    var a = [];
+    for (var i = 0; i < str.length; i++)
+        a.push(hexChar(str.charCodeAt(i)));
+    return a.join('.');
+}
+
+// Encoding
+
+/**
+ * Encoding table entry.
+ *
+ * @constructor
+ * @param {String} name      the name of this encoding
+ * @param {RegExp} test      a regular expression to compare for this encoding name
+ * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header (default
+ *                           1; an encoding with a qvalue of 0 is neither offered in the header
+ *                           nor selected by {@link Encoding.negotiate} or
+ *                           {@link Encoding.detect})
+ */
+function Encoding(name, test, qvalue) {
+    this.name = name;
+    this.test = test;
+    this.qvalue = qvalue === undefined ? 1.0 : qvalue;
+    /** The labels by which the encoding is registered, in lower case @type Array */
+    this.labels = [];
+}
+
+/**
+ * Encode a string to a Buffer.
+ * 
+ * @param {String}  str         the input string
+ * @param {Object}  [options]   an options object
+ * @returns {Buffer}            a Buffer containing the encoded string
+ * @throws EncodingError  if the string contains an invalid surrogate sequence or a character
+ *                  that can not be encoded, and 'errorFatal' is set to true in the options
+ *                  object
+ */
+Encoding.prototype.encode = function (str, options) {
+    var len = 0, i = 0, ch, ls;
+    try {
+        for (; i < str.length; i++) {
+            ch = str.charCodeAt(i);
+            if (isHighSurrogate(ch)) {
+                if (i + 1 >= str.length) {
+                    len += this.lenCharacter(getReplCharCode(options), options);
+                    break;
+                }
+                ls = str.charCodeAt(i + 1);
+                if (!isLowSurrogate(ls))
+                    len += this.lenCharacter(getReplCharCode(options), options);
+                else {
+                    len += this.lenSurrogate(ch, ls, options);
+                    i++;
+                }
+            }
+            else {
+                if (isLowSurrogate(ch))
+                    ch = getReplCharCode(options);
+                len += this.lenCharacter(ch, options);
+            }
+        }
+        var buf = new Buffer(len);
+        var offset = 0;
+        for (i = 0; i < str.length; i++) {
+            ch = str.charCodeAt(i);
+            if (isHighSurrogate(ch)) {
+                if (i + 1 >= str.length) {
+                    ch = getReplCharCodeOrError(options, 'Incomplete surrogate sequence', this,
+                            ch);
+                    offset += this.storeCharacter(buf, offset, ch, options);
+                    break;
+                }
+                ls = str.charCodeAt(i + 1);
+                if (!isLowSurrogate(ls)) {
+                    ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence', this, ch);
+                    offset += this.storeCharacter(buf, offset, ch, options);
+                }
+                else {
+                    offset += this.storeSurrogate(buf, offset, ch, ls, options);
+                    i++;
+                }
+            }
+            else {
+                if (isLowSurrogate(ch))
+                    ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence', this, ch);
+                offset += this.storeCharacter(buf, offset, ch, options);
+            }
+        }
+        return buf;
+    }
+    catch (e) {
+        throw setErrorIndex(e, i);
+    }
+};
+
+Encoding.prototype.decode = function (buf, options) {
+    throw new Error('No decode method for ' + this.name);
+};
+
+Encoding.prototype.encodeStream = function (options) {
+    return new EncodeStream(this, options);
+};
+
+Encoding.prototype.decodeStream = function (options) {
+    throw new Error('No decodeStream method for ' + this.name);
+};
+
+/**
+ * Create a WHATWG web stream to encode strings, equivalent to the stream returned by
+ * {@link Encoding#encodeStream}.
+ *
+ * @param {Object}  [options]   an options object, as for {@link Encoding#encodeStream}
+ * @returns {EncodeWebStream}   the web stream
+ */
+Encoding.prototype.encodeWebStream = function (options) {
+    return new EncodeWebStream(this, options);
+};
+
+/**
+ * Create a WHATWG web stream to decode bytes, equivalent to the stream returned by
+ * {@link Encoding#decodeStream}.
+ *
+ * @param {Object}  [options]   an options object, as for {@link Encoding#decodeStream}
+ * @returns {DecodeWebStream}   the web stream
+ */
+Encoding.prototype.decodeWebStream = function (options) {
+    return new DecodeWebStream(this, options);
+};
+
+/**
+ * Create a stream to encode strings in this encoding and then in the quoted-printable content
+ * transfer encoding, for a MIME body.
+ *
+ * @param {Object}  [options]   an options object, as for {@link Encoding#encodeStream} and
+ *                              {@link QPEncodeStream}
+ * @returns {QPEncodeStream}    the encode stream
+ */
+Encoding.prototype.qpEncodeStream = function (options) {
+    return new QPEncodeStream(this, options);
+};
+
+/**
+ * Create a stream to decode a MIME body in the quoted-printable content transfer encoding and
+ * then decode the bytes in this encoding.
+ *
+ * @param {Object}  [options]   an options object, as for {@link Encoding#decodeStream} and
+ *                              {@link QPDecodeStream}
+ * @returns {QPDecodeStream}    the decode stream
+ */
+Encoding.prototype.qpDecodeStream = function (options) {
+    return new QPDecodeStream(this, options);
+};
+
+/**
+ * Calculate the number of bytes required to encode the given surrogate sequence.
+ *
+ * @param {Number} high         the numeric code for the high surrogate
+ * @param {Number} low          the numeric code for the low surrogate
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.prototype.lenSurrogate = function (high, low, options) {
+    return this.lenCharacter(combineSurrogates(high, low), options);
+};
+
+/**
+ * Store the mapping for the surrogate sequence in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  high        the numeric code for the high surrogate
+ * @param {Number}  low         the numeric code for the low surrogate
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character (always 4)
+ */
+Encoding.prototype.storeSurrogate = function (buf, offset, high, low, options) {
+    return this.storeCharacter(buf, offset, combineSurrogates(high, low), options);
+};
+
+/**
+ * Get the substitution byte, output in place of a character that can not be encoded: the
+ * <code>substByte</code> option (default '?').
+ *
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the substitution byte
+ */
+Encoding.prototype.getSubstByte = function (options) {
+    return (options && options.substByte || defaultSubstByte).charCodeAt(0);
+};
+
+/**
+ * Calculate the number of bytes required to encode a character that can not be encoded: the
+ * length of the encoded fallback string, if the <code>encodeFallback</code> option is set,
+ * otherwise 1 (for the substitution byte).
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.prototype.lenFallback = function (ch, options) {
+    var str = getFallbackString(options, ch);
+    return str === null ? 1 : this.encode(str, getFallbackOptions(options)).length;
+};
+
+/**
+ * Store the encoded form of a character that can not be encoded: the encoded fallback string,
+ * if the <code>encodeFallback</code> option is set, otherwise the substitution byte.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if there is no fallback and 'errorFatal' is set to true in the options
+ *                  object
+ */
+Encoding.prototype.storeFallback = function (buf, offset, ch, options) {
+    var str = getFallbackString(options, ch);
+    if (str === null) {
+        buf[offset] = getSubstByteOrError(options, ch, this);
+        return 1;
+    }
+    if (options.reportReplacement)
+        options.reportReplacement(createUnencodableError(ch, this));
+    var encoded = this.encode(str, getFallbackOptions(options));
+    encoded.copy(buf, offset);
+    return encoded.length;
+};
+
+// static functions
+
+// the registered encodings, indexed by label (in lower case)
+var encodingsByLabel = Object.create(null);
+
+/**
+ * Register an encoding, making it available to {@link Encoding.getEncoding} under its name and
+ * under each of the given labels (labels are not case-sensitive).  A label that is already
+ * registered for another encoding is transferred to the new one, so an application may replace
+ * a supplied encoding with its own.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @param {Array}       [labels]    the labels (aliases) for the encoding
+ * @returns {Encoding}              the encoding
+ */
+Encoding.register = function (encoding, labels) {
+    if (Encoding.encodings.indexOf(encoding) < 0)
+        Encoding.encodings.push(encoding);
+    var a = [ encoding.name ].concat(labels || []);
+    for (var i = 0; i < a.length; i++) {
+        var label = a[i].trim().toLowerCase();
+        var previous = encodingsByLabel[label];
+        if (previous === encoding)
+            continue;
+        if (previous)
+            previous.labels.splice(previous.labels.indexOf(label), 1);
+        encodingsByLabel[label] = encoding;
+        encoding.labels.push(label);
+    }
+    return encoding;
+};
+
+/**
+ * List the registered encodings, in the order in which they were registered.
+ *
+ * @returns {Array} the encodings (each with its <code>name</code> and <code>labels</code>)
+ */
+Encoding.list = function () {
+    return Encoding.encodings.slice();
+};
+
+/**
+ * Find the encoding that matches the given string.  The string is first looked up in the table
+ * of registered labels; if it is not found there, it is tested against the regular expression
+ * associated with each encoding, which allows for variations in the form of the name.  The
+ * regular expressions are retained (although every label in the standards is in the table)
+ * because they match spellings found in practice that are in neither standard, such as
+ * "UTF_16LE", "ISO8859_15" or "Shift-JIS"; the scan is reached only for such spellings and for
+ * strings that are not encoding names at all.
+ *
+ * @param {String}  str   the string to match for the encoding name
+ * @returns {Encoding}    the encoding, or <code>null</code> if not found
+ */
+Encoding.getEncoding = function (str) {
+    var s = str.trim();
+    var encoding = encodingsByLabel[s.toLowerCase()];
+    if (encoding)
+        return encoding;
+    var table = Encoding.encodings;
+    for (var i = 0; i < table.length; i++) {
+        var entry = table[i];
+        if (entry.test.test(s))
+            return entry;
+    }
+    return null;
+};
+
+/**
+ * Create an "Accept-Charset" HTTP header, based on the encodings table.  Optionally add an
+ * entry "*;q=0" which should, in theory, indicate that any encoding not explicitly mentioned
+ * is not acceptable.  Each encoding is listed with its qvalue; encodings with a qvalue of 0 are
+ * omitted.
+ *
+ * @param {Boolean} blockOthers   if true, append an entry for "*" to block other encodings
+ * @returns     the value for the header
+ */
+Encoding.getAcceptCharset = function (blockOthers) {
+    var a = [];
+    var table = Encoding.encodings;
+    for (var i = 0; i < table.length; i++) {
+        var entry = table[i];
+        if (entry.qvalue)
+            a.push(entry.qvalue == 1.0 ? entry.name : entry.name + ';q=' + entry.qvalue);
+    }
+    if (blockOthers)
+        a.push('*;q=0');
+    return a.join(',');
+};
+
+/**
+ * Select the encoding to use for a response, based on an "Accept-Charset" HTTP header (as
+ * described in RFC 7231, section 5.3.3).  Each charset in the header is resolved by
+ * {@link Encoding.getEncoding}, so that aliases are recognised; charsets that are not known are
+ * ignored.  The special value "*" matches any charset not mentioned elsewhere in the header; if
+ * it is not present, such charsets are not acceptable.  A charset with a qvalue of 0 is not
+ * acceptable.  The encoding chosen is the acceptable encoding with the highest qvalue; where
+ * there is more than one, the one that appears first in the list of preferred encodings is
+ * chosen.  If there is no header (or it is empty), any encoding is acceptable.  An encoding
+ * registered with a qvalue of 0 (such as the replacement encoding) is never chosen.
+ *
+ * @param {String}  header          the value of the "Accept-Charset" header
+ * @param {Array}   [preferred]     the encodings (or encoding names) that may be used, in order
+ *                                  of preference (default all registered encodings, in the
+ *                                  order in which they were registered)
+ * @returns {Encoding}    the encoding, or <code>null</code> if none of the encodings is
+ *                        acceptable
+ */
+Encoding.negotiate = function (header, preferred) {
+    var candidates = (preferred || Encoding.encodings).map(function (entry) {
+        return entry instanceof Encoding ? entry : Encoding.getEncoding(entry);
+    });
+    var qvalues = [], wildcard = null;
+    var elements = header ? header.split(',') : [];
+    for (var i = 0; i < elements.length; i++) {
+        var parsed = parseParameters(elements[i]);
+        if (!parsed || !parsed.value)
+            continue;
+        var q = parsed.params.q === undefined ? 1 : parseQValue(parsed.params.q);
+        if (q === null)
+            continue;
+        if (parsed.value === '*')
+            wildcard = q;
+        else {
+            var encoding = Encoding.getEncoding(parsed.value);
+            if (encoding)
+                qvalues.push({ encoding: encoding, q: q });
+        }
+    }
+    if (!elements.join('').trim())
+        wildcard = 1;
+    var best = null, bestQ = 0;
+    for (i = 0; i < candidates.length; i++) {
+        var candidate = candidates[i];
+        if (!candidate || !candidate.qvalue)
+            continue;
+        q = wildcard || 0;
+        for (var j = 0; j < qvalues.length; j++) {
+            if (qvalues[j].encoding === candidate) {
+                q = qvalues[j].q;
+                break;
+            }
+        }
+        if (q > bestQ) {
+            best = candidate;
+            bestQ = q;
+        }
+    }
+    return best;
+};
+
+/**
+ * Find the encoding specified by the <code>charset</code> parameter of a "Content-Type" HTTP
+ * header (or MIME header), for example <code>text/html; charset="iso-8859-1"</code>.  The
+ * parameter value may be a token or a quoted string.
+ *
+ * @param {String}  header      the value of the "Content-Type" header
+ * @returns {Encoding}    the encoding, or <code>null</code> if there is no charset parameter or
+ *                        it does not identify a known encoding
+ */
+Encoding.fromContentType = function (header) {
+    var parsed = header && parseParameters(header);
+    return parsed && parsed.params.charset ? Encoding.getEncoding(parsed.params.charset) : null;
+};
+
+/**
+ * Parse a header value consisting of a value followed by parameters, each of which is preceded
+ * by a semicolon and may be a token or a quoted string (<code>value; name=value; ...</code>).
+ * Parameter names are not case-sensitive.
+ *
+ * @param {String}  str     the string to parse
+ * @returns {Object}        an object containing the leading value (in the <code>value</code>
+ *                          property) and the parameter values, indexed by name in lower case
+ *                          (in the <code>params</code> property); or <code>null</code> if the
+ *                          string is malformed
+ */
+function parseParameters(str) {
+    var re = /^\s*;\s*([^\s;=]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s;"]*))\s*/;
+    var match = /^\s*([^\s;]*)\s*/.exec(str);
+    var result = { value: match[1], params: Object.create(null) };
+    str = str.slice(match[0].length);
+    while (str.length) {
+        match = re.exec(str);
+        if (!match)
+            return null;
+        var name = match[1].toLowerCase();
+        if (!(name in result.params)) {
+            result.params[name] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') :
+                    match[3];
+        }
+        str = str.slice(match[0].length);
+    }
+    return result;
+}
+
+/**
+ * Parse a qvalue (a number from 0 to 1 with no more than three decimal places).
+ *
+ * @param {String}  str     the string to parse
+ * @returns {Number}        the value, or <code>null</code> if the string is not a valid qvalue
+ */
+function parseQValue(str) {
+    return /^(0(\.\d{0,3})?|1(\.0{0,3})?)$/.test(str) ? parseFloat(str) : null;
+}
+
+// CodePageEncoding
+
+/**
+ * Encoding table entry for a 'code page' encoding.  These encodings map the characters 0x00 to
+ * 0x7F to the same values in the encoded form, and a predefined selection of characters (the
+ * code page) into the values 0x80 to 0xFF.  Byte values that are not defined in the encoding
+ * are represented in the code page by the replacement character U+FFFD.
+ *
+ * <p>Some code pages (for example IBM437, with its graphic characters in the range 0x00 to
+ * 0x1F) do not map the lower half to ASCII; for these, the code page may be given as a full
+ * table of 256 characters, mapping all of the byte values 0x00 to 0xFF.</p>
+ *
+ * @constructor
+ * @param {String} codePage  the code page - the characters that map to 0x80 to 0xFF (or to
+ *                           0x00 to 0xFF if the code page contains 256 characters)
+ * @param {String} name      the name of this encoding
+ * @param {RegExp} test      a regular expression to compare for this encoding name
+ * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ */
+function CodePageEncoding(codePage, name, test, qvalue) {
+    Encoding.call(this, name, test, qvalue);
+    this.codePage = codePage;
+    /** The first byte value mapped by the code page (0x80, or 0 for a full table) @type Number */
+    this.tableStart = 256 - codePage.length;
+    this.mapping = null;
+    /** The UTF-8 sequences for the byte values, created when required @type Array */
+    this.utf8Table = null;
+}
+
+CodePageEncoding.prototype = Object.create(Encoding.prototype, {
+    constructor: { value: CodePageEncoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Calculate the number of bytes required to encode the given character.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character (always 1, unless
+ *                              the character can not be encoded and there is a fallback)
+ */
+CodePageEncoding.prototype.lenCharacter = function (ch, options) {
+    if (options && options.encodeFallback && ch >= this.tableStart && this.lookupByte(ch) < 0)
+        return this.lenFallback(ch, options);
+    return 1;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given surrogate sequence.
+ *
+ * @param {Number} high         the numeric code for the high surrogate
+ * @param {Number} low          the numeric code for the low surrogate
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character (always 1, unless
+ *                              there is a fallback)
+ */
+CodePageEncoding.prototype.lenSurrogate = function (high, low, options) {
+    return this.lenFallback(combineSurrogates(high, low), options);
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character (always 1, unless
+ *                              the character can not be encoded and there is a fallback)
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+CodePageEncoding.prototype.storeCharacter = function (buf, offset, ch, options) {
+    var b = ch < this.tableStart ? ch : this.lookupByte(ch);
+    if (b < 0)
+        return this.storeFallback(buf, offset, ch, options);
+    buf[offset] = b;
+    return 1;
+};
+
+/**
+ * Get the substitution byte: the <code>substByte</code> option (default '?') is mapped through
+ * the code page, so that the substitution is the same character in an encoding that is not
+ * based on ASCII (0x6F in EBCDIC, for example).  A character that is not in the code page is
+ * output as it is.
+ *
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the substitution byte
+ */
+CodePageEncoding.prototype.getSubstByte = function (options) {
+    var ch = Encoding.prototype.getSubstByte.call(this, options);
+    var b = ch < this.tableStart ? ch : this.lookupByte(ch);
+    return b < 0 ? ch : b;
+};
+
+/**
+ * Look up the byte value for a character in the mapping table.
+ *
+ * @param {Number}  ch          the numeric code for the character
+ * @returns {Number}            the byte value, or -1 if the character can not be encoded
+ */
+CodePageEncoding.prototype.lookupByte = function (ch) {
+    // binary search mapping table
+    var mapping = this.getMappingTable();
+    var lo = 0, hi = mapping.length;
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+        var entry = mapping[mid];
+        if (entry.cp == ch)
+            return entry.to;
+        if (entry.cp > ch)
+            hi = mid;
+        else
+            lo = mid + 1;
+    }
+    return -1;
+};
+
+/**
+ * Decode a buffer encoded in a code page encoding to a string.
+ *
+ * @param   {Buffer}     buf        the buffer
+ * @param   {Object}    [options]   an options object
+ * @returns {String}    the decoded string
+ * @throws Error    if the buffer contains a byte that is not defined in the encoding and
+ *                  'errorFatal' is set to true in the options object
+ */
+CodePageEncoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = '';
+    for (var i = 0; i < buf.length; i++) {
+        var ch = buf[i];
+        if (ch < this.tableStart)
+            a += String.fromCharCode(ch);
+        else {
+            var mapped = this.codePage.charAt(ch - this.tableStart);
+            a += mapped == defaultReplChar ?
+                    getReplCharOrError(options, 'Undefined ' + this.name + ' byte: 0x' +
+                    hexChar(ch), this, i, buf.slice(i, i + 1)) : mapped;
+        }
+    }
+    return a;
+};
+
+/**
+ * Get the mapping table for the reverse mapping of code points to encoded values.  The table is
+ * an array in code point order of mapping entries; it is lazily initialised from the code page
+ * when required.
+ *
+ * @returns {Array} the mapping table
+ */
+CodePageEncoding.prototype.getMappingTable = function () {
+    if (!this.mapping) {
+        // create mapping table from code page
+        this.mapping = [];
+        for (var i = 0; i < this.codePage.length; i++) {
+            var ch = this.codePage.charCodeAt(i);
+            if (ch == 0xFFFD) // undefined byte value
+                continue;
+            // binary search to find insertion point
+            var lo = 0, hi = this.mapping.length;
+            while (lo < hi) {
+                var mid = (lo + hi) >> 1;
+                // assert this.mapping[mid].cp != ch (no duplicates)
+                if (this.mapping[mid].cp > ch)
+                    hi = mid;
+                else
+                    lo = mid + 1;
+            }
+            this.mapping.splice(lo, 0, { cp: ch, to: i + this.tableStart });
+        }
+    }
+    return this.mapping;
+};
+
+/**
+ * Get the table of UTF-8 sequences for the byte values of the encoding, for use when
+ * transcoding to UTF-8.  The table is an array of 256 entries, each of which is an array of
+ * bytes, or <code>null</code> for a byte value that is not defined in the encoding; it is
+ * lazily initialised from the code page when required.
+ *
+ * @returns {Array} the table
+ */
+CodePageEncoding.prototype.getUTF8Table = function () {
+    if (!this.utf8Table) {
+        this.utf8Table = [];
+        for (var i = 0; i < 256; i++) {
+            var ch = i < this.tableStart ? String.fromCharCode(i) :
+                    this.codePage.charAt(i - this.tableStart);
+            this.utf8Table.push(ch == defaultReplChar ? null :
+                    Array.prototype.slice.call(Encoding.utf8.encode(ch)));
+        }
+    }
+    return this.utf8Table;
+};
+
+CodePageEncoding.prototype.encodeStream = function (options) {
+    var stream = new EncodeStream(this, options);
+    stream.outputBOM = false;
+    return stream;
+};
+
+CodePageEncoding.prototype.decodeStream = function (options) {
+    return new CodePageDecodeStream(this, options);
+};
+
+/**
+ * Create a code page encoding from a mapping table, and register it under the given name and
+ * labels.  Two formats of mapping table are accepted:
+ * <ul>
+ *   <li>the unicode.org format, in which each line contains a byte value and a code point, both
+ *       in hexadecimal (for example, <code>0x80&#9;0x20AC&#9;#EURO SIGN</code>); a line with a
+ *       byte value but no code point marks the byte as undefined</li>
+ *   <li>the WHATWG index format, in which each line contains a decimal pointer (the byte value
+ *       minus 0x80) and a code point (for example, <code>0&#9;0x20AC&#9;&#8364; (EURO SIGN)</code>)
+ *   </li>
+ * </ul>
+ * Comments (from <code>#</code> to the end of the line) and blank lines are ignored.
+ *
+ * <p>If the table maps any of the bytes 0x00 to 0x7F to anything other than the ASCII character
+ * of the same value, the encoding is created with a full table of 256 characters; otherwise
+ * those bytes are mapped to ASCII.  In either case, a byte from 0x00 to 0x7F that the table does
+ * not mention is mapped to ASCII (unless the table maps that character from another byte).  Any
+ * other byte that the table does not mention is undefined in the encoding, and is listed in the
+ * <code>unmappedBytes</code> property of the encoding; bytes that the table marks as undefined
+ * are not listed.</p>
+ *
+ * <p>The options object may contain the following options:</p>
+ * <dl>
+ *   <dt><code>{Boolean} strict</code></dt>
+ *   <dd>if true, throw an error if the table does not mention every byte that is not mapped to
+ *       ASCII</dd>
+ *   <dt><code>{Number} qvalue</code></dt>
+ *   <dd>the qvalue of the encoding (default 0, so that it is not offered in
+ *       {@link Encoding.getAcceptCharset} or chosen by {@link Encoding.negotiate} unless it is
+ *       asked for)</dd>
+ * </dl>
+ *
+ * @param {String}  text        the content of the mapping table
+ * @param {String}  name        the name of the encoding
+ * @param {Array}   [labels]    the labels (aliases) for the encoding
+ * @param {Object}  [options]   an options object (see above)
+ * @returns {CodePageEncoding}  the encoding
+ * @throws Error    if the table contains a line that is not in either format, a byte value
+ *                  that is mapped more than once, a character that is mapped from more than one
+ *                  byte value, or a character that can not be held in a code page (a
+ *                  supplementary character, a surrogate or U+FFFD), if it contains no mappings
+ *                  at all, or if the <code>strict</code> option is set and it does not mention
+ *                  every byte
+ */
+CodePageEncoding.fromMappingTable = function (text, name, labels, options) {
+    var chars = [], bytes = {}, count = 0;
+    var lines = text.split(/\r?\n/);
+    for (var i = 0; i < lines.length; i++) {
+        var fields = lines[i].replace(/#.*/, '').trim().split(/\s+/);
+        if (!fields[0])
+            continue;
+        var lineError = 'Invalid mapping table for ' + name + ' (line ' + (i + 1) + '): ';
+        var b = /^0x[0-9A-F]{1,2}$/i.test(fields[0]) ? parseInt(fields[0], 16) :
+                /^\d{1,3}$/.test(fields[0]) ? 0x80 + parseInt(fields[0], 10) : -1;
+        if (b < 0 || b > 0xFF)
+            throw new Error(lineError + 'invalid byte value ' + fields[0]);
+        if (b in chars)
+            throw new Error(lineError + 'byte 0x' + hexChar(b) + ' is mapped more than once');
+        if (fields.length < 2) { // undefined byte
+            chars[b] = 0xFFFD;
+            continue;
+        }
+        if (!/^(0x|U\+)[0-9A-F]{1,6}$/i.test(fields[1]))
+            throw new Error(lineError + 'invalid code point ' + fields[1]);
+        var ch = parseInt(fields[1].substr(2), 16);
+        if (ch > 0xFFFF || isSurrogate(ch) || ch == 0xFFFD)
+            throw new Error(lineError + 'character U+' + hexChar(ch) +
+                    ' can not be mapped in a code page');
+        if (ch in bytes)
+            throw new Error(lineError + 'character U+' + hexChar(ch) + ' is mapped from both 0x' +
+                    hexChar(bytes[ch]) + ' and 0x' + hexChar(b));
+        chars[b] = ch;
+        bytes[ch] = b;
+        count++;
+    }
+    if (count == 0)
+        throw new Error('Invalid mapping table for ' + name + ': no mappings');
+    var start = 0x80;
+    for (b = 0; b < 0x80; b++) {
+        if (b in chars && chars[b] != b)
+            start = 0;
+    }
+    var codePage = '', unmapped = [];
+    for (b = start; b < 0x100; b++) {
+        if (!(b in chars) && b < 0x80 && !(b in bytes))
+            chars[b] = b;
+        if (!(b in chars))
+            unmapped.push(b);
+        codePage += String.fromCharCode(b in chars ? chars[b] : 0xFFFD);
+    }
+    if (unmapped.length && options && options.strict) {
+        throw new Error('Invalid mapping table for ' + name + ': byte 0x' +
+                hexChar(unmapped[0]) + ' is not mapped' + (unmapped.length > 1 ?
+                ' (nor are ' + (unmapped.length - 1) + ' other bytes)' : ''));
+    }
+    var test = new RegExp('^' + name.replace(/[\-\[\]\/{}()*+?.\\^$|]/g, '\\$&') + '$', 'i');
+    var qvalue = options && options.qvalue !== undefined ? options.qvalue : 0;
+    var encoding = new CodePageEncoding(codePage, name, test, qvalue);
+    /** The bytes that the mapping table did not mention (see above) @type Array */
+    encoding.unmappedBytes = unmapped;
+    return Encoding.register(encoding, labels);
+};
+
+// EBCDICEncoding
+
+/**
+ * Encoding table entry for an EBCDIC encoding.  These are single-byte encodings in which even
+ * the Latin letters and digits are not at their ASCII positions, so the code page must be a
+ * full table of 256 characters.
+ *
+ * <p>EBCDIC has two newline characters: NL (0x15, mapped to U+0085) and LF (0x25, mapped to
+ * U+000A).  Text from z/OS UNIX System Services uses NL as its line terminator, so the encoding
+ * functions accept the following option in addition to those described for {@link Encoding}:</p>
+ * <dl>
+ *   <dt><code>{Boolean} swapNL</code></dt>
+ *   <dd>if true, swap the mappings of NL and LF, so that 0x15 corresponds to U+000A</dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {String} codePage  the code page - the characters that map to 0x00 to 0xFF
+ * @param {String} name      the name of this encoding
+ * @param {RegExp} test      a regular expression to compare for this encoding name
+ * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ */
+function EBCDICEncoding(codePage, name, test, qvalue) {
+    if (codePage.length != 256)
+        throw new Error('EBCDIC code page must contain 256 characters: ' + name);
+    CodePageEncoding.call(this, codePage, name, test, qvalue);
+}
+
+EBCDICEncoding.prototype = Object.create(CodePageEncoding.prototype, {
+    constructor: { value: EBCDICEncoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character (always 1, unless
+ *                              the character can not be encoded and there is a fallback)
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+EBCDICEncoding.prototype.storeCharacter = function (buf, offset, ch, options) {
+    if (options && options.swapNL && (ch == 0x0A || ch == 0x85))
+        ch = ch == 0x0A ? 0x85 : 0x0A;
+    return CodePageEncoding.prototype.storeCharacter.call(this, buf, offset, ch, options);
+};
+
+/**
+ * Decode a buffer encoded in an EBCDIC encoding to a string.
+ *
+ * @param   {Buffer}     buf        the buffer
+ * @param   {Object}    [options]   an options object
+ * @returns {String}    the decoded string
+ * @throws Error    if the buffer contains a byte that is not defined in the encoding and
+ *                  'errorFatal' is set to true in the options object
+ */
+EBCDICEncoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = CodePageEncoding.prototype.decode.call(this, buf, options);
+    if (options && options.swapNL) {
+        a = a.replace(/[\n\u0085]/g, function (nl) {
+            return nl == '\n' ? '\u0085' : '\n';
+        });
+    }
+    return a;
+};
+
+EBCDICEncoding.prototype.encodeStream = function (options) {
+    var stream = CodePageEncoding.prototype.encodeStream.call(this, options);
+    stream.swapNL = options && options.swapNL;
+    return stream;
+};
+
+EBCDICEncoding.prototype.decodeStream = function (options) {
+    var stream = CodePageEncoding.prototype.decodeStream.call(this, options);
+    stream.swapNL = options && options.swapNL;
+    return stream;
+};
+
+// Index tables
+
+var indexTables = {};
+
+/**
+ * Get a WHATWG index table (an array of code points, indexed by pointer).  The tables are held
+ * as JSON files in the <code>indexes</code> directory, and are loaded only when first required.
+ *
+ * @param {String} name  the name of the index (e.g. "jis0208")
+ * @returns {Array}      the index table
+ */
+function getIndexTable(name) {
+    return indexTables[name] || (indexTables[name] = require('./indexes/' + name + '.json'));
+}
+
+/**
+ * Create a reverse mapping table (code point to pointer) from an index table.  Where a code
+ * point occurs more than once in the index, the first pointer is used.
+ *
+ * @param {Array}    table   the index table
+ * @param {Function} [skip]  a function to test whether a pointer should be excluded
+ * @returns {Object}         an object mapping code points to pointers
+ */
+function createReverseIndex(table, skip) {
+    var reverse = {};
+    for (var i = 0; i < table.length; i++) {
+        var cp = table[i];
+        if (cp !== null && !(cp in reverse) && !(skip && skip(i)))
+            reverse[cp] = i;
+    }
+    return reverse;
+}
+
+// MultiByteEncoding
+
+/**
+ * Encoding table entry for a multi-byte encoding.  The specific encodings must provide
+ * implementations of {@link MultiByteEncoding#decodeBytes}, <code>lenCharacter</code> and
+ * <code>storeCharacter</code>; surrogate sequences are combined into a single code point before
+ * being passed to those last two functions.
+ *
+ * @constructor
+ * @param {String} name      the name of this encoding
+ * @param {RegExp} test      a regular expression to compare for this encoding name
+ * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ */
+function MultiByteEncoding(name, test, qvalue) {
+    Encoding.call(this, name, test, qvalue);
+    this.reverse = null;
+    /** Frequently occurring characters, used by {@link Encoding.detect} @type RegExp */
+    this.detectChars = null;
+}
+
+MultiByteEncoding.prototype = Object.create(Encoding.prototype, {
+    constructor: { value: MultiByteEncoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Decode a buffer to a string.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+MultiByteEncoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    return this.decodeBytes(buf, options, null);
+};
+
+/**
+ * Decode a buffer to a string.  If a stream is supplied, an incomplete sequence at the end of
+ * the buffer is stored in the stream's hold buffer to be completed by the next chunk;
+ * otherwise it is treated as an error.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ */
+MultiByteEncoding.prototype.decodeBytes = function (buf, options, stream) {
+    throw new Error('No decodeBytes method for ' + this.name);
+};
+
+MultiByteEncoding.prototype.encodeStream = function (options) {
+    var stream = new EncodeStream(this, options);
+    stream.outputBOM = false;
+    return stream;
+};
+
+MultiByteEncoding.prototype.decodeStream = function (options) {
+    return new MultiByteDecodeStream(this, options);
+};
+
+/**
+ * Handle an incomplete sequence at the end of a buffer being decoded: if decoding a stream,
+ * store the remaining bytes in the hold buffer, otherwise return the replacement character.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Number}          index      the index of the start of the incomplete sequence
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @param {Encoding}        encoding   the encoding
+ * @returns {String} the replacement character, or an empty string
+ * @throws EncodingError    if not decoding a stream and 'errorFatal' is set to true
+ */
+function incompleteSequence(buf, index, options, stream, encoding) {
+    if (stream) {
+        stream.createHoldBuffer(buf, index);
+        return '';
+    }
+    return getReplCharOrError(options, 'Incomplete multi-byte sequence', encoding, index,
+            buf.slice(index), codeIncompleteSequence);
+}
+
+// StatefulEncoding
+
+/**
+ * Encoding table entry for an encoding in which the interpretation of bytes depends on a shift
+ * state (for example ISO-2022-JP, which switches character sets by means of escape sequences).
+ * The state is held in an object created by {@link StatefulEncoding#createState}, so that the
+ * stream classes can carry it from one chunk to the next.
+ *
+ * <p>The specific encodings must provide implementations of <code>createState</code>,
+ * <code>encodeCodePoint</code>, <code>encodeEnd</code>, <code>decodeBytes</code> and
+ * <code>decodeEnd</code>.</p>
+ *
+ * @constructor
+ * @param {String} name      the name of this encoding
+ * @param {RegExp} test      a regular expression to compare for this encoding name
+ * @param {Number} [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ */
+function StatefulEncoding(name, test, qvalue) {
+    Encoding.call(this, name, test, qvalue);
+    /** Frequently occurring characters, used by {@link Encoding.detect} @type RegExp */
+    this.detectChars = null;
+}
+
+StatefulEncoding.prototype = Object.create(Encoding.prototype, {
+    constructor: { value: StatefulEncoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Encode a string to a Buffer.
+ *
+ * @param {String}  str         the input string
+ * @param {Object}  [options]   an options object
+ * @returns {Buffer}            a Buffer containing the encoded string
+ * @throws Error    if the string contains an invalid surrogate sequence or a character that can
+ *                  not be encoded, and 'errorFatal' is set to true in the options object
+ */
+StatefulEncoding.prototype.encode = function (str, options) {
+    var bytes = [];
+    var state = this.createState();
+    this.encodeChunk(bytes, str, options, state);
+    try {
+        this.encodeFinish(bytes, options, state);
+    }
+    catch (e) {
+        throw setErrorIndex(e, str.length - 1);
+    }
+    return new Buffer(bytes);
+};
+
+/**
+ * Decode a buffer to a string.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+StatefulEncoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var state = this.createState();
+    var a = this.decodeBytes(buf, options, state);
+    try {
+        return a + this.decodeEnd(options, state);
+    }
+    catch (e) {
+        throw addErrorOffset(e, buf.length);
+    }
+};
+
+StatefulEncoding.prototype.encodeStream = function (options) {
+    var stream = new StatefulEncodeStream(this, options);
+    stream.outputBOM = false;
+    return stream;
+};
+
+StatefulEncoding.prototype.decodeStream = function (options) {
+    return new StatefulDecodeStream(this, options);
+};
+
+/**
+ * Encode a string (or a chunk of a string), combining surrogate sequences into code points
+ * before passing them to {@link StatefulEncoding#encodeCodePoint}.  A high surrogate at the end
+ * of the string is held in the state object, to be combined with the start of the next chunk.
+ * The index in the string of the character being encoded is kept in the <code>index</code>
+ * property of the state object, for use in reporting errors.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {String}  str         the input string
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+StatefulEncoding.prototype.encodeChunk = function (bytes, str, options, state) {
+    var start = 0;
+    try {
+        for (var i = 0; i < str.length; i++) {
+            start = state.index = state.highSurrogate ? i - 1 : i;
+            var ch = str.charCodeAt(i);
+            if (state.highSurrogate) {
+                if (isLowSurrogate(ch))
+                    ch = combineSurrogates(state.highSurrogate, ch);
+                else {
+                    ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence', this,
+                            state.highSurrogate);
+                    i--;
+                }
+                state.highSurrogate = 0;
+            }
+            else if (isHighSurrogate(ch)) {
+                state.highSurrogate = ch;
+                continue;
+            }
+            else if (isLowSurrogate(ch))
+                ch = getReplCharCodeOrError(options, 'Invalid surrogate sequence', this, ch);
+            this.encodeCodePoint(bytes, ch, options, state);
+        }
+    }
+    catch (e) {
+        throw setErrorIndex(e, start);
+    }
+};
+
+/**
+ * Complete the encoding of a string, reporting any outstanding surrogate sequence and returning
+ * the encoder to its initial state.  The index in any error thrown is -1 (that is, relative to
+ * the end of the string).
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+StatefulEncoding.prototype.encodeFinish = function (bytes, options, state) {
+    if (state.highSurrogate) {
+        var hs = state.highSurrogate;
+        state.highSurrogate = 0;
+        state.index = -1;
+        try {
+            this.encodeCodePoint(bytes, getReplCharCodeOrError(options,
+                    'Incomplete surrogate sequence', this, hs), options, state);
+        }
+        catch (e) {
+            throw setErrorIndex(e, -1);
+        }
+    }
+    this.encodeEnd(bytes, options, state);
+};
+
+/**
+ * Encode a character that can not be encoded: the fallback string is encoded in its place, if
+ * the <code>encodeFallback</code> option is set, otherwise the substitution byte is output.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Number}  cp          the code point
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @throws Error    if there is no fallback and 'errorFatal' is set to true in the options
+ *                  object
+ */
+StatefulEncoding.prototype.encodeFallback = function (bytes, cp, options, state) {
+    var str = getFallbackString(options, cp);
+    if (str === null) {
+        bytes.push(getSubstByteOrError(options, cp, this));
+        return;
+    }
+    if (options.reportReplacement)
+        options.reportReplacement(createUnencodableError(cp, this));
+    var fallbackOptions = getFallbackOptions(options);
+    for (var i = 0; i < str.length; i++) {
+        var ch = str.charCodeAt(i);
+        if (isHighSurrogate(ch) && isLowSurrogate(str.charCodeAt(i + 1)))
+            ch = combineSurrogates(ch, str.charCodeAt(++i));
+        this.encodeCodePoint(bytes, ch, fallbackOptions, state);
+    }
+};
+
+// Table of encodings
+
+Encoding.encodings = [];
+
+// UTF-8
+
+Encoding.utf8 = new Encoding('utf-8', /^utf[\-_]?8$/i);
+
+Encoding.utf8.decodeStream = function (options) {
+    return new UTF8DecodeStream(this, options);
+};
+
+/**
+ * Decode a UTF-8 encoded buffer to a string.
+ *
+ * @param {Buffer} buf          the buffer
+ * @param {Object} [options]    an options object
+ * @returns {String} the decoded string
+ * @throws Error    if the string contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.utf8.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = ''; // using string concatenation; now reported to be faster than Array.join()
+    var i = 0, start, ch, ch2, ch3, ch4, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch < 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch < 0xC0)
+            a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+        else if (ch < 0xE0) {
+            if (i >= buf.length) {
+                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence',
+                        this, start, buf.slice(start), codeIncompleteSequence);
+                break;
+            }
+            if (!isContinuationByte(ch2 = buf[i]))
+                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch2),
+                        this, start, buf.slice(start, i));
+            else {
+                ++i;
+                cp = (ch & 0x1F) << 6 | (ch2 & 0x3F);
+                a += cp < 0x80 ? getReplCharOrError(options, 'Illegal character',
+                        this, start, buf.slice(start, i)) :
+                        String.fromCharCode(cp);
+            }
+        }
+        else if (ch < 0xF0) {
+            if (i + 1 >= buf.length) {
+                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence',
+                        this, start, buf.slice(start), codeIncompleteSequence);
+                break;
+            }
+            if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]))
+                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]),
+                        this, start, buf.slice(start, i));
+            else {
+                ++i;
+                cp = (ch & 0x0F) << 12 | (ch2 & 0x3F) << 6 | (ch3 & 0x3F);
+                a += cp < 0x800 || isSurrogate(cp) ?
+                        getReplCharOrError(options, 'Illegal character',
+                                this, start, buf.slice(start, i)) :
+                        String.fromCharCode(cp);
+            }
+        }
+        else if (ch < 0xF8) {
+            if (i + 2 >= buf.length) {
+                a += getReplCharOrError(options, 'Incomplete UTF-8 sequence',
+                        this, start, buf.slice(start), codeIncompleteSequence);
+                break;
+            }
+            if (!isContinuationByte(ch2 = buf[i]) || !isContinuationByte(ch3 = buf[++i]) ||
+                    !isContinuationByte(ch4 = buf[++i]))
+                a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(buf[i]),
+                        this, start, buf.slice(start, i));
+            else {
+                ++i;
+                cp = (ch & 7) << 18 | (ch2 & 0x3F) << 12 | (ch3 & 0x3F) << 6 | (ch4 & 0x3F);
+                a += cp < 0x10000 || cp > 0x10FFFF ?
+                        getReplCharOrError(options, 'Illegal surrogate sequence',
+                                this, start, buf.slice(start, i)) :
+                        createSurrogateString(cp);
+            }
+        }
+        else
+            a += getReplCharOrError(options, 'Illegal UTF-8 byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+    }
+    return a;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character in UTF-8.
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the length of the sequence for this character
+ */
+Encoding.utf8.lenCharacter = function (ch) {
+    return ch < 0x80 ? 1 : ch < 0x800 ? 2 : 3;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given surrogate sequence in UTF-8.
+ *
+ * @param {Number} high    the numeric code for the high surrogate
+ * @param {Number} low     the numeric code for the low surrogate
+ * @returns {Number}       the length of the sequence for this character (always 4)
+ */
+Encoding.utf8.lenSurrogate = function (high, low) {
+    return 4;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.utf8.storeCharacter = function (buf, offset, ch, options) {
+    if (ch < 0x80) {
+        buf[offset] = ch;
+        return 1;
+    }
+    else if (ch < 0x800) {
+        buf[offset] = ch >>> 6 | 0xC0;
+        buf[offset + 1] = ch & 0x3F | 0x80;
+        return 2;
+    }
+    else {
+        buf[offset] = ch >>> 12 | 0xE0;
+        buf[offset + 1] = ch >>> 6 & 0x3F | 0x80;
+        buf[offset + 2] = ch & 0x3F | 0x80;
+        return 3;
+    }
+};
+
+/**
+ * Store the mapping for the surrogate sequence in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  high        the numeric code for the high surrogate
+ * @param {Number}  low         the numeric code for the low surrogate
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character (always 4)
+ */
+Encoding.utf8.storeSurrogate = function (buf, offset, high, low, options) {
+    var ch = combineSurrogates(high, low);
+    buf[offset] = ch >>> 18 | 0xF0;
+    buf[offset + 1] = ch >>> 12 & 0x3F | 0x80;
+    buf[offset + 2] = ch >>> 6 & 0x3F | 0x80;
+    buf[offset + 3] = ch & 0x3F | 0x80;
+    return 4;
+};
+
+Encoding.register(Encoding.utf8, [ 'unicode-1-1-utf-8', 'unicode11utf8', 'unicode20utf8', 'utf8',
+        'x-unicode20utf8', 'csutf8' ]);
+
+// UTF16Encoding
+
+function UTF16Encoding(name, test, qvalue) {
+    Encoding.call(this, name, test, qvalue);
+}
+
+UTF16Encoding.prototype = Object.create(Encoding.prototype, {
+    constructor: { value: UTF16Encoding, enumerable: false, writable: true, configurable: true }
+});
+
+UTF16Encoding.prototype.decodeStream = function (options) {
+    return new UTF16DecodeStream(this, options);
+};
+
+/**
+ * Decode a UTF-16 encoded buffer to a string.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ * @throws Error    if the string contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+UTF16Encoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = '';
+    for (var i = 0; i < buf.length; i += 2) {
+        if (i + 1 >= buf.length) {
+            a += getReplCharOrError(options, 'Incomplete UTF-16 character',
+                    this, i, buf.slice(i), codeIncompleteSequence);
+            break;
+        }
+        var ch = this.readBuf(buf, i);
+        if (!isHighSurrogate(ch)) {
+            if (isLowSurrogate(ch))
+                a += getReplCharOrError(options, 'Illegal surrogate sequence',
+                        this, i, buf.slice(i, i + 2));
+            else
+                a += String.fromCharCode(ch);
+        }
+        else {
+            if (i + 3 >= buf.length) {
+                a += getReplCharOrError(options, 'Incomplete surrogate sequence',
+                        this, i, buf.slice(i), codeIncompleteSequence);
+                break;
+            }
+            var ch2 = this.readBuf(buf, i + 2);
+            if (!isLowSurrogate(ch2))
+                a += getReplCharOrError(options, 'Illegal surrogate sequence',
+                        this, i, buf.slice(i, i + 2));
+            else {
+                i += 2;
+                a += String.fromCharCode(ch, ch2);
+            }
+        }
+    }
+    return a;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character.
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the length of the sequence for this character (always 2)
+ */
+UTF16Encoding.prototype.lenCharacter = function (ch) {
+    return 2;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given surrogate sequence.
+ *
+ * @param {Number} high    the numeric code for the high surrogate
+ * @param {Number} low     the numeric code for the low surrogate
+ * @returns {Number}       the length of the sequence for this character (always 4)
+ */
+UTF16Encoding.prototype.lenSurrogate = function (high, low) {
+    return 4;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object (unused)
+ * @returns {Number}            the length of the sequence for this character
+ */
+UTF16Encoding.prototype.storeCharacter = function (buf, offset, ch, options) {
+    this.writeBuf(buf, offset, ch);
+    return 2;
+};
+
+/**
+ * Store the mapping for the surrogate sequence in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  high        the numeric code for the high surrogate
+ * @param {Number}  low         the numeric code for the low surrogate
+ * @param {Object}  [options]   an options object (unused)
+ * @returns {Number}            the length of the sequence for this character (always 4)
+ */
+UTF16Encoding.prototype.storeSurrogate = function (buf, offset, high, low, options) {
+    this.writeBuf(buf, offset, high);
+    this.writeBuf(buf, offset + 2, low);
+    return 4;
+};
+
+// UTF-16LE
+
+Encoding.utf16le = new UTF16Encoding('utf-16le', /^utf[\-_]?16[\-_]?le$/i, 0.9);
+
+Encoding.utf16le.readBuf = function (buf, offset) {
+    return buf.readUInt16LE(offset);
+};
 
 Encoding.utf16le.writeBuf = function (buf, offset, value) {
     buf.writeUInt16LE(value, offset);
 };
 
-Encoding.encodings.push(Encoding.utf16le);
+Encoding.register(Encoding.utf16le, [ 'cp1200', 'csunicode', 'iso-10646-ucs-2', 'ucs-2', 'unicode',
+        'unicodefeff', 'csutf16le' ]);
+
+// UTF-16BE
+
+Encoding.utf16be = new UTF16Encoding('utf-16be', /^utf[\-_]?16[\-_]?be$/i, 0.9);
+
+Encoding.utf16be.readBuf = function (buf, offset) {
+    return buf.readUInt16BE(offset);
+};
+
+Encoding.utf16be.writeBuf = function (buf, offset, value) {
+    buf.writeUInt16BE(value, offset);
+};
+
+Encoding.register(Encoding.utf16be, [ 'unicodefffe', 'csutf16be' ]);
+
+// UTF-16 (byte order determined by BOM)
+
+Encoding.utf16 = new UTF16Encoding('utf-16', /^utf[\-_]?16$/i, 0.9);
+
+Encoding.utf16.readBuf = Encoding.utf16le.readBuf;
+
+Encoding.utf16.writeBuf = Encoding.utf16le.writeBuf;
+
+/**
+ * Encode a string to a Buffer.  The output is in little-endian byte order, preceded by a BOM
+ * unless the <code>outputBOM</code> option is explicitly set to <code>false</code>.
+ *
+ * @param {String}  str         the input string
+ * @param {Object}  [options]   an options object
+ * @returns {Buffer}            a Buffer containing the encoded string
+ */
+Encoding.utf16.encode = function (str, options) {
+    var buf = Encoding.prototype.encode.call(this, str, options);
+    if (options && options.outputBOM === false)
+        return buf;
+    return Buffer.concat([ new Buffer([ 0xFF, 0xFE ]), buf ], buf.length + 2);
+};
+
+/**
+ * Decode a buffer to a string.  The byte order is determined by the BOM at the start of the
+ * buffer (a UTF-8 BOM is also recognised); if there is no BOM, little-endian is assumed.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ */
+Encoding.utf16.decode = function (buf, options) {
+    return decodeWithBOM(Encoding.utf16le, buf, options);
+};
+
+Encoding.utf16.encodeStream = function (options) {
+    var stream = new EncodeStream(this, options);
+    stream.outputBOM = !(options && options.outputBOM === false);
+    return stream;
+};
+
+Encoding.utf16.decodeStream = function (options) {
+    var stream = new UTF16DecodeStream(this, options);
+    if (!stream.bomPrefix)
+        stream.bomPrefix = new Buffer(0);
+    return stream;
+};
+
+Encoding.register(Encoding.utf16, [ 'csutf16' ]);
+
+// UTF32Encoding
+
+function UTF32Encoding(name, test, qvalue) {
+    Encoding.call(this, name, test, qvalue);
+}
+
+UTF32Encoding.prototype = Object.create(Encoding.prototype, {
+    constructor: { value: UTF32Encoding, enumerable: false, writable: true, configurable: true }
+});
+
+UTF32Encoding.prototype.decodeStream = function (options) {
+    return new UTF32DecodeStream(this, options);
+};
+
+/**
+ * Decode a UTF-32 encoded buffer to a string.  Characters outside the BMP are converted to
+ * surrogate sequences.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains a value that is not a valid code point (greater than
+ *                  0x10FFFF, or a surrogate) and 'errorFatal' is set to true in the options
+ *                  object
+ */
+UTF32Encoding.prototype.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = '';
+    for (var i = 0; i < buf.length; i += 4) {
+        if (i + 3 >= buf.length) {
+            a += getReplCharOrError(options, 'Incomplete UTF-32 character',
+                    this, i, buf.slice(i), codeIncompleteSequence);
+            break;
+        }
+        var cp = this.readBuf(buf, i);
+        if (cp > 0x10FFFF || isSurrogate(cp))
+            a += getReplCharOrError(options, 'Illegal UTF-32 character: 0x' + hexChar(cp),
+                    this, i, buf.slice(i, i + 4));
+        else
+            a += cp > 0xFFFF ? createSurrogateString(cp) : String.fromCharCode(cp);
+    }
+    return a;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character.
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the length of the sequence for this character (always 4)
+ */
+UTF32Encoding.prototype.lenCharacter = function (ch) {
+    return 4;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given surrogate sequence.
+ *
+ * @param {Number} high    the numeric code for the high surrogate
+ * @param {Number} low     the numeric code for the low surrogate
+ * @returns {Number}       the length of the sequence for this character (always 4)
+ */
+UTF32Encoding.prototype.lenSurrogate = function (high, low) {
+    return 4;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object (unused)
+ * @returns {Number}            the length of the sequence for this character (always 4)
+ */
+UTF32Encoding.prototype.storeCharacter = function (buf, offset, ch, options) {
+    this.writeBuf(buf, offset, ch);
+    return 4;
+};
+
+// UTF-32LE
+
+Encoding.utf32le = new UTF32Encoding('utf-32le', /^utf[\-_]?32[\-_]?le$/i, 0.8);
+
+Encoding.utf32le.readBuf = function (buf, offset) {
+    return buf.readUInt32LE(offset);
+};
+
+Encoding.utf32le.writeBuf = function (buf, offset, value) {
+    buf.writeUInt32LE(value, offset);
+};
+
+Encoding.register(Encoding.utf32le, [ 'csutf32le' ]);
+
+// UTF-32BE
+
+Encoding.utf32be = new UTF32Encoding('utf-32be', /^utf[\-_]?32[\-_]?be$/i, 0.8);
+
+Encoding.utf32be.readBuf = function (buf, offset) {
+    return buf.readUInt32BE(offset);
+};
+
+Encoding.utf32be.writeBuf = function (buf, offset, value) {
+    buf.writeUInt32BE(value, offset);
+};
+
+Encoding.register(Encoding.utf32be, [ 'csutf32be' ]);
+
+// UTF-32 (byte order determined by BOM)
+
+Encoding.utf32 = new UTF32Encoding('utf-32', /^utf[\-_]?32$/i, 0.8);
+
+Encoding.utf32.readBuf = Encoding.utf32le.readBuf;
+
+Encoding.utf32.writeBuf = Encoding.utf32le.writeBuf;
+
+/**
+ * Encode a string to a Buffer.  The output is in little-endian byte order, preceded by a BOM
+ * unless the <code>outputBOM</code> option is explicitly set to <code>false</code>.
+ *
+ * @param {String}  str         the input string
+ * @param {Object}  [options]   an options object
+ * @returns {Buffer}            a Buffer containing the encoded string
+ */
+Encoding.utf32.encode = function (str, options) {
+    var buf = Encoding.prototype.encode.call(this, str, options);
+    if (options && options.outputBOM === false)
+        return buf;
+    return Buffer.concat([ new Buffer([ 0xFF, 0xFE, 0, 0 ]), buf ], buf.length + 4);
+};
+
+/**
+ * Decode a buffer to a string.  The byte order is determined by the BOM at the start of the
+ * buffer (the UTF-8 and UTF-16 BOMs are also recognised); if there is no BOM, little-endian is
+ * assumed.
+ *
+ * @param {Buffer}   buf        the buffer
+ * @param {Object}   [options]  an options object
+ * @returns {String} the decoded string
+ */
+Encoding.utf32.decode = function (buf, options) {
+    return decodeWithBOM(Encoding.utf32le, buf, options);
+};
+
+Encoding.utf32.encodeStream = function (options) {
+    var stream = new EncodeStream(this, options);
+    stream.outputBOM = !(options && options.outputBOM === false);
+    return stream;
+};
+
+Encoding.utf32.decodeStream = function (options) {
+    var stream = new UTF32DecodeStream(this, options);
+    if (!stream.bomPrefix)
+        stream.bomPrefix = new Buffer(0);
+    return stream;
+};
+
+Encoding.register(Encoding.utf32, [ 'csutf32' ]);
+
+// ASCII
+
+Encoding.usascii = new Encoding('us-ascii', /^(us[\-_]?)?ascii$/i, 0.1);
+
+Encoding.usascii.encodeStream = function (options) {
+    var stream = new EncodeStream(this, options);
+    stream.outputBOM = false;
+    return stream;
+};
+
+Encoding.usascii.decodeStream = function (options) {
+    return new ASCIIDecodeStream(this, options);
+};
+
+/**
+ * Decode an ASCII encoded buffer to a string.
+ *
+ * @param   {Buffer}     buf        the buffer
+ * @param   {Object}    [options]   an options object (unused)
+ * @returns {String}    the decoded string
+ */
+Encoding.usascii.decode = function (buf, options) {
+    if (options && options.bomSniff)
+        return decodeWithBOM(this, buf, options);
+    var a = '';
+    for (var i = 0; i < buf.length; i++)
+        a += String.fromCharCode(buf[i] & 0x7F);
+    return a;
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character (always 1, unless
+ *                              the character can not be encoded and there is a fallback)
+ */
+Encoding.usascii.lenCharacter = function (ch, options) {
+    return ch < 0x80 ? 1 : this.lenFallback(ch, options);
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.usascii.storeCharacter = function (buf, offset, ch, options) {
+    if (ch >= 0x80)
+        return this.storeFallback(buf, offset, ch, options);
+    buf[offset] = ch;
+    return 1;
+};
+
+Encoding.register(Encoding.usascii, [ 'ascii', 'us', 'iso-ir-6', 'ansi_x3.4-1968', 'ansi_x3.4-1986',
+        'iso_646.irv:1991', 'iso646-us', 'ibm367', 'cp367', 'csascii' ]);
+
+// ISO-8859-1
+
+var iso88591CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+
+Encoding.iso88591 = new CodePageEncoding(iso88591CodePage, 'iso-8859-1',
+        /^iso[\-_]?8859[\-_]?1$/i, 0.5);
+
+Encoding.register(Encoding.iso88591, [ 'csisolatin1', 'ibm819', 'cp819', 'iso-ir-100', 'iso8859-1',
+        'iso88591', 'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1' ]);
+
+// ISO-8859-2
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-2.txt
+var iso88592CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0104\u02D8\u0141\u00A4\u013D\u015A\u00A7' +
+        '\u00A8\u0160\u015E\u0164\u0179\u00AD\u017D\u017B' +
+        '\u00B0\u0105\u02DB\u0142\u00B4\u013E\u015B\u02C7' +
+        '\u00B8\u0161\u015F\u0165\u017A\u02DD\u017E\u017C' +
+        '\u0154\u00C1\u00C2\u0102\u00C4\u0139\u0106\u00C7' +
+        '\u010C\u00C9\u0118\u00CB\u011A\u00CD\u00CE\u010E' +
+        '\u0110\u0143\u0147\u00D3\u00D4\u0150\u00D6\u00D7' +
+        '\u0158\u016E\u00DA\u0170\u00DC\u00DD\u0162\u00DF' +
+        '\u0155\u00E1\u00E2\u0103\u00E4\u013A\u0107\u00E7' +
+        '\u010D\u00E9\u0119\u00EB\u011B\u00ED\u00EE\u010F' +
+        '\u0111\u0144\u0148\u00F3\u00F4\u0151\u00F6\u00F7' +
+        '\u0159\u016F\u00FA\u0171\u00FC\u00FD\u0163\u02D9';
+
+Encoding.iso88592 = new CodePageEncoding(iso88592CodePage, 'iso-8859-2',
+        /^iso[\-_]?8859[\-_]?2$/i, 0.5);
+
+Encoding.register(Encoding.iso88592, [ 'csisolatin2', 'iso-ir-101', 'iso8859-2', 'iso88592',
+        'iso_8859-2', 'iso_8859-2:1987', 'l2', 'latin2' ]);
+
+// ISO-8859-3
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-3.txt
+var iso88593CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0126\u02D8\u00A3\u00A4\uFFFD\u0124\u00A7' +
+        '\u00A8\u0130\u015E\u011E\u0134\u00AD\uFFFD\u017B' +
+        '\u00B0\u0127\u00B2\u00B3\u00B4\u00B5\u0125\u00B7' +
+        '\u00B8\u0131\u015F\u011F\u0135\u00BD\uFFFD\u017C' +
+        '\u00C0\u00C1\u00C2\uFFFD\u00C4\u010A\u0108\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\uFFFD\u00D1\u00D2\u00D3\u00D4\u0120\u00D6\u00D7' +
+        '\u011C\u00D9\u00DA\u00DB\u00DC\u016C\u015C\u00DF' +
+        '\u00E0\u00E1\u00E2\uFFFD\u00E4\u010B\u0109\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\uFFFD\u00F1\u00F2\u00F3\u00F4\u0121\u00F6\u00F7' +
+        '\u011D\u00F9\u00FA\u00FB\u00FC\u016D\u015D\u02D9';
+
+Encoding.iso88593 = new CodePageEncoding(iso88593CodePage, 'iso-8859-3',
+        /^iso[\-_]?8859[\-_]?3$/i, 0.5);
+
+Encoding.register(Encoding.iso88593, [ 'csisolatin3', 'iso-ir-109', 'iso8859-3', 'iso88593',
+        'iso_8859-3', 'iso_8859-3:1988', 'l3', 'latin3' ]);
+
+// ISO-8859-4
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-4.txt
+var iso88594CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0104\u0138\u0156\u00A4\u0128\u013B\u00A7' +
+        '\u00A8\u0160\u0112\u0122\u0166\u00AD\u017D\u00AF' +
+        '\u00B0\u0105\u02DB\u0157\u00B4\u0129\u013C\u02C7' +
+        '\u00B8\u0161\u0113\u0123\u0167\u014A\u017E\u014B' +
+        '\u0100\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u012E' +
+        '\u010C\u00C9\u0118\u00CB\u0116\u00CD\u00CE\u012A' +
+        '\u0110\u0145\u014C\u0136\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u0172\u00DA\u00DB\u00DC\u0168\u016A\u00DF' +
+        '\u0101\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u012F' +
+        '\u010D\u00E9\u0119\u00EB\u0117\u00ED\u00EE\u012B' +
+        '\u0111\u0146\u014D\u0137\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u0173\u00FA\u00FB\u00FC\u0169\u016B\u02D9';
+
+Encoding.iso88594 = new CodePageEncoding(iso88594CodePage, 'iso-8859-4',
+        /^iso[\-_]?8859[\-_]?4$/i, 0.5);
+
+Encoding.register(Encoding.iso88594, [ 'csisolatin4', 'iso-ir-110', 'iso8859-4', 'iso88594',
+        'iso_8859-4', 'iso_8859-4:1988', 'l4', 'latin4' ]);
+
+// ISO-8859-5
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-5.txt
+var iso88595CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0401\u0402\u0403\u0404\u0405\u0406\u0407' +
+        '\u0408\u0409\u040A\u040B\u040C\u00AD\u040E\u040F' +
+        '\u0410\u0411\u0412\u0413\u0414\u0415\u0416\u0417' +
+        '\u0418\u0419\u041A\u041B\u041C\u041D\u041E\u041F' +
+        '\u0420\u0421\u0422\u0423\u0424\u0425\u0426\u0427' +
+        '\u0428\u0429\u042A\u042B\u042C\u042D\u042E\u042F' +
+        '\u0430\u0431\u0432\u0433\u0434\u0435\u0436\u0437' +
+        '\u0438\u0439\u043A\u043B\u043C\u043D\u043E\u043F' +
+        '\u0440\u0441\u0442\u0443\u0444\u0445\u0446\u0447' +
+        '\u0448\u0449\u044A\u044B\u044C\u044D\u044E\u044F' +
+        '\u2116\u0451\u0452\u0453\u0454\u0455\u0456\u0457' +
+        '\u0458\u0459\u045A\u045B\u045C\u00A7\u045E\u045F';
+
+Encoding.iso88595 = new CodePageEncoding(iso88595CodePage, 'iso-8859-5',
+        /^iso[\-_]?8859[\-_]?5$/i, 0.5);
+
+Encoding.register(Encoding.iso88595, [ 'csisolatincyrillic', 'cyrillic', 'iso-ir-144', 'iso8859-5',
+        'iso88595', 'iso_8859-5', 'iso_8859-5:1988' ]);
+
+// ISO-8859-6
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-6.txt
+var iso88596CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\uFFFD\uFFFD\uFFFD\u00A4\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\u060C\u00AD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\u061B\uFFFD\uFFFD\uFFFD\u061F' +
+        '\uFFFD\u0621\u0622\u0623\u0624\u0625\u0626\u0627' +
+        '\u0628\u0629\u062A\u062B\u062C\u062D\u062E\u062F' +
+        '\u0630\u0631\u0632\u0633\u0634\u0635\u0636\u0637' +
+        '\u0638\u0639\u063A\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\u0640\u0641\u0642\u0643\u0644\u0645\u0646\u0647' +
+        '\u0648\u0649\u064A\u064B\u064C\u064D\u064E\u064F' +
+        '\u0650\u0651\u0652\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD';
+
+Encoding.iso88596 = new CodePageEncoding(iso88596CodePage, 'iso-8859-6',
+        /^iso[\-_]?8859[\-_]?6$/i, 0.5);
+
+Encoding.register(Encoding.iso88596, [ 'arabic', 'asmo-708', 'csiso88596e', 'csiso88596i',
+        'csisolatinarabic', 'ecma-114', 'iso-8859-6-e', 'iso-8859-6-i', 'iso-ir-127', 'iso8859-6',
+        'iso88596', 'iso_8859-6', 'iso_8859-6:1987' ]);
+
+// ISO-8859-7
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-7.txt
+var iso88597CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u2018\u2019\u00A3\u20AC\u20AF\u00A6\u00A7' +
+        '\u00A8\u00A9\u037A\u00AB\u00AC\u00AD\uFFFD\u2015' +
+        '\u00B0\u00B1\u00B2\u00B3\u0384\u0385\u0386\u00B7' +
+        '\u0388\u0389\u038A\u00BB\u038C\u00BD\u038E\u038F' +
+        '\u0390\u0391\u0392\u0393\u0394\u0395\u0396\u0397' +
+        '\u0398\u0399\u039A\u039B\u039C\u039D\u039E\u039F' +
+        '\u03A0\u03A1\uFFFD\u03A3\u03A4\u03A5\u03A6\u03A7' +
+        '\u03A8\u03A9\u03AA\u03AB\u03AC\u03AD\u03AE\u03AF' +
+        '\u03B0\u03B1\u03B2\u03B3\u03B4\u03B5\u03B6\u03B7' +
+        '\u03B8\u03B9\u03BA\u03BB\u03BC\u03BD\u03BE\u03BF' +
+        '\u03C0\u03C1\u03C2\u03C3\u03C4\u03C5\u03C6\u03C7' +
+        '\u03C8\u03C9\u03CA\u03CB\u03CC\u03CD\u03CE\uFFFD';
+
+Encoding.iso88597 = new CodePageEncoding(iso88597CodePage, 'iso-8859-7',
+        /^iso[\-_]?8859[\-_]?7$/i, 0.5);
+
+Encoding.register(Encoding.iso88597, [ 'csisolatingreek', 'ecma-118', 'elot_928', 'greek', 'greek8',
+        'iso-ir-126', 'iso8859-7', 'iso88597', 'iso_8859-7', 'iso_8859-7:1987', 'sun_eu_greek' ]);
+
+// ISO-8859-8
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-8.txt
+var iso88598CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\uFFFD\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00D7\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00F7\u00BB\u00BC\u00BD\u00BE\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\u2017' +
+        '\u05D0\u05D1\u05D2\u05D3\u05D4\u05D5\u05D6\u05D7' +
+        '\u05D8\u05D9\u05DA\u05DB\u05DC\u05DD\u05DE\u05DF' +
+        '\u05E0\u05E1\u05E2\u05E3\u05E4\u05E5\u05E6\u05E7' +
+        '\u05E8\u05E9\u05EA\uFFFD\uFFFD\u200E\u200F\uFFFD';
+
+Encoding.iso88598 = new CodePageEncoding(iso88598CodePage, 'iso-8859-8',
+        /^iso[\-_]?8859[\-_]?8$/i, 0.5);
+
+Encoding.register(Encoding.iso88598, [ 'csiso88598e', 'csisolatinhebrew', 'hebrew', 'iso-8859-8-e',
+        'iso-ir-138', 'iso8859-8', 'iso88598', 'iso_8859-8', 'iso_8859-8:1988', 'visual',
+        'csiso88598i', 'iso-8859-8-i', 'logical' ]);
+
+// ISO-8859-9
+
+// the following table is derived from http://www.unicode.org/Public/MAPPINGS/ISO8859/8859-9.TXT
+var iso88599CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u011E\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u0130\u015E\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u011F\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u0131\u015F\u00FF';
+
+Encoding.iso88599 = new CodePageEncoding(iso88599CodePage, 'iso-8859-9',
+        /^iso[\-_]?8859[\-_]?9$/i, 0.5);
+
+Encoding.register(Encoding.iso88599, [ 'csisolatin5', 'iso-ir-148', 'iso8859-9', 'iso88599',
+        'iso_8859-9', 'iso_8859-9:1989', 'l5', 'latin5' ]);
+
+// ISO-8859-10
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-10.txt
+var iso885910CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0104\u0112\u0122\u012A\u0128\u0136\u00A7' +
+        '\u013B\u0110\u0160\u0166\u017D\u00AD\u016A\u014A' +
+        '\u00B0\u0105\u0113\u0123\u012B\u0129\u0137\u00B7' +
+        '\u013C\u0111\u0161\u0167\u017E\u2015\u016B\u014B' +
+        '\u0100\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u012E' +
+        '\u010C\u00C9\u0118\u00CB\u0116\u00CD\u00CE\u00CF' +
+        '\u00D0\u0145\u014C\u00D3\u00D4\u00D5\u00D6\u0168' +
+        '\u00D8\u0172\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
+        '\u0101\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u012F' +
+        '\u010D\u00E9\u0119\u00EB\u0117\u00ED\u00EE\u00EF' +
+        '\u00F0\u0146\u014D\u00F3\u00F4\u00F5\u00F6\u0169' +
+        '\u00F8\u0173\u00FA\u00FB\u00FC\u00FD\u00FE\u0138';
+
+Encoding.iso885910 = new CodePageEncoding(iso885910CodePage, 'iso-8859-10',
+        /^iso[\-_]?8859[\-_]?10$/i, 0.5);
+
+Encoding.register(Encoding.iso885910, [ 'csisolatin6', 'iso-ir-157', 'iso8859-10', 'iso885910',
+        'iso_8859-10:1992', 'l6', 'latin6' ]);
+
+// ISO-8859-11
+
+// the following table is derived from http://www.unicode.org/Public/MAPPINGS/ISO8859/8859-11.TXT
+var iso885911CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0E01\u0E02\u0E03\u0E04\u0E05\u0E06\u0E07' +
+        '\u0E08\u0E09\u0E0A\u0E0B\u0E0C\u0E0D\u0E0E\u0E0F' +
+        '\u0E10\u0E11\u0E12\u0E13\u0E14\u0E15\u0E16\u0E17' +
+        '\u0E18\u0E19\u0E1A\u0E1B\u0E1C\u0E1D\u0E1E\u0E1F' +
+        '\u0E20\u0E21\u0E22\u0E23\u0E24\u0E25\u0E26\u0E27' +
+        '\u0E28\u0E29\u0E2A\u0E2B\u0E2C\u0E2D\u0E2E\u0E2F' +
+        '\u0E30\u0E31\u0E32\u0E33\u0E34\u0E35\u0E36\u0E37' +
+        '\u0E38\u0E39\u0E3A\uFFFD\uFFFD\uFFFD\uFFFD\u0E3F' +
+        '\u0E40\u0E41\u0E42\u0E43\u0E44\u0E45\u0E46\u0E47' +
+        '\u0E48\u0E49\u0E4A\u0E4B\u0E4C\u0E4D\u0E4E\u0E4F' +
+        '\u0E50\u0E51\u0E52\u0E53\u0E54\u0E55\u0E56\u0E57' +
+        '\u0E58\u0E59\u0E5A\u0E5B\uFFFD\uFFFD\uFFFD\uFFFD';
+
+Encoding.iso885911 = new CodePageEncoding(iso885911CodePage, 'iso-8859-11',
+        /^iso[\-_]?8859[\-_]?11$/i, 0.5);
+
+Encoding.register(Encoding.iso885911, [ 'iso8859-11', 'iso885911', 'tis-620', 'cstis620' ]);
+
+// ISO-8859-13
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-13.txt
+var iso885913CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u201D\u00A2\u00A3\u00A4\u201E\u00A6\u00A7' +
+        '\u00D8\u00A9\u0156\u00AB\u00AC\u00AD\u00AE\u00C6' +
+        '\u00B0\u00B1\u00B2\u00B3\u201C\u00B5\u00B6\u00B7' +
+        '\u00F8\u00B9\u0157\u00BB\u00BC\u00BD\u00BE\u00E6' +
+        '\u0104\u012E\u0100\u0106\u00C4\u00C5\u0118\u0112' +
+        '\u010C\u00C9\u0179\u0116\u0122\u0136\u012A\u013B' +
+        '\u0160\u0143\u0145\u00D3\u014C\u00D5\u00D6\u00D7' +
+        '\u0172\u0141\u015A\u016A\u00DC\u017B\u017D\u00DF' +
+        '\u0105\u012F\u0101\u0107\u00E4\u00E5\u0119\u0113' +
+        '\u010D\u00E9\u017A\u0117\u0123\u0137\u012B\u013C' +
+        '\u0161\u0144\u0146\u00F3\u014D\u00F5\u00F6\u00F7' +
+        '\u0173\u0142\u015B\u016B\u00FC\u017C\u017E\u2019';
+
+Encoding.iso885913 = new CodePageEncoding(iso885913CodePage, 'iso-8859-13',
+        /^iso[\-_]?8859[\-_]?13$/i, 0.5);
+
+Encoding.register(Encoding.iso885913, [ 'iso8859-13', 'iso885913', 'csiso885913' ]);
+
+// ISO-8859-14
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-14.txt
+var iso885914CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u1E02\u1E03\u00A3\u010A\u010B\u1E0A\u00A7' +
+        '\u1E80\u00A9\u1E82\u1E0B\u1EF2\u00AD\u00AE\u0178' +
+        '\u1E1E\u1E1F\u0120\u0121\u1E40\u1E41\u00B6\u1E56' +
+        '\u1E81\u1E57\u1E83\u1E60\u1EF3\u1E84\u1E85\u1E61' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u0174\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u1E6A' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u0176\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u0175\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u1E6B' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u0177\u00FF';
+
+Encoding.iso885914 = new CodePageEncoding(iso885914CodePage, 'iso-8859-14',
+        /^iso[\-_]?8859[\-_]?14$/i, 0.5);
+
+Encoding.register(Encoding.iso885914, [ 'iso8859-14', 'iso885914', 'iso-ir-199', 'iso_8859-14',
+        'iso_8859-14:1998', 'iso-celtic', 'l8', 'latin8', 'csiso885914' ]);
+
+// ISO-8859-15
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-15.txt
+var iso885915CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u00A1\u00A2\u00A3\u20AC\u00A5\u0160\u00A7' +
+        '\u0161\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u017D\u00B5\u00B6\u00B7' +
+        '\u017E\u00B9\u00BA\u00BB\u0152\u0153\u0178\u00BF' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+
+Encoding.iso885915 = new CodePageEncoding(iso885915CodePage, 'iso-8859-15',
+        /^iso[\-_]?8859[\-_]?15$/i, 0.5);
+
+Encoding.register(Encoding.iso885915, [ 'csisolatin9', 'iso8859-15', 'iso885915', 'iso_8859-15',
+        'l9', 'latin-9', 'csiso885915' ]);
+
+// ISO-8859-16
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-16.txt
+var iso885916CodePage =
+        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0104\u0105\u0141\u20AC\u201E\u0160\u00A7' +
+        '\u0161\u00A9\u0218\u00AB\u0179\u00AD\u017A\u017B' +
+        '\u00B0\u00B1\u010C\u0142\u017D\u201D\u00B6\u00B7' +
+        '\u017E\u010D\u0219\u00BB\u0152\u0153\u0178\u017C' +
+        '\u00C0\u00C1\u00C2\u0102\u00C4\u0106\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u0110\u0143\u00D2\u00D3\u00D4\u0150\u00D6\u015A' +
+        '\u0170\u00D9\u00DA\u00DB\u00DC\u0118\u021A\u00DF' +
+        '\u00E0\u00E1\u00E2\u0103\u00E4\u0107\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u0111\u0144\u00F2\u00F3\u00F4\u0151\u00F6\u015B' +
+        '\u0171\u00F9\u00FA\u00FB\u00FC\u0119\u021B\u00FF';
+
+Encoding.iso885916 = new CodePageEncoding(iso885916CodePage, 'iso-8859-16',
+        /^iso[\-_]?8859[\-_]?16$/i, 0.5);
+
+Encoding.register(Encoding.iso885916, [ 'iso-ir-226', 'iso_8859-16', 'iso_8859-16:2001', 'l10',
+        'latin10', 'csiso885916' ]);
+
+// Windows-1252
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1252.txt
+var win1252CodePage =
+        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178' +
+        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+
+Encoding.windows1252 = new CodePageEncoding(win1252CodePage, 'windows-1252',
+        /^(windows|cp)[\-_]?1252$/i, 0.5);
+
+Encoding.register(Encoding.windows1252, [ 'cp1252', 'x-cp1252', 'cswindows1252' ]);
+
+// Windows-1250
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1250.txt
+var win1250CodePage =
+        '\u20AC\u0081\u201A\u0083\u201E\u2026\u2020\u2021' +
+        '\u0088\u2030\u0160\u2039\u015A\u0164\u017D\u0179' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u0098\u2122\u0161\u203A\u015B\u0165\u017E\u017A' +
+        '\u00A0\u02C7\u02D8\u0141\u00A4\u0104\u00A6\u00A7' +
+        '\u00A8\u00A9\u015E\u00AB\u00AC\u00AD\u00AE\u017B' +
+        '\u00B0\u00B1\u02DB\u0142\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u0105\u015F\u00BB\u013D\u02DD\u013E\u017C' +
+        '\u0154\u00C1\u00C2\u0102\u00C4\u0139\u0106\u00C7' +
+        '\u010C\u00C9\u0118\u00CB\u011A\u00CD\u00CE\u010E' +
+        '\u0110\u0143\u0147\u00D3\u00D4\u0150\u00D6\u00D7' +
+        '\u0158\u016E\u00DA\u0170\u00DC\u00DD\u0162\u00DF' +
+        '\u0155\u00E1\u00E2\u0103\u00E4\u013A\u0107\u00E7' +
+        '\u010D\u00E9\u0119\u00EB\u011B\u00ED\u00EE\u010F' +
+        '\u0111\u0144\u0148\u00F3\u00F4\u0151\u00F6\u00F7' +
+        '\u0159\u016F\u00FA\u0171\u00FC\u00FD\u0163\u02D9';
+
+Encoding.windows1250 = new CodePageEncoding(win1250CodePage, 'windows-1250',
+        /^(windows|cp)[\-_]?1250$/i, 0.5);
+
+Encoding.register(Encoding.windows1250, [ 'cp1250', 'x-cp1250', 'cswindows1250' ]);
+
+// Windows-1251
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1251.txt
+var win1251CodePage =
+        '\u0402\u0403\u201A\u0453\u201E\u2026\u2020\u2021' +
+        '\u20AC\u2030\u0409\u2039\u040A\u040C\u040B\u040F' +
+        '\u0452\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u0098\u2122\u0459\u203A\u045A\u045C\u045B\u045F' +
+        '\u00A0\u040E\u045E\u0408\u00A4\u0490\u00A6\u00A7' +
+        '\u0401\u00A9\u0404\u00AB\u00AC\u00AD\u00AE\u0407' +
+        '\u00B0\u00B1\u0406\u0456\u0491\u00B5\u00B6\u00B7' +
+        '\u0451\u2116\u0454\u00BB\u0458\u0405\u0455\u0457' +
+        '\u0410\u0411\u0412\u0413\u0414\u0415\u0416\u0417' +
+        '\u0418\u0419\u041A\u041B\u041C\u041D\u041E\u041F' +
+        '\u0420\u0421\u0422\u0423\u0424\u0425\u0426\u0427' +
+        '\u0428\u0429\u042A\u042B\u042C\u042D\u042E\u042F' +
+        '\u0430\u0431\u0432\u0433\u0434\u0435\u0436\u0437' +
+        '\u0438\u0439\u043A\u043B\u043C\u043D\u043E\u043F' +
+        '\u0440\u0441\u0442\u0443\u0444\u0445\u0446\u0447' +
+        '\u0448\u0449\u044A\u044B\u044C\u044D\u044E\u044F';
+
+Encoding.windows1251 = new CodePageEncoding(win1251CodePage, 'windows-1251',
+        /^(windows|cp)[\-_]?1251$/i, 0.5);
+
+Encoding.register(Encoding.windows1251, [ 'cp1251', 'x-cp1251', 'cswindows1251' ]);
+
+// Windows-1253
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1253.txt
+var win1253CodePage =
+        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u0088\u2030\u008A\u2039\u008C\u008D\u008E\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u0098\u2122\u009A\u203A\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0385\u0386\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\uFFFD\u00AB\u00AC\u00AD\u00AE\u2015' +
+        '\u00B0\u00B1\u00B2\u00B3\u0384\u00B5\u00B6\u00B7' +
+        '\u0388\u0389\u038A\u00BB\u038C\u00BD\u038E\u038F' +
+        '\u0390\u0391\u0392\u0393\u0394\u0395\u0396\u0397' +
+        '\u0398\u0399\u039A\u039B\u039C\u039D\u039E\u039F' +
+        '\u03A0\u03A1\uFFFD\u03A3\u03A4\u03A5\u03A6\u03A7' +
+        '\u03A8\u03A9\u03AA\u03AB\u03AC\u03AD\u03AE\u03AF' +
+        '\u03B0\u03B1\u03B2\u03B3\u03B4\u03B5\u03B6\u03B7' +
+        '\u03B8\u03B9\u03BA\u03BB\u03BC\u03BD\u03BE\u03BF' +
+        '\u03C0\u03C1\u03C2\u03C3\u03C4\u03C5\u03C6\u03C7' +
+        '\u03C8\u03C9\u03CA\u03CB\u03CC\u03CD\u03CE\uFFFD';
+
+Encoding.windows1253 = new CodePageEncoding(win1253CodePage, 'windows-1253',
+        /^(windows|cp)[\-_]?1253$/i, 0.5);
+
+Encoding.register(Encoding.windows1253, [ 'cp1253', 'x-cp1253', 'cswindows1253' ]);
+
+// Windows-1254
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1254.txt
+var win1254CodePage =
+        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u02C6\u2030\u0160\u2039\u0152\u008D\u008E\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u02DC\u2122\u0161\u203A\u0153\u009D\u009E\u0178' +
+        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
+        '\u011E\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u0130\u015E\u00DF' +
+        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
+        '\u011F\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u0131\u015F\u00FF';
+
+Encoding.windows1254 = new CodePageEncoding(win1254CodePage, 'windows-1254',
+        /^(windows|cp)[\-_]?1254$/i, 0.5);
+
+Encoding.register(Encoding.windows1254, [ 'cp1254', 'x-cp1254', 'cswindows1254' ]);
+
+// Windows-1255
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1255.txt
+var win1255CodePage =
+        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u02C6\u2030\u008A\u2039\u008C\u008D\u008E\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u02DC\u2122\u009A\u203A\u009C\u009D\u009E\u009F' +
+        '\u00A0\u00A1\u00A2\u00A3\u20AA\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00D7\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00F7\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u05B0\u05B1\u05B2\u05B3\u05B4\u05B5\u05B6\u05B7' +
+        '\u05B8\u05B9\u05BA\u05BB\u05BC\u05BD\u05BE\u05BF' +
+        '\u05C0\u05C1\u05C2\u05C3\u05F0\u05F1\u05F2\u05F3' +
+        '\u05F4\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD\uFFFD' +
+        '\u05D0\u05D1\u05D2\u05D3\u05D4\u05D5\u05D6\u05D7' +
+        '\u05D8\u05D9\u05DA\u05DB\u05DC\u05DD\u05DE\u05DF' +
+        '\u05E0\u05E1\u05E2\u05E3\u05E4\u05E5\u05E6\u05E7' +
+        '\u05E8\u05E9\u05EA\uFFFD\uFFFD\u200E\u200F\uFFFD';
+
+Encoding.windows1255 = new CodePageEncoding(win1255CodePage, 'windows-1255',
+        /^(windows|cp)[\-_]?1255$/i, 0.5);
+
+Encoding.register(Encoding.windows1255, [ 'cp1255', 'x-cp1255', 'cswindows1255' ]);
+
+// Windows-1256
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1256.txt
+var win1256CodePage =
+        '\u20AC\u067E\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u02C6\u2030\u0679\u2039\u0152\u0686\u0698\u0688' +
+        '\u06AF\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u06A9\u2122\u0691\u203A\u0153\u200C\u200D\u06BA' +
+        '\u00A0\u060C\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u06BE\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u061B\u00BB\u00BC\u00BD\u00BE\u061F' +
+        '\u06C1\u0621\u0622\u0623\u0624\u0625\u0626\u0627' +
+        '\u0628\u0629\u062A\u062B\u062C\u062D\u062E\u062F' +
+        '\u0630\u0631\u0632\u0633\u0634\u0635\u0636\u00D7' +
+        '\u0637\u0638\u0639\u063A\u0640\u0641\u0642\u0643' +
+        '\u00E0\u0644\u00E2\u0645\u0646\u0647\u0648\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u0649\u064A\u00EE\u00EF' +
+        '\u064B\u064C\u064D\u064E\u00F4\u064F\u0650\u00F7' +
+        '\u0651\u00F9\u0652\u00FB\u00FC\u200E\u200F\u06D2';
+
+Encoding.windows1256 = new CodePageEncoding(win1256CodePage, 'windows-1256',
+        /^(windows|cp)[\-_]?1256$/i, 0.5);
+
+Encoding.register(Encoding.windows1256, [ 'cp1256', 'x-cp1256', 'cswindows1256' ]);
+
+// Windows-1257
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1257.txt
+var win1257CodePage =
+        '\u20AC\u0081\u201A\u0083\u201E\u2026\u2020\u2021' +
+        '\u0088\u2030\u008A\u2039\u008C\u00A8\u02C7\u00B8' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u0098\u2122\u009A\u203A\u009C\u00AF\u02DB\u009F' +
+        '\u00A0\uFFFD\u00A2\u00A3\u00A4\uFFFD\u00A6\u00A7' +
+        '\u00D8\u00A9\u0156\u00AB\u00AC\u00AD\u00AE\u00C6' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00F8\u00B9\u0157\u00BB\u00BC\u00BD\u00BE\u00E6' +
+        '\u0104\u012E\u0100\u0106\u00C4\u00C5\u0118\u0112' +
+        '\u010C\u00C9\u0179\u0116\u0122\u0136\u012A\u013B' +
+        '\u0160\u0143\u0145\u00D3\u014C\u00D5\u00D6\u00D7' +
+        '\u0172\u0141\u015A\u016A\u00DC\u017B\u017D\u00DF' +
+        '\u0105\u012F\u0101\u0107\u00E4\u00E5\u0119\u0113' +
+        '\u010D\u00E9\u017A\u0117\u0123\u0137\u012B\u013C' +
+        '\u0161\u0144\u0146\u00F3\u014D\u00F5\u00F6\u00F7' +
+        '\u0173\u0142\u015B\u016B\u00FC\u017C\u017E\u02D9';
+
+Encoding.windows1257 = new CodePageEncoding(win1257CodePage, 'windows-1257',
+        /^(windows|cp)[\-_]?1257$/i, 0.5);
+
+Encoding.register(Encoding.windows1257, [ 'cp1257', 'x-cp1257', 'cswindows1257' ]);
+
+// Windows-1258
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1258.txt
+var win1258CodePage =
+        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
+        '\u02C6\u2030\u008A\u2039\u0152\u008D\u008E\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u02DC\u2122\u009A\u203A\u0153\u009D\u009E\u0178' +
+        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
+        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
+        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
+        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
+        '\u00C0\u00C1\u00C2\u0102\u00C4\u00C5\u00C6\u00C7' +
+        '\u00C8\u00C9\u00CA\u00CB\u0300\u00CD\u00CE\u00CF' +
+        '\u0110\u00D1\u0309\u00D3\u00D4\u01A0\u00D6\u00D7' +
+        '\u00D8\u00D9\u00DA\u00DB\u00DC\u01AF\u0303\u00DF' +
+        '\u00E0\u00E1\u00E2\u0103\u00E4\u00E5\u00E6\u00E7' +
+        '\u00E8\u00E9\u00EA\u00EB\u0301\u00ED\u00EE\u00EF' +
+        '\u0111\u00F1\u0323\u00F3\u00F4\u01A1\u00F6\u00F7' +
+        '\u00F8\u00F9\u00FA\u00FB\u00FC\u01B0\u20AB\u00FF';
+
+Encoding.windows1258 = new CodePageEncoding(win1258CodePage, 'windows-1258',
+        /^(windows|cp)[\-_]?1258$/i, 0.5);
+
+Encoding.register(Encoding.windows1258, [ 'cp1258', 'x-cp1258', 'cswindows1258' ]);
+
+// Windows-874
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-windows-874.txt
+var win874CodePage =
+        '\u20AC\u0081\u0082\u0083\u0084\u2026\u0086\u0087' +
+        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
+        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
+        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
+        '\u00A0\u0E01\u0E02\u0E03\u0E04\u0E05\u0E06\u0E07' +
+        '\u0E08\u0E09\u0E0A\u0E0B\u0E0C\u0E0D\u0E0E\u0E0F' +
+        '\u0E10\u0E11\u0E12\u0E13\u0E14\u0E15\u0E16\u0E17' +
+        '\u0E18\u0E19\u0E1A\u0E1B\u0E1C\u0E1D\u0E1E\u0E1F' +
+        '\u0E20\u0E21\u0E22\u0E23\u0E24\u0E25\u0E26\u0E27' +
+        '\u0E28\u0E29\u0E2A\u0E2B\u0E2C\u0E2D\u0E2E\u0E2F' +
+        '\u0E30\u0E31\u0E32\u0E33\u0E34\u0E35\u0E36\u0E37' +
+        '\u0E38\u0E39\u0E3A\uFFFD\uFFFD\uFFFD\uFFFD\u0E3F' +
+        '\u0E40\u0E41\u0E42\u0E43\u0E44\u0E45\u0E46\u0E47' +
+        '\u0E48\u0E49\u0E4A\u0E4B\u0E4C\u0E4D\u0E4E\u0E4F' +
+        '\u0E50\u0E51\u0E52\u0E53\u0E54\u0E55\u0E56\u0E57' +
+        '\u0E58\u0E59\u0E5A\u0E5B\uFFFD\uFFFD\uFFFD\uFFFD';
+
+Encoding.windows874 = new CodePageEncoding(win874CodePage, 'windows-874',
+        /^(windows|cp)[\-_]?874$/i, 0.5);
+
+Encoding.register(Encoding.windows874, [ 'cp874', 'dos-874', 'cswindows874' ]);
+
+// x-user-defined
+
+// the following encoding is implemented according to
+// http://encoding.spec.whatwg.org/#x-user-defined - the bytes 0x80 to 0xFF map to the private
+// use characters U+F780 to U+F7FF; it is never offered or negotiated (its qvalue is 0)
+var xUserDefinedCodePage =
+        '\uF780\uF781\uF782\uF783\uF784\uF785\uF786\uF787' +
+        '\uF788\uF789\uF78A\uF78B\uF78C\uF78D\uF78E\uF78F' +
+        '\uF790\uF791\uF792\uF793\uF794\uF795\uF796\uF797' +
+        '\uF798\uF799\uF79A\uF79B\uF79C\uF79D\uF79E\uF79F' +
+        '\uF7A0\uF7A1\uF7A2\uF7A3\uF7A4\uF7A5\uF7A6\uF7A7' +
+        '\uF7A8\uF7A9\uF7AA\uF7AB\uF7AC\uF7AD\uF7AE\uF7AF' +
+        '\uF7B0\uF7B1\uF7B2\uF7B3\uF7B4\uF7B5\uF7B6\uF7B7' +
+        '\uF7B8\uF7B9\uF7BA\uF7BB\uF7BC\uF7BD\uF7BE\uF7BF' +
+        '\uF7C0\uF7C1\uF7C2\uF7C3\uF7C4\uF7C5\uF7C6\uF7C7' +
+        '\uF7C8\uF7C9\uF7CA\uF7CB\uF7CC\uF7CD\uF7CE\uF7CF' +
+        '\uF7D0\uF7D1\uF7D2\uF7D3\uF7D4\uF7D5\uF7D6\uF7D7' +
+        '\uF7D8\uF7D9\uF7DA\uF7DB\uF7DC\uF7DD\uF7DE\uF7DF' +
+        '\uF7E0\uF7E1\uF7E2\uF7E3\uF7E4\uF7E5\uF7E6\uF7E7' +
+        '\uF7E8\uF7E9\uF7EA\uF7EB\uF7EC\uF7ED\uF7EE\uF7EF' +
+        '\uF7F0\uF7F1\uF7F2\uF7F3\uF7F4\uF7F5\uF7F6\uF7F7' +
+        '\uF7F8\uF7F9\uF7FA\uF7FB\uF7FC\uF7FD\uF7FE\uF7FF';
+
+Encoding.xuserdefined = new CodePageEncoding(xUserDefinedCodePage, 'x-user-defined',
+        /^x[\-_]?user[\-_]?defined$/i, 0);
+
+Encoding.register(Encoding.xuserdefined);
+
+// IBM437
+
+// the following table is derived from
+// http://www.unicode.org/Public/MAPPINGS/VENDORS/MICSFT/PC/CP437.TXT, with the graphic characters
+// for 0x01 to 0x1F and 0x7F from http://www.unicode.org/Public/MAPPINGS/VENDORS/MISC/IBMGRAPH.TXT
+var ibm437CodePage =
+        '\u0000\u263A\u263B\u2665\u2666\u2663\u2660\u2022' +
+        '\u25D8\u25CB\u25D9\u2642\u2640\u266A\u266B\u263C' +
+        '\u25BA\u25C4\u2195\u203C\u00B6\u00A7\u25AC\u21A8' +
+        '\u2191\u2193\u2192\u2190\u221F\u2194\u25B2\u25BC' +
+        '\u0020\u0021\u0022\u0023\u0024\u0025\u0026\u0027' +
+        '\u0028\u0029\u002A\u002B\u002C\u002D\u002E\u002F' +
+        '\u0030\u0031\u0032\u0033\u0034\u0035\u0036\u0037' +
+        '\u0038\u0039\u003A\u003B\u003C\u003D\u003E\u003F' +
+        '\u0040\u0041\u0042\u0043\u0044\u0045\u0046\u0047' +
+        '\u0048\u0049\u004A\u004B\u004C\u004D\u004E\u004F' +
+        '\u0050\u0051\u0052\u0053\u0054\u0055\u0056\u0057' +
+        '\u0058\u0059\u005A\u005B\u005C\u005D\u005E\u005F' +
+        '\u0060\u0061\u0062\u0063\u0064\u0065\u0066\u0067' +
+        '\u0068\u0069\u006A\u006B\u006C\u006D\u006E\u006F' +
+        '\u0070\u0071\u0072\u0073\u0074\u0075\u0076\u0077' +
+        '\u0078\u0079\u007A\u007B\u007C\u007D\u007E\u2302' +
+        '\u00C7\u00FC\u00E9\u00E2\u00E4\u00E0\u00E5\u00E7' +
+        '\u00EA\u00EB\u00E8\u00EF\u00EE\u00EC\u00C4\u00C5' +
+        '\u00C9\u00E6\u00C6\u00F4\u00F6\u00F2\u00FB\u00F9' +
+        '\u00FF\u00D6\u00DC\u00A2\u00A3\u00A5\u20A7\u0192' +
+        '\u00E1\u00ED\u00F3\u00FA\u00F1\u00D1\u00AA\u00BA' +
+        '\u00BF\u2310\u00AC\u00BD\u00BC\u00A1\u00AB\u00BB' +
+        '\u2591\u2592\u2593\u2502\u2524\u2561\u2562\u2556' +
+        '\u2555\u2563\u2551\u2557\u255D\u255C\u255B\u2510' +
+        '\u2514\u2534\u252C\u251C\u2500\u253C\u255E\u255F' +
+        '\u255A\u2554\u2569\u2566\u2560\u2550\u256C\u2567' +
+        '\u2568\u2564\u2565\u2559\u2558\u2552\u2553\u256B' +
+        '\u256A\u2518\u250C\u2588\u2584\u258C\u2590\u2580' +
+        '\u03B1\u00DF\u0393\u03C0\u03A3\u03C3\u00B5\u03C4' +
+        '\u03A6\u0398\u03A9\u03B4\u221E\u03C6\u03B5\u2229' +
+        '\u2261\u00B1\u2265\u2264\u2320\u2321\u00F7\u2248' +
+        '\u00B0\u2219\u00B7\u221A\u207F\u00B2\u25A0\u00A0';
+
+Encoding.ibm437 = new CodePageEncoding(ibm437CodePage, 'ibm437',
+        /^((ibm|cp)[\-_]?437|437|cspc8codepage437)$/i, 0.5);
+
+Encoding.register(Encoding.ibm437, [ '437', 'cp437', 'cspc8codepage437' ]);
+
+// IBM850
+
+// the following table is derived from
+// http://www.unicode.org/Public/MAPPINGS/VENDORS/MICSFT/PC/CP850.TXT
+var ibm850CodePage =
+        '\u00C7\u00FC\u00E9\u00E2\u00E4\u00E0\u00E5\u00E7' +
+        '\u00EA\u00EB\u00E8\u00EF\u00EE\u00EC\u00C4\u00C5' +
+        '\u00C9\u00E6\u00C6\u00F4\u00F6\u00F2\u00FB\u00F9' +
+        '\u00FF\u00D6\u00DC\u00F8\u00A3\u00D8\u00D7\u0192' +
+        '\u00E1\u00ED\u00F3\u00FA\u00F1\u00D1\u00AA\u00BA' +
+        '\u00BF\u00AE\u00AC\u00BD\u00BC\u00A1\u00AB\u00BB' +
+        '\u2591\u2592\u2593\u2502\u2524\u00C1\u00C2\u00C0' +
+        '\u00A9\u2563\u2551\u2557\u255D\u00A2\u00A5\u2510' +
+        '\u2514\u2534\u252C\u251C\u2500\u253C\u00E3\u00C3' +
+        '\u255A\u2554\u2569\u2566\u2560\u2550\u256C\u00A4' +
+        '\u00F0\u00D0\u00CA\u00CB\u00C8\u0131\u00CD\u00CE' +
+        '\u00CF\u2518\u250C\u2588\u2584\u00A6\u00CC\u2580' +
+        '\u00D3\u00DF\u00D4\u00D2\u00F5\u00D5\u00B5\u00FE' +
+        '\u00DE\u00DA\u00DB\u00D9\u00FD\u00DD\u00AF\u00B4' +
+        '\u00AD\u00B1\u2017\u00BE\u00B6\u00A7\u00F7\u00B8' +
+        '\u00B0\u00A8\u00B7\u00B9\u00B3\u00B2\u25A0\u00A0';
+
+Encoding.ibm850 = new CodePageEncoding(ibm850CodePage, 'ibm850',
+        /^((ibm|cp)[\-_]?850|850|cspc850multilingual)$/i, 0.5);
+
+Encoding.register(Encoding.ibm850, [ '850', 'cp850', 'cspc850multilingual' ]);
+
+// IBM866
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-ibm866.txt
+var ibm866CodePage =
+        '\u0410\u0411\u0412\u0413\u0414\u0415\u0416\u0417' +
+        '\u0418\u0419\u041A\u041B\u041C\u041D\u041E\u041F' +
+        '\u0420\u0421\u0422\u0423\u0424\u0425\u0426\u0427' +
+        '\u0428\u0429\u042A\u042B\u042C\u042D\u042E\u042F' +
+        '\u0430\u0431\u0432\u0433\u0434\u0435\u0436\u0437' +
+        '\u0438\u0439\u043A\u043B\u043C\u043D\u043E\u043F' +
+        '\u2591\u2592\u2593\u2502\u2524\u2561\u2562\u2556' +
+        '\u2555\u2563\u2551\u2557\u255D\u255C\u255B\u2510' +
+        '\u2514\u2534\u252C\u251C\u2500\u253C\u255E\u255F' +
+        '\u255A\u2554\u2569\u2566\u2560\u2550\u256C\u2567' +
+        '\u2568\u2564\u2565\u2559\u2558\u2552\u2553\u256B' +
+        '\u256A\u2518\u250C\u2588\u2584\u258C\u2590\u2580' +
+        '\u0440\u0441\u0442\u0443\u0444\u0445\u0446\u0447' +
+        '\u0448\u0449\u044A\u044B\u044C\u044D\u044E\u044F' +
+        '\u0401\u0451\u0404\u0454\u0407\u0457\u040E\u045E' +
+        '\u00B0\u2219\u00B7\u221A\u2116\u00A4\u25A0\u00A0';
+
+Encoding.ibm866 = new CodePageEncoding(ibm866CodePage, 'ibm866',
+        /^((ibm|cp)[\-_]?866|866|csibm866)$/i, 0.5);
+
+Encoding.register(Encoding.ibm866, [ '866', 'cp866', 'csibm866' ]);
+
+// Macintosh
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-macintosh.txt
+var macintoshCodePage =
+        '\u00C4\u00C5\u00C7\u00C9\u00D1\u00D6\u00DC\u00E1' +
+        '\u00E0\u00E2\u00E4\u00E3\u00E5\u00E7\u00E9\u00E8' +
+        '\u00EA\u00EB\u00ED\u00EC\u00EE\u00EF\u00F1\u00F3' +
+        '\u00F2\u00F4\u00F6\u00F5\u00FA\u00F9\u00FB\u00FC' +
+        '\u2020\u00B0\u00A2\u00A3\u00A7\u2022\u00B6\u00DF' +
+        '\u00AE\u00A9\u2122\u00B4\u00A8\u2260\u00C6\u00D8' +
+        '\u221E\u00B1\u2264\u2265\u00A5\u00B5\u2202\u2211' +
+        '\u220F\u03C0\u222B\u00AA\u00BA\u03A9\u00E6\u00F8' +
+        '\u00BF\u00A1\u00AC\u221A\u0192\u2248\u2206\u00AB' +
+        '\u00BB\u2026\u00A0\u00C0\u00C3\u00D5\u0152\u0153' +
+        '\u2013\u2014\u201C\u201D\u2018\u2019\u00F7\u25CA' +
+        '\u00FF\u0178\u2044\u20AC\u2039\u203A\uFB01\uFB02' +
+        '\u2021\u00B7\u201A\u201E\u2030\u00C2\u00CA\u00C1' +
+        '\u00CB\u00C8\u00CD\u00CE\u00CF\u00CC\u00D3\u00D4' +
+        '\uF8FF\u00D2\u00DA\u00DB\u00D9\u0131\u02C6\u02DC' +
+        '\u00AF\u02D8\u02D9\u02DA\u00B8\u02DD\u02DB\u02C7';
+
+Encoding.macintosh = new CodePageEncoding(macintoshCodePage, 'macintosh',
+        /^(mac(intosh|roman)?|x[\-_]mac[\-_]roman|csmacintosh)$/i, 0.5);
+
+Encoding.register(Encoding.macintosh, [ 'csmacintosh', 'mac', 'x-mac-roman' ]);
+
+// x-mac-cyrillic
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-x-mac-cyrillic.txt
+var macCyrillicCodePage =
+        '\u0410\u0411\u0412\u0413\u0414\u0415\u0416\u0417' +
+        '\u0418\u0419\u041A\u041B\u041C\u041D\u041E\u041F' +
+        '\u0420\u0421\u0422\u0423\u0424\u0425\u0426\u0427' +
+        '\u0428\u0429\u042A\u042B\u042C\u042D\u042E\u042F' +
+        '\u2020\u00B0\u0490\u00A3\u00A7\u2022\u00B6\u0406' +
+        '\u00AE\u00A9\u2122\u0402\u0452\u2260\u0403\u0453' +
+        '\u221E\u00B1\u2264\u2265\u0456\u00B5\u0491\u0408' +
+        '\u0404\u0454\u0407\u0457\u0409\u0459\u040A\u045A' +
+        '\u0458\u0405\u00AC\u221A\u0192\u2248\u2206\u00AB' +
+        '\u00BB\u2026\u00A0\u040B\u045B\u040C\u045C\u0455' +
+        '\u2013\u2014\u201C\u201D\u2018\u2019\u00F7\u201E' +
+        '\u040E\u045E\u040F\u045F\u2116\u0401\u0451\u044F' +
+        '\u0430\u0431\u0432\u0433\u0434\u0435\u0436\u0437' +
+        '\u0438\u0439\u043A\u043B\u043C\u043D\u043E\u043F' +
+        '\u0440\u0441\u0442\u0443\u0444\u0445\u0446\u0447' +
+        '\u0448\u0449\u044A\u044B\u044C\u044D\u044E\u20AC';
+
+Encoding.xmaccyrillic = new CodePageEncoding(macCyrillicCodePage, 'x-mac-cyrillic',
+        /^(x[\-_])?mac[\-_]?(cyrillic|ukrainian)$/i, 0.5);
+
+Encoding.register(Encoding.xmaccyrillic, [ 'x-mac-ukrainian' ]);
+
+// KOI8-R
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-koi8-r.txt
+var koi8rCodePage =
+        '\u2500\u2502\u250C\u2510\u2514\u2518\u251C\u2524' +
+        '\u252C\u2534\u253C\u2580\u2584\u2588\u258C\u2590' +
+        '\u2591\u2592\u2593\u2320\u25A0\u2219\u221A\u2248' +
+        '\u2264\u2265\u00A0\u2321\u00B0\u00B2\u00B7\u00F7' +
+        '\u2550\u2551\u2552\u0451\u2553\u2554\u2555\u2556' +
+        '\u2557\u2558\u2559\u255A\u255B\u255C\u255D\u255E' +
+        '\u255F\u2560\u2561\u0401\u2562\u2563\u2564\u2565' +
+        '\u2566\u2567\u2568\u2569\u256A\u256B\u256C\u00A9' +
+        '\u044E\u0430\u0431\u0446\u0434\u0435\u0444\u0433' +
+        '\u0445\u0438\u0439\u043A\u043B\u043C\u043D\u043E' +
+        '\u043F\u044F\u0440\u0441\u0442\u0443\u0436\u0432' +
+        '\u044C\u044B\u0437\u0448\u044D\u0449\u0447\u044A' +
+        '\u042E\u0410\u0411\u0426\u0414\u0415\u0424\u0413' +
+        '\u0425\u0418\u0419\u041A\u041B\u041C\u041D\u041E' +
+        '\u041F\u042F\u0420\u0421\u0422\u0423\u0416\u0412' +
+        '\u042C\u042B\u0417\u0428\u042D\u0429\u0427\u042A';
+
+Encoding.koi8r = new CodePageEncoding(koi8rCodePage, 'koi8-r',
+        /^(koi8([\-_]?r)?|cskoi8r|koi)$/i, 0.5);
+
+Encoding.register(Encoding.koi8r, [ 'cskoi8r', 'koi', 'koi8', 'koi8_r' ]);
+
+// KOI8-U
+
+// the following table is derived from http://encoding.spec.whatwg.org/index-koi8-u.txt
+var koi8uCodePage =
+        '\u2500\u2502\u250C\u2510\u2514\u2518\u251C\u2524' +
+        '\u252C\u2534\u253C\u2580\u2584\u2588\u258C\u2590' +
+        '\u2591\u2592\u2593\u2320\u25A0\u2219\u221A\u2248' +
+        '\u2264\u2265\u00A0\u2321\u00B0\u00B2\u00B7\u00F7' +
+        '\u2550\u2551\u2552\u0451\u0454\u2554\u0456\u0457' +
+        '\u2557\u2558\u2559\u255A\u255B\u0491\u045E\u255E' +
+        '\u255F\u2560\u2561\u0401\u0404\u2563\u0406\u0407' +
+        '\u2566\u2567\u2568\u2569\u256A\u0490\u040E\u00A9' +
+        '\u044E\u0430\u0431\u0446\u0434\u0435\u0444\u0433' +
+        '\u0445\u0438\u0439\u043A\u043B\u043C\u043D\u043E' +
+        '\u043F\u044F\u0440\u0441\u0442\u0443\u0436\u0432' +
+        '\u044C\u044B\u0437\u0448\u044D\u0449\u0447\u044A' +
+        '\u042E\u0410\u0411\u0426\u0414\u0415\u0424\u0413' +
+        '\u0425\u0418\u0419\u041A\u041B\u041C\u041D\u041E' +
+        '\u041F\u042F\u0420\u0421\u0422\u0423\u0416\u0412' +
+        '\u042C\u042B\u0417\u0428\u042D\u0429\u0427\u042A';
+
+Encoding.koi8u = new CodePageEncoding(koi8uCodePage, 'koi8-u',
+        /^koi8[\-_]?(u|ru)$/i, 0.5);
+
+Encoding.register(Encoding.koi8u, [ 'koi8-ru', 'cskoi8u' ]);
+
+// IBM037
+
+// the following table is derived from
+// http://www.unicode.org/Public/MAPPINGS/VENDORS/MICSFT/EBCDIC/CP037.TXT
+var ibm037CodePage =
+        '\u0000\u0001\u0002\u0003\u009C\u0009\u0086\u007F' +
+        '\u0097\u008D\u008E\u000B\u000C\u000D\u000E\u000F' +
+        '\u0010\u0011\u0012\u0013\u009D\u0085\u0008\u0087' +
+        '\u0018\u0019\u0092\u008F\u001C\u001D\u001E\u001F' +
+        '\u0080\u0081\u0082\u0083\u0084\u000A\u0017\u001B' +
+        '\u0088\u0089\u008A\u008B\u008C\u0005\u0006\u0007' +
+        '\u0090\u0091\u0016\u0093\u0094\u0095\u0096\u0004' +
+        '\u0098\u0099\u009A\u009B\u0014\u0015\u009E\u001A' +
+        '\u0020\u00A0\u00E2\u00E4\u00E0\u00E1\u00E3\u00E5' +
+        '\u00E7\u00F1\u00A2\u002E\u003C\u0028\u002B\u007C' +
+        '\u0026\u00E9\u00EA\u00EB\u00E8\u00ED\u00EE\u00EF' +
+        '\u00EC\u00DF\u0021\u0024\u002A\u0029\u003B\u00AC' +
+        '\u002D\u002F\u00C2\u00C4\u00C0\u00C1\u00C3\u00C5' +
+        '\u00C7\u00D1\u00A6\u002C\u0025\u005F\u003E\u003F' +
+        '\u00F8\u00C9\u00CA\u00CB\u00C8\u00CD\u00CE\u00CF' +
+        '\u00CC\u0060\u003A\u0023\u0040\u0027\u003D\u0022' +
+        '\u00D8\u0061\u0062\u0063\u0064\u0065\u0066\u0067' +
+        '\u0068\u0069\u00AB\u00BB\u00F0\u00FD\u00FE\u00B1' +
+        '\u00B0\u006A\u006B\u006C\u006D\u006E\u006F\u0070' +
+        '\u0071\u0072\u00AA\u00BA\u00E6\u00B8\u00C6\u00A4' +
+        '\u00B5\u007E\u0073\u0074\u0075\u0076\u0077\u0078' +
+        '\u0079\u007A\u00A1\u00BF\u00D0\u00DD\u00DE\u00AE' +
+        '\u005E\u00A3\u00A5\u00B7\u00A9\u00A7\u00B6\u00BC' +
+        '\u00BD\u00BE\u005B\u005D\u00AF\u00A8\u00B4\u00D7' +
+        '\u007B\u0041\u0042\u0043\u0044\u0045\u0046\u0047' +
+        '\u0048\u0049\u00AD\u00F4\u00F6\u00F2\u00F3\u00F5' +
+        '\u007D\u004A\u004B\u004C\u004D\u004E\u004F\u0050' +
+        '\u0051\u0052\u00B9\u00FB\u00FC\u00F9\u00FA\u00FF' +
+        '\u005C\u00F7\u0053\u0054\u0055\u0056\u0057\u0058' +
+        '\u0059\u005A\u00B2\u00D4\u00D6\u00D2\u00D3\u00D5' +
+        '\u0030\u0031\u0032\u0033\u0034\u0035\u0036\u0037' +
+        '\u0038\u0039\u00B3\u00DB\u00DC\u00D9\u00DA\u009F';
+
+Encoding.ibm037 = new EBCDICEncoding(ibm037CodePage, 'ibm037',
+        /^((ibm|cp)[\-_]?0?37|ebcdic[\-_]cp[\-_](us|ca|wt|nl)|csibm037)$/i, 0.1);
+
+Encoding.register(Encoding.ibm037, [ 'cp037', 'ebcdic-cp-us', 'ebcdic-cp-ca', 'ebcdic-cp-wt',
+        'ebcdic-cp-nl', 'csibm037' ]);
+
+// IBM500
+
+// the following table is derived from
+// http://www.unicode.org/Public/MAPPINGS/VENDORS/MICSFT/EBCDIC/CP500.TXT
+var ibm500CodePage =
+        '\u0000\u0001\u0002\u0003\u009C\u0009\u0086\u007F' +
+        '\u0097\u008D\u008E\u000B\u000C\u000D\u000E\u000F' +
+        '\u0010\u0011\u0012\u0013\u009D\u0085\u0008\u0087' +
+        '\u0018\u0019\u0092\u008F\u001C\u001D\u001E\u001F' +
+        '\u0080\u0081\u0082\u0083\u0084\u000A\u0017\u001B' +
+        '\u0088\u0089\u008A\u008B\u008C\u0005\u0006\u0007' +
+        '\u0090\u0091\u0016\u0093\u0094\u0095\u0096\u0004' +
+        '\u0098\u0099\u009A\u009B\u0014\u0015\u009E\u001A' +
+        '\u0020\u00A0\u00E2\u00E4\u00E0\u00E1\u00E3\u00E5' +
+        '\u00E7\u00F1\u005B\u002E\u003C\u0028\u002B\u0021' +
+        '\u0026\u00E9\u00EA\u00EB\u00E8\u00ED\u00EE\u00EF' +
+        '\u00EC\u00DF\u005D\u0024\u002A\u0029\u003B\u005E' +
+        '\u002D\u002F\u00C2\u00C4\u00C0\u00C1\u00C3\u00C5' +
+        '\u00C7\u00D1\u00A6\u002C\u0025\u005F\u003E\u003F' +
+        '\u00F8\u00C9\u00CA\u00CB\u00C8\u00CD\u00CE\u00CF' +
+        '\u00CC\u0060\u003A\u0023\u0040\u0027\u003D\u0022' +
+        '\u00D8\u0061\u0062\u0063\u0064\u0065\u0066\u0067' +
+        '\u0068\u0069\u00AB\u00BB\u00F0\u00FD\u00FE\u00B1' +
+        '\u00B0\u006A\u006B\u006C\u006D\u006E\u006F\u0070' +
+        '\u0071\u0072\u00AA\u00BA\u00E6\u00B8\u00C6\u00A4' +
+        '\u00B5\u007E\u0073\u0074\u0075\u0076\u0077\u0078' +
+        '\u0079\u007A\u00A1\u00BF\u00D0\u00DD\u00DE\u00AE' +
+        '\u00A2\u00A3\u00A5\u00B7\u00A9\u00A7\u00B6\u00BC' +
+        '\u00BD\u00BE\u00AC\u007C\u00AF\u00A8\u00B4\u00D7' +
+        '\u007B\u0041\u0042\u0043\u0044\u0045\u0046\u0047' +
+        '\u0048\u0049\u00AD\u00F4\u00F6\u00F2\u00F3\u00F5' +
+        '\u007D\u004A\u004B\u004C\u004D\u004E\u004F\u0050' +
+        '\u0051\u0052\u00B9\u00FB\u00FC\u00F9\u00FA\u00FF' +
+        '\u005C\u00F7\u0053\u0054\u0055\u0056\u0057\u0058' +
+        '\u0059\u005A\u00B2\u00D4\u00D6\u00D2\u00D3\u00D5' +
+        '\u0030\u0031\u0032\u0033\u0034\u0035\u0036\u0037' +
+        '\u0038\u0039\u00B3\u00DB\u00DC\u00D9\u00DA\u009F';
+
+Encoding.ibm500 = new EBCDICEncoding(ibm500CodePage, 'ibm500',
+        /^((ibm|cp)[\-_]?500|ebcdic[\-_]cp[\-_](be|ch)|csibm500)$/i, 0.1);
+
+Encoding.register(Encoding.ibm500, [ 'cp500', 'ebcdic-cp-be', 'ebcdic-cp-ch', 'csibm500' ]);
+
+// IBM1047
+
+// the following table is derived from the IBM1047 character set of the GNU C library
+var ibm1047CodePage =
+        '\u0000\u0001\u0002\u0003\u009C\u0009\u0086\u007F' +
+        '\u0097\u008D\u008E\u000B\u000C\u000D\u000E\u000F' +
+        '\u0010\u0011\u0012\u0013\u009D\u0085\u0008\u0087' +
+        '\u0018\u0019\u0092\u008F\u001C\u001D\u001E\u001F' +
+        '\u0080\u0081\u0082\u0083\u0084\u000A\u0017\u001B' +
+        '\u0088\u0089\u008A\u008B\u008C\u0005\u0006\u0007' +
+        '\u0090\u0091\u0016\u0093\u0094\u0095\u0096\u0004' +
+        '\u0098\u0099\u009A\u009B\u0014\u0015\u009E\u001A' +
+        '\u0020\u00A0\u00E2\u00E4\u00E0\u00E1\u00E3\u00E5' +
+        '\u00E7\u00F1\u00A2\u002E\u003C\u0028\u002B\u007C' +
+        '\u0026\u00E9\u00EA\u00EB\u00E8\u00ED\u00EE\u00EF' +
+        '\u00EC\u00DF\u0021\u0024\u002A\u0029\u003B\u005E' +
+        '\u002D\u002F\u00C2\u00C4\u00C0\u00C1\u00C3\u00C5' +
+        '\u00C7\u00D1\u00A6\u002C\u0025\u005F\u003E\u003F' +
+        '\u00F8\u00C9\u00CA\u00CB\u00C8\u00CD\u00CE\u00CF' +
+        '\u00CC\u0060\u003A\u0023\u0040\u0027\u003D\u0022' +
+        '\u00D8\u0061\u0062\u0063\u0064\u0065\u0066\u0067' +
+        '\u0068\u0069\u00AB\u00BB\u00F0\u00FD\u00FE\u00B1' +
+        '\u00B0\u006A\u006B\u006C\u006D\u006E\u006F\u0070' +
+        '\u0071\u0072\u00AA\u00BA\u00E6\u00B8\u00C6\u00A4' +
+        '\u00B5\u007E\u0073\u0074\u0075\u0076\u0077\u0078' +
+        '\u0079\u007A\u00A1\u00BF\u00D0\u005B\u00DE\u00AE' +
+        '\u00AC\u00A3\u00A5\u00B7\u00A9\u00A7\u00B6\u00BC' +
+        '\u00BD\u00BE\u00DD\u00A8\u00AF\u005D\u00B4\u00D7' +
+        '\u007B\u0041\u0042\u0043\u0044\u0045\u0046\u0047' +
+        '\u0048\u0049\u00AD\u00F4\u00F6\u00F2\u00F3\u00F5' +
+        '\u007D\u004A\u004B\u004C\u004D\u004E\u004F\u0050' +
+        '\u0051\u0052\u00B9\u00FB\u00FC\u00F9\u00FA\u00FF' +
+        '\u005C\u00F7\u0053\u0054\u0055\u0056\u0057\u0058' +
+        '\u0059\u005A\u00B2\u00D4\u00D6\u00D2\u00D3\u00D5' +
+        '\u0030\u0031\u0032\u0033\u0034\u0035\u0036\u0037' +
+        '\u0038\u0039\u00B3\u00DB\u00DC\u00D9\u00DA\u009F';
+
+Encoding.ibm1047 = new EBCDICEncoding(ibm1047CodePage, 'ibm1047',
+        /^((ibm|cp)[\-_]?1047|csibm1047)$/i, 0.1);
+
+Encoding.register(Encoding.ibm1047, [ 'ibm-1047', 'cp1047', 'csibm1047' ]);
+
+// IBM273
+
+// the following table is derived from IBM CCSID 273 (as used by the Python codec cp273)
+var ibm273CodePage =
+        '\u0000\u0001\u0002\u0003\u009C\u0009\u0086\u007F' +
+        '\u0097\u008D\u008E\u000B\u000C\u000D\u000E\u000F' +
+        '\u0010\u0011\u0012\u0013\u009D\u0085\u0008\u0087' +
+        '\u0018\u0019\u0092\u008F\u001C\u001D\u001E\u001F' +
+        '\u0080\u0081\u0082\u0083\u0084\u000A\u0017\u001B' +
+        '\u0088\u0089\u008A\u008B\u008C\u0005\u0006\u0007' +
+        '\u0090\u0091\u0016\u0093\u0094\u0095\u0096\u0004' +
+        '\u0098\u0099\u009A\u009B\u0014\u0015\u009E\u001A' +
+        '\u0020\u00A0\u00E2\u007B\u00E0\u00E1\u00E3\u00E5' +
+        '\u00E7\u00F1\u00C4\u002E\u003C\u0028\u002B\u0021' +
+        '\u0026\u00E9\u00EA\u00EB\u00E8\u00ED\u00EE\u00EF' +
+        '\u00EC\u007E\u00DC\u0024\u002A\u0029\u003B\u005E' +
+        '\u002D\u002F\u00C2\u005B\u00C0\u00C1\u00C3\u00C5' +
+        '\u00C7\u00D1\u00F6\u002C\u0025\u005F\u003E\u003F' +
+        '\u00F8\u00C9\u00CA\u00CB\u00C8\u00CD\u00CE\u00CF' +
+        '\u00CC\u0060\u003A\u0023\u00A7\u0027\u003D\u0022' +
+        '\u00D8\u0061\u0062\u0063\u0064\u0065\u0066\u0067' +
+        '\u0068\u0069\u00AB\u00BB\u00F0\u00FD\u00FE\u00B1' +
+        '\u00B0\u006A\u006B\u006C\u006D\u006E\u006F\u0070' +
+        '\u0071\u0072\u00AA\u00BA\u00E6\u00B8\u00C6\u00A4' +
+        '\u00B5\u00DF\u0073\u0074\u0075\u0076\u0077\u0078' +
+        '\u0079\u007A\u00A1\u00BF\u00D0\u00DD\u00DE\u00AE' +
+        '\u00A2\u00A3\u00A5\u00B7\u00A9\u0040\u00B6\u00BC' +
+        '\u00BD\u00BE\u00AC\u007C\u203E\u00A8\u00B4\u00D7' +
+        '\u00E4\u0041\u0042\u0043\u0044\u0045\u0046\u0047' +
+        '\u0048\u0049\u00AD\u00F4\u00A6\u00F2\u00F3\u00F5' +
+        '\u00FC\u004A\u004B\u004C\u004D\u004E\u004F\u0050' +
+        '\u0051\u0052\u00B9\u00FB\u007D\u00F9\u00FA\u00FF' +
+        '\u00D6\u00F7\u0053\u0054\u0055\u0056\u0057\u0058' +
+        '\u0059\u005A\u00B2\u00D4\u005C\u00D2\u00D3\u00D5' +
+        '\u0030\u0031\u0032\u0033\u0034\u0035\u0036\u0037' +
+        '\u0038\u0039\u00B3\u00DB\u005D\u00D9\u00DA\u009F';
+
+Encoding.ibm273 = new EBCDICEncoding(ibm273CodePage, 'ibm273',
+        /^((ibm|cp)[\-_]?273|csibm273)$/i, 0.1);
+
+Encoding.register(Encoding.ibm273, [ 'cp273', 'csibm273' ]);
+
+// Shift_JIS
+
+// the following encoding is implemented according to http://encoding.spec.whatwg.org/#shift_jis
+Encoding.shiftjis = new MultiByteEncoding('shift_jis',
+        /^((x[\-_])?s(hift)?[\-_]?jis|ms[\-_]?kanji|ms932|windows[\-_]?31j|csshiftjis)$/i, 0.5);
+
+/**
+ * Decode a Shift_JIS encoded buffer to a string.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.shiftjis.decodeBytes = function (buf, options, stream) {
+    var a = '';
+    var i = 0, start, ch, ch2, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch <= 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch >= 0xA1 && ch <= 0xDF)
+            a += String.fromCharCode(0xFF61 - 0xA1 + ch);
+        else if (ch >= 0x81 && ch <= 0x9F || ch >= 0xE0 && ch <= 0xFC) {
+            if (i >= buf.length) {
+                a += incompleteSequence(buf, i - 1, options, stream, this);
+                break;
+            }
+            ch2 = buf[i];
+            cp = null;
+            if (ch2 >= 0x40 && ch2 <= 0x7E || ch2 >= 0x80 && ch2 <= 0xFC) {
+                var pointer = (ch - (ch < 0xA0 ? 0x81 : 0xC1)) * 188 + ch2 -
+                        (ch2 < 0x7F ? 0x40 : 0x41);
+                cp = pointer >= 8836 && pointer <= 10715 ? 0xE000 - 8836 + pointer :
+                        getIndexTable('jis0208')[pointer];
+            }
+            if (cp === null || cp === undefined) {
+                if (ch2 >= 0x80) // an ASCII second byte is left to be decoded on its own
+                    i++;
+                a += getReplCharOrError(options, 'Illegal Shift_JIS sequence: 0x' +
+                        hexChar(ch) + ' 0x' + hexChar(ch2), this, start, buf.slice(start, i));
+            }
+            else {
+                i++;
+                a += String.fromCharCode(cp);
+            }
+        }
+        else
+            a += getReplCharOrError(options, 'Illegal Shift_JIS byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+    }
+    return a;
+};
+
+/**
+ * Get the Shift_JIS pointer for a character, using the reverse mapping table (lazily
+ * initialised from the JIS X 0208 index, excluding the duplicate NEC and IBM extensions).
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+Encoding.shiftjis.getPointer = function (ch) {
+    if (!this.reverse) {
+        this.reverse = createReverseIndex(getIndexTable('jis0208'), function (pointer) {
+            return pointer >= 8272 && pointer <= 8835;
+        });
+    }
+    return this.reverse[ch === 0x2212 ? 0xFF0D : ch];
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character in Shift_JIS.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.shiftjis.lenCharacter = function (ch, options) {
+    if (ch <= 0x80 || ch == 0xA5 || ch == 0x203E || ch >= 0xFF61 && ch <= 0xFF9F)
+        return 1;
+    return this.getPointer(ch) === undefined ? this.lenFallback(ch, options) : 2;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.shiftjis.storeCharacter = function (buf, offset, ch, options) {
+    if (ch <= 0x80)
+        buf[offset] = ch;
+    else if (ch == 0xA5)
+        buf[offset] = 0x5C;
+    else if (ch == 0x203E)
+        buf[offset] = 0x7E;
+    else if (ch >= 0xFF61 && ch <= 0xFF9F)
+        buf[offset] = ch - 0xFF61 + 0xA1;
+    else {
+        var pointer = this.getPointer(ch);
+        if (pointer === undefined)
+            return this.storeFallback(buf, offset, ch, options);
+        else {
+            var lead = Math.floor(pointer / 188), trail = pointer % 188;
+            buf[offset] = lead + (lead < 0x1F ? 0x81 : 0xC1);
+            buf[offset + 1] = trail + (trail < 0x3F ? 0x40 : 0x41);
+            return 2;
+        }
+    }
+    return 1;
+};
+
+Encoding.register(Encoding.shiftjis, [ 'csshiftjis', 'ms932', 'ms_kanji', 'shift-jis', 'sjis',
+        'windows-31j', 'x-sjis', 'cswindows31j' ]);
+
+// EUC-JP
+
+// the following encoding is implemented according to http://encoding.spec.whatwg.org/#euc-jp
+Encoding.eucjp = new MultiByteEncoding('euc-jp', /^((x[\-_])?euc[\-_]?jp|cseucpkdfmtjapanese)$/i,
+        0.5);
+
+/**
+ * Decode an EUC-JP encoded buffer to a string.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.eucjp.decodeBytes = function (buf, options, stream) {
+    var a = '';
+    var i = 0, start, ch, ch2, ch3, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch < 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch == 0x8E || ch == 0x8F || ch >= 0xA1 && ch <= 0xFE) {
+            if (i >= buf.length) {
+                a += incompleteSequence(buf, i - 1, options, stream, this);
+                break;
+            }
+            ch2 = buf[i];
+            cp = null;
+            if (ch == 0x8E) {
+                if (ch2 >= 0xA1 && ch2 <= 0xDF)
+                    cp = 0xFF61 - 0xA1 + ch2;
+            }
+            else if (ch == 0x8F) {
+                if (ch2 >= 0xA1 && ch2 <= 0xFE) {
+                    if (i + 1 >= buf.length) {
+                        a += incompleteSequence(buf, i - 1, options, stream, this);
+                        break;
+                    }
+                    ch3 = buf[++i];
+                    if (ch3 >= 0xA1 && ch3 <= 0xFE)
+                        cp = getIndexTable('jis0212')[(ch2 - 0xA1) * 94 + ch3 - 0xA1];
+                    ch2 = ch3;
+                }
+            }
+            else if (ch2 >= 0xA1 && ch2 <= 0xFE)
+                cp = getIndexTable('jis0208')[(ch - 0xA1) * 94 + ch2 - 0xA1];
+            if (cp === null || cp === undefined) {
+                if (ch2 >= 0x80) // an ASCII byte is left to be decoded on its own
+                    i++;
+                a += getReplCharOrError(options, 'Illegal EUC-JP sequence at byte: 0x' +
+                        hexChar(ch2), this, start, buf.slice(start, i));
+            }
+            else {
+                i++;
+                a += String.fromCharCode(cp);
+            }
+        }
+        else
+            a += getReplCharOrError(options, 'Illegal EUC-JP byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+    }
+    return a;
+};
+
+/**
+ * Get the EUC-JP pointer for a character, using the reverse mapping table (lazily initialised
+ * from the JIS X 0208 index).
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+Encoding.eucjp.getPointer = function (ch) {
+    if (!this.reverse)
+        this.reverse = createReverseIndex(getIndexTable('jis0208'));
+    return this.reverse[ch === 0x2212 ? 0xFF0D : ch];
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character in EUC-JP.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.eucjp.lenCharacter = function (ch, options) {
+    if (ch < 0x80 || ch == 0xA5 || ch == 0x203E)
+        return 1;
+    if (ch >= 0xFF61 && ch <= 0xFF9F)
+        return 2;
+    return this.getPointer(ch) === undefined ? this.lenFallback(ch, options) : 2;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.eucjp.storeCharacter = function (buf, offset, ch, options) {
+    if (ch < 0x80)
+        buf[offset] = ch;
+    else if (ch == 0xA5)
+        buf[offset] = 0x5C;
+    else if (ch == 0x203E)
+        buf[offset] = 0x7E;
+    else if (ch >= 0xFF61 && ch <= 0xFF9F) {
+        buf[offset] = 0x8E;
+        buf[offset + 1] = ch - 0xFF61 + 0xA1;
+        return 2;
+    }
+    else {
+        var pointer = this.getPointer(ch);
+        if (pointer === undefined)
+            return this.storeFallback(buf, offset, ch, options);
+        else {
+            buf[offset] = Math.floor(pointer / 94) + 0xA1;
+            buf[offset + 1] = pointer % 94 + 0xA1;
+            return 2;
+        }
+    }
+    return 1;
+};
+
+Encoding.register(Encoding.eucjp, [ 'cseucpkdfmtjapanese', 'x-euc-jp',
+        'extended_unix_code_packed_format_for_japanese' ]);
+
+// GB18030Encoding
+
+/**
+ * Encoding table entry for the GB18030 and GBK encodings, implemented according to
+ * http://encoding.spec.whatwg.org/#gb18030.  The two encodings decode identically; GBK differs
+ * only in that the encoder does not produce four-byte sequences.
+ *
+ * @constructor
+ * @param {String}  name      the name of this encoding
+ * @param {RegExp}  test      a regular expression to compare for this encoding name
+ * @param {Number}  [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ * @param {Boolean} [isGBK]   if true, encode as GBK (no four-byte sequences)
+ */
+function GB18030Encoding(name, test, qvalue, isGBK) {
+    MultiByteEncoding.call(this, name, test, qvalue);
+    this.isGBK = !!isGBK;
+}
+
+/**
+ * The private use characters that GB18030-2005 mapped to two-byte sequences, with the pointers
+ * of those sequences.  GB18030-2022 (and so the current GB18030 index) maps the sequences to
+ * U+FE10 to U+FE19 and U+9FB4 to U+9FBB instead, but the encoder still maps the private use
+ * characters to them, as the WHATWG standard requires.
+ */
+var gb18030PrivateUsePointers = [
+    [ 0xE78D, 7182 ], [ 0xE78E, 7183 ], [ 0xE78F, 7184 ], [ 0xE790, 7185 ], [ 0xE791, 7186 ],
+    [ 0xE792, 7187 ], [ 0xE793, 7188 ], [ 0xE794, 7201 ], [ 0xE795, 7202 ], [ 0xE796, 7208 ],
+    [ 0xE81E, 23775 ], [ 0xE826, 23783 ], [ 0xE82B, 23788 ], [ 0xE82C, 23789 ],
+    [ 0xE832, 23795 ], [ 0xE843, 23812 ], [ 0xE854, 23829 ], [ 0xE864, 23845 ]
+];
+
+GB18030Encoding.prototype = Object.create(MultiByteEncoding.prototype, {
+    constructor: { value: GB18030Encoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Decode a GB18030 encoded buffer to a string.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+GB18030Encoding.prototype.decodeBytes = function (buf, options, stream) {
+    var a = '';
+    var i = 0, start, ch, ch2, ch3, ch4, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch < 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch == 0x80)
+            a += '\u20AC';
+        else if (ch == 0xFF)
+            a += getReplCharOrError(options, 'Illegal GB18030 byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+        else {
+            if (i >= buf.length) {
+                a += incompleteSequence(buf, i - 1, options, stream, this);
+                break;
+            }
+            ch2 = buf[i];
+            if (ch2 >= 0x30 && ch2 <= 0x39) {
+                // four-byte sequence
+                if (i + 1 >= buf.length) {
+                    a += incompleteSequence(buf, i - 1, options, stream, this);
+                    break;
+                }
+                ch3 = buf[i + 1];
+                if (ch3 < 0x81 || ch3 > 0xFE) {
+                    a += getReplCharOrError(options, 'Illegal GB18030 sequence at byte: 0x' +
+                            hexChar(ch3), this, start, buf.slice(start, i));
+                    continue;
+                }
+                if (i + 2 >= buf.length) {
+                    a += incompleteSequence(buf, i - 1, options, stream, this);
+                    break;
+                }
+                ch4 = buf[i + 2];
+                if (ch4 < 0x30 || ch4 > 0x39) {
+                    a += getReplCharOrError(options, 'Illegal GB18030 sequence at byte: 0x' +
+                            hexChar(ch4), this, start, buf.slice(start, i));
+                    continue;
+                }
+                i += 3;
+                cp = gb18030RangesCodePoint((((ch - 0x81) * 10 + ch2 - 0x30) * 126 + ch3 - 0x81) *
+                        10 + ch4 - 0x30);
+                if (cp === null)
+                    a += getReplCharOrError(options, 'Illegal GB18030 sequence',
+                            this, start, buf.slice(start, i));
+                else
+                    a += cp > 0xFFFF ? createSurrogateString(cp) : String.fromCharCode(cp);
+            }
+            else {
+                // two-byte sequence
+                cp = null;
+                if (ch2 >= 0x40 && ch2 <= 0x7E || ch2 >= 0x80 && ch2 <= 0xFE) {
+                    cp = getIndexTable('gb18030')[(ch - 0x81) * 190 + ch2 -
+                            (ch2 < 0x7F ? 0x40 : 0x41)];
+                }
+                if (cp === null || cp === undefined) {
+                    if (ch2 >= 0x80) // an ASCII second byte is left to be decoded on its own
+                        i++;
+                    a += getReplCharOrError(options, 'Illegal GB18030 sequence: 0x' +
+                            hexChar(ch) + ' 0x' + hexChar(ch2), this, start, buf.slice(start, i));
+                }
+                else {
+                    i++;
+                    a += String.fromCharCode(cp);
+                }
+            }
+        }
+    }
+    return a;
+};
+
+/**
+ * Get the two-byte pointer for a character, using the reverse mapping table (lazily
+ * initialised from the GB18030 index).
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+GB18030Encoding.prototype.getPointer = function (ch) {
+    if (!this.reverse) {
+        var reverse = createReverseIndex(getIndexTable('gb18030'));
+        gb18030PrivateUsePointers.forEach(function (entry) {
+            reverse[entry[0]] = entry[1];
+        });
+        this.reverse = reverse;
+    }
+    return this.reverse[ch];
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+GB18030Encoding.prototype.lenCharacter = function (ch, options) {
+    if (ch < 0x80 || this.isGBK && ch == 0x20AC)
+        return 1;
+    if (ch == 0xE5E5)
+        return this.lenFallback(ch, options);
+    if (this.getPointer(ch) !== undefined)
+        return 2;
+    return this.isGBK ? this.lenFallback(ch, options) : 4;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+GB18030Encoding.prototype.storeCharacter = function (buf, offset, ch, options) {
+    if (ch < 0x80) {
+        buf[offset] = ch;
+        return 1;
+    }
+    if (ch == 0xE5E5)
+        return this.storeFallback(buf, offset, ch, options);
+    if (this.isGBK && ch == 0x20AC) {
+        buf[offset] = 0x80;
+        return 1;
+    }
+    var pointer = this.getPointer(ch);
+    if (pointer !== undefined) {
+        var trail = pointer % 190;
+        buf[offset] = Math.floor(pointer / 190) + 0x81;
+        buf[offset + 1] = trail + (trail < 0x3F ? 0x40 : 0x41);
+        return 2;
+    }
+    if (this.isGBK)
+        return this.storeFallback(buf, offset, ch, options);
+    pointer = gb18030RangesPointer(ch);
+    buf[offset] = Math.floor(pointer / 12600) + 0x81;
+    pointer %= 12600;
+    buf[offset + 1] = Math.floor(pointer / 1260) + 0x30;
+    pointer %= 1260;
+    buf[offset + 2] = Math.floor(pointer / 10) + 0x81;
+    buf[offset + 3] = pointer % 10 + 0x30;
+    return 4;
+};
+
+/**
+ * Get the code point for a four-byte GB18030 pointer, using the GB18030 ranges index.
+ *
+ * @param {Number} pointer  the pointer
+ * @returns {Number}        the code point, or <code>null</code> if the pointer is not valid
+ */
+function gb18030RangesCodePoint(pointer) {
+    if (pointer > 39419 && pointer < 189000 || pointer > 1237575)
+        return null;
+    if (pointer == 7457)
+        return 0xE7C7;
+    var ranges = getIndexTable('gb18030-ranges');
+    var lo = 0, hi = ranges.length;
+    while (hi - lo > 1) { // find last entry with pointer <= the given pointer
+        var mid = (lo + hi) >> 1;
+        if (ranges[mid][0] > pointer)
+            hi = mid;
+        else
+            lo = mid;
+    }
+    return ranges[lo][1] + pointer - ranges[lo][0];
+}
+
+/**
+ * Get the four-byte GB18030 pointer for a code point, using the GB18030 ranges index.
+ *
+ * @param {Number} cp   the code point
+ * @returns {Number}    the pointer
+ */
+function gb18030RangesPointer(cp) {
+    if (cp == 0xE7C7)
+        return 7457;
+    var ranges = getIndexTable('gb18030-ranges');
+    var lo = 0, hi = ranges.length;
+    while (hi - lo > 1) { // find last entry with code point <= the given code point
+        var mid = (lo + hi) >> 1;
+        if (ranges[mid][1] > cp)
+            hi = mid;
+        else
+            lo = mid;
+    }
+    return ranges[lo][0] + cp - ranges[lo][1];
+}
+
+// GB18030
+
+Encoding.gb18030 = new GB18030Encoding('gb18030', /^gb[\-_]?18030$/i, 0.5);
+
+Encoding.register(Encoding.gb18030, [ 'csgb18030' ]);
+
+// GBK
+
+Encoding.gbk = new GB18030Encoding('gbk',
+        /^((x[\-_])?gbk|gb[\-_]?2312(-80)?|chinese|csgb2312|csiso58gb231280|iso-ir-58)$/i, 0.5,
+        true);
+
+Encoding.register(Encoding.gbk, [ 'chinese', 'csgb2312', 'csiso58gb231280', 'gb2312', 'gb_2312',
+        'gb_2312-80', 'iso-ir-58', 'x-gbk', 'cp936', 'ms936', 'windows-936', 'csgbk' ]);
+
+// Big5
+
+// the following encoding is implemented according to http://encoding.spec.whatwg.org/#big5
+Encoding.big5 = new MultiByteEncoding('big5',
+        /^((cn[\-_]|cs|x[\-_]x[\-_])?big5|big5[\-_]hkscs)$/i, 0.5);
+
+// the Big5 pointers that decode to two characters
+var big5SpecialSequences = {
+    1133: '\u00CA\u0304',
+    1135: '\u00CA\u030C',
+    1164: '\u00EA\u0304',
+    1166: '\u00EA\u030C'
+};
+
+/**
+ * Decode a Big5 encoded buffer to a string.  The HKSCS extensions are included; four of the
+ * byte sequences decode to two Unicode characters (a letter followed by a combining mark).
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.big5.decodeBytes = function (buf, options, stream) {
+    var a = '';
+    var i = 0, start, ch, ch2, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch < 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch >= 0x81 && ch <= 0xFE) {
+            if (i >= buf.length) {
+                a += incompleteSequence(buf, i - 1, options, stream, this);
+                break;
+            }
+            ch2 = buf[i];
+            cp = null;
+            if (ch2 >= 0x40 && ch2 <= 0x7E || ch2 >= 0xA1 && ch2 <= 0xFE) {
+                var pointer = (ch - 0x81) * 157 + ch2 - (ch2 < 0x7F ? 0x40 : 0x62);
+                cp = big5SpecialSequences[pointer] || getIndexTable('big5')[pointer];
+            }
+            if (cp === null || cp === undefined) {
+                if (ch2 >= 0x80) // an ASCII second byte is left to be decoded on its own
+                    i++;
+                a += getReplCharOrError(options, 'Illegal Big5 sequence: 0x' + hexChar(ch) +
+                        ' 0x' + hexChar(ch2), this, start, buf.slice(start, i));
+            }
+            else {
+                i++;
+                a += typeof cp == 'string' ? cp : cp > 0xFFFF ? createSurrogateString(cp) :
+                        String.fromCharCode(cp);
+            }
+        }
+        else
+            a += getReplCharOrError(options, 'Illegal Big5 byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+    }
+    return a;
+};
+
+/**
+ * Get the Big5 pointer for a character, using the reverse mapping table (lazily initialised
+ * from the Big5 index).  The HKSCS pointers below 0xA1 are excluded, and for a small number of
+ * characters that occur twice in the index the last pointer is used.
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+Encoding.big5.getPointer = function (ch) {
+    if (!this.reverse) {
+        var table = getIndexTable('big5');
+        var start = (0xA1 - 0x81) * 157;
+        this.reverse = createReverseIndex(table, function (pointer) {
+            return pointer < start;
+        });
+        [ 0x2550, 0x255E, 0x2561, 0x256A, 0x5341, 0x5345 ].forEach(function (cp) {
+            this.reverse[cp] = table.lastIndexOf(cp);
+        }, this);
+    }
+    return this.reverse[ch];
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character in Big5.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.big5.lenCharacter = function (ch, options) {
+    if (ch < 0x80)
+        return 1;
+    return this.getPointer(ch) === undefined ? this.lenFallback(ch, options) : 2;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.big5.storeCharacter = function (buf, offset, ch, options) {
+    if (ch < 0x80) {
+        buf[offset] = ch;
+        return 1;
+    }
+    var pointer = this.getPointer(ch);
+    if (pointer === undefined)
+        return this.storeFallback(buf, offset, ch, options);
+    var trail = pointer % 157;
+    buf[offset] = Math.floor(pointer / 157) + 0x81;
+    buf[offset + 1] = trail + (trail < 0x3F ? 0x40 : 0x62);
+    return 2;
+};
+
+Encoding.register(Encoding.big5, [ 'big5-hkscs', 'cn-big5', 'csbig5', 'x-x-big5', 'csbig5hkscs' ]);
+
+// EUC-KR
+
+// the following encoding is implemented according to http://encoding.spec.whatwg.org/#euc-kr
+Encoding.euckr = new MultiByteEncoding('euc-kr',
+        /^((cs)?euc[\-_]?kr|csksc56011987|iso-ir-149|korean|ks_?c_?5601(-198[79])?|windows-949)$/i,
+        0.5);
+
+/**
+ * Decode an EUC-KR encoded buffer to a string.
+ *
+ * @param {Buffer}          buf        the buffer
+ * @param {Object}          [options]  an options object
+ * @param {DecodeStream}    [stream]   the decode stream, or <code>null</code>
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.euckr.decodeBytes = function (buf, options, stream) {
+    var a = '';
+    var i = 0, start, ch, ch2, cp;
+    while (i < buf.length) {
+        start = i;
+        ch = buf[i++];
+        if (ch < 0x80)
+            a += String.fromCharCode(ch);
+        else if (ch >= 0x81 && ch <= 0xFE) {
+            if (i >= buf.length) {
+                a += incompleteSequence(buf, i - 1, options, stream, this);
+                break;
+            }
+            ch2 = buf[i];
+            cp = ch2 >= 0x41 && ch2 <= 0xFE ?
+                    getIndexTable('euc-kr')[(ch - 0x81) * 190 + ch2 - 0x41] : null;
+            if (cp === null || cp === undefined) {
+                if (ch2 >= 0x80) // an ASCII second byte is left to be decoded on its own
+                    i++;
+                a += getReplCharOrError(options, 'Illegal EUC-KR sequence: 0x' + hexChar(ch) +
+                        ' 0x' + hexChar(ch2), this, start, buf.slice(start, i));
+            }
+            else {
+                i++;
+                a += String.fromCharCode(cp);
+            }
+        }
+        else
+            a += getReplCharOrError(options, 'Illegal EUC-KR byte: 0x' + hexChar(ch),
+                    this, start, buf.slice(start, i));
+    }
+    return a;
+};
+
+/**
+ * Get the EUC-KR pointer for a character, using the reverse mapping table (lazily initialised
+ * from the EUC-KR index).
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+Encoding.euckr.getPointer = function (ch) {
+    if (!this.reverse)
+        this.reverse = createReverseIndex(getIndexTable('euc-kr'));
+    return this.reverse[ch];
+};
+
+/**
+ * Calculate the number of bytes required to encode the given character in EUC-KR.
+ *
+ * @param {Number} ch           the numeric code for the character
+ * @param {Object} [options]    an options object
+ * @returns {Number}            the length of the sequence for this character
+ */
+Encoding.euckr.lenCharacter = function (ch, options) {
+    if (ch < 0x80)
+        return 1;
+    return this.getPointer(ch) === undefined ? this.lenFallback(ch, options) : 2;
+};
+
+/**
+ * Store the mapping for the character in the output buffer.
+ *
+ * @param {Buffer}  buf         the output buffer
+ * @param {Number}  offset      the offset at which to store the mapped sequence
+ * @param {Number}  ch          the numeric code for the character
+ * @param {Object}  [options]   an options object
+ * @returns {Number}            the length of the sequence for this character
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.euckr.storeCharacter = function (buf, offset, ch, options) {
+    if (ch < 0x80) {
+        buf[offset] = ch;
+        return 1;
+    }
+    var pointer = this.getPointer(ch);
+    if (pointer === undefined)
+        return this.storeFallback(buf, offset, ch, options);
+    buf[offset] = Math.floor(pointer / 190) + 0x81;
+    buf[offset + 1] = pointer % 190 + 0x41;
+    return 2;
+};
+
+Encoding.register(Encoding.euckr, [ 'cp949', 'cseuckr', 'csksc56011987', 'iso-ir-149', 'korean',
+        'ks_c_5601-1987', 'ks_c_5601-1989', 'ksc5601', 'ksc_5601', 'windows-949' ]);
+
+// ISO-2022-JP
+
+// the following encoding is implemented according to http://encoding.spec.whatwg.org/#iso-2022-jp
+Encoding.iso2022jp = new StatefulEncoding('iso-2022-jp', /^(cs)?iso[\-_]?2022[\-_]?jp$/i, 0.5);
+
+// decoder and encoder states
+var iso2022jpASCII = 0;
+var iso2022jpRoman = 1;
+var iso2022jpKatakana = 2;
+var iso2022jpLeadByte = 3;
+var iso2022jpTrailByte = 4;
+var iso2022jpEscapeStart = 5;
+var iso2022jpEscape = 6;
+var iso2022jpJIS0208 = 7;
+
+/**
+ * Create a state object for an ISO-2022-JP encoder or decoder.
+ *
+ * @returns {Object}    the state object
+ */
+Encoding.iso2022jp.createState = function () {
+    return {
+        decoder: iso2022jpASCII,
+        output: iso2022jpASCII,
+        lead: 0,
+        outputFlag: false,
+        encoder: iso2022jpASCII,
+        highSurrogate: 0
+    };
+};
+
+/**
+ * Decode an ISO-2022-JP encoded buffer to a string.
+ *
+ * @param {Buffer}  buf         the buffer
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.iso2022jp.decodeBytes = function (buf, options, state) {
+    return decodeISO2022JP(buf, options, state, false, this);
+};
+
+/**
+ * Complete the decoding of a buffer or a stream.
+ *
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} any final decoded characters (the replacement character if the input ended
+ *                  part-way through a sequence)
+ * @throws Error    if the input ended part-way through a sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+Encoding.iso2022jp.decodeEnd = function (options, state) {
+    return decodeISO2022JP(new Buffer(0), options, state, true, this);
+};
+
+/**
+ * Run the ISO-2022-JP decoder state machine over a buffer.  Bytes that the algorithm
+ * "prepends" to the input are held in a local stack; end of input is represented by -1.  The
+ * offsets in any errors are relative to the start of the buffer (the lead byte of a sequence
+ * may have been in a previous buffer, giving a negative offset).
+ *
+ * @param {Buffer}  buf         the buffer
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @param {Boolean} end         if true, process end of input after the buffer
+ * @param {Encoding} encoding   the encoding
+ * @returns {String} the decoded string
+ */
+function decodeISO2022JP(buf, options, state, end, encoding) {
+    var a = '';
+    var i = 0, pending = [], b, pos, cp, next, flag, lead;
+    for (;;) {
+        if (pending.length)
+            b = pending.pop();
+        else if (i < buf.length)
+            b = buf[i++];
+        else if (end) {
+            end = false;
+            b = -1;
+        }
+        else
+            break;
+        // the offset of the byte (pending bytes are those immediately preceding the next byte)
+        pos = b < 0 ? buf.length : i - 1 - pending.length;
+        switch (state.decoder) {
+        case iso2022jpASCII:
+        case iso2022jpRoman:
+            if (b == 0x1B)
+                state.decoder = iso2022jpEscapeStart;
+            else if (b >= 0 && b < 0x80 && b != 0x0E && b != 0x0F) {
+                state.outputFlag = false;
+                if (state.decoder == iso2022jpRoman && b == 0x5C)
+                    a += '\u00A5';
+                else if (state.decoder == iso2022jpRoman && b == 0x7E)
+                    a += '\u203E';
+                else
+                    a += String.fromCharCode(b);
+            }
+            else if (b >= 0) {
+                state.outputFlag = false;
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP byte: 0x' + hexChar(b),
+                        encoding, pos, [ b ]);
+            }
+            break;
+        case iso2022jpKatakana:
+            if (b == 0x1B)
+                state.decoder = iso2022jpEscapeStart;
+            else if (b >= 0x21 && b <= 0x5F) {
+                state.outputFlag = false;
+                a += String.fromCharCode(0xFF61 - 0x21 + b);
+            }
+            else if (b >= 0) {
+                state.outputFlag = false;
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP byte: 0x' + hexChar(b),
+                        encoding, pos, [ b ]);
+            }
+            break;
+        case iso2022jpLeadByte:
+            if (b == 0x1B)
+                state.decoder = iso2022jpEscapeStart;
+            else if (b >= 0x21 && b <= 0x7E) {
+                state.outputFlag = false;
+                state.lead = b;
+                state.decoder = iso2022jpTrailByte;
+            }
+            else if (b >= 0) {
+                state.outputFlag = false;
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP byte: 0x' + hexChar(b),
+                        encoding, pos, [ b ]);
+            }
+            break;
+        case iso2022jpTrailByte:
+            if (b == 0x1B) {
+                state.decoder = iso2022jpEscapeStart;
+                a += getReplCharOrError(options, 'Incomplete ISO-2022-JP sequence', encoding,
+                        pos - 1, [ state.lead ]);
+                break;
+            }
+            state.decoder = iso2022jpLeadByte;
+            if (b >= 0x21 && b <= 0x7E) {
+                cp = getIndexTable('jis0208')[(state.lead - 0x21) * 94 + b - 0x21];
+                if (cp === null || cp === undefined) {
+                    a += getReplCharOrError(options, 'Illegal ISO-2022-JP sequence: 0x' +
+                            hexChar(state.lead) + ' 0x' + hexChar(b), encoding, pos - 1,
+                            [ state.lead, b ]);
+                }
+                else
+                    a += String.fromCharCode(cp);
+            }
+            else if (b < 0) {
+                pending.push(b);
+                a += getReplCharOrError(options, 'Incomplete ISO-2022-JP sequence', encoding,
+                        pos - 1, [ state.lead ], codeIncompleteSequence);
+            }
+            else
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP byte: 0x' + hexChar(b),
+                        encoding, pos, [ b ]);
+            break;
+        case iso2022jpEscapeStart:
+            if (b == 0x24 || b == 0x28) {
+                state.lead = b;
+                state.decoder = iso2022jpEscape;
+            }
+            else {
+                pending.push(b);
+                state.outputFlag = false;
+                state.decoder = state.output;
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP escape sequence', encoding,
+                        pos - 1, [ 0x1B ], b < 0 ? codeIncompleteSequence : null);
+            }
+            break;
+        case iso2022jpEscape:
+            next = null;
+            if (state.lead == 0x28) {
+                if (b == 0x42)
+                    next = iso2022jpASCII;
+                else if (b == 0x4A)
+                    next = iso2022jpRoman;
+                else if (b == 0x49)
+                    next = iso2022jpKatakana;
+            }
+            else if (b == 0x40 || b == 0x42)
+                next = iso2022jpLeadByte;
+            lead = state.lead;
+            state.lead = 0;
+            if (next !== null) {
+                state.decoder = state.output = next;
+                flag = state.outputFlag;
+                state.outputFlag = true;
+                if (flag) { // two consecutive escape sequences
+                    a += getReplCharOrError(options, 'Redundant ISO-2022-JP escape sequence',
+                            encoding, pos - 2, [ 0x1B, lead, b ]);
+                }
+            }
+            else {
+                pending.push(b, lead);
+                state.outputFlag = false;
+                state.decoder = state.output;
+                a += getReplCharOrError(options, 'Illegal ISO-2022-JP escape sequence', encoding,
+                        pos - 2, [ 0x1B, lead ], b < 0 ? codeIncompleteSequence : null);
+            }
+            break;
+        }
+    }
+    return a;
+}
+
+/**
+ * Get the JIS X 0208 pointer for a character, using the reverse mapping table (lazily
+ * initialised from the JIS X 0208 index).
+ *
+ * @param {Number} ch      the numeric code for the character
+ * @returns {Number}       the pointer, or <code>undefined</code> if the character is not mapped
+ */
+Encoding.iso2022jp.getPointer = function (ch) {
+    if (!this.reverse)
+        this.reverse = createReverseIndex(getIndexTable('jis0208'));
+    return this.reverse[ch];
+};
+
+/**
+ * Encode a single code point, switching character set (and outputting the appropriate escape
+ * sequence) only when the current set can not represent the character.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Number}  cp          the code point
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
+ *                  options object
+ */
+Encoding.iso2022jp.encodeCodePoint = function (bytes, cp, options, state) {
+    if (state.encoder != iso2022jpJIS0208 && (cp == 0x0E || cp == 0x0F || cp == 0x1B)) {
+        this.encodeFallback(bytes, cp, options, state);
+        return;
+    }
+    if (state.encoder == iso2022jpASCII && cp < 0x80) {
+        bytes.push(cp);
+        return;
+    }
+    if (state.encoder == iso2022jpRoman) {
+        if (cp < 0x80 && cp != 0x5C && cp != 0x7E) {
+            bytes.push(cp);
+            return;
+        }
+        if (cp == 0xA5 || cp == 0x203E) {
+            bytes.push(cp == 0xA5 ? 0x5C : 0x7E);
+            return;
+        }
+    }
+    if (cp < 0x80) {
+        bytes.push(0x1B, 0x28, 0x42);
+        state.encoder = iso2022jpASCII;
+        this.encodeCodePoint(bytes, cp, options, state);
+        return;
+    }
+    if (cp == 0xA5 || cp == 0x203E) {
+        bytes.push(0x1B, 0x28, 0x4A);
+        state.encoder = iso2022jpRoman;
+        this.encodeCodePoint(bytes, cp, options, state);
+        return;
+    }
+    var ch = cp;
+    if (ch == 0x2212)
+        ch = 0xFF0D;
+    else if (ch >= 0xFF61 && ch <= 0xFF9F)
+        ch = getIndexTable('iso-2022-jp-katakana')[ch - 0xFF61];
+    var pointer = this.getPointer(ch);
+    if (pointer === undefined) {
+        if (state.encoder == iso2022jpJIS0208) {
+            bytes.push(0x1B, 0x28, 0x42);
+            state.encoder = iso2022jpASCII;
+        }
+        this.encodeFallback(bytes, cp, options, state);
+        return;
+    }
+    if (state.encoder != iso2022jpJIS0208) {
+        bytes.push(0x1B, 0x24, 0x42);
+        state.encoder = iso2022jpJIS0208;
+    }
+    bytes.push(Math.floor(pointer / 94) + 0x21, pointer % 94 + 0x21);
+};
+
+/**
+ * Return the encoder to the ASCII state at the end of the string or stream.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+Encoding.iso2022jp.encodeEnd = function (bytes, options, state) {
+    if (state.encoder != iso2022jpASCII) {
+        bytes.push(0x1B, 0x28, 0x42);
+        state.encoder = iso2022jpASCII;
+    }
+};
+
+Encoding.register(Encoding.iso2022jp, [ 'csiso2022jp' ]);
+
+// UTF7Encoding
+
+// the characters encoded directly by the UTF-7 encoder (RFC 2152 sets D and O, and whitespace)
+var utf7DirectChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789' +
+        '\'(),-./:? \t\r\n!"#$%&*;<=>@[]^_`{|}';
+
+/**
+ * Encoding table entry for UTF-7 (RFC 2152) and the modified form of UTF-7 used for IMAP mailbox
+ * names (RFC 3501).  Characters other than those encoded directly are encoded as UTF-16 code
+ * units in base64, in a sequence that starts with a shift character (<code>+</code>, or
+ * <code>&amp;</code> in the IMAP form) and ends with <code>-</code>; the shift character itself
+ * is encoded as the shift character followed by <code>-</code>.  The IMAP form encodes all
+ * printable ASCII characters directly, uses <code>,</code> in place of <code>/</code> in the
+ * base64 alphabet, and requires every base64 sequence to be terminated by <code>-</code>.
+ *
+ * <p>The state object carries the shift state and the partial base64 bits from one chunk to the
+ * next, in both directions.</p>
+ *
+ * @constructor
+ * @param {String}  name      the name of this encoding
+ * @param {RegExp}  test      a regular expression to compare for this encoding name
+ * @param {Number}  [qvalue]  the qvalue to use when creating "Accept-Charset" header
+ * @param {Boolean} [isIMAP]  if true, use the IMAP modified form
+ */
+function UTF7Encoding(name, test, qvalue, isIMAP) {
+    StatefulEncoding.call(this, name, test, qvalue);
+    this.isIMAP = !!isIMAP;
+    /** The byte that starts a base64 sequence @type Number */
+    this.shiftByte = isIMAP ? 0x26 : 0x2B;
+    /** The base64 alphabet @type String */
+    this.base64Chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+' +
+            (isIMAP ? ',' : '/');
+}
+
+UTF7Encoding.prototype = Object.create(StatefulEncoding.prototype, {
+    constructor: { value: UTF7Encoding, enumerable: false, writable: true,
+            configurable: true }
+});
+
+/**
+ * Create a state object for a UTF-7 encoder or decoder.
+ *
+ * @returns {Object}    the state object
+ */
+UTF7Encoding.prototype.createState = function () {
+    return {
+        decoder: false, // true when decoding base64
+        decodeBits: 0,
+        decodeBitCount: 0,
+        decodeEmpty: false, // true when no base64 character has followed the shift byte
+        decodeSurrogate: 0,
+        encoder: false, // true when encoding base64
+        encodeBits: 0,
+        encodeBitCount: 0,
+        highSurrogate: 0
+    };
+};
+
+/**
+ * Decode a UTF-7 encoded buffer to a string.  The offsets in any errors are relative to the
+ * start of the buffer.
+ *
+ * @param {Buffer}  buf         the buffer
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer contains an invalid byte sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+UTF7Encoding.prototype.decodeBytes = function (buf, options, state) {
+    var a = '';
+    for (var i = 0; i < buf.length; i++) {
+        var b = buf[i];
+        if (state.decoder) {
+            var value = b < 0x80 ? this.base64Chars.indexOf(String.fromCharCode(b)) : -1;
+            if (value >= 0) {
+                state.decodeEmpty = false;
+                state.decodeBits = state.decodeBits << 6 | value;
+                state.decodeBitCount += 6;
+                if (state.decodeBitCount >= 16) {
+                    state.decodeBitCount -= 16;
+                    a += this.decodeUnit(state.decodeBits >> state.decodeBitCount, options,
+                            state, i);
+                    state.decodeBits &= (1 << state.decodeBitCount) - 1;
+                }
+                continue;
+            }
+            a += this.decodeShiftEnd(b, options, state, i);
+            if (b == 0x2D)
+                continue;
+        }
+        if (b == this.shiftByte) {
+            state.decoder = true;
+            state.decodeEmpty = true;
+        }
+        else if (b >= 0x80 || this.isIMAP && (b < 0x20 || b == 0x7F)) {
+            a += getReplCharOrError(options, 'Illegal ' + this.name + ' byte: 0x' + hexChar(b),
+                    this, i, [ b ]);
+        }
+        else
+            a += String.fromCharCode(b);
+    }
+    return a;
+};
+
+/**
+ * Complete the decoding of a buffer or a stream, reporting an unterminated base64 sequence.
+ *
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} any final decoded characters (the replacement character if the input ended
+ *                  part-way through a sequence)
+ * @throws Error    if the input ended part-way through a sequence and 'errorFatal' is set to
+ *                  true in the options object
+ */
+UTF7Encoding.prototype.decodeEnd = function (options, state) {
+    return state.decoder ? this.decodeShiftEnd(-1, options, state, 0) : '';
+};
+
+/**
+ * Decode a UTF-16 code unit from a base64 sequence, combining surrogate pairs.  An unpaired
+ * surrogate is replaced by the replacement character.
+ *
+ * @param {Number}  unit        the code unit
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @param {Number}  pos         the offset of the current byte
+ * @returns {String} the decoded characters
+ */
+UTF7Encoding.prototype.decodeUnit = function (unit, options, state, pos) {
+    var a = '';
+    if (state.decodeSurrogate) {
+        if (isLowSurrogate(unit)) {
+            a = String.fromCharCode(state.decodeSurrogate, unit);
+            state.decodeSurrogate = 0;
+            return a;
+        }
+        a = getReplCharOrError(options, 'Invalid ' + this.name + ' surrogate sequence', this,
+                pos, []);
+        state.decodeSurrogate = 0;
+    }
+    if (isHighSurrogate(unit))
+        state.decodeSurrogate = unit;
+    else if (isLowSurrogate(unit)) {
+        a += getReplCharOrError(options, 'Invalid ' + this.name + ' surrogate sequence', this,
+                pos, []);
+    }
+    else
+        a += String.fromCharCode(unit);
+    return a;
+};
+
+/**
+ * End a base64 sequence, on receipt of a byte that is not a base64 character (or at the end of
+ * the input).  The sequence is invalid if it leaves an unpaired surrogate or more than the
+ * padding bits, or if the shift byte is followed directly by a byte other than <code>-</code>;
+ * in the IMAP form, it is also invalid if it is not terminated by <code>-</code>.  The shift
+ * byte followed by <code>-</code> represents the shift character itself.
+ *
+ * @param {Number}  b           the byte, or -1 at the end of the input
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @param {Number}  pos         the offset of the byte
+ * @returns {String} the decoded characters
+ */
+UTF7Encoding.prototype.decodeShiftEnd = function (b, options, state, pos) {
+    var a = '', code = b < 0 ? codeIncompleteSequence : null;
+    var valid = !(state.decodeSurrogate || state.decodeBitCount >= 6 || state.decodeBits);
+    if (state.decodeEmpty)
+        a = b == 0x2D ? String.fromCharCode(this.shiftByte) : '';
+    if (!valid || state.decodeEmpty && b != 0x2D || this.isIMAP && b != 0x2D) {
+        a += getReplCharOrError(options, (valid ? 'Unterminated ' : 'Invalid ') + this.name +
+                ' base64 sequence', this, pos, b < 0 ? [] : [ b ], code);
+    }
+    state.decoder = false;
+    state.decodeBits = state.decodeBitCount = state.decodeSurrogate = 0;
+    state.decodeEmpty = false;
+    return a;
+};
+
+/**
+ * Encode a single code point, starting or ending a base64 sequence as required.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Number}  cp          the code point
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+UTF7Encoding.prototype.encodeCodePoint = function (bytes, cp, options, state) {
+    if (cp == this.shiftByte) {
+        this.encodeEnd(bytes, options, state);
+        bytes.push(cp, 0x2D);
+    }
+    else if (this.isIMAP ? cp >= 0x20 && cp < 0x7F :
+            cp < 0x80 && utf7DirectChars.indexOf(String.fromCharCode(cp)) >= 0) {
+        this.encodeEnd(bytes, options, state);
+        bytes.push(cp);
+    }
+    else {
+        if (!state.encoder) {
+            bytes.push(this.shiftByte);
+            state.encoder = true;
+        }
+        if (cp > 0xFFFF) {
+            cp -= 0x10000;
+            this.encodeUnit(bytes, 0xD800 + (cp >> 10), state);
+            this.encodeUnit(bytes, 0xDC00 + (cp & 0x3FF), state);
+        }
+        else
+            this.encodeUnit(bytes, cp, state);
+    }
+};
+
+/**
+ * Encode a UTF-16 code unit in the current base64 sequence.  Bits that do not complete a base64
+ * character are held in the state object.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Number}  unit        the code unit
+ * @param {Object}  state       the state object
+ */
+UTF7Encoding.prototype.encodeUnit = function (bytes, unit, state) {
+    state.encodeBits = state.encodeBits << 16 | unit;
+    state.encodeBitCount += 16;
+    while (state.encodeBitCount >= 6) {
+        state.encodeBitCount -= 6;
+        bytes.push(this.base64Chars.charCodeAt(state.encodeBits >> state.encodeBitCount & 0x3F));
+    }
+    state.encodeBits &= (1 << state.encodeBitCount) - 1;
+};
+
+/**
+ * End the current base64 sequence (if any), outputting the remaining bits (padded with zero
+ * bits) and the terminating <code>-</code>.  This is also called at the end of the string or
+ * stream.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+UTF7Encoding.prototype.encodeEnd = function (bytes, options, state) {
+    if (!state.encoder)
+        return;
+    if (state.encodeBitCount) {
+        bytes.push(this.base64Chars.charCodeAt(state.encodeBits <<
+                (6 - state.encodeBitCount) & 0x3F));
+    }
+    bytes.push(0x2D);
+    state.encoder = false;
+    state.encodeBits = state.encodeBitCount = 0;
+};
+
+// UTF-7
+
+Encoding.utf7 = new UTF7Encoding('utf-7', /^(x[\-_])?utf[\-_]?7$/i, 0.1);
+
+Encoding.register(Encoding.utf7, [ 'unicode-1-1-utf-7', 'csunicode11utf7', 'csutf7' ]);
+
+// UTF-7 (IMAP)
+
+Encoding.utf7imap = new UTF7Encoding('utf-7-imap', /^utf[\-_]?7[\-_]?imap$/i, 0.1, true);
+
+Encoding.register(Encoding.utf7imap, [ 'x-imap4-modified-utf7' ]);
+
+// replacement
+
+// the following encoding is implemented according to
+// http://encoding.spec.whatwg.org/#replacement - it stands in for encodings that are unsafe to
+// decode (such as ISO-2022-KR), so that they cannot be read as something else; it is never
+// offered or negotiated (its qvalue is 0)
+Encoding.replacement = new StatefulEncoding('replacement', /^replacement$/i, 0);
+
+/**
+ * Create a state object for a replacement encoder or decoder.
+ *
+ * @returns {Object}    the state object
+ */
+Encoding.replacement.createState = function () {
+    return {
+        decoded: false,
+        highSurrogate: 0
+    };
+};
+
+/**
+ * Decode a buffer to a string.  The first non-empty buffer of a string or stream decodes to a
+ * single replacement character; everything after it decodes to nothing.
+ *
+ * @param {Buffer}  buf         the buffer
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} the decoded string
+ * @throws Error    if the buffer is the first non-empty buffer and 'errorFatal' is set to true
+ *                  in the options object
+ */
+Encoding.replacement.decodeBytes = function (buf, options, state) {
+    if (state.decoded || !buf.length)
+        return '';
+    state.decoded = true;
+    return getReplCharOrError(options, 'Data in the replacement encoding can not be decoded',
+            this, 0, buf.slice(0, 1));
+};
+
+/**
+ * Complete the decoding of a buffer or a stream.
+ *
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ * @returns {String} an empty string
+ */
+Encoding.replacement.decodeEnd = function (options, state) {
+    return '';
+};
+
+/**
+ * Encode a code point; the encoder of the replacement encoding is UTF-8.
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Number}  cp          the code point
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+Encoding.replacement.encodeCodePoint = function (bytes, cp, options, state) {
+    var buf = Encoding.utf8.encode(cp > 0xFFFF ? createSurrogateString(cp) :
+            String.fromCharCode(cp));
+    for (var i = 0; i < buf.length; i++)
+        bytes.push(buf[i]);
+};
+
+/**
+ * Complete the encoding of a string or stream (there is nothing to do).
+ *
+ * @param {Array}   bytes       the output array of bytes
+ * @param {Object}  [options]   an options object
+ * @param {Object}  state       the state object
+ */
+Encoding.replacement.encodeEnd = function (bytes, options, state) {
+};
+
+Encoding.register(Encoding.replacement, [ 'csiso2022kr', 'hz-gb-2312', 'iso-2022-cn',
+        'iso-2022-cn-ext', 'iso-2022-kr' ]);
+
+// Transcoding
+
+/**
+ * Transcode a buffer from one encoding to another.  The data is decoded and then encoded, using
+ * the given options for both operations, except in the following cases:
+ * <ul>
+ *   <li>if both encodings are ASCII-compatible and the data contains only ASCII bytes, the
+ *       buffer is returned unchanged</li>
+ *   <li>transcoding from a single-byte (code page) encoding to UTF-8 uses a table of the UTF-8
+ *       sequences for each byte value (see {@link transcodeCodePageToUTF8})</li>
+ * </ul>
+ *
+ * @param {Buffer}          buf         the data to be transcoded
+ * @param {Encoding|String} from        the source encoding, or its name
+ * @param {Encoding|String} to          the target encoding, or its name
+ * @param {Object}          [options]   an options object, as for {@link Encoding#decode} and
+ *                                      {@link Encoding#encode}
+ * @returns {Buffer}        the transcoded data (which may be the input buffer)
+ * @throws Error    if either encoding is not known
+ * @throws EncodingError    if the data can not be transcoded and 'errorFatal' is set to true in
+ *                  the options object
+ */
+Encoding.transcode = function (buf, from, to, options) {
+    from = resolveEncoding(from);
+    to = resolveEncoding(to);
+    if (!(options && (options.bomSniff || options.swapNL))) {
+        if (isASCIICompatible(from) && isASCIICompatible(to) && isASCII(buf))
+            return buf;
+        if (from instanceof CodePageEncoding && to === Encoding.utf8)
+            return transcodeCodePageToUTF8(buf, from, options);
+    }
+    return to.encode(from.decode(buf, options), options);
+};
+
+/**
+ * Create a {@link TranscodeStream}, to transcode a stream of data from one encoding to another.
+ *
+ * @param {Encoding|String} from        the source encoding, or its name
+ * @param {Encoding|String} to          the target encoding, or its name
+ * @param {Object}          [options]   an options object, as for the decode and encode streams
+ * @returns {TranscodeStream}   the transcode stream
+ * @throws Error    if either encoding is not known
+ */
+Encoding.transcodeStream = function (from, to, options) {
+    return new TranscodeStream(resolveEncoding(from), resolveEncoding(to), options);
+};
+
+/**
+ * Get the encoding for a transcoding operation.
+ *
+ * @param {Encoding|String} encoding    the encoding, or its name
+ * @returns {Encoding}      the encoding
+ * @throws Error    if the encoding is not known
+ */
+function resolveEncoding(encoding) {
+    if (encoding instanceof Encoding)
+        return encoding;
+    var resolved = Encoding.getEncoding(String(encoding));
+    if (!resolved)
+        throw new Error('Unknown encoding: ' + encoding);
+    return resolved;
+}
+
+/**
+ * Determine whether an encoding is ASCII-compatible, that is, whether the bytes 0x00 to 0x7F
+ * represent the ASCII characters both when decoding and when encoding.  Stateful encodings are
+ * not considered compatible, since they use ASCII control characters as escapes.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @returns {Boolean}   true if the encoding is ASCII-compatible
+ */
+function isASCIICompatible(encoding) {
+    if (encoding instanceof CodePageEncoding)
+        return encoding.tableStart >= 0x80;
+    return encoding === Encoding.utf8 || encoding === Encoding.usascii ||
+            encoding instanceof MultiByteEncoding;
+}
+
+/**
+ * Determine whether a buffer contains only ASCII bytes.
+ *
+ * @param {Buffer}  buf     the buffer
+ * @returns {Boolean}       true if all of the bytes are less than 0x80
+ */
+function isASCII(buf) {
+    for (var i = 0; i < buf.length; i++) {
+        if (buf[i] >= 0x80)
+            return false;
+    }
+    return true;
+}
+
+/**
+ * Transcode a buffer from a code page encoding to UTF-8, using the table of UTF-8 sequences for
+ * each byte value.  Undefined byte values are replaced by the UTF-8 encoding of the replacement
+ * character (or cause an error to be thrown if 'errorFatal' is set).
+ *
+ * @param {Buffer}              buf         the data to be transcoded
+ * @param {CodePageEncoding}    encoding    the source encoding
+ * @param {Object}              [options]   an options object
+ * @returns {Buffer}        the transcoded data
+ * @throws EncodingError    if the data contains an undefined byte value and 'errorFatal' is
+ *                  set to true in the options object
+ */
+function transcodeCodePageToUTF8(buf, encoding, options) {
+    var table = encoding.getUTF8Table();
+    var substitutes = {};
+    var len = 0, i, bytes;
+    for (i = 0; i < buf.length; i++) {
+        bytes = table[buf[i]];
+        if (!bytes) {
+            bytes = substitutes[i] = Encoding.utf8.encode(getReplCharOrError(options,
+                    'Undefined ' + encoding.name + ' byte: 0x' + hexChar(buf[i]), encoding, i,
+                    buf.slice(i, i + 1)));
+        }
+        len += bytes.length;
+    }
+    var result = new Buffer(len);
+    var offset = 0;
+    for (i = 0; i < buf.length; i++) {
+        bytes = table[buf[i]] || substitutes[i];
+        for (var j = 0; j < bytes.length; j++)
+            result[offset++] = bytes[j];
+    }
+    return result;
+}
+
+// Encoding detection
+
+var defaultDetectLength = 4096;
+
+// the characters that indicate Japanese text: the common punctuation, hiragana and katakana
+var japaneseDetectChars = /[\u3001\u3002\u3041-\u3093\u30A1-\u30F6\u30FC]/;
+
+// the most frequently occurring characters in simplified Chinese text
+var simplifiedChineseDetectChars = new RegExp('[' +
+        '\u7684\u4E00\u662F\u4E0D\u4E86\u5728\u4EBA\u6709\u6211\u4ED6\u8FD9\u4E2A\u4EEC\u4E2D' +
+        '\u6765\u4E0A\u5927\u4E3A\u548C\u56FD\u5730\u5230\u4EE5\u8BF4\u65F6\u8981\u5C31\u51FA' +
+        '\u4F1A\u53EF\u4E5F\u4F60\u5BF9\u751F\u80FD\u800C\u5B50\u90A3\u5F97\u4E8E\u7740\u4E0B' +
+        '\u81EA\u4E4B\u5E74\u8FC7\u53D1\u540E\u4F5C\u91CC\u7528\u9053\u884C\u6240\u7136\u5BB6' +
+        '\u79CD\u4E8B\u6210\u65B9\u591A\u7ECF\u4E48\u53BB\u6CD5\u5B66\u5982\u90FD\u540C\u73B0' +
+        '\u5F53\u6CA1\u52A8\u9762\u8D77\u770B\u5B9A\u5929\u5206\u8FD8\u8FDB\u597D\u5C0F\u90E8' +
+        '\u5176\u4E9B\u4E3B\u6837\u7406\u5FC3\u5979\u672C\u524D\u5F00\u4F46\u56E0\u53EA\u4ECE' +
+        '\u60F3\u5B9E\u65E5\u519B\u8005\u610F\u65E0\u529B\u5B83\u4E0E\u957F\u628A\u673A\u5341' +
+        '\u6C11\u7B2C\u516C\u6B64\u5DF2\u5DE5\u4F7F\u60C5\u660E\u6027\u77E5\u5168\u4E09\u53C8' +
+        '\u5173\u70B9\u6B63\u4E1A\u5916\u5C06\u4E24\u9AD8\u95F4\u7531\u95EE\u5F88\u6700\u91CD' +
+        '\u5E76\u7269\u624B\u5E94\u6218\u5411\u5934\u6587\u4F53\u653F\u7F8E\u76F8\u89C1\u88AB' +
+        '\u5229\u4EC0\u4E8C\u7B49\u4EA7\u6216\u65B0\u5DF1\u5236\u8EAB\u679C\u52A0\u3001\u3002' +
+        ']');
+
+// the most frequently occurring characters in traditional Chinese text
+var traditionalChineseDetectChars = new RegExp('[' +
+        '\u7684\u4E00\u662F\u4E0D\u4E86\u5728\u4EBA\u6709\u6211\u4ED6\u9019\u500B\u5011\u4E2D' +
+        '\u4F86\u4E0A\u5927\u70BA\u548C\u570B\u5730\u5230\u4EE5\u8AAA\u6642\u8981\u5C31\u51FA' +
+        '\u6703\u53EF\u4E5F\u4F60\u5C0D\u751F\u80FD\u800C\u5B50\u90A3\u5F97\u65BC\u8457\u4E0B' +
+        '\u81EA\u4E4B\u5E74\u904E\u767C\u5F8C\u4F5C\u88E1\u7528\u9053\u884C\u6240\u7136\u5BB6' +
+        '\u7A2E\u4E8B\u6210\u65B9\u591A\u7D93\u9EBC\u53BB\u6CD5\u5B78\u5982\u90FD\u540C\u73FE' +
+        '\u7576\u6C92\u52D5\u9762\u8D77\u770B\u5B9A\u5929\u5206\u9084\u9032\u597D\u5C0F\u90E8' +
+        '\u5176\u4E9B\u4E3B\u6A23\u7406\u5FC3\u5979\u672C\u524D\u958B\u4F46\u56E0\u53EA\u5F9E' +
+        '\u60F3\u5BE6\u65E5\u8ECD\u8005\u610F\u7121\u529B\u5B83\u8207\u9577\u628A\u6A5F\u5341' +
+        '\u6C11\u7B2C\u516C\u6B64\u5DF2\u5DE5\u4F7F\u60C5\u660E\u6027\u77E5\u5168\u4E09\u53C8' +
+        '\u95DC\u9EDE\u6B63\u696D\u5916\u5C07\u5169\u9AD8\u9593\u7531\u554F\u5F88\u6700\u91CD' +
+        '\u4E26\u7269\u624B\u61C9\u6230\u5411\u982D\u6587\u9AD4\u653F\u7F8E\u76F8\u898B\u88AB' +
+        '\u5229\u4EC0\u4E8C\u7B49\u7522\u6216\u65B0\u5DF1\u5236\u8EAB\u679C\u52A0\u3001\u3002' +
+        ']');
+
+// the most frequently occurring Hangul syllables in Korean text
+var koreanDetectChars = new RegExp('[' +
+        '\uC774\uB2E4\uB294\uC758\uC5D0\uD558\uACE0\uC744\uAC00\uD55C\uC9C0\uB85C\uC11C\uAE30' +
+        '\uB9AC\uC0AC\uC73C\uB3C4\uC788\uB4E4\uC218\uC790\uB300\uB97C\uAC83\uC778\uC2DC\uC5B4' +
+        '\uD574\uB098\uC815\uC804\uC801\uAC8C\uC77C\uC0C1\uC544\uC8FC\uADF8\uBCF4\uC694\uC6B0' +
+        '\uBA74\uB9CC\uACFC\uC640\uB77C\uC5EC\uBD80\uC81C\uAD6D\uB144\uC6D0\uC131\uC7A5\uB3D9' +
+        '\uB0B4\uACBD\uBB38\uAD6C\uD654\uBE44\uC0DD\uC704\uC2E4\uC5F0\uC2E0\uD68C\uB2F9\uC5C5' +
+        '\uC18C\uAD00' +
+        ']');
+
+Encoding.shiftjis.detectChars = japaneseDetectChars;
+Encoding.eucjp.detectChars = japaneseDetectChars;
+Encoding.iso2022jp.detectChars = japaneseDetectChars;
+Encoding.gb18030.detectChars = simplifiedChineseDetectChars;
+Encoding.gbk.detectChars = simplifiedChineseDetectChars;
+Encoding.big5.detectChars = traditionalChineseDetectChars;
+Encoding.euckr.detectChars = koreanDetectChars;
+
+/**
+ * Detect the encoding of a buffer of unlabelled data.  The candidate encodings are returned in
+ * order of decreasing confidence, each as an object with the properties <code>encoding</code>
+ * (the {@link Encoding}) and <code>confidence</code> (a number between 0 and 1); encodings
+ * which can not have produced the data are omitted.
+ *
+ * <p>The checks are applied in this order:</p>
+ * <ol>
+ *   <li>A UTF-8, UTF-16 or UTF-32 BOM at the start of the data identifies the encoding with
+ *       certainty.</li>
+ *   <li>Data consisting only of 7-bit bytes is reported as UTF-8 or ASCII, unless it is more
+ *       plausibly one of the escape-sequence encodings (ISO-2022-JP).</li>
+ *   <li>Otherwise, UTF-8 is rated on the validity of its multi-byte sequences (and the number
+ *       of them), UTF-16 without a BOM on the distribution of zero bytes, each registered code
+ *       page on the characters its byte values map to (see {@link scoreCodePage}), and each
+ *       multi-byte and stateful encoding on the validity of its byte sequences and on the
+ *       proportion of the decoded characters that match its <code>detectChars</code>.</li>
+ * </ol>
+ *
+ * <p>An incomplete sequence at the end of the buffer is ignored, so that the buffer may be a
+ * prefix of a longer stream.  Candidates with equal confidence are ranked in the order in which
+ * the encodings are registered.  Encodings with a qvalue of 0 are not candidates.</p>
+ *
+ * @param {Buffer}  buf   the data
+ * @returns {Array}       the candidate encodings, most likely first
+ */
+Encoding.detect = function (buf) {
+    var bom = detectBOM(buf);
+    if (bom)
+        return [ { encoding: bom, confidence: 1 } ];
+    var sevenBit = true, zeros = false;
+    for (var i = 0; i < buf.length; i++) {
+        if (buf[i] >= 0x80)
+            sevenBit = false;
+        else if (buf[i] == 0)
+            zeros = true;
+    }
+    var table = Encoding.encodings;
+    var candidates = [];
+    for (i = 0; i < table.length; i++) {
+        var entry = table[i];
+        var confidence = 0;
+        if (!entry.qvalue)
+            continue;
+        if (entry === Encoding.utf8 || entry === Encoding.usascii) {
+            if (sevenBit && !zeros)
+                confidence = buf.length ? 0.9 : 0;
+            else if (entry === Encoding.utf8)
+                confidence = scoreUTF8(buf);
+        }
+        else if (entry === Encoding.utf16le || entry === Encoding.utf16be) {
+            if (zeros)
+                confidence = scoreUTF16(buf, entry === Encoding.utf16le);
+        }
+        else if (entry instanceof CodePageEncoding) {
+            if (!sevenBit)
+                confidence = scoreCodePage(entry, buf);
+        }
+        else if (entry instanceof MultiByteEncoding || entry instanceof StatefulEncoding)
+            confidence = scoreMultiByte(entry, buf);
+        if (confidence > 0)
+            candidates.push({ encoding: entry, confidence: confidence, index: i });
+    }
+    candidates.sort(function (a, b) {
+        return b.confidence - a.confidence || a.index - b.index;
+    });
+    return candidates.map(function (candidate) {
+        return { encoding: candidate.encoding, confidence: candidate.confidence };
+    });
+};
+
+/**
+ * Create a {@link DetectDecodeStream}, to decode a stream of data of unknown encoding.
+ *
+ * @param {Object}  [options]   an options object
+ * @returns {DetectDecodeStream}    the decode stream
+ */
+Encoding.detectStream = function (options) {
+    return new DetectDecodeStream(options);
+};
+
+/**
+ * Check for a BOM at the start of a buffer.  The UTF-32 forms are checked before the UTF-16
+ * forms, since the UTF-32LE BOM starts with the UTF-16LE BOM.
+ *
+ * @param {Buffer}  buf   the buffer
+ * @returns {Encoding}    the encoding indicated by the BOM, or <code>null</code> if none
+ */
+function detectBOM(buf) {
+    var bom = sniffUTF32BOM(buf) || sniffBOM(buf);
+    return bom ? bom.encoding : null;
+}
+
+/**
+ * Rate the likelihood that a buffer is encoded in UTF-8.  Invalid data scores zero; otherwise
+ * each valid multi-byte sequence adds to the confidence.
+ *
+ * @param {Buffer}  buf   the buffer
+ * @returns {Number}      the confidence
+ */
+function scoreUTF8(buf) {
+    var str = decodeForDetection(Encoding.utf8, buf);
+    var count = 0;
+    for (var i = 0; i < str.length; i++) {
+        var ch = str.charCodeAt(i);
+        if (ch == 0xFFFD)
+            return 0;
+        if (ch >= 0x80 && !isLowSurrogate(ch))
+            count++;
+    }
+    return 0.99 - 0.49 * Math.pow(0.5, count);
+}
+
+/**
+ * Rate the likelihood that a buffer is encoded in UTF-16 without a BOM.  Text consisting largely
+ * of Latin characters has a zero byte as the high-order byte of most characters, so the rating
+ * is based on the preponderance of zero bytes in the high-order position over zero bytes in the
+ * low-order position.
+ *
+ * @param {Buffer}  buf   the buffer
+ * @param {Boolean} le    true to rate little-endian, false for big-endian
+ * @returns {Number}      the confidence
+ */
+function scoreUTF16(buf, le) {
+    var high = 0, low = 0, pairs = buf.length >> 1;
+    for (var i = 0; i < pairs * 2; i += 2) {
+        if (buf[i] == 0)
+            le ? low++ : high++;
+        if (buf[i + 1] == 0)
+            le ? high++ : low++;
+    }
+    return pairs ? Math.max(0, 0.95 * (high - low) / pairs) : 0;
+}
+
+/**
+ * Rate the likelihood that a buffer is encoded in a multi-byte or stateful encoding.  Invalid
+ * sequences and control characters (other than a small proportion, which may be due to
+ * corrupted data) disqualify the encoding; otherwise the rating is based on the proportion of
+ * the decoded non-ASCII characters that are among the encoding's frequently occurring
+ * characters.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @param {Buffer}      buf         the buffer
+ * @returns {Number}                the confidence
+ */
+function scoreMultiByte(encoding, buf) {
+    var str = decodeForDetection(encoding, buf);
+    var count = 0, errors = 0, frequent = 0;
+    for (var i = 0; i < str.length; i++) {
+        var ch = str.charCodeAt(i);
+        if (ch == 0xFFFD || ch < 0x20 && ch != 0x09 && ch != 0x0A && ch != 0x0D || ch == 0x7F)
+            errors++;
+        else if (ch >= 0x80 && !isLowSurrogate(ch)) {
+            count++;
+            if (encoding.detectChars && encoding.detectChars.test(str.charAt(i)))
+                frequent++;
+        }
+    }
+    if (count == 0 || errors * 20 > count)
+        return 0;
+    return (0.6 + 0.39 * Math.min(1, 2 * frequent / count)) * (1 - errors / count) *
+            count / (count + 1);
+}
+
+/**
+ * Decode a buffer for the purposes of detection, removing the replacement character that
+ * results from an incomplete sequence at the end of the buffer.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @param {Buffer}      buf         the buffer
+ * @returns {String}                the decoded string
+ */
+function decodeForDetection(encoding, buf) {
+    var str = encoding.decode(buf, { replChar: defaultReplChar });
+    var n = str.length;
+    return n && str.charCodeAt(n - 1) == 0xFFFD ? str.substr(0, n - 1) : str;
+}
+
+/**
+ * Rate the likelihood that a buffer is encoded in a code page encoding.  A byte value that is
+ * undefined in the code page disqualifies it; otherwise each byte that is not simply mapped to
+ * the ASCII character of the same value (that is, each byte in the range 0x80 to 0xFF, and for
+ * encodings such as EBCDIC, each byte at all) is scored according to the character it maps to
+ * (see {@link scoreCharacter}): frequently occurring letters score highest, while control
+ * characters, letters adjoining letters from a different script and upper case letters that
+ * follow lower case letters count against the encoding.  Since the prevalence of the common
+ * letters in lower case distinguishes a correct interpretation from one in which the letters
+ * are exchanged (as happens, for example, between KOI8-R and Windows-1251), the scores amount
+ * to a statistical comparison of the frequencies of the bytes with the frequencies of the
+ * letters in text.
+ *
+ * @param {CodePageEncoding}    encoding    the encoding
+ * @param {Buffer}              buf         the buffer
+ * @returns {Number}                        the confidence
+ */
+function scoreCodePage(encoding, buf) {
+    var chars = getDetectionChars(encoding);
+    var score = 0, count = 0;
+    var prev = -1, ch = buf.length ? chars[buf[0]] : -1, next;
+    for (var i = 0; i < buf.length; i++) {
+        next = i + 1 < buf.length ? chars[buf[i + 1]] : -1;
+        if (ch == 0xFFFD)
+            return 0;
+        if (buf[i] >= 0x80 || ch != buf[i]) {
+            count++;
+            score += scoreCharacter(prev, ch, next);
+        }
+        prev = ch;
+        ch = next;
+    }
+    return count ? Math.max(0, 0.9 * score / count) * count / (count + 2) : 0;
+}
+
+// the characters to which the bytes map in each code page, indexed by encoding name
+var detectionChars = {};
+
+/**
+ * Get the characters to which each byte value maps in a code page encoding.  Where an
+ * ASCII-based code page maps the control character values to graphic characters (as IBM437
+ * does), the control characters are used instead, since in text data these bytes are almost
+ * always line endings and the like.
+ *
+ * @param {CodePageEncoding}    encoding    the encoding
+ * @returns {Array}     an array of 256 character codes
+ */
+function getDetectionChars(encoding) {
+    var chars = detectionChars[encoding.name];
+    if (!chars) {
+        chars = [];
+        for (var i = 0; i < 256; i++)
+            chars.push(i < encoding.tableStart ? i :
+                    encoding.codePage.charCodeAt(i - encoding.tableStart));
+        if (chars[0x41] == 0x41) { // ASCII-based
+            for (i = 0; i < 0x20; i++)
+                chars[i] = i;
+            chars[0x7F] = 0x7F;
+        }
+        detectionChars[encoding.name] = chars;
+    }
+    return chars;
+}
+
+// the most frequently occurring letters of each script, in lower case (for Latin, the ASCII
+// letters and the accented letters in common use; all Hebrew letters are treated as common)
+var commonLetters = {
+    latin: new RegExp('[a-z\u00DF-\u00EF\u00F1-\u00F6\u00F8-\u00FD\u0153\u0131\u015F\u011F' +
+            '\u0142\u0105\u0119\u017C\u015B\u0107\u0144\u017A\u0151\u0171\u010D\u0161\u017E' +
+            '\u0159\u011B\u016F\u010F\u0165\u0148]'),
+    greek: new RegExp('[\u03B1\u03BF\u03B9\u03B5\u03C4\u03C3\u03C2\u03BD\u03B7\u03C5\u03C1' +
+            '\u03C0\u03BA\u03AC\u03AD\u03AF\u03CC\u03AE\u03CD\u03CE]'),
+    cyrillic: new RegExp('[\u043E\u0435\u0430\u0438\u043D\u0442\u0441\u0440\u0432\u043B' +
+            '\u043A\u043C\u0434\u043F\u0443\u044F\u044B\u044C\u0433\u0437\u0431\u0447\u0439' +
+            '\u0456]'),
+    arabic: new RegExp('[\u0627\u0644\u064A\u0645\u0648\u0646\u0631\u062A\u0628\u0639\u0647' +
+            '\u062F\u0629\u0641\u0643\u0633\u062D\u0623\u0642]'),
+    thai: new RegExp('[\u0E32\u0E19\u0E23\u0E2D\u0E01\u0E40\u0E07\u0E21\u0E22\u0E25\u0E27' +
+            '\u0E14\u0E17\u0E2A\u0E1A\u0E48\u0E49\u0E31\u0E34\u0E35\u0E44\u0E30]')
+};
+
+/**
+ * Score a character decoded by a code page encoding, in the context of the characters either
+ * side of it.  Frequently occurring letters score 1 and other letters less; upper case letters
+ * score half as much as lower case.
+ *
+ * @param {Number}  prev    the previous character, or -1 at the start of the data
+ * @param {Number}  ch      the character
+ * @param {Number}  next    the next character, or -1 at the end of the data
+ * @returns {Number}        the score
+ */
+function scoreCharacter(prev, ch, next) {
+    if (ch < 0x20 ? ch != 0x09 && ch != 0x0A && ch != 0x0D : ch >= 0x7F && ch < 0xA0 &&
+            ch != 0x85)
+        return -1; // control character
+    var script = getLetterScript(ch);
+    if (!script)
+        return ch < 0x7F || ch == 0x85 || ch == 0xA0 ? 1 : 0;
+    var prevScript = getLetterScript(prev), nextScript = getLetterScript(next);
+    if (prevScript && prevScript != script || nextScript && nextScript != script)
+        return -1; // adjoining letters from different scripts
+    if (script == 'latin' && ch >= 0x80 && prevScript && prev >= 0x80 && nextScript &&
+            next >= 0x80)
+        return 0; // a run of three accented letters is unlikely
+    var lower = String.fromCharCode(ch).toLowerCase();
+    var common = commonLetters[script];
+    var score = !common || common.test(lower) ? 1 : 0.5;
+    if (lower.charCodeAt(0) != ch) { // upper case
+        if (prevScript && String.fromCharCode(prev).toUpperCase().charCodeAt(0) != prev)
+            return -1; // upper case following lower case
+        score /= 2;
+    }
+    return score;
+}
+
+/**
+ * Get the script of a letter, for the purpose of detecting implausible combinations.
+ *
+ * @param {Number}  ch      the character
+ * @returns {String}        the script, or <code>null</code> if the character is not a letter
+ */
+function getLetterScript(ch) {
+    if (ch >= 0x05D0 && ch <= 0x05EA)
+        return 'hebrew';
+    if (ch >= 0x0620 && ch <= 0x064A || ch >= 0x0671 && ch <= 0x06D3)
+        return 'arabic';
+    if (ch >= 0x0E01 && ch <= 0x0E4E)
+        return 'thai';
+    if (ch < 0 || String.fromCharCode(ch).toLowerCase() == String.fromCharCode(ch).toUpperCase())
+        return null;
+    if (ch < 0x0250 || ch >= 0x1E00 && ch <= 0x1EFF)
+        return 'latin';
+    if (ch >= 0x0370 && ch <= 0x03FF)
+        return 'greek';
+    if (ch >= 0x0400 && ch <= 0x052F)
+        return 'cyrillic';
+    return 'other';
+}
+
+// WHATWG labels
+
+// the labels for which the WHATWG Encoding Standard selects a different encoding from the one
+// that they name (see http://encoding.spec.whatwg.org/#names-and-labels)
+var whatwgLabelGroups = [
+    [ 'windows1252', [ 'ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819', 'csisolatin1', 'ibm819',
+            'iso-8859-1', 'iso-ir-100', 'iso8859-1', 'iso88591', 'iso_8859-1',
+            'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii', 'windows-1252', 'x-cp1252' ] ],
+    [ 'windows1254', [ 'cp1254', 'csisolatin5', 'iso-8859-9', 'iso-ir-148', 'iso8859-9',
+            'iso88599', 'iso_8859-9', 'iso_8859-9:1989', 'l5', 'latin5', 'windows-1254',
+            'x-cp1254' ] ],
+    [ 'windows874', [ 'dos-874', 'iso-8859-11', 'iso8859-11', 'iso885911', 'tis-620',
+            'windows-874' ] ],
+    [ 'utf16le', [ 'csunicode', 'iso-10646-ucs-2', 'ucs-2', 'unicode', 'unicodefeff', 'utf-16',
+            'utf-16le' ] ]
+];
+
+// the encodings selected by the labels above, indexed by label (created when first used)
+var whatwgEncodingsByLabel = null;
+
+/**
+ * Get the encoding for a label according to the WHATWG Encoding Standard, under which (for
+ * example) <code>latin1</code> and <code>us-ascii</code> select windows-1252, and
+ * <code>utf-16</code> selects UTF-16LE.  Any other label is looked up by
+ * {@link Encoding.getEncoding}, so that the encodings that are not in the standard remain
+ * available.
+ *
+ * @param {String|Encoding} label   the label (or the encoding itself)
+ * @returns {Encoding}      the encoding, or <code>null</code> if the label is not known
+ */
+function getWHATWGEncoding(label) {
+    if (label instanceof Encoding)
+        return label;
+    if (!whatwgEncodingsByLabel) {
+        whatwgEncodingsByLabel = {};
+        for (var i = 0; i < whatwgLabelGroups.length; i++) {
+            var group = whatwgLabelGroups[i];
+            for (var j = 0; j < group[1].length; j++)
+                whatwgEncodingsByLabel[group[1][j]] = Encoding[group[0]];
+        }
+    }
+    var s = String(label).trim();
+    return whatwgEncodingsByLabel[s.toLowerCase()] || Encoding.getEncoding(s);
+}
+
+// HTML encoding sniffing
+
+// the following is implemented according to
+// http://html.spec.whatwg.org/#encoding-sniffing-algorithm
+
+// the number of bytes examined by the prescan
+var htmlPrescanLength = 1024;
+
+/**
+ * Determine the encoding of an HTML document, using the steps of the WHATWG encoding sniffing
+ * algorithm, in order:
+ * <ol>
+ *   <li>a BOM at the start of the data</li>
+ *   <li>the charset specified by the transport layer, if it is a known encoding that is
+ *       supported for HTML documents (not UTF-7, EBCDIC or any other encoding that is not
+ *       ASCII-compatible, except UTF-16 and UTF-32)</li>
+ *   <li>a <code>&lt;meta charset&gt;</code> or <code>&lt;meta http-equiv="Content-Type"
+ *       content="...; charset=..."&gt;</code> element found by prescanning the first 1024 bytes
+ *       of the data</li>
+ *   <li>the default encoding</li>
+ * </ol>
+ *
+ * <p>The options object may contain the following options:</p>
+ * <dl>
+ *   <dt><code>{String|Encoding} transportCharset</code></dt>
+ *   <dd>the charset specified by the transport layer (for example, the <code>charset</code>
+ *       parameter of the HTTP "Content-Type" header)</dd>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if no other is found (default windows-1252)</dd>
+ * </dl>
+ *
+ * @param {Buffer}  buf         the start of the document
+ * @param {Object}  [options]   an options object (see above)
+ * @returns {Encoding}          the encoding
+ */
+Encoding.sniffHtml = function (buf, options) {
+    var bom = sniffBOM(buf);
+    if (bom)
+        return bom.encoding;
+    var transport = options && options.transportCharset;
+    if (transport) {
+        transport = getHtmlEncoding(transport);
+        if (transport)
+            return transport;
+    }
+    return prescanHtml(buf.slice(0, htmlPrescanLength)) ||
+            options && options.defaultEncoding || Encoding.windows1252;
+};
+
+/**
+ * Create an {@link HtmlDecodeStream}, to decode a stream containing an HTML document.
+ *
+ * @param {Object}  [options]   an options object
+ * @returns {HtmlDecodeStream}  the decode stream
+ */
+Encoding.sniffHtmlStream = function (options) {
+    return new HtmlDecodeStream(options);
+};
+
+/**
+ * Prescan the start of an HTML document for a <code>meta</code> element specifying the
+ * encoding, skipping comments and the attributes of other elements.  A UTF-16 or UTF-32
+ * encoding found in this way is taken to mean UTF-8 (since the document has been read as
+ * ASCII), and x-user-defined is taken to mean windows-1252; an encoding that is not supported
+ * for HTML documents (see {@link getHtmlEncoding}) is ignored.
+ *
+ * @param {Buffer}  buf     the start of the document
+ * @returns {Encoding}      the encoding, or <code>null</code> if none is found
+ */
+function prescanHtml(buf) {
+    var scanner = { buf: buf, pos: 0 };
+    var attr;
+    for (; scanner.pos < buf.length; scanner.pos++) {
+        if (matchBytes(buf, scanner.pos, '<!--')) {
+            // skip to the end of the comment (the dashes may be those of the start)
+            scanner.pos = indexOfBytes(buf, '-->', scanner.pos + 2) + 2;
+            if (scanner.pos < 2)
+                return null;
+        }
+        else if (matchBytes(buf, scanner.pos, '<meta') &&
+                isHtmlSpaceOrSlash(buf[scanner.pos + 5])) {
+            scanner.pos += 6;
+            var names = {}, gotPragma = false, needPragma = null, charset = null;
+            while ((attr = getHtmlAttribute(scanner))) {
+                if (names[attr.name])
+                    continue;
+                names[attr.name] = true;
+                if (attr.name == 'http-equiv') {
+                    if (attr.value == 'content-type')
+                        gotPragma = true;
+                }
+                else if (attr.name == 'content') {
+                    var label = charset ? null : extractMetaCharset(attr.value);
+                    var encoding = label && getHtmlEncoding(label);
+                    if (encoding) {
+                        charset = encoding;
+                        needPragma = true;
+                    }
+                }
+                else if (attr.name == 'charset') {
+                    if (!charset) {
+                        charset = getHtmlEncoding(attr.value);
+                        needPragma = false;
+                    }
+                }
+            }
+            if (attr === undefined) // end of data
+                return null;
+            if (needPragma === null || needPragma && !gotPragma || !charset)
+                continue;
+            if (charset instanceof UTF16Encoding || charset instanceof UTF32Encoding)
+                charset = Encoding.utf8;
+            else if (charset === Encoding.xuserdefined)
+                charset = Encoding.windows1252;
+            return charset;
+        }
+        else if (buf[scanner.pos] == 0x3C && (isASCIILetter(buf[scanner.pos + 1]) ||
+                buf[scanner.pos + 1] == 0x2F && isASCIILetter(buf[scanner.pos + 2]))) {
+            // skip the tag name and attributes
+            while (scanner.pos < buf.length && !isHtmlSpace(buf[scanner.pos]) &&
+                    buf[scanner.pos] != 0x3E)
+                scanner.pos++;
+            while ((attr = getHtmlAttribute(scanner)))
+                ;
+            if (attr === undefined)
+                return null;
+        }
+        else if (matchBytes(buf, scanner.pos, '<!') || matchBytes(buf, scanner.pos, '</') ||
+                matchBytes(buf, scanner.pos, '<?')) {
+            scanner.pos = indexOfBytes(buf, '>', scanner.pos + 2);
+            if (scanner.pos < 0)
+                return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the encoding for a label specified by the transport layer or found by the prescan.  The
+ * label is interpreted according to the WHATWG Encoding Standard (see
+ * {@link getWHATWGEncoding}).  UTF-7 is not supported for HTML documents (as in browsers), since
+ * it allows markup to be disguised; nor is any other encoding that is not ASCII-compatible (such
+ * as EBCDIC), apart from the stateful encodings and the UTF-16 and UTF-32 encodings.
+ *
+ * @param {String|Encoding} label   the label (or the encoding itself)
+ * @returns {Encoding}      the encoding, or <code>null</code> if it is not known or supported
+ */
+function getHtmlEncoding(label) {
+    var encoding = getWHATWGEncoding(label);
+    if (!encoding || encoding instanceof UTF7Encoding)
+        return null;
+    if (isASCIICompatible(encoding) || encoding instanceof StatefulEncoding ||
+            encoding instanceof UTF16Encoding || encoding instanceof UTF32Encoding)
+        return encoding;
+    return null;
+}
+
+/**
+ * Get an attribute of an HTML element, as part of the prescan.  Names and values are converted
+ * to lower case.  On return, the position in the scanner is the byte following the attribute.
+ *
+ * @param {Object}  scanner     the scanner (the buffer and the current position)
+ * @returns {Object}    the attribute (with <code>name</code> and <code>value</code>
+ *                      properties), <code>null</code> if there are no more attributes (the
+ *                      position is at the '&gt;' at the end of the element), or
+ *                      <code>undefined</code> if the end of the data was reached
+ */
+function getHtmlAttribute(scanner) {
+    var buf = scanner.buf;
+    while (isHtmlSpaceOrSlash(buf[scanner.pos]))
+        scanner.pos++;
+    if (scanner.pos >= buf.length)
+        return undefined;
+    if (buf[scanner.pos] == 0x3E)
+        return null;
+    var name = '', value = '', b;
+    for (;; scanner.pos++) {
+        b = buf[scanner.pos];
+        if (b === undefined)
+            return undefined;
+        if (b == 0x3D && name) // '='
+            break;
+        if (isHtmlSpace(b)) {
+            while (isHtmlSpace(buf[scanner.pos]))
+                scanner.pos++;
+            if (buf[scanner.pos] != 0x3D)
+                return { name: name, value: '' };
+            break;
+        }
+        if (b == 0x2F || b == 0x3E)
+            return { name: name, value: '' };
+        name += String.fromCharCode(b).toLowerCase();
+    }
+    scanner.pos++; // skip the '='
+    while (isHtmlSpace(buf[scanner.pos]))
+        scanner.pos++;
+    b = buf[scanner.pos];
+    if (b == 0x22 || b == 0x27) { // quoted value
+        var end = indexOfBytes(buf, String.fromCharCode(b), scanner.pos + 1);
+        if (end < 0)
+            return undefined;
+        value = buf.toString('binary', scanner.pos + 1, end).toLowerCase();
+        scanner.pos = end + 1;
+        return { name: name, value: value };
+    }
+    if (b == 0x3E)
+        return { name: name, value: '' };
+    for (;; scanner.pos++) {
+        b = buf[scanner.pos];
+        if (b === undefined)
+            return undefined;
+        if (isHtmlSpace(b) || b == 0x3E)
+            return { name: name, value: value };
+        value += String.fromCharCode(b).toLowerCase();
+    }
+}
+
+/**
+ * Extract the charset from the value of the <code>content</code> attribute of a
+ * <code>meta</code> element (for example <code>text/html; charset=iso-8859-1</code>).
+ *
+ * @param {String}  str     the attribute value (in lower case)
+ * @returns {String}        the charset label, or <code>null</code> if there is none
+ */
+function extractMetaCharset(str) {
+    var pos = 0;
+    for (;;) {
+        pos = str.indexOf('charset', pos);
+        if (pos < 0)
+            return null;
+        pos += 7;
+        var match = /^[\t\n\f\r ]*=[\t\n\f\r ]*/.exec(str.slice(pos));
+        if (match)
+            break;
+    }
+    var rest = str.slice(pos + match[0].length);
+    var quote = rest.charAt(0);
+    if (quote == '"' || quote == '\'') {
+        var end = rest.indexOf(quote, 1);
+        return end < 0 ? null : rest.slice(1, end);
+    }
+    match = /^[^\t\n\f\r ;]+/.exec(rest);
+    return match ? match[0] : null;
+}
+
+/**
+ * Determine whether a byte in a buffer is an HTML space character (tab, LF, FF, CR or space).
+ *
+ * @param {Number}  b       the byte (or <code>undefined</code>, beyond the end of a buffer)
+ * @returns {Boolean}       true if the byte is a space character
+ */
+function isHtmlSpace(b) {
+    return b == 0x09 || b == 0x0A || b == 0x0C || b == 0x0D || b == 0x20;
+}
+
+/**
+ * Determine whether a byte in a buffer is an HTML space character or a slash.
+ *
+ * @param {Number}  b       the byte (or <code>undefined</code>, beyond the end of a buffer)
+ * @returns {Boolean}       true if the byte is a space character or a slash
+ */
+function isHtmlSpaceOrSlash(b) {
+    return isHtmlSpace(b) || b == 0x2F;
+}
+
+/**
+ * Determine whether a byte in a buffer is an ASCII letter.
+ *
+ * @param {Number}  b       the byte (or <code>undefined</code>, beyond the end of a buffer)
+ * @returns {Boolean}       true if the byte is an ASCII letter
+ */
+function isASCIILetter(b) {
+    return b >= 0x41 && b <= 0x5A || b >= 0x61 && b <= 0x7A;
+}
+
+/**
+ * Determine whether the bytes at a position in a buffer match an ASCII string, ignoring case.
+ *
+ * @param {Buffer}  buf     the buffer
+ * @param {Number}  pos     the position
+ * @param {String}  str     the string (in lower case)
+ * @returns {Boolean}       true if the bytes match
+ */
+function matchBytes(buf, pos, str) {
+    if (pos + str.length > buf.length)
+        return false;
+    return buf.toString('binary', pos, pos + str.length).toLowerCase() == str;
+}
+
+/**
+ * Find an ASCII string in a buffer.
+ *
+ * @param {Buffer}  buf     the buffer
+ * @param {String}  str     the string
+ * @param {Number}  start   the position at which to start the search
+ * @returns {Number}        the position of the string, or -1 if it is not found
+ */
+function indexOfBytes(buf, str, start) {
+    return buf.toString('binary').indexOf(str, start);
+}
+
+// XML encoding detection
+
+// the following is implemented according to http://www.w3.org/TR/xml/#sec-guessing
+
+// the number of bytes examined for the XML declaration
+var xmlPrefixLength = 1024;
+
+// the start of an XML declaration, including the encoding declaration
+var xmlDeclaration =
+    /^<\?xml\s+version\s*=\s*(["'])[^"']*\1\s+encoding\s*=\s*(["'])([A-Za-z][A-Za-z0-9._\-]*)\2/;
+
+/**
+ * Determine the encoding of an XML document, as described in appendix F of the XML 1.0
+ * specification.  The first bytes of the document (a BOM, or the pattern of the start of the
+ * XML declaration) indicate UTF-8, UTF-16LE, UTF-16BE, UTF-32LE, UTF-32BE, an ASCII-compatible
+ * encoding or an EBCDIC encoding; the XML declaration is then read in that encoding, and the
+ * encoding name it declares is resolved by {@link Encoding.getEncoding}.  The declared encoding
+ * is used where it is consistent with the first bytes and it selects between members of a
+ * family of encodings (the ASCII-compatible or EBCDIC encodings); otherwise the detected
+ * encoding is used.  A declared name that is not known is ignored.
+ *
+ * <p>The options object may contain the following options:</p>
+ * <dl>
+ *   <dt><code>{Boolean} errorFatal</code></dt>
+ *   <dd>if true, throw an error if the declared encoding is inconsistent with the first bytes
+ *       (for example, a declaration of UTF-16 in a document in which each character of the
+ *       declaration occupies one byte)</dd>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if the first bytes do not indicate one (default UTF-8)</dd>
+ * </dl>
+ *
+ * @param {Buffer}  buf         the start of the document
+ * @param {Object}  [options]   an options object (see above)
+ * @returns {Encoding}          the encoding
+ * @throws EncodingError    if the declared encoding is inconsistent with the first bytes of the
+ *                  document and 'errorFatal' is set to true in the options object
+ */
+Encoding.sniffXml = function (buf, options) {
+    var family = getXmlEncodingFamily(buf);
+    if (!family)
+        return options && options.defaultEncoding || Encoding.utf8;
+    var decl = family.encoding.decode(buf.slice(family.bomLength, xmlPrefixLength));
+    var match = xmlDeclaration.exec(decl);
+    var declared = match && Encoding.getEncoding(match[3]);
+    if (!declared)
+        return family.encoding;
+    if (!isXmlEncodingConsistent(family, declared)) {
+        if (options && options.errorFatal) {
+            throw new EncodingError('Declared encoding ' + match[3] +
+                    ' is inconsistent with the detected encoding ' + family.encoding.name,
+                    codeEncodingMismatch, family.encoding.name, null, null, null, null);
+        }
+        return family.encoding;
+    }
+    return family.fixed ? family.encoding : declared;
+};
+
+/**
+ * Create an {@link XmlDecodeStream}, to decode a stream containing an XML document.
+ *
+ * @param {Object}  [options]   an options object
+ * @returns {XmlDecodeStream}   the decode stream
+ */
+Encoding.sniffXmlStream = function (options) {
+    return new XmlDecodeStream(options);
+};
+
+/**
+ * Determine the family of encodings of an XML document from its first four bytes.
+ *
+ * @param {Buffer}  buf     the start of the document
+ * @returns {Object}    an object containing the encoding in which to read the XML declaration
+ *                      (<code>encoding</code>), the length of the BOM (<code>bomLength</code>)
+ *                      and an indication that the encoding is fully determined
+ *                      (<code>fixed</code>); or <code>null</code> if the bytes match no pattern
+ */
+function getXmlEncodingFamily(buf) {
+    var bom = detectBOM(buf);
+    if (bom) {
+        return { encoding: bom, fixed: true, bomLength: bom === Encoding.utf8 ? 3 :
+                bom === Encoding.utf16le || bom === Encoding.utf16be ? 2 : 4 };
+    }
+    if (buf.length < 4)
+        return null;
+    switch (buf.readUInt32BE(0)) {
+    case 0x0000003C:
+        return { encoding: Encoding.utf32be, fixed: true, bomLength: 0 };
+    case 0x3C000000:
+        return { encoding: Encoding.utf32le, fixed: true, bomLength: 0 };
+    case 0x003C003F:
+        return { encoding: Encoding.utf16be, fixed: true, bomLength: 0 };
+    case 0x3C003F00:
+        return { encoding: Encoding.utf16le, fixed: true, bomLength: 0 };
+    case 0x3C3F786D: // '<?xm' in an ASCII-compatible encoding
+        return { encoding: Encoding.utf8, fixed: false, bomLength: 0 };
+    case 0x4C6FA794: // '<?xm' in EBCDIC
+        return { encoding: Encoding.ibm037, fixed: false, bomLength: 0 };
+    }
+    return null;
+}
 
-// UTF-16BE
+/**
+ * Determine whether a declared encoding is consistent with the family of encodings indicated by
+ * the first bytes of an XML document.  UTF-7 is never consistent, since it allows markup to be
+ * disguised (the declaration itself is readable as ASCII), and nor is the replacement encoding,
+ * which would discard the document.
+ *
+ * @param {Object}      family      the family (see {@link getXmlEncodingFamily})
+ * @param {Encoding}    declared    the declared encoding
+ * @returns {Boolean}   true if the declared encoding is consistent
+ */
+function isXmlEncodingConsistent(family, declared) {
+    var detected = family.encoding;
+    if (detected === Encoding.utf16le || detected === Encoding.utf16be)
+        return declared === detected || declared === Encoding.utf16;
+    if (detected === Encoding.utf32le || detected === Encoding.utf32be)
+        return declared === detected || declared === Encoding.utf32;
+    if (family.fixed)
+        return declared === detected;
+    if (detected instanceof EBCDICEncoding)
+        return declared instanceof EBCDICEncoding;
+    if (declared instanceof UTF7Encoding || declared === Encoding.replacement)
+        return false;
+    return isASCIICompatible(declared) || declared instanceof StatefulEncoding;
+}
 
-Encoding.utf16be = new UTF16Encoding('utf-16be', /^utf[\-_]?16[\-_]?be$/i, 0.9);
+// TextDecoder
 
-Encoding.utf16be.readBuf = function (buf, offset) {
-    return buf.readUInt16BE(offset);
-};
+/**
+ * A decoder compatible with the WHATWG <code>TextDecoder</code> interface, backed by the
+ * encodings of this module, so that any registered encoding may be used through the standard
+ * interface.  The constructor takes a label, which is interpreted as the WHATWG Encoding
+ * Standard requires (see {@link getWHATWGEncoding}; as an extension, the labels of encodings
+ * that are not in the standard are also accepted), and an options object; the following options
+ * are used:
+ * <dl>
+ *   <dt><code>{Boolean} fatal</code></dt>
+ *   <dd>if true, throw a <code>TypeError</code> on invalid data rather than substituting the
+ *       replacement character</dd>
+ *   <dt><code>{Boolean} ignoreBOM</code></dt>
+ *   <dd>if true, pass a BOM at the start of the data through to the result rather than
+ *       dropping it</dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {String}  [label]     the encoding label (default 'utf-8')
+ * @param {Object}  [options]   a set of options (see above)
+ * @throws RangeError   if the label does not identify an encoding, or identifies the
+ *                      replacement encoding
+ */
+function TextDecoder(label, options) {
+    var codec = getTextEncoding(label);
+    /** The name of the encoding @type String */
+    this.encoding = codec.name;
+    /** Indication that errors should be treated as fatal @type Boolean */
+    this.fatal = !!(options && options.fatal);
+    /** Indication that a BOM is to be passed through @type Boolean */
+    this.ignoreBOM = !!(options && options.ignoreBOM);
+    /** The {@link Encoding} object for this decoder @type Encoding */
+    this.codec = codec;
+    /** The decode stream holding the state of a streaming decode, if any @type DecodeStream */
+    this.decoder = null;
+}
 
-Encoding.utf16be.writeBuf = function (buf, offset, value) {
-    buf.writeUInt16BE(value, offset);
+/**
+ * Decode a buffer into a string.  If the <code>stream</code> option is set, the data is treated
+ * as a chunk of a longer stream, and any incomplete character sequence at the end is held (using
+ * the hold buffer of a {@link DecodeStream}) to be completed by the next call; the stream ends
+ * with a call without the option (which may omit the input).
+ *
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} [input]  the data to be decoded
+ * @param {Object}  [options]   an options object; the only option is <code>stream</code>
+ * @returns {String}            the decoded string
+ * @throws TypeError    if the data is invalid and the <code>fatal</code> option was set (the
+ *                      <code>code</code> and <code>cause</code> properties of the error give
+ *                      the code and the {@link EncodingError} describing the invalid data)
+ */
+TextDecoder.prototype.decode = function (input, options) {
+    var decoder = this.decoder || this.codec.decodeStream({ errorFatal: this.fatal,
+            dropBOM: !this.ignoreBOM });
+    var stream = options && options.stream;
+    this.decoder = stream ? decoder : null;
+    try {
+        var a = input ? decoder.decodeData(toBuffer(input)) : '';
+        if (!stream)
+            a += decoder.decodeFinal();
+        return a;
+    }
+    catch (e) {
+        this.decoder = null;
+        throw toTypeError(e);
+    }
 };
 
-Encoding.encodings.push(Encoding.utf16be);
+/**
+ * Convert an {@link EncodingError} into the <code>TypeError</code> thrown by a
+ * {@link TextDecoder} or {@link TextEncoder}, which has the code of the original error and the
+ * original error as its <code>cause</code>.  Any other error is returned unchanged.
+ *
+ * @param {Error}   e   the error
+ * @returns {Error}     the error to throw
+ */
+function toTypeError(e) {
+    if (!(e instanceof EncodingError))
+        return e;
+    var err = new TypeError(e.message);
+    err.code = e.code;
+    err.cause = e;
+    return err;
+}
 
-// ASCII
+// TextEncoder
 
-Encoding.usascii = new Encoding('us-ascii', /^(us[\-_]?)?ascii$/i, 0.1);
+/**
+ * An encoder compatible with the WHATWG <code>TextEncoder</code> interface.  The standard
+ * interface encodes only to UTF-8; as an extension, the constructor takes an optional label,
+ * which is interpreted in the same way as the label of a {@link TextDecoder}, and an options
+ * object; the following options are used:
+ * <dl>
+ *   <dt><code>{Boolean} fatal</code></dt>
+ *   <dd>if true, throw a <code>TypeError</code> on a character that can not be encoded rather
+ *       than substituting the substitution byte (as {@link TextDecoder#decode} does on invalid
+ *       data)</dd>
+ *   <dt><code>{String|Function} encodeFallback</code></dt>
+ *   <dd>the treatment of characters that can not be encoded (see {@link getFallbackString})
+ *       </dd>
+ * </dl>
+ *
+ * @constructor
+ * @param {String}  [label]     the encoding label (default 'utf-8')
+ * @param {Object}  [options]   a set of options (see above)
+ * @throws RangeError   if the label does not identify an encoding
+ */
+function TextEncoder(label, options) {
+    var codec = getTextEncoding(label);
+    /** The name of the encoding @type String */
+    this.encoding = codec.name;
+    /** The {@link Encoding} object for this encoder @type Encoding */
+    this.codec = codec;
+    /** The options passed to the encode function @type Object */
+    this.options = { errorFatal: options && options.fatal,
+            encodeFallback: options && options.encodeFallback };
+}
 
-Encoding.usascii.encodeStream = function (options) {
-    var stream = new EncodeStream(this, options);
-    stream.outputBOM = false;
-    return stream;
+/**
+ * Encode a string.
+ *
+ * @param {String}  [input]     the string to be encoded (default '')
+ * @returns {Buffer}            the encoded bytes (a <code>Buffer</code> is a
+ *                              <code>Uint8Array</code>)
+ * @throws TypeError    if the string contains a character that can not be encoded and the
+ *                      <code>fatal</code> option was set (the <code>code</code> and
+ *                      <code>cause</code> properties of the error give the code and the
+ *                      {@link EncodingError} describing the character)
+ */
+TextEncoder.prototype.encode = function (input) {
+    try {
+        return this.codec.encode(input === undefined ? '' : String(input), this.options);
+    }
+    catch (e) {
+        throw toTypeError(e);
+    }
 };
 
-Encoding.usascii.decodeStream = function (options) {
-    return new ASCIIDecodeStream(this, options);
+/**
+ * Encode a string into an existing array.  As many complete characters as will fit are encoded
+ * (a surrogate pair is never split).
+ *
+ * @param {String}      source          the string to be encoded
+ * @param {Uint8Array}  destination     the array to receive the encoded bytes
+ * @returns {Object}    an object with properties <code>read</code> (the number of UTF-16 code
+ *                      units read from the string) and <code>written</code> (the number of bytes
+ *                      stored in the array)
+ */
+TextEncoder.prototype.encodeInto = function (source, destination) {
+    var str = String(source);
+    var buf = this.encode(str);
+    var read = str.length, i;
+    if (buf.length > destination.length) {
+        // find the longest prefix that fits, by a binary search of the character boundaries
+        var bounds = [ 0 ];
+        for (i = 1; i <= str.length; i++) {
+            if (!(isHighSurrogate(str.charCodeAt(i - 1)) && isLowSurrogate(str.charCodeAt(i))))
+                bounds.push(i);
+        }
+        var low = 0, high = bounds.length - 1;
+        buf = new Buffer(0);
+        while (low < high) {
+            var mid = Math.ceil((low + high) / 2);
+            var prefix = this.encode(str.slice(0, bounds[mid]));
+            if (prefix.length <= destination.length) {
+                low = mid;
+                buf = prefix;
+            }
+            else
+                high = mid - 1;
+        }
+        read = bounds[low];
+    }
+    for (i = 0; i < buf.length; i++)
+        destination[i] = buf[i];
+    return { read: read, written: buf.length };
 };
 
 /**
- * Decode an ASCII encoded buffer to a string.
+ * Find the encoding for a {@link TextDecoder} or {@link TextEncoder}.  As in the WHATWG
+ * standard, the labels of the replacement encoding are rejected.
  *
- * @param   {Buffer}     buf        the buffer
- * @param   {Object}    [options]   an options object (unused)
- * @returns {String}    the decoded string
+ * @param {String}  [label]     the encoding label (default 'utf-8')
+ * @returns {Encoding}          the encoding
+ * @throws RangeError   if the label does not identify an encoding, or identifies the
+ *                      replacement encoding
  */
-Encoding.usascii.decode = function (buf, options) {
-    var a = '';
-    for (var i = 0; i < buf.length; i++)
-        a += String.fromCharCode(buf[i] & 0x7F);
-    return a;
-};
+function getTextEncoding(label) {
+    var encoding = label === undefined ? Encoding.utf8 : getWHATWGEncoding(String(label));
+    if (!encoding || encoding === Encoding.replacement)
+        throw new RangeError('Unknown encoding: ' + label);
+    return encoding;
+}
 
 /**
- * Calculate the number of bytes required to encode the given character.
+ * Convert binary input data (as accepted by {@link TextDecoder} and {@link DecodeWebStream}) to
+ * a Buffer.
  *
- * @param {Number} ch      the numeric code for the character
- * @returns {Number}       the length of the sequence for this character (always 1)
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} input    the input
+ * @returns {Buffer}    the data as a Buffer
  */
-Encoding.usascii.lenCharacter = function (ch) {
-    return 1;
-};
+function toBuffer(input) {
+    if (Buffer.isBuffer(input))
+        return input;
+    if (input instanceof ArrayBuffer)
+        return new Buffer(new Uint8Array(input));
+    if (ArrayBuffer.isView(input))
+        return new Buffer(new Uint8Array(input.buffer, input.byteOffset, input.byteLength));
+    throw new TypeError('The input must be a Buffer, an ArrayBuffer or an ArrayBufferView');
+}
+
+// HTTP helpers
 
 /**
- * Calculate the number of bytes required to encode the given surrogate sequence.
+ * Decode the body of an HTTP request (or any message with a <code>headers</code> object, such as
+ * a client response), in the encoding given by the <code>charset</code> parameter of its
+ * "Content-Type" header (see {@link Encoding.fromContentType}).  The options object is passed
+ * to the decode stream; in addition, the following option is used:
+ * <dl>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if the header does not specify a charset (default UTF-8)</dd>
+ * </dl>
  *
- * @param {Number} high    the numeric code for the high surrogate
- * @param {Number} low     the numeric code for the low surrogate
- * @returns {Number}       the length of the sequence for this character (always 1)
+ * <p>If the header specifies a charset that is not known, the request is not piped into the
+ * stream; instead, the stream (a decode stream for the default encoding) emits an 'error' event
+ * with an {@link EncodingError} with the code <code>'ERR_UNKNOWN_ENCODING'</code>, so that the
+ * failure is reported in the same way as any other error in decoding the body (a server would
+ * normally respond with status 415).</p>
+ *
+ * @param {IncomingMessage} req         the request
+ * @param {Object}          [options]   a set of options (see above)
+ * @returns {DecodeStream}  the decode stream, into which the request has been piped (unless the
+ *                          charset is not known)
  */
-Encoding.usascii.lenSurrogate = function (high, low) {
-    return 1;
-};
+function decodeRequest(req, options) {
+    var header = req.headers['content-type'];
+    var parsed = header && parseParameters(header);
+    var charset = parsed && parsed.params.charset;
+    var encoding = charset && Encoding.getEncoding(charset);
+    var stream = (encoding || options && options.defaultEncoding || Encoding.utf8)
+            .decodeStream(options);
+    if (charset && !encoding) {
+        stream.destroy(new EncodingError('Unsupported charset: ' + charset, codeUnknownEncoding,
+                charset, null, null, null, null));
+        return stream;
+    }
+    return req.pipe(stream);
+}
 
 /**
- * Store the mapping for the character in the output buffer.
+ * Create an encode stream for an HTTP response, in the encoding selected from the
+ * "Accept-Charset" header of the request (see {@link Encoding.negotiate}).  The "Content-Type"
+ * header of the response is set to specify the encoding as its <code>charset</code> parameter,
+ * and "Accept-Charset" is added to the "Vary" header.  The options object is passed to the
+ * encode stream; in addition, the following options are used:
+ * <dl>
+ *   <dt><code>{String} contentType</code></dt>
+ *   <dd>the media type of the response (default the media type of any "Content-Type" header
+ *       already set on the response, otherwise 'text/plain')</dd>
+ *   <dt><code>{Array} preferred</code></dt>
+ *   <dd>the encodings (or encoding names) that may be used, in order of preference (default
+ *       all registered encodings, in order of the qvalues used by
+ *       {@link Encoding.getAcceptCharset})</dd>
+ *   <dt><code>{Encoding} defaultEncoding</code></dt>
+ *   <dd>the encoding to use if none of the encodings is acceptable (default UTF-8)</dd>
+ * </dl>
  *
- * @param {Buffer}  buf         the output buffer
- * @param {Number}  offset      the offset at which to store the mapped sequence
- * @param {Number}  ch          the numeric code for the character
- * @param {Object}  [options]   an options object
- * @returns {Number}            the length of the sequence for this character
- * @throws Error    if the character can not be encoded and 'errorFatal' is set to true in the
- *                  options object
+ * <p>The function does not fail: charsets in the header that are not known, and preferred
+ * encoding names that are not known, are ignored, and if no encoding is acceptable the default
+ * encoding is used (as RFC 7231 permits).</p>
+ *
+ * @param {IncomingMessage} req         the request
+ * @param {ServerResponse}  res         the response
+ * @param {Object}          [options]   a set of options (see above)
+ * @returns {EncodeStream}  the encode stream, which has been piped into the response
  */
-Encoding.usascii.storeCharacter = function (buf, offset, ch, options) {
-    if (ch < 0x80)
-        buf[offset] = ch;
-    else {
-        if (options && options.errorFatal)
-            throw new Error('Character can not be encoded: 0x' + hexChar(ch));
-        var substByte = options && options.substByte || defaultSubstByte;
-        buf[offset] = substByte.charCodeAt(0);
+function encodeResponse(req, res, options) {
+    var preferred = options && options.preferred || Encoding.encodings.slice().sort(
+            function (a, b) {
+                return b.qvalue - a.qvalue ||
+                        Encoding.encodings.indexOf(a) - Encoding.encodings.indexOf(b);
+            });
+    var encoding = Encoding.negotiate(req.headers['accept-charset'], preferred) ||
+            options && options.defaultEncoding || Encoding.utf8;
+    var contentType = options && options.contentType;
+    if (!contentType) {
+        var parsed = res.getHeader('Content-Type') &&
+                parseParameters(String(res.getHeader('Content-Type')));
+        contentType = parsed && parsed.value || 'text/plain';
     }
-    return 1;
-};
+    res.setHeader('Content-Type', contentType + '; charset=' + encoding.name);
+    var vary = res.getHeader('Vary');
+    if (!vary)
+        res.setHeader('Vary', 'Accept-Charset');
+    else if (!/(^|,)\s*(accept-charset|\*)\s*(,|$)/i.test(vary))
+        res.setHeader('Vary', vary + ', Accept-Charset');
+    var stream = encoding.encodeStream(options);
+    stream.pipe(res);
+    return stream;
+}
 
-Encoding.encodings.push(Encoding.usascii);
+// MIME headers
 
-// ISO-8859-1
+// the maximum length of an RFC 2047 encoded-word
+var maxEncodedWordLength = 75;
 
-var iso88591CodePage =
-        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
-        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
-        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
-        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
-        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
-        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
-        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
-        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
-        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
-        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
-        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
-        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
-        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
-        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
-        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
-        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+// the maximum length of an RFC 2231 parameter (or section of a parameter) in a header line
+var maxParameterLength = 78;
 
-Encoding.iso88591 = new CodePageEncoding(iso88591CodePage, 'iso-8859-1',
-        /^iso[\-_]?8859[\-_]?1$/i, 0.5);
+// an RFC 2047 encoded-word: charset (with optional RFC 2231 language), encoding, encoded text
+var encodedWordPattern = /=\?([^?\s*]+)(?:\*[^?\s]*)?\?([BbQq])\?([^?\s]*)\?=/g;
 
-Encoding.encodings.push(Encoding.iso88591);
+/**
+ * Decode the RFC 2047 encoded-words (<code>=?charset?Q?...?=</code> or
+ * <code>=?charset?B?...?=</code>) in a header value.  The charset of each word is resolved by
+ * {@link Encoding.getEncoding}; a word in a charset that is not known is left as it is.  The
+ * header is first unfolded, and whitespace between adjacent encoded-words is removed.  The bytes
+ * of adjacent words in the same (stateless) charset are decoded together, so that a character
+ * split between words (as some encoders do) is decoded correctly; this does not apply to the
+ * generic UTF-16 and UTF-32 charsets, in which each word has its own BOM.
+ *
+ * @param {String}  header      the header value
+ * @param {Object}  [options]   an options object, passed to {@link Encoding#decode}
+ * @returns {String}    the decoded header value
+ */
+function decodeWords(header, options) {
+    var str = String(header).replace(/\r?\n(?=[ \t])/g, '');
+    var result = '', last = 0, pending = null, match;
+    encodedWordPattern.lastIndex = 0;
+    while ((match = encodedWordPattern.exec(str))) {
+        var between = str.slice(last, match.index);
+        last = encodedWordPattern.lastIndex;
+        var encoding = Encoding.getEncoding(match[1]);
+        if (!encoding) {
+            result += decodePendingWords(pending, options) + between + match[0];
+            pending = null;
+            continue;
+        }
+        var bytes = match[2].toUpperCase() == 'B' ? new Buffer(match[3], 'base64') :
+                decodeEscapes(match[3], '=', true);
+        if (pending && /^[ \t]*$/.test(between)) { // adjacent words: ignore the whitespace
+            // a stateful encoding returns to its initial state at the end of each word, and an
+            // escape sequence that follows another directly is an error; and each word in
+            // generic UTF-16 or UTF-32 starts with its own BOM
+            if (pending.encoding === encoding && !(encoding instanceof StatefulEncoding) &&
+                    encoding !== Encoding.utf16 && encoding !== Encoding.utf32) {
+                pending.bytes.push(bytes);
+                continue;
+            }
+            between = '';
+        }
+        result += decodePendingWords(pending, options) + between;
+        pending = { encoding: encoding, bytes: [ bytes ] };
+    }
+    return result + decodePendingWords(pending, options) + str.slice(last);
+}
 
-// ISO-8859-15
+/**
+ * Encode a string as one or more RFC 2047 encoded-words, separated by spaces.  Each word is no
+ * more than 75 characters long; the string is split between words only at character
+ * boundaries (never within the byte sequence of a character, or between the halves of a
+ * surrogate pair), and in the case of a stateful encoding, each word is complete in itself.
+ *
+ * @param {String}          str         the string to encode
+ * @param {Encoding|String} [encoding]  the encoding, or its name (default UTF-8)
+ * @param {String}          [mode]      'Q' for the "Q" encoding or 'B' for base64 (default 'Q')
+ * @param {Object}          [options]   an options object, passed to {@link Encoding#encode}
+ * @returns {String}    the encoded-words (or an empty string, if the string is empty)
+ * @throws Error    if the encoding or the mode is not known
+ */
+function encodeWord(str, encoding, mode, options) {
+    encoding = resolveEncoding(encoding || Encoding.utf8);
+    mode = (mode || 'Q').toUpperCase();
+    if (mode != 'Q' && mode != 'B')
+        throw new Error('Unknown encoded-word encoding: ' + mode);
+    var prefix = '=?' + encoding.name + '?' + mode + '?';
+    var limit = maxEncodedWordLength - prefix.length - 2;
+    var encodeText = encodeQ, lenText = function (buf) {
+        return encodeQ(buf).length;
+    };
+    if (mode == 'B') {
+        encodeText = function (buf) {
+            return buf.toString('base64');
+        };
+        // base64 text is measured by the number of bytes (three for every four characters)
+        lenText = bufferLength;
+        limit = Math.floor(limit / 4) * 3;
+    }
+    var pieces = splitCharacters(String(str), encoding, options, lenText, limit);
+    return pieces.map(function (buf) {
+        return prefix + encodeText(buf) + '?=';
+    }).join(' ');
+}
 
-// the following table is derived from http://encoding.spec.whatwg.org/index-iso-8859-15.txt
-var iso885915CodePage =
-        '\u0080\u0081\u0082\u0083\u0084\u0085\u0086\u0087' +
-        '\u0088\u0089\u008A\u008B\u008C\u008D\u008E\u008F' +
-        '\u0090\u0091\u0092\u0093\u0094\u0095\u0096\u0097' +
-        '\u0098\u0099\u009A\u009B\u009C\u009D\u009E\u009F' +
-        '\u00A0\u00A1\u00A2\u00A3\u20AC\u00A5\u0160\u00A7' +
-        '\u0161\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
-        '\u00B0\u00B1\u00B2\u00B3\u017D\u00B5\u00B6\u00B7' +
-        '\u017E\u00B9\u00BA\u00BB\u0152\u0153\u0178\u00BF' +
-        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
-        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
-        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
-        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
-        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
-        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
-        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
-        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+/**
+ * Parse a header value consisting of a value followed by parameters (for example, a
+ * "Content-Disposition" header), decoding the RFC 2231 extended parameters
+ * (<code>filename*=charset'language'%XX...</code>) and parameter continuations
+ * (<code>filename*0*=...; filename*1*=...</code>).  The charset of an extended parameter is
+ * resolved by {@link Encoding.getEncoding}; if it is missing or not known, UTF-8 is assumed.
+ * Where a parameter is present in both the extended and the plain form, the extended form is
+ * used.
+ *
+ * @param {String}  header      the header value
+ * @param {Object}  [options]   an options object, passed to {@link Encoding#decode}
+ * @returns {Object}    an object containing the leading value (in the <code>value</code>
+ *                      property) and the parameter values, indexed by name in lower case
+ *                      (in the <code>params</code> property); or <code>null</code> if the
+ *                      header is malformed
+ */
+function decodeParameters(header, options) {
+    var parsed = parseParameters(String(header));
+    if (!parsed)
+        return null;
+    var plain = parsed.params, sections = Object.create(null);
+    var params = Object.create(null);
+    Object.keys(plain).forEach(function (key) {
+        var match = /^(.+?)(?:\*(\d+))?(\*)?$/.exec(key);
+        if (match[2] === undefined && match[3] === undefined)
+            return;
+        var name = match[1];
+        if (!sections[name])
+            sections[name] = [];
+        sections[name][match[2] === undefined ? 0 : Number(match[2])] =
+                { value: plain[key], extended: match[3] !== undefined };
+        delete plain[key];
+    });
+    Object.keys(plain).forEach(function (name) {
+        params[name] = plain[name];
+    });
+    Object.keys(sections).forEach(function (name) {
+        params[name] = decodeExtendedParameter(sections[name], options);
+    });
+    return { value: parsed.value, params: params };
+}
 
-Encoding.iso885915 = new CodePageEncoding(iso885915CodePage, 'iso-8859-15',
-        /^iso[\-_]?8859[\-_]?15$/i, 0.5);
+/**
+ * Encode a parameter for a header such as "Content-Disposition".  A value consisting only of
+ * printable ASCII characters is encoded as a quoted string (<code>name="value"</code>) if it is
+ * short enough; otherwise it is encoded as an RFC 2231 extended parameter
+ * (<code>name*=charset''%XX...</code>), split into continuations
+ * (<code>name*0*=...; name*1*=...</code>) if necessary.  Continuations are split only at
+ * character boundaries.
+ *
+ * @param {String}          name        the parameter name
+ * @param {String}          value       the parameter value
+ * @param {Encoding|String} [encoding]  the encoding, or its name (default UTF-8)
+ * @param {Object}          [options]   an options object, passed to {@link Encoding#encode}
+ * @returns {String}    the encoded parameter (or parameters, separated by "; ")
+ * @throws Error    if the encoding is not known
+ */
+function encodeParameter(name, value, encoding, options) {
+    value = String(value);
+    if (/^[\x20-\x7E]*$/.test(value) && name.length + value.length + 3 <= maxParameterLength)
+        return name + '="' + value.replace(/(["\\])/g, '\\$1') + '"';
+    encoding = resolveEncoding(encoding || Encoding.utf8);
+    var prefix = encoding.name + '\'\'';
+    var limit = maxParameterLength - name.length - prefix.length - 6;
+    var pieces = splitCharacters(value, encoding, options, function (buf) {
+        return percentEncode(buf).length;
+    }, limit);
+    if (pieces.length == 1)
+        return name + '*=' + prefix + percentEncode(pieces[0]);
+    return pieces.map(function (buf, i) {
+        return name + '*' + i + '*=' + (i ? '' : prefix) + percentEncode(buf);
+    }).join('; ');
+}
 
-Encoding.encodings.push(Encoding.iso885915);
+/**
+ * Decode the pending encoded-words (the bytes of adjacent words in the same charset).
+ *
+ * @param {Object}  pending     the encoding and the bytes of the words, or <code>null</code>
+ * @param {Object}  [options]   an options object, passed to {@link Encoding#decode}
+ * @returns {String}    the decoded string
+ */
+function decodePendingWords(pending, options) {
+    return pending ? pending.encoding.decode(Buffer.concat(pending.bytes), options) : '';
+}
 
-// Windows-1252
+/**
+ * Decode an RFC 2231 extended parameter from its sections (a single section, if there are no
+ * continuations).  The first section, if extended, starts with the charset and the language.
+ *
+ * @param {Array}   sections    the sections, each with its <code>value</code> and an
+ *                              indication that it is <code>extended</code> (percent-encoded)
+ * @param {Object}  [options]   an options object, passed to {@link Encoding#decode}
+ * @returns {String}    the decoded value
+ */
+function decodeExtendedParameter(sections, options) {
+    var charset = null, bytes = [];
+    for (var i = 0; i < sections.length && sections[i]; i++) {
+        var text = sections[i].value;
+        if (!sections[i].extended) {
+            bytes.push(new Buffer(text, 'binary'));
+            continue;
+        }
+        if (i == 0) {
+            var match = /^([^']*)'[^']*'/.exec(text);
+            if (match) {
+                charset = match[1];
+                text = text.slice(match[0].length);
+            }
+        }
+        bytes.push(decodeEscapes(text, '%', false));
+    }
+    var encoding = charset && Encoding.getEncoding(charset) || Encoding.utf8;
+    return encoding.decode(Buffer.concat(bytes), options);
+}
 
-// the following table is derived from http://encoding.spec.whatwg.org/index-windows-1252.txt
-var win1252CodePage =
-        '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021' +
-        '\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
-        '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014' +
-        '\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178' +
-        '\u00A0\u00A1\u00A2\u00A3\u00A4\u00A5\u00A6\u00A7' +
-        '\u00A8\u00A9\u00AA\u00AB\u00AC\u00AD\u00AE\u00AF' +
-        '\u00B0\u00B1\u00B2\u00B3\u00B4\u00B5\u00B6\u00B7' +
-        '\u00B8\u00B9\u00BA\u00BB\u00BC\u00BD\u00BE\u00BF' +
-        '\u00C0\u00C1\u00C2\u00C3\u00C4\u00C5\u00C6\u00C7' +
-        '\u00C8\u00C9\u00CA\u00CB\u00CC\u00CD\u00CE\u00CF' +
-        '\u00D0\u00D1\u00D2\u00D3\u00D4\u00D5\u00D6\u00D7' +
-        '\u00D8\u00D9\u00DA\u00DB\u00DC\u00DD\u00DE\u00DF' +
-        '\u00E0\u00E1\u00E2\u00E3\u00E4\u00E5\u00E6\u00E7' +
-        '\u00E8\u00E9\u00EA\u00EB\u00EC\u00ED\u00EE\u00EF' +
-        '\u00F0\u00F1\u00F2\u00F3\u00F4\u00F5\u00F6\u00F7' +
-        '\u00F8\u00F9\u00FA\u00FB\u00FC\u00FD\u00FE\u00FF';
+/**
+ * Split a string into pieces, at character boundaries, and encode each piece.  Each piece is as
+ * long as possible, subject to a limit on the length of the text to which its bytes will be
+ * escaped (but always contains at least one character).  The length of that text must be the
+ * sum of the lengths for the bytes of the individual characters, so that each character need be
+ * encoded only once; a piece in a stateful encoding is completed (returned to the initial
+ * state) within the limit.
+ *
+ * @param {String}      str         the string
+ * @param {Encoding}    encoding    the encoding
+ * @param {Object}      [options]   an options object, passed to {@link Encoding#encode}
+ * @param {Function}    lenText     a function which returns the length of the escaped text for
+ *                                  the given bytes
+ * @param {Number}      limit       the maximum length of the escaped text of a piece
+ * @returns {Array}     the encoded pieces (Buffers)
+ */
+function splitCharacters(str, encoding, options, lenText, limit) {
+    var stateful = encoding instanceof StatefulEncoding;
+    var charOptions = Object.create(options || null);
+    charOptions.outputBOM = false;
+    var start = encoding.encode('', options); // the BOM, if the encoding outputs one
+    var pieces = [], piece = null, i = 0;
+    while (i < str.length) {
+        var next = isHighSurrogate(str.charCodeAt(i)) && isLowSurrogate(str.charCodeAt(i + 1)) ?
+                i + 2 : i + 1;
+        if (!piece) {
+            piece = { bufs: [ start ], length: lenText(start), tail: new Buffer(0),
+                    state: stateful ? encoding.createState() : null };
+        }
+        var buf, tail = piece.tail, state = null;
+        try {
+            if (stateful) {
+                // encode the character in a copy of the state, in case it starts a new piece
+                var bytes = [], end = [];
+                state = copyState(piece.state);
+                encoding.encodeChunk(bytes, str.slice(i, next), options, state);
+                encoding.encodeFinish(end, options, copyState(state));
+                buf = new Buffer(bytes);
+                tail = new Buffer(end);
+            }
+            else
+                buf = encoding.encode(str.slice(i, next), charOptions);
+        }
+        catch (e) {
+            throw setErrorIndex(e, i);
+        }
+        var length = piece.length + lenText(buf);
+        if (piece.bufs.length > 1 && length + lenText(tail) > limit) {
+            piece.bufs.push(piece.tail);
+            pieces.push(Buffer.concat(piece.bufs));
+            piece = null;
+            continue;
+        }
+        piece.bufs.push(buf);
+        piece.length = length;
+        piece.tail = tail;
+        piece.state = state;
+        i = next;
+    }
+    if (piece) {
+        piece.bufs.push(piece.tail);
+        pieces.push(Buffer.concat(piece.bufs));
+    }
+    return pieces;
+}
 
-Encoding.windows1252 = new CodePageEncoding(win1252CodePage, 'windows-1252',
-        /^(windows|cp)[\-_]?1252$/i, 0.5);
+/**
+ * Copy the state object of a {@link StatefulEncoding} (the properties of which are all simple
+ * values).
+ *
+ * @param {Object}  state       the state object
+ * @returns {Object}            the copy
+ */
+function copyState(state) {
+    var copy = {};
+    for (var key in state)
+        copy[key] = state[key];
+    return copy;
+}
+
+/**
+ * Return the length of a buffer (the measure of the base64 text of an encoded-word).
+ *
+ * @param {Buffer}  buf     the buffer
+ * @returns {Number}        the length
+ */
+function bufferLength(buf) {
+    return buf.length;
+}
+
+/**
+ * Decode a string containing hexadecimal escapes (such as <code>=3D</code> or
+ * <code>%25</code>) to bytes.  Other characters represent their own (ASCII) values.
+ *
+ * @param {String}  text        the string
+ * @param {String}  escape      the escape character
+ * @param {Boolean} underscore  if true, an underscore represents a space (as in the RFC 2047
+ *                              "Q" encoding)
+ * @returns {Buffer}    the bytes
+ */
+function decodeEscapes(text, escape, underscore) {
+    var bytes = [];
+    for (var i = 0; i < text.length; i++) {
+        var ch = text.charAt(i);
+        if (ch == escape && /^[0-9A-Fa-f]{2}$/.test(text.substr(i + 1, 2))) {
+            bytes.push(parseInt(text.substr(i + 1, 2), 16));
+            i += 2;
+        }
+        else
+            bytes.push(underscore && ch == '_' ? 0x20 : text.charCodeAt(i) & 0xFF);
+    }
+    return new Buffer(bytes);
+}
+
+/**
+ * Encode bytes in the RFC 2047 "Q" encoding, using the restricted set of literal characters
+ * allowed in a phrase.
+ *
+ * @param {Buffer}  buf     the bytes
+ * @returns {String}        the encoded text
+ */
+function encodeQ(buf) {
+    var a = '';
+    for (var i = 0; i < buf.length; i++) {
+        var b = buf[i];
+        if (b == 0x20)
+            a += '_';
+        else if (/[A-Za-z0-9!*+\-\/]/.test(String.fromCharCode(b)) && b < 0x80)
+            a += String.fromCharCode(b);
+        else
+            a += encodeQPByte(b);
+    }
+    return a;
+}
 
-Encoding.encodings.push(Encoding.windows1252);
+/**
+ * Percent-encode bytes for an RFC 2231 extended parameter.
+ *
+ * @param {Buffer}  buf     the bytes
+ * @returns {String}        the encoded text
+ */
+function percentEncode(buf) {
+    var a = '';
+    for (var i = 0; i < buf.length; i++) {
+        var b = buf[i];
+        if (/[A-Za-z0-9!#$&+\-.\^_`|~]/.test(String.fromCharCode(b)) && b < 0x80)
+            a += String.fromCharCode(b);
+        else
+            a += '%' + hexDigits.charAt(b >> 4) + hexDigits.charAt(b & 0xF);
+    }
+    return a;
+}
 
 exports.Encoding = Encoding;
 exports.CodePageEncoding = CodePageEncoding;
+exports.EBCDICEncoding = EBCDICEncoding;
+exports.MultiByteEncoding = MultiByteEncoding;
+exports.StatefulEncoding = StatefulEncoding;
+exports.EncodingError = EncodingError;
+exports.TextDecoder = TextDecoder;
+exports.TextEncoder = TextEncoder;
+exports.decodeRequest = decodeRequest;
+exports.encodeResponse = encodeResponse;
+exports.mime = {
+    decodeWords: decodeWords,
+    encodeWord: encodeWord,
+    decodeParameters: decodeParameters,
+    encodeParameter: encodeParameter
+};
 exports.EncodeStream = EncodeStream;
 exports.DecodeStream = DecodeStream;
+exports.TranscodeStream = TranscodeStream;
+exports.QPEncodeStream = QPEncodeStream;
+exports.QPDecodeStream = QPDecodeStream;
+exports.EncodeWebStream = EncodeWebStream;
+exports.DecodeWebStream = DecodeWebStream;
 exports.CodePageDecodeStream = CodePageDecodeStream;
 exports.hexChar = hexChar; // temporary
 exports.hexString = hexString; // temporary
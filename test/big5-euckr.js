@@ -0,0 +1,68 @@
+/*
+ * Tests of the Big5 and EUC-KR encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    'Big5 encodes and decodes': function () {
+        var big5 = Encoding.getEncoding('Big5');
+        var buf = new Buffer([ 0x41, 0xA4, 0xA4, 0xA4, 0xE5 ]);
+        assert.deepEqual(big5.encode('A\u4E2D\u6587'), buf);
+        assert.equal(big5.decode(buf), 'A\u4E2D\u6587');
+    },
+
+    'Big5 decodes the HKSCS extensions, including pairs of code points': function () {
+        var buf = new Buffer([ 0x88, 0x62, 0x87, 0x40 ]);
+        assert.equal(Encoding.big5.decode(buf), '\u00CA\u0304\u43F0');
+        assert.strictEqual(Encoding.getEncoding('Big5-HKSCS'), Encoding.big5);
+    },
+
+    'Big5 does not encode the HKSCS extensions': function () {
+        assert.deepEqual(Encoding.big5.encode('\u43F0'), new Buffer('?'));
+        assert.throws(function () {
+            Encoding.big5.encode('\u43F0', { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_UNENCODABLE_CHARACTER' && e.index === 0;
+        });
+    },
+
+    'Big5 replaces an invalid trail byte without consuming an ASCII byte': function () {
+        assert.equal(Encoding.big5.decode(new Buffer([ 0xA4, 0x20 ])), '\uFFFD ');
+        assert.equal(Encoding.big5.decode(new Buffer([ 0xA4 ])), '\uFFFD');
+    },
+
+    'EUC-KR encodes and decodes, including the extended (UHC) syllables': function () {
+        var euckr = Encoding.getEncoding('EUC-KR');
+        var buf = new Buffer([ 0xC7, 0xD1, 0xB1, 0xB9, 0x8C, 0x63 ]);
+        assert.deepEqual(euckr.encode('\uD55C\uAD6D\uB620'), buf);
+        assert.equal(euckr.decode(buf), '\uD55C\uAD6D\uB620');
+        [ 'ks_c_5601-1987', 'windows-949', 'cp949', 'korean' ].forEach(function (label) {
+            assert.strictEqual(Encoding.getEncoding(label), euckr, label);
+        });
+    },
+
+    'decode streams handle sequences split between chunks': function (done) {
+        var cases = [ {
+            encoding: Encoding.big5,
+            buf: Buffer.concat([ Encoding.big5.encode('Big5 \u4E2D\u6587 '),
+                    new Buffer([ 0x88, 0x62, 0x87, 0x40 ]) ]),
+            text: 'Big5 \u4E2D\u6587 \u00CA\u0304\u43F0'
+        }, {
+            encoding: Encoding.euckr,
+            buf: Encoding.euckr.encode('EUC-KR \uD55C\uAD6D\uC5B4 \uB620'),
+            text: 'EUC-KR \uD55C\uAD6D\uC5B4 \uB620'
+        } ];
+        helpers.series(cases, function (c, next) {
+            helpers.decodeChunked(c.encoding, c.buf, 1, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, c.text);
+                next();
+            });
+        }, done);
+    }
+};
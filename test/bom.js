@@ -0,0 +1,71 @@
+/*
+ * Tests of byte order mark handling: the "utf-16" encoding and the bomSniff option.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    '"utf-16" decodes in the byte order of the BOM, or little-endian': function () {
+        var utf16 = Encoding.getEncoding('UTF-16');
+        assert.strictEqual(utf16, Encoding.utf16);
+        assert.equal(utf16.decode(new Buffer([ 0xFE, 0xFF, 0x00, 0xE9 ])), '\u00E9');
+        assert.equal(utf16.decode(new Buffer([ 0xFF, 0xFE, 0xE9, 0x00 ])), '\u00E9');
+        assert.equal(utf16.decode(new Buffer([ 0xE9, 0x00 ])), '\u00E9');
+    },
+
+    '"utf-16" encodes little-endian, preceded by a BOM': function (done) {
+        assert.deepEqual(Encoding.utf16.encode('a'), new Buffer([ 0xFF, 0xFE, 0x61, 0x00 ]));
+        helpers.encodeChunked(Encoding.utf16, 'ab', 1, null, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, new Buffer([ 0xFF, 0xFE, 0x61, 0x00, 0x62, 0x00 ]));
+            done();
+        });
+    },
+
+    'bomSniff switches to the encoding that the BOM indicates': function () {
+        var options = { bomSniff: true };
+        var cases = [
+            [ [ 0xEF, 0xBB, 0xBF, 0xC3, 0xA9 ], '\u00E9' ],
+            [ [ 0xFF, 0xFE, 0xE9, 0x00 ], '\u00E9' ],
+            [ [ 0xFE, 0xFF, 0x00, 0xE9 ], '\u00E9' ],
+            [ [ 0xC3, 0xA9 ], '\u00C3\u00A9' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(Encoding.iso88591.decode(new Buffer(c[0]), options), c[1]);
+        });
+        assert.equal(Encoding.utf8.decode(new Buffer([ 0xEF, 0xBB, 0xBF, 0x61 ])), '\uFEFFa');
+    },
+
+    'the decode stream sniffs a BOM split between the first chunks': function (done) {
+        var cases = [
+            [ [ 0xEF, 0xBB, 0xBF, 0xC3, 0xA9, 0x61 ], '\u00E9a' ],
+            [ [ 0xFE, 0xFF, 0x00, 0xE9, 0x00, 0x61 ], '\u00E9a' ],
+            [ [ 0xFF, 0xFE, 0xE9, 0x00, 0x61, 0x00 ], '\u00E9a' ],
+            [ [ 0xEF, 0xBB, 0x61 ], '\u00EF\u00BBa' ],
+            [ [ 0xFF ], '\u00FF' ]
+        ];
+        helpers.series(cases, function (c, next) {
+            helpers.series([ 1, 2 ], function (size, next) {
+                helpers.decodeChunked(Encoding.iso88591, new Buffer(c[0]), size,
+                        { bomSniff: true }, function (err, str) {
+                    assert.ifError(err);
+                    assert.equal(str, c[1], c[0] + ' chunk size ' + size);
+                    next();
+                });
+            }, next);
+        }, done);
+    },
+
+    'dropBOM removes a BOM from the decode stream': function (done) {
+        var buf = new Buffer([ 0xEF, 0xBB, 0xBF, 0x61 ]);
+        helpers.decodeChunked(Encoding.utf8, buf, 1, { dropBOM: true }, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, 'a');
+            done();
+        });
+    }
+};
@@ -0,0 +1,110 @@
+/*
+ * Tests of the ISO-8859 and Windows single-byte code pages.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var CodePageEncoding = encodingstream.CodePageEncoding;
+var helpers = require('./helpers');
+
+var families = Encoding.list().filter(function (encoding) {
+    return /^(iso-8859-|windows-)/.test(encoding.name);
+});
+
+/**
+ * Get the bytes from 0x00 to 0xFF.
+ *
+ * @returns {Buffer}    the bytes
+ */
+function allBytes() {
+    var buf = new Buffer(256);
+    for (var i = 0; i < 256; i++)
+        buf[i] = i;
+    return buf;
+}
+
+module.exports = {
+    'all fifteen ISO-8859 parts and the Windows code pages are present': function () {
+        var names = families.map(function (encoding) {
+            return encoding.name;
+        });
+        [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 14, 15, 16 ].forEach(function (part) {
+            assert(names.indexOf('iso-8859-' + part) >= 0, 'iso-8859-' + part);
+        });
+        for (var cp = 1250; cp <= 1258; cp++)
+            assert(names.indexOf('windows-' + cp) >= 0, 'windows-' + cp);
+        families.forEach(function (encoding) {
+            assert(encoding instanceof CodePageEncoding, encoding.name);
+        });
+    },
+
+    'characters particular to each code page': function () {
+        var cases = [
+            [ 'windows-1252', [ 0x80, 0x9F ], '\u20AC\u0178' ],
+            [ 'iso-8859-1', [ 0x80, 0xE9 ], '\u0080\u00E9' ],
+            [ 'iso-8859-2', [ 0xB1 ], '\u0105' ],
+            [ 'iso-8859-7', [ 0xA4 ], '\u20AC' ],
+            [ 'iso-8859-9', [ 0xD0 ], '\u011E' ],
+            [ 'iso-8859-15', [ 0xA4 ], '\u20AC' ],
+            [ 'iso-8859-16', [ 0xA4 ], '\u20AC' ],
+            [ 'windows-1251', [ 0xC0 ], '\u0410' ]
+        ];
+        cases.forEach(function (c) {
+            var encoding = Encoding.getEncoding(c[0]);
+            assert.equal(encoding.decode(new Buffer(c[1])), c[2], c[0]);
+            assert.deepEqual(encoding.encode(c[2]), new Buffer(c[1]), c[0]);
+        });
+    },
+
+    'every defined byte round-trips, and undefined bytes are invalid': function () {
+        var bytes = allBytes();
+        families.forEach(function (encoding) {
+            var str = encoding.decode(bytes);
+            assert.equal(str.length, 256, encoding.name);
+            for (var i = 0; i < 256; i++) {
+                var ch = str.charAt(i);
+                if (ch == '\uFFFD') {
+                    assert.throws(function () {
+                        encoding.decode(bytes.slice(i, i + 1), { errorFatal: true });
+                    }, encoding.name + ' byte ' + i);
+                }
+                else
+                    assert.deepEqual(encoding.encode(ch), bytes.slice(i, i + 1),
+                            encoding.name + ' byte ' + i);
+            }
+        });
+    },
+
+    'undefined bytes in ISO-8859-11 and Windows-1253': function () {
+        assert.equal(Encoding.getEncoding('iso-8859-11').decode(new Buffer([ 0xDB, 0xA1 ])),
+                '\uFFFD\u0E01');
+        assert.equal(Encoding.getEncoding('windows-1253').decode(new Buffer([ 0xAA ])), '\uFFFD');
+    },
+
+    'characters outside the code page are replaced by the substitution byte': function () {
+        assert.deepEqual(Encoding.iso88591.encode('a\u20ACb'), new Buffer('a?b'));
+        assert.throws(function () {
+            Encoding.iso88591.encode('a\u20ACb', { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_UNENCODABLE_CHARACTER' && e.index === 1 &&
+                    e.character == '\u20AC';
+        });
+    },
+
+    'the decode and encode streams': function (done) {
+        var encoding = Encoding.getEncoding('iso-8859-2');
+        var text = 'Za\u017C\u00F3\u0142\u0107 g\u0119\u015Bl\u0105 ja\u017A\u0144';
+        helpers.encodeChunked(encoding, text, 4, null, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, encoding.encode(text));
+            helpers.decodeChunked(encoding, buf, 3, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text);
+                done();
+            });
+        });
+    }
+};
@@ -0,0 +1,93 @@
+/*
+ * Tests of the heuristic charset detection.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var german = 'Gr\u00FC\u00DFe aus M\u00FCnchen, sch\u00F6ne Stra\u00DFe und \u00C4pfel ' +
+        'f\u00FCr die Kinder';
+var russian = '\u0421\u044A\u0435\u0448\u044C \u0436\u0435 \u0435\u0449\u0451 ' +
+        '\u044D\u0442\u0438\u0445 \u043C\u044F\u0433\u043A\u0438\u0445 ' +
+        '\u0444\u0440\u0430\u043D\u0446\u0443\u0437\u0441\u043A\u0438\u0445 ' +
+        '\u0431\u0443\u043B\u043E\u043A, \u0434\u0430 \u0432\u044B\u043F\u0435\u0439 ' +
+        '\u0447\u0430\u044E';
+var japanese = '\u65E5\u672C\u8A9E\u306E\u30C6\u30AD\u30B9\u30C8\u3067\u3059\u3002' +
+        '\u3053\u308C\u306F\u30C6\u30B9\u30C8\u3067\u3059\u3002';
+var chinese = '\u4E2D\u6587\u6587\u672C\uFF0C\u8FD9\u662F\u4E00\u4E2A\u6D4B\u8BD5\u3002' +
+        '\u6211\u4EEC\u5728\u6D4B\u8BD5\u68C0\u6D4B';
+
+module.exports = {
+    'the most likely candidate is first': function () {
+        var cases = [
+            [ 'utf-8', german ],
+            [ 'koi8-r', russian ],
+            [ 'windows-1251', russian ],
+            [ 'shift_jis', japanese ],
+            [ 'euc-jp', japanese ],
+            [ 'gbk', chinese ]
+        ];
+        cases.forEach(function (c) {
+            var encoding = Encoding.getEncoding(c[0]);
+            var candidates = Encoding.detect(encoding.encode(c[1]));
+            assert(candidates.length > 1, c[0]);
+            assert.equal(candidates[0].encoding.decode(encoding.encode(c[1])), c[1], c[0]);
+            for (var i = 1; i < candidates.length; i++) {
+                assert(candidates[i].confidence <= candidates[i - 1].confidence, c[0]);
+                assert(candidates[i].confidence > 0 && candidates[i].confidence <= 1, c[0]);
+            }
+        });
+    },
+
+    'single-byte Latin text is decoded correctly by the first candidate': function () {
+        var buf = Encoding.windows1252.encode(german);
+        assert.equal(Encoding.detect(buf)[0].encoding.decode(buf), german);
+    },
+
+    'a BOM identifies the encoding with certainty': function () {
+        var candidates = Encoding.detect(new Buffer([ 0xFF, 0xFE, 0x61, 0x00 ]));
+        assert.strictEqual(candidates[0].encoding, Encoding.utf16le);
+        assert.equal(candidates[0].confidence, 1);
+    },
+
+    '7-bit data is UTF-8 or US-ASCII, and no data has no candidates': function () {
+        var names = Encoding.detect(new Buffer('plain text')).map(function (c) {
+            return c.encoding.name;
+        });
+        assert.deepEqual(names.slice(0, 2).sort(), [ 'us-ascii', 'utf-8' ]);
+        assert.deepEqual(Encoding.detect(new Buffer(0)), []);
+    },
+
+    'invalid UTF-8 is not a candidate': function () {
+        var buf = Encoding.windows1251.encode(russian);
+        Encoding.detect(buf).forEach(function (c) {
+            assert.notStrictEqual(c.encoding, Encoding.utf8);
+        });
+    },
+
+    'the detecting stream chooses the encoding from a prefix': function (done) {
+        var buf = Encoding.getEncoding('koi8-r').encode(russian);
+        var stream = Encoding.detectStream({ detectLength: 32 });
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, russian);
+            assert.strictEqual(stream.encoding, Encoding.getEncoding('koi8-r'));
+            done();
+        });
+        helpers.writeChunks(stream, buf, 5);
+    },
+
+    'the detecting stream falls back to the default encoding': function (done) {
+        var stream = Encoding.detectStream({ defaultEncoding: Encoding.iso88591 });
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, '');
+            assert.strictEqual(stream.encoding, Encoding.iso88591);
+            done();
+        });
+        stream.end();
+    }
+};
@@ -0,0 +1,72 @@
+/*
+ * Tests of the EBCDIC code pages.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var EBCDICEncoding = encodingstream.EBCDICEncoding;
+var helpers = require('./helpers');
+
+var ebcdic = [ Encoding.ibm037, Encoding.ibm500, Encoding.ibm1047, Encoding.ibm273 ];
+
+module.exports = {
+    'letters, digits and spaces are not at their ASCII positions': function () {
+        ebcdic.forEach(function (encoding) {
+            assert(encoding instanceof EBCDICEncoding, encoding.name);
+            assert.deepEqual(encoding.encode('Aa0 '), new Buffer([ 0xC1, 0x81, 0xF0, 0x40 ]),
+                    encoding.name);
+            assert.equal(encoding.decode(new Buffer([ 0xC8, 0x89, 0x5A ])).substr(0, 2), 'Hi',
+                    encoding.name);
+        });
+    },
+
+    'characters particular to each code page': function () {
+        assert.deepEqual(Encoding.getEncoding('IBM037').encode('['), new Buffer([ 0xBA ]));
+        assert.deepEqual(Encoding.getEncoding('cp500').encode('['), new Buffer([ 0x4A ]));
+        assert.deepEqual(Encoding.getEncoding('ibm-1047').encode('['), new Buffer([ 0xAD ]));
+        assert.deepEqual(Encoding.getEncoding('csIBM273').encode('\u00E4{'),
+                new Buffer([ 0xC0, 0x43 ]));
+    },
+
+    'all 256 bytes round-trip': function () {
+        var bytes = new Buffer(256);
+        for (var i = 0; i < 256; i++)
+            bytes[i] = i;
+        ebcdic.forEach(function (encoding) {
+            var str = encoding.decode(bytes);
+            assert.equal(str.length, 256, encoding.name);
+            assert.deepEqual(encoding.encode(str), bytes, encoding.name);
+        });
+    },
+
+    'the substitution byte is the EBCDIC question mark': function () {
+        assert.deepEqual(Encoding.ibm037.encode('a\u20ACb'), new Buffer([ 0x81, 0x6F, 0x82 ]));
+        assert.deepEqual(Encoding.ibm1047.encode('\u4E2D'), new Buffer([ 0x6F ]));
+    },
+
+    'NL and LF are swapped by the swapNL option': function () {
+        var buf = new Buffer([ 0x15, 0x25 ]);
+        assert.equal(Encoding.ibm1047.decode(buf), '\u0085\n');
+        assert.equal(Encoding.ibm1047.decode(buf, { swapNL: true }), '\n\u0085');
+        assert.deepEqual(Encoding.ibm1047.encode('\n\u0085'), new Buffer([ 0x25, 0x15 ]));
+        assert.deepEqual(Encoding.ibm1047.encode('\n\u0085', { swapNL: true }), buf);
+    },
+
+    'the streams honour the swapNL option': function (done) {
+        var text = 'line 1\nline 2\n';
+        var options = { swapNL: true };
+        helpers.encodeChunked(Encoding.ibm1047, text, 3, options, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, Encoding.ibm1047.encode(text, options));
+            assert.equal(buf[6], 0x15);
+            helpers.decodeChunked(Encoding.ibm1047, buf, 2, options, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text);
+                done();
+            });
+        });
+    }
+};
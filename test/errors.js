@@ -0,0 +1,99 @@
+/*
+ * Tests of the EncodingError class and the properties of the errors thrown.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var EncodingError = encodingstream.EncodingError;
+var helpers = require('./helpers');
+
+/**
+ * Call a function, and return the error that it throws.
+ *
+ * @param {Function}    fn  the function
+ * @returns {Error}         the error
+ */
+function getError(fn) {
+    try {
+        fn();
+    }
+    catch (e) {
+        return e;
+    }
+    assert.fail('no error was thrown');
+}
+
+module.exports = {
+    'a decoding error has the offset and the offending bytes': function () {
+        var e = getError(function () {
+            Encoding.utf8.decode(new Buffer([ 0x61, 0x62, 0xC3, 0x28 ]), { errorFatal: true });
+        });
+        assert(e instanceof EncodingError);
+        assert(e instanceof Error);
+        assert.equal(e.name, 'EncodingError');
+        assert.equal(e.code, 'ERR_INVALID_SEQUENCE');
+        assert.equal(e.encoding, 'utf-8');
+        assert.strictEqual(e.offset, 2);
+        assert.deepEqual(e.bytes, new Buffer([ 0xC3 ]));
+        assert.strictEqual(e.index, null);
+        assert.strictEqual(e.character, null);
+        assert(/UTF-8/.test(e.message));
+    },
+
+    'an incomplete sequence at the end of the data': function () {
+        var e = getError(function () {
+            Encoding.shiftjis.decode(new Buffer([ 0x61, 0x82 ]), { errorFatal: true });
+        });
+        assert.equal(e.code, 'ERR_INCOMPLETE_SEQUENCE');
+        assert.equal(e.encoding, 'shift_jis');
+        assert.strictEqual(e.offset, 1);
+        assert.deepEqual(e.bytes, new Buffer([ 0x82 ]));
+    },
+
+    'an encoding error has the index and the character': function () {
+        var e = getError(function () {
+            Encoding.windows1252.encode('ab\uD83D\uDE00', { errorFatal: true });
+        });
+        assert(e instanceof EncodingError);
+        assert.equal(e.code, 'ERR_UNENCODABLE_CHARACTER');
+        assert.equal(e.encoding, 'windows-1252');
+        assert.strictEqual(e.index, 2);
+        assert.equal(e.character, '\uD83D\uDE00');
+        assert.strictEqual(e.offset, null);
+        assert.strictEqual(e.bytes, null);
+    },
+
+    'an unpaired surrogate': function () {
+        var e = getError(function () {
+            Encoding.utf8.encode('a\uDC00', { errorFatal: true });
+        });
+        assert.equal(e.code, 'ERR_INVALID_SURROGATE');
+        assert.strictEqual(e.index, 1);
+        assert.equal(e.character, '\uDC00');
+    },
+
+    'the offset in a decode stream is counted from the start of the stream': function (done) {
+        var buf = Buffer.concat([ new Buffer('0123456789'), new Buffer([ 0xFF ]) ]);
+        helpers.decodeChunked(Encoding.utf8, buf, 3, { errorFatal: true }, function (err) {
+            assert(err instanceof EncodingError);
+            assert.equal(err.code, 'ERR_INVALID_SEQUENCE');
+            assert.strictEqual(err.offset, 10);
+            assert.deepEqual(err.bytes, new Buffer([ 0xFF ]));
+            done();
+        });
+    },
+
+    'the index in an encode stream is counted from the start of the stream': function (done) {
+        helpers.encodeChunked(Encoding.iso88591, '0123456789\u20AC', 4, { errorFatal: true },
+                function (err) {
+            assert(err instanceof EncodingError);
+            assert.equal(err.code, 'ERR_UNENCODABLE_CHARACTER');
+            assert.strictEqual(err.index, 10);
+            assert.equal(err.character, '\u20AC');
+            done();
+        });
+    }
+};
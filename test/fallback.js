@@ -0,0 +1,88 @@
+/*
+ * Tests of the encodeFallback option.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var text = 'caf\u00E9 \u2603 \u4E2D \uD83D\uDE00';
+
+module.exports = {
+    'html and xml give hexadecimal character references': function () {
+        var expected = new Buffer('caf\u00E9 &#x2603; &#x4E2D; &#x1F600;', 'binary');
+        assert.deepEqual(Encoding.windows1252.encode(text, { encodeFallback: 'html' }), expected);
+        assert.deepEqual(Encoding.iso88591.encode(text, { encodeFallback: 'xml' }), expected);
+    },
+
+    'escape gives JavaScript escape sequences, with surrogate pairs': function () {
+        assert.equal(Encoding.usascii.encode(text, { encodeFallback: 'escape' }).toString(),
+                'caf\\u00E9 \\u2603 \\u4E2D \\uD83D\\uDE00');
+    },
+
+    'a function gives the replacement, or null for the substitution byte': function () {
+        var codes = [];
+        var options = {
+            encodeFallback: function (ch) {
+                codes.push(ch);
+                return ch == 0x2603 ? '[snowman]' : null;
+            }
+        };
+        assert.deepEqual(Encoding.windows1252.encode(text, options),
+                new Buffer('caf\u00E9 [snowman] ? ?', 'binary'));
+        assert(codes.indexOf(0x1F600) >= 0);
+        assert.equal(codes.indexOf(0xE9), -1);
+    },
+
+    'characters in the substitution that can not be encoded are not substituted again':
+            function () {
+        var options = {
+            encodeFallback: function () {
+                return '<\u4E2D>';
+            }
+        };
+        assert.deepEqual(Encoding.windows1252.encode('\u2603', options), new Buffer('<?>'));
+        options.errorFatal = true;
+        assert.throws(function () {
+            Encoding.windows1252.encode('\u2603', options);
+        }, function (e) {
+            return e.code == 'ERR_UNENCODABLE_CHARACTER' && e.character == '\u4E2D';
+        });
+    },
+
+    'the fallback takes precedence over errorFatal': function () {
+        var options = { encodeFallback: 'html', errorFatal: true };
+        assert.equal(Encoding.windows1252.encode('a\u2603', options).toString(), 'a&#x2603;');
+        assert.throws(function () {
+            Encoding.windows1252.encode('a\u2603', { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_UNENCODABLE_CHARACTER' && e.index === 1;
+        });
+    },
+
+    'multi-byte and stateful encodings': function () {
+        var options = { encodeFallback: 'html' };
+        assert.deepEqual(Encoding.gbk.encode('\u4E2D\u00A5', options),
+                Buffer.concat([ Encoding.gbk.encode('\u4E2D'), new Buffer('&#xA5;') ]));
+        assert.deepEqual(Encoding.iso2022jp.encode('\u3042\u2603', options),
+                Buffer.concat([ Encoding.iso2022jp.encode('\u3042'), new Buffer('&#x2603;') ]));
+    },
+
+    'an unrecognised fallback is an error': function () {
+        assert.throws(function () {
+            Encoding.windows1252.encode('\u2603', { encodeFallback: 'entity' });
+        }, /Unrecognised encodeFallback option: entity/);
+    },
+
+    'the encode stream applies the fallback to surrogate pairs split between chunks':
+            function (done) {
+        helpers.encodeChunked(Encoding.windows1252, text, 1, { encodeFallback: 'html' },
+                function (err, buf) {
+            assert.ifError(err);
+            assert.equal(buf.toString('binary'), 'caf\u00E9 &#x2603; &#x4E2D; &#x1F600;');
+            done();
+        });
+    }
+};
@@ -0,0 +1,84 @@
+/*
+ * Tests of the GBK and GB18030 encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    'GBK and GB18030 encode and decode two-byte sequences': function () {
+        var buf = new Buffer([ 0x41, 0xD6, 0xD0, 0xCE, 0xC4 ]);
+        [ Encoding.gbk, Encoding.gb18030 ].forEach(function (encoding) {
+            assert.deepEqual(encoding.encode('A\u4E2D\u6587'), buf);
+            assert.equal(encoding.decode(buf), 'A\u4E2D\u6587');
+        });
+    },
+
+    'GB18030 encodes characters outside GBK as four-byte sequences': function () {
+        var gb = Encoding.getEncoding('GB18030');
+        assert.deepEqual(gb.encode('\u00A5'), new Buffer([ 0x81, 0x30, 0x84, 0x36 ]));
+        assert.deepEqual(gb.encode('\uE7C7'), new Buffer([ 0x81, 0x35, 0xF4, 0x37 ]));
+        assert.deepEqual(gb.encode('\uD800\uDC00'), new Buffer([ 0x90, 0x30, 0x81, 0x30 ]));
+        assert.equal(gb.decode(new Buffer([ 0x81, 0x30, 0x84, 0x36, 0x90, 0x30, 0x81, 0x30 ])),
+                '\u00A5\uD800\uDC00');
+    },
+
+    'the GB18030-2022 mappings, and the private use characters they replace': function () {
+        var buf = new Buffer([ 0xA6, 0xD9, 0xA6, 0xDA, 0xFE, 0x59, 0xFE, 0xA0 ]);
+        [ Encoding.gbk, Encoding.gb18030 ].forEach(function (encoding) {
+            assert.equal(encoding.decode(buf), '\uFE10\uFE12\u9FB4\u9FBB');
+            assert.deepEqual(encoding.encode('\uFE10\uFE12\u9FB4\u9FBB'), buf);
+        });
+        assert.deepEqual(Encoding.gb18030.encode('\uE78D\uE78E\uE81E\uE864'), buf);
+    },
+
+    'GBK does not encode four-byte sequences, but decodes them': function () {
+        assert.deepEqual(Encoding.gbk.encode('\u00A5'), new Buffer('?'));
+        assert.equal(Encoding.gbk.decode(new Buffer([ 0x81, 0x30, 0x84, 0x36 ])), '\u00A5');
+    },
+
+    'the euro sign is 0x80 in GBK only': function () {
+        assert.deepEqual(Encoding.gbk.encode('\u20AC'), new Buffer([ 0x80 ]));
+        assert.deepEqual(Encoding.gb18030.encode('\u20AC'), new Buffer([ 0xA2, 0xE3 ]));
+        assert.equal(Encoding.gb18030.decode(new Buffer([ 0x80 ])), '\u20AC');
+    },
+
+    'gb2312 labels select GBK': function () {
+        [ 'gb2312', 'GB_2312-80', 'chinese', 'x-gbk', 'csGB2312' ].forEach(function (label) {
+            assert.strictEqual(Encoding.getEncoding(label), Encoding.gbk, label);
+        });
+    },
+
+    'an incomplete four-byte sequence is replaced': function () {
+        assert.equal(Encoding.gb18030.decode(new Buffer([ 0x81, 0x30, 0x81 ])), '\uFFFD');
+        assert.throws(function () {
+            Encoding.gb18030.decode(new Buffer([ 0x81, 0x30 ]), { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INCOMPLETE_SEQUENCE';
+        });
+    },
+
+    'the decode stream handles four-byte sequences split at every position': function (done) {
+        var text = 'a\u4E2D\u00A5\uD800\uDC00\uE7C7b';
+        var buf = Encoding.gb18030.encode(text);
+        helpers.series([ 1, 2, 3, 4, 5 ], function (size, next) {
+            helpers.decodeChunked(Encoding.gb18030, buf, size, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text, 'chunk size ' + size);
+                next();
+            });
+        }, done);
+    },
+
+    'the encode stream handles surrogate pairs split between chunks': function (done) {
+        var text = '\uD800\uDC00\u4E2D\uD800\uDC00';
+        helpers.encodeChunked(Encoding.gb18030, text, 1, null, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, Encoding.gb18030.encode(text));
+            done();
+        });
+    }
+};
@@ -0,0 +1,103 @@
+/*
+ * Functions shared by the tests.
+ */
+
+'use strict';
+
+/**
+ * Write data to a stream in chunks of the given size (the last may be shorter), then end it.
+ *
+ * @param {Writable}        stream  the stream
+ * @param {Buffer|String}   data    the data
+ * @param {Number}          size    the size of each chunk
+ */
+function writeChunks(stream, data, size) {
+    for (var i = 0; i < data.length; i += size)
+        stream.write(data.slice(i, i + size));
+    stream.end();
+}
+
+/**
+ * Collect the output of a stream.  The callback is called with any error emitted by the stream,
+ * the output (the strings joined, or the Buffers concatenated) and the errors reported by any
+ * <code>invalid</code> events; it is called only once, on the first error or at the end.
+ *
+ * @param {Readable}    stream      the stream
+ * @param {Function}    callback    the function to call when the stream ends
+ */
+function collect(stream, callback) {
+    var chunks = [], invalid = [], finished = false;
+    stream.on('data', function (chunk) {
+        chunks.push(chunk);
+    });
+    stream.on('invalid', function (e) {
+        invalid.push(e);
+    });
+    // older versions of Node emit 'end' even after an error, so call back only once
+    stream.on('error', function (e) {
+        if (!finished) {
+            finished = true;
+            callback(e, null, invalid);
+        }
+    });
+    stream.on('end', function () {
+        if (!finished) {
+            finished = true;
+            callback(null, chunks.length && Buffer.isBuffer(chunks[0]) ? Buffer.concat(chunks) :
+                    chunks.join(''), invalid);
+        }
+    });
+}
+
+/**
+ * Decode data through a decode stream, written in chunks of the given size.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @param {Buffer}      buf         the data
+ * @param {Number}      size        the size of each chunk
+ * @param {Object}      [options]   the options for the decode stream
+ * @param {Function}    callback    the function to call with the result (see {@link collect})
+ */
+function decodeChunked(encoding, buf, size, options, callback) {
+    var stream = encoding.decodeStream(options);
+    collect(stream, callback);
+    writeChunks(stream, buf, size);
+}
+
+/**
+ * Encode a string through an encode stream, written in chunks of the given size.
+ *
+ * @param {Encoding}    encoding    the encoding
+ * @param {String}      str         the string
+ * @param {Number}      size        the size of each chunk
+ * @param {Object}      [options]   the options for the encode stream
+ * @param {Function}    callback    the function to call with the result (see {@link collect})
+ */
+function encodeChunked(encoding, str, size, options, callback) {
+    var stream = encoding.encodeStream(options);
+    collect(stream, callback);
+    writeChunks(stream, str, size);
+}
+
+/**
+ * Run an asynchronous step for each of the given values in turn, then call the callback.  The
+ * step is called with a value and a function to call on completion (with an error, if any).
+ *
+ * @param {Array}       values      the values
+ * @param {Function}    step        the step
+ * @param {Function}    callback    the function to call on completion (with any error)
+ */
+function series(values, step, callback) {
+    var i = 0;
+    (function next(err) {
+        if (err || i == values.length)
+            return callback(err || null);
+        step(values[i++], next);
+    })();
+}
+
+exports.writeChunks = writeChunks;
+exports.collect = collect;
+exports.decodeChunked = decodeChunked;
+exports.encodeChunked = encodeChunked;
+exports.series = series;
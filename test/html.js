@@ -0,0 +1,117 @@
+/*
+ * Tests of the HTML encoding sniffing algorithm.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+/**
+ * Sniff the encoding of an HTML document, and return its name.
+ *
+ * @param {String}  html        the document (each character representing a byte)
+ * @param {Object}  [options]   the options for sniffHtml()
+ * @returns {String}            the name of the encoding
+ */
+function sniff(html, options) {
+    return Encoding.sniffHtml(new Buffer(html, 'binary'), options).name;
+}
+
+module.exports = {
+    'the charset is found by the prescan': function () {
+        var cases = [
+            [ '<!DOCTYPE html><html><head><meta charset="Shift_JIS">', 'shift_jis' ],
+            [ '<META CHARSET=euc-jp>', 'euc-jp' ],
+            [ '<meta http-equiv="Content-Type" content="text/html; charset=\'euc-kr\'">',
+                    'euc-kr' ],
+            [ '<meta content="text/html; charset=koi8-r" charset="utf-8" ' +
+                    'http-equiv="content-type">', 'koi8-r' ],
+            [ '<!-- <meta charset=koi8-r> --><meta charset=big5>', 'big5' ],
+            [ '<div title="<meta charset=koi8-r>"><meta charset=gbk>', 'gbk' ],
+            [ '<meta charset=no-such-charset><meta charset=gbk>', 'gbk' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(sniff(c[0]), c[1], c[0]);
+        });
+    },
+
+    'labels are interpreted as the WHATWG standard requires': function () {
+        var cases = [
+            [ 'latin1', 'windows-1252' ],
+            [ 'iso-8859-1', 'windows-1252' ],
+            [ 'us-ascii', 'windows-1252' ],
+            [ 'iso-8859-9', 'windows-1254' ],
+            [ 'tis-620', 'windows-874' ],
+            [ 'x-user-defined', 'windows-1252' ],
+            [ 'utf-16', 'utf-8' ],
+            [ 'utf-16be', 'utf-8' ],
+            [ 'utf-32le', 'utf-8' ],
+            [ 'iso-2022-kr', 'replacement' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(sniff('<meta charset="' + c[0] + '">'), c[1], c[0]);
+        });
+    },
+
+    'UTF-7 is ignored': function () {
+        assert.equal(sniff('<meta charset=utf-7><p>+ADw-script+AD4-'), 'windows-1252');
+        assert.equal(sniff('<meta charset=koi8-r>', { transportCharset: 'UTF-7' }), 'koi8-r');
+    },
+
+    'an encoding that is not ASCII-compatible is ignored': function () {
+        assert.equal(sniff('<meta charset="ibm037"><meta charset=koi8-r>'), 'koi8-r');
+        assert.equal(sniff('<meta charset=ebcdic-cp-us>'), 'windows-1252');
+        assert.equal(sniff('<meta charset=koi8-r>', { transportCharset: 'ibm037' }), 'koi8-r');
+        assert.equal(sniff('<meta charset=koi8-r>', { transportCharset: Encoding.ibm1047 }),
+                'koi8-r');
+        assert.equal(sniff('<meta charset=iso-2022-jp>'), 'iso-2022-jp');
+        assert.equal(sniff('<p>', { transportCharset: 'utf-16be' }), 'utf-16be');
+    },
+
+    'a BOM, then the transport charset, take precedence over the prescan': function () {
+        var options = { transportCharset: 'latin1' };
+        assert.equal(sniff('\u00EF\u00BB\u00BF<meta charset=koi8-r>', options), 'utf-8');
+        assert.equal(sniff('\u00FE\u00FF\u0000<', options), 'utf-16be');
+        assert.equal(sniff('\u00FF\u00FE<\u0000', options), 'utf-16le');
+        assert.equal(sniff('<meta charset=koi8-r>', options), 'windows-1252');
+        assert.equal(sniff('<meta charset=koi8-r>', { transportCharset: Encoding.eucjp }),
+                'euc-jp');
+        assert.equal(sniff('<meta charset=koi8-r>', { transportCharset: 'no-such-charset' }),
+                'koi8-r');
+    },
+
+    'the default encoding is used if no other is found': function () {
+        assert.equal(sniff('<p>No declaration</p>'), 'windows-1252');
+        assert.equal(sniff('<p>No declaration</p>', { defaultEncoding: Encoding.utf8 }), 'utf-8');
+        var late = new Array(1030).join(' ') + '<meta charset=koi8-r>';
+        assert.equal(sniff(late), 'windows-1252');
+    },
+
+    'the sniffing stream decodes the whole document in the encoding found': function (done) {
+        var html = '<html><head><meta charset="koi8-r"></head>' +
+                '<body>\u041F\u0440\u0438\u0432\u0435\u0442, \u043C\u0438\u0440</body></html>';
+        var buf = Encoding.getEncoding('koi8-r').encode(html);
+        var stream = Encoding.sniffHtmlStream();
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, html);
+            assert.equal(stream.encoding.name, 'koi8-r');
+            done();
+        });
+        helpers.writeChunks(stream, buf, 7);
+    },
+
+    'the sniffing stream uses the transport charset': function (done) {
+        var buf = Encoding.shiftjis.encode('<p>\u65E5\u672C\u8A9E</p>');
+        var stream = Encoding.sniffHtmlStream({ transportCharset: 'shift_jis' });
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, '<p>\u65E5\u672C\u8A9E</p>');
+            assert.strictEqual(stream.encoding, Encoding.shiftjis);
+            done();
+        });
+        helpers.writeChunks(stream, buf, 3);
+    }
+};
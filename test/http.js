@@ -0,0 +1,130 @@
+/*
+ * Tests of the HTTP helpers, decodeRequest() and encodeResponse(), with a real server.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var http = require('http');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+
+/**
+ * Start a server which echoes the text of each request in upper case, decoding it with
+ * decodeRequest() and encoding the response with encodeResponse().
+ *
+ * @param {Object}      [options]   the options for encodeResponse()
+ * @param {Function}    callback    the function to call with the server, once it is listening
+ */
+function startEchoServer(options, callback) {
+    var server = http.createServer(function (req, res) {
+        var text = '';
+        var decodeStream = encodingstream.decodeRequest(req);
+        decodeStream.on('data', function (str) {
+            text += str;
+        });
+        decodeStream.on('end', function () {
+            encodingstream.encodeResponse(req, res, options).end(text.toUpperCase());
+        });
+        decodeStream.on('error', function (err) {
+            assert(err instanceof encodingstream.EncodingError);
+            res.statusCode = err.code == 'ERR_UNKNOWN_ENCODING' ? 415 : 400;
+            res.end(err.code);
+        });
+    });
+    server.listen(0, '127.0.0.1', function () {
+        callback(server);
+    });
+}
+
+/**
+ * Send a POST request to a server.
+ *
+ * @param {Server}      server      the server
+ * @param {Object}      headers     the request headers
+ * @param {Buffer}      body        the body of the request
+ * @param {Function}    callback    the function to call with the response and its body
+ */
+function post(server, headers, body, callback) {
+    var req = http.request({ host: '127.0.0.1', port: server.address().port, method: 'POST',
+            path: '/', headers: headers, agent: false }, function (res) {
+        var chunks = [];
+        res.on('data', function (chunk) {
+            chunks.push(chunk);
+        });
+        res.on('end', function () {
+            callback(res, Buffer.concat(chunks));
+        });
+    });
+    req.end(body);
+}
+
+module.exports = {
+    'the request is decoded and the response encoded in the negotiated charset':
+            function (done) {
+        startEchoServer(null, function (server) {
+            var headers = {
+                'Content-Type': 'text/plain; charset=EUC-JP',
+                'Accept-Charset': 'iso-8859-1;q=0.5, shift_jis'
+            };
+            post(server, headers, Encoding.eucjp.encode('abc \u65E5\u672C'),
+                    function (res, body) {
+                assert.equal(res.statusCode, 200);
+                assert.equal(res.headers['content-type'], 'text/plain; charset=shift_jis');
+                assert.equal(res.headers.vary, 'Accept-Charset');
+                assert.deepEqual(body, Encoding.shiftjis.encode('ABC \u65E5\u672C'));
+                server.close(done);
+            });
+        });
+    },
+
+    'a request without a charset is UTF-8, and UTF-8 is the default response': function (done) {
+        startEchoServer(null, function (server) {
+            post(server, { 'Content-Type': 'text/plain' }, new Buffer('d\u00E9j\u00E0 vu'),
+                    function (res, body) {
+                assert.equal(res.statusCode, 200);
+                assert.equal(res.headers['content-type'], 'text/plain; charset=utf-8');
+                assert.equal(body.toString(), 'D\u00C9J\u00C0 VU');
+                server.close(done);
+            });
+        });
+    },
+
+    'an unknown request charset is an ERR_UNKNOWN_ENCODING error': function (done) {
+        startEchoServer(null, function (server) {
+            post(server, { 'Content-Type': 'text/plain; charset=no-such-charset' },
+                    new Buffer('text'), function (res, body) {
+                assert.equal(res.statusCode, 415);
+                assert.equal(body.toString(), 'ERR_UNKNOWN_ENCODING');
+                server.close(done);
+            });
+        });
+    },
+
+    'the response options are applied': function (done) {
+        var options = { contentType: 'text/html', preferred: [ 'iso-8859-1', 'utf-8' ],
+                encodeFallback: 'html' };
+        startEchoServer(options, function (server) {
+            var headers = {
+                'Content-Type': 'text/plain; charset=utf-8',
+                'Accept-Charset': 'iso-8859-1, utf-8;q=0.5'
+            };
+            post(server, headers, new Buffer('\u00E9 \u2603'), function (res, body) {
+                assert.equal(res.headers['content-type'], 'text/html; charset=iso-8859-1');
+                assert.deepEqual(body, new Buffer('\u00C9 &#x2603;', 'binary'));
+                server.close(done);
+            });
+        });
+    },
+
+    'no acceptable charset gives the default encoding': function (done) {
+        startEchoServer({ defaultEncoding: Encoding.windows1252 }, function (server) {
+            post(server, { 'Accept-Charset': 'no-such-charset, utf-8;q=0' }, new Buffer('\u00E9'),
+                    function (res, body) {
+                assert.equal(res.headers['content-type'], 'text/plain; charset=windows-1252');
+                assert.deepEqual(body, new Buffer([ 0xC9 ]));
+                server.close(done);
+            });
+        });
+    }
+};
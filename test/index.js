@@ -0,0 +1,98 @@
+/*
+ * Test runner for encodingstream.
+ *
+ * Usage: node test/index.js [name...]
+ *
+ * Each module in this directory (other than this one and helpers.js) exports a set of test
+ * functions, indexed by description.  A function that takes no argument is synchronous, and fails
+ * by throwing; a function that takes an argument is asynchronous, and calls that argument when
+ * complete (with an error, if it failed).  The modules are run in alphabetical order, or only
+ * the named modules (without the ".js") if names are given.  The process exits with status 1 if
+ * any test fails.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+// the time allowed for an asynchronous test to complete, in milliseconds
+var testTimeout = 10000;
+
+var names = process.argv.slice(2);
+if (!names.length) {
+    names = fs.readdirSync(__dirname).filter(function (file) {
+        return /\.js$/.test(file) && file != 'index.js' && file != 'helpers.js';
+    }).map(function (file) {
+        return file.slice(0, -3);
+    }).sort();
+}
+
+var tests = [];
+names.forEach(function (name) {
+    var module = require(path.join(__dirname, name));
+    Object.keys(module).forEach(function (description) {
+        tests.push({ name: name + ': ' + description, fn: module[description] });
+    });
+});
+
+var passed = 0, failed = 0, current = null;
+
+/**
+ * Record the result of the current test, and start the next.
+ *
+ * @param {Error}   [err]   the error, if the test failed
+ */
+function complete(err) {
+    var test = current;
+    if (!test || test.done)
+        return;
+    test.done = true;
+    clearTimeout(test.timer);
+    if (err) {
+        failed++;
+        console.log('not ok - ' + test.name);
+        console.log(String(err && err.stack || err).replace(/^/gm, '    '));
+    }
+    else {
+        passed++;
+        console.log('ok - ' + test.name);
+    }
+    setImmediate(next);
+}
+
+/**
+ * Run the next test, or report the totals if there are no more.
+ */
+function next() {
+    current = tests.shift();
+    if (!current) {
+        console.log('\n' + passed + ' passed, ' + failed + ' failed');
+        process.exit(failed ? 1 : 0);
+    }
+    try {
+        if (current.fn.length) {
+            current.timer = setTimeout(function () {
+                complete(new Error('Timed out after ' + testTimeout + 'ms'));
+            }, testTimeout);
+            current.fn(complete);
+        }
+        else {
+            current.fn();
+            complete(null);
+        }
+    }
+    catch (e) {
+        complete(e);
+    }
+}
+
+// an exception thrown from a callback of an asynchronous test fails that test
+process.on('uncaughtException', function (e) {
+    if (current && !current.done)
+        complete(e);
+    else
+        throw e;
+});
+
+next();
@@ -0,0 +1,77 @@
+/*
+ * Tests of the 'invalid' events and the stats of the streams.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    'the decode stream reports each replacement': function (done) {
+        var buf = new Buffer([ 0x61, 0xFF, 0x62, 0x63, 0xC3, 0x28, 0x64, 0xE2, 0x82 ]);
+        var stream = Encoding.utf8.decodeStream();
+        helpers.collect(stream, function (err, str, invalid) {
+            assert.ifError(err);
+            assert.equal(str, 'a\uFFFDbc\uFFFD(d\uFFFD');
+            assert.deepEqual(invalid.map(function (e) {
+                return [ e.code, e.offset, e.bytes.toString('hex') ];
+            }), [
+                [ 'ERR_INVALID_SEQUENCE', 1, 'ff' ],
+                [ 'ERR_INVALID_SEQUENCE', 4, 'c3' ],
+                [ 'ERR_INCOMPLETE_SEQUENCE', 7, 'e282' ]
+            ]);
+            assert.deepEqual(stream.stats, { bytesIn: 9, charsOut: 8, replacements: 3 });
+            done();
+        });
+        helpers.writeChunks(stream, buf, 2);
+    },
+
+    'the encode stream reports each replacement': function (done) {
+        var stream = Encoding.iso88591.encodeStream();
+        helpers.collect(stream, function (err, buf, invalid) {
+            assert.ifError(err);
+            assert.deepEqual(buf, new Buffer('a?b?c\u00E9', 'binary'));
+            assert.deepEqual(invalid.map(function (e) {
+                return [ e.code, e.index, e.character ];
+            }), [
+                [ 'ERR_UNENCODABLE_CHARACTER', 1, '\u20AC' ],
+                [ 'ERR_UNENCODABLE_CHARACTER', 3, '\uD83D\uDE00' ]
+            ]);
+            assert.deepEqual(stream.stats, { charsIn: 7, bytesOut: 6, replacements: 2 });
+            done();
+        });
+        helpers.writeChunks(stream, 'a\u20ACb\uD83D\uDE00c\u00E9', 1);
+    },
+
+    'a replacement by the encodeFallback substitution is reported': function (done) {
+        var stream = Encoding.usascii.encodeStream({ encodeFallback: 'html' });
+        helpers.collect(stream, function (err, buf, invalid) {
+            assert.ifError(err);
+            assert.equal(buf.toString(), 'caf&#xE9;');
+            assert.equal(invalid.length, 1);
+            assert.equal(invalid[0].character, '\u00E9');
+            assert.equal(stream.stats.replacements, 1);
+            done();
+        });
+        stream.end('caf\u00E9');
+    },
+
+    'no events are emitted for valid data or when errorFatal is set': function (done) {
+        var stream = Encoding.utf8.decodeStream();
+        helpers.collect(stream, function (err, str, invalid) {
+            assert.ifError(err);
+            assert.deepEqual(invalid, []);
+            assert.equal(stream.stats.replacements, 0);
+            var fatal = Encoding.utf8.decodeStream({ errorFatal: true });
+            helpers.collect(fatal, function (err, str, invalid) {
+                assert.equal(err.code, 'ERR_INVALID_SEQUENCE');
+                assert.deepEqual(invalid, []);
+                done();
+            });
+            fatal.end(new Buffer([ 0xFF ]));
+        });
+        stream.end(new Buffer('caf\u00C3\u00A9', 'binary'));
+    }
+};
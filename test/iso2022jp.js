@@ -0,0 +1,73 @@
+/*
+ * Tests of the stateful ISO-2022-JP encoding.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var jis = Encoding.iso2022jp;
+
+module.exports = {
+    'the encoder switches character sets by escape sequences, and returns to ASCII': function () {
+        assert.deepEqual(jis.encode('a\u3042b'),
+                new Buffer([ 0x61, 0x1B, 0x24, 0x42, 0x24, 0x22, 0x1B, 0x28, 0x42, 0x62 ]));
+        assert.deepEqual(jis.encode('\u3042'),
+                new Buffer([ 0x1B, 0x24, 0x42, 0x24, 0x22, 0x1B, 0x28, 0x42 ]));
+        assert.deepEqual(jis.encode('\u00A5'),
+                new Buffer([ 0x1B, 0x28, 0x4A, 0x5C, 0x1B, 0x28, 0x42 ]));
+    },
+
+    'the encoder converts half-width katakana to full-width': function () {
+        assert.deepEqual(jis.encode('\uFF71'),
+                new Buffer([ 0x1B, 0x24, 0x42, 0x25, 0x22, 0x1B, 0x28, 0x42 ]));
+    },
+
+    'the encoder does not pass an escape byte through': function () {
+        assert.deepEqual(jis.encode('\x1B'), new Buffer('?'));
+    },
+
+    'the decoder handles each character set': function () {
+        var buf = Buffer.concat([ jis.encode('ASCII \u00A5 \u65E5\u672C\u8A9E '),
+                new Buffer([ 0x1B, 0x28, 0x49, 0x31, 0x32, 0x1B, 0x28, 0x42 ]) ]);
+        assert.equal(jis.decode(buf), 'ASCII \u00A5 \u65E5\u672C\u8A9E \uFF71\uFF72');
+    },
+
+    'an escape sequence directly after another is an error': function () {
+        var buf = new Buffer([ 0x1B, 0x24, 0x42, 0x1B, 0x28, 0x42, 0x61 ]);
+        assert.equal(jis.decode(buf), '\uFFFDa');
+        assert.throws(function () {
+            jis.decode(buf, { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INVALID_SEQUENCE' && e.offset == 3;
+        });
+    },
+
+    'the decode stream carries the shift state between chunks': function (done) {
+        var text = 'mixed \u65E5\u672C\u8A9E and ASCII \uFF71 \u00A5 text';
+        var buf = jis.encode(text);
+        helpers.series([ 1, 2, 3, 7 ], function (size, next) {
+            helpers.decodeChunked(jis, buf, size, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, 'mixed \u65E5\u672C\u8A9E and ASCII \u30A2 \u00A5 text');
+                next();
+            });
+        }, done);
+    },
+
+    'the encode stream outputs an escape sequence only when the character set changes':
+            function (done) {
+        var stream = jis.encodeStream();
+        helpers.collect(stream, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, new Buffer([ 0x1B, 0x24, 0x42, 0x24, 0x22, 0x24, 0x24,
+                    0x1B, 0x28, 0x42 ]));
+            done();
+        });
+        stream.write('\u3042');
+        stream.write('\u3044');
+        stream.end();
+    }
+};
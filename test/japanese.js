@@ -0,0 +1,83 @@
+/*
+ * Tests of the Shift_JIS and EUC-JP encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var text = 'ASCII \u3042\u3044\u3046 \u65E5\u672C\u8A9E \uFF71\uFF72 \u2015\u00A7';
+
+module.exports = {
+    'Shift_JIS encodes and decodes JIS X 0208 and half-width katakana': function () {
+        var sjis = Encoding.getEncoding('shift_jis');
+        var buf = new Buffer([ 0x82, 0xA0, 0x93, 0xFA, 0x96, 0x7B, 0xB1 ]);
+        assert.deepEqual(sjis.encode('\u3042\u65E5\u672C\uFF71'), buf);
+        assert.equal(sjis.decode(buf), '\u3042\u65E5\u672C\uFF71');
+        assert.equal(sjis.decode(sjis.encode(text)), text);
+    },
+
+    'Shift_JIS labels': function () {
+        [ 'Shift_JIS', 'sjis', 'ms_kanji', 'windows-31j', 'csshiftjis' ].forEach(function (label) {
+            assert.strictEqual(Encoding.getEncoding(label), Encoding.shiftjis, label);
+        });
+    },
+
+    'Shift_JIS replaces an invalid trail byte without consuming an ASCII byte': function () {
+        assert.equal(Encoding.shiftjis.decode(new Buffer([ 0x82, 0x20, 0x41 ])), '\uFFFD A');
+        assert.equal(Encoding.shiftjis.decode(new Buffer([ 0x82 ])), '\uFFFD');
+    },
+
+    'Shift_JIS decode stream handles sequences split between chunks': function (done) {
+        var buf = Encoding.shiftjis.encode(text);
+        helpers.decodeChunked(Encoding.shiftjis, buf, 1, null, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, text);
+            done();
+        });
+    },
+
+    'EUC-JP encodes and decodes, including half-width katakana': function () {
+        var eucjp = Encoding.getEncoding('EUC-JP');
+        var buf = new Buffer([ 0xA4, 0xA2, 0xC6, 0xFC, 0xCB, 0xDC, 0x8E, 0xB1 ]);
+        assert.deepEqual(eucjp.encode('\u3042\u65E5\u672C\uFF71'), buf);
+        assert.equal(eucjp.decode(buf), '\u3042\u65E5\u672C\uFF71');
+        assert.equal(eucjp.decode(eucjp.encode(text)), text);
+    },
+
+    'EUC-JP decodes JIS X 0212 three-byte sequences': function () {
+        assert.equal(Encoding.eucjp.decode(new Buffer([ 0x8F, 0xB0, 0xA1 ])), '\u4E02');
+    },
+
+    'EUC-JP decode stream handles three-byte sequences split between chunks': function (done) {
+        var buf = Buffer.concat([ Encoding.eucjp.encode(text), new Buffer([ 0x8F, 0xB0, 0xA1 ]) ]);
+        helpers.series([ 1, 2, 3, 5 ], function (size, next) {
+            helpers.decodeChunked(Encoding.eucjp, buf, size, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text + '\u4E02');
+                next();
+            });
+        }, done);
+    },
+
+    'EUC-JP reports an incomplete sequence at the end of the data': function () {
+        assert.equal(Encoding.eucjp.decode(new Buffer([ 0x41, 0xA4 ])), 'A\uFFFD');
+        assert.throws(function () {
+            Encoding.eucjp.decode(new Buffer([ 0x41, 0xA4 ]), { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INCOMPLETE_SEQUENCE';
+        });
+    },
+
+    'encode streams produce the same bytes as encode()': function (done) {
+        helpers.series([ Encoding.shiftjis, Encoding.eucjp ], function (encoding, next) {
+            helpers.encodeChunked(encoding, text, 3, null, function (err, buf) {
+                assert.ifError(err);
+                assert.deepEqual(buf, encoding.encode(text));
+                next();
+            });
+        }, done);
+    }
+};
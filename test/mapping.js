@@ -0,0 +1,128 @@
+/*
+ * Tests of code pages created from mapping tables.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var CodePageEncoding = encodingstream.CodePageEncoding;
+
+/**
+ * Check that creating an encoding from a mapping table throws an error.
+ *
+ * @param {String}  text    the content of the mapping table
+ * @param {RegExp}  message a regular expression to match the error message
+ */
+function assertInvalid(text, message) {
+    assert.throws(function () {
+        CodePageEncoding.fromMappingTable(text, 'x-test-invalid');
+    }, message);
+}
+
+module.exports = {
+    'a table in the unicode.org format': function () {
+        var text = [
+            '#',
+            '#    Name:     Test code page',
+            '#',
+            '0x41\t0x0041\t#LATIN CAPITAL LETTER A',
+            '0x80\t0x20AC\t#EURO SIGN',
+            '0x81\t      \t#UNDEFINED',
+            '0xFF\t0x00FF\t#LATIN SMALL LETTER Y WITH DIAERESIS',
+            ''
+        ].join('\r\n');
+        var encoding = CodePageEncoding.fromMappingTable(text, 'x-test-unicode-org',
+                [ 'x-test-uo' ]);
+        assert(encoding instanceof CodePageEncoding);
+        assert.strictEqual(Encoding.getEncoding('X-Test-UO'), encoding);
+        assert.strictEqual(Encoding.getEncoding('x-test-unicode-org'), encoding);
+        var buf = new Buffer([ 0x61, 0x80, 0x81, 0x82, 0xFF ]);
+        assert.equal(encoding.decode(buf), 'a\u20AC\uFFFD\uFFFD\u00FF');
+        assert.equal(encoding.unmappedBytes.length, 125);
+        assert.equal(encoding.unmappedBytes[0], 0x82);
+        assert.equal(encoding.unmappedBytes.indexOf(0x81), -1);
+        assert.deepEqual(encoding.encode('a\u20AC\u00FF'), new Buffer([ 0x61, 0x80, 0xFF ]));
+        assert.throws(function () {
+            encoding.decode(new Buffer([ 0x81 ]), { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INVALID_SEQUENCE' && e.offset === 0;
+        });
+    },
+
+    'a table in the WHATWG index format': function () {
+        var text = [
+            '# Test index',
+            '',
+            '     0\t0x0402\t\u0402 (CYRILLIC CAPITAL LETTER DJE)',
+            '   127\t0x045F\t\u045F (CYRILLIC SMALL LETTER DZHE)'
+        ].join('\n');
+        var encoding = CodePageEncoding.fromMappingTable(text, 'x-test-whatwg');
+        assert.equal(encoding.decode(new Buffer([ 0x41, 0x80, 0xFF ])), 'A\u0402\u045F');
+        assert.deepEqual(encoding.encode('\u0402\u045F'), new Buffer([ 0x80, 0xFF ]));
+    },
+
+    'a table that remaps the ASCII range creates a full table': function () {
+        var text = '0x41 0x0042\n0x42 0x0041\n0xC1 0x00C1\n';
+        var encoding = CodePageEncoding.fromMappingTable(text, 'x-test-full');
+        assert.equal(encoding.tableStart, 0);
+        assert.equal(encoding.decode(new Buffer([ 0x41, 0x42, 0xC1 ])), 'BA\u00C1');
+        assert.deepEqual(encoding.encode('AB'), new Buffer([ 0x42, 0x41 ]));
+        assert.equal(encoding.decode(new Buffer('0z')), '0z');
+        assert.deepEqual(encoding.encode('0z'), new Buffer('0z'));
+    },
+
+    'a byte that is not mapped to ASCII, as its character is mapped from another': function () {
+        var text = '0x41 0x0042\n0xC1 0x0041\n';
+        var encoding = CodePageEncoding.fromMappingTable(text, 'x-test-moved');
+        assert.equal(encoding.decode(new Buffer([ 0x41, 0x42, 0xC1 ])), 'B\uFFFDA');
+        assert.equal(encoding.unmappedBytes[0], 0x42);
+    },
+
+    'the strict option requires every byte to be mentioned': function () {
+        var lines = [];
+        for (var b = 0x80; b < 0x100; b++)
+            lines.push('0x' + b.toString(16) + (b == 0x81 ? '' : ' 0x' + (b + 0x300).toString(16)));
+        var encoding = CodePageEncoding.fromMappingTable(lines.join('\n'), 'x-test-strict', null,
+                { strict: true });
+        assert.deepEqual(encoding.unmappedBytes, []);
+        assert.equal(encoding.decode(new Buffer([ 0x41, 0x80, 0x81 ])), 'A\u0380\uFFFD');
+        assert.throws(function () {
+            CodePageEncoding.fromMappingTable(lines.slice(1).join('\n'), 'x-test-strict2', null,
+                    { strict: true });
+        }, /byte 0x80 is not mapped$/);
+        assert.throws(function () {
+            CodePageEncoding.fromMappingTable('0x80 0x0410', 'x-test-strict3', null,
+                    { strict: true });
+        }, /byte 0x81 is not mapped \(nor are 126 other bytes\)/);
+        assert.strictEqual(Encoding.getEncoding('x-test-strict2'), null);
+    },
+
+    'the encoding is not offered, negotiated or detected unless it has a qvalue': function () {
+        var text = '0xE9 0x00E9\n';
+        var hidden = CodePageEncoding.fromMappingTable(text, 'x-test-hidden');
+        assert.strictEqual(hidden.qvalue, 0);
+        assert.equal(Encoding.getAcceptCharset().indexOf('x-test-hidden'), -1);
+        assert.strictEqual(Encoding.negotiate('x-test-hidden'), null);
+        var buf = new Buffer([ 0x63, 0x61, 0x66, 0xE9 ]);
+        assert(!Encoding.detect(buf).some(function (candidate) {
+            return candidate.encoding === hidden;
+        }));
+        var offered = CodePageEncoding.fromMappingTable(text, 'x-test-offered', null,
+                { qvalue: 0.2 });
+        assert.notEqual(Encoding.getAcceptCharset().indexOf('x-test-offered;q=0.2'), -1);
+        assert.strictEqual(Encoding.negotiate('x-test-offered'), offered);
+    },
+
+    'invalid tables are rejected': function () {
+        assertInvalid('0x80 0x20AC\n0x80 0x00A3\n', /line 2.*0x80 is mapped more than once/);
+        assertInvalid('0x80 0x20AC\n0x81 0x20AC\n', /U\+20AC is mapped from both 0x80 and 0x81/);
+        assertInvalid('0x80 0x1F600\n', /U\+1F600 can not be mapped/);
+        assertInvalid('0x80 0xFFFD\n', /can not be mapped/);
+        assertInvalid('0x100 0x0041\n', /invalid byte value 0x100/);
+        assertInvalid('byte 0x0041\n', /line 1.*invalid byte value/);
+        assertInvalid('0x80 twenty\n', /invalid code point twenty/);
+        assertInvalid('# nothing but comments\n', /no mappings/);
+    }
+};
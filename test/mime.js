@@ -0,0 +1,170 @@
+/*
+ * Tests of the RFC 2047 encoded-words and RFC 2231 parameters.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var mime = encodingstream.mime;
+
+var japanese = '\u65E5\u672C\u8A9E\u306E\u30C6\u30AD\u30B9\u30C8\u3067\u3059\u3002' +
+        '\u3053\u308C\u306F\u3068\u3066\u3082\u9577\u3044\u4EF6\u540D\u3067\u3001' +
+        '\u8907\u6570\u306E\u30A8\u30F3\u30B3\u30FC\u30C9\u3055\u308C\u305F' +
+        '\u5358\u8A9E\u306B\u5206\u5272\u3055\u308C\u307E\u3059\u3002';
+
+module.exports = {
+    'the examples of RFC 2047': function () {
+        var cases = [
+            [ '(=?ISO-8859-1?Q?a?=)', '(a)' ],
+            [ '(=?ISO-8859-1?Q?a?= b)', '(a b)' ],
+            [ '(=?ISO-8859-1?Q?a?= =?ISO-8859-1?Q?b?=)', '(ab)' ],
+            [ '(=?ISO-8859-1?Q?a?=  =?ISO-8859-1?Q?b?=)', '(ab)' ],
+            [ '(=?ISO-8859-1?Q?a?=\r\n    =?ISO-8859-1?Q?b?=)', '(ab)' ],
+            [ '(=?ISO-8859-1?Q?a_b?=)', '(a b)' ],
+            [ '(=?ISO-8859-1?Q?a?= =?ISO-8859-2?Q?_b?=)', '(a b)' ],
+            [ '=?US-ASCII?Q?Keith_Moore?= <moore@cs.utk.edu>', 'Keith Moore <moore@cs.utk.edu>' ],
+            [ '=?ISO-8859-1?Q?Andr=E9?= Pirard <PIRARD@vm1.ulg.ac.be>',
+                    'Andr\u00E9 Pirard <PIRARD@vm1.ulg.ac.be>' ],
+            [ '=?ISO-8859-1?B?SWYgeW91IGNhbiByZWFkIHRoaXMgeW8=?=\r\n' +
+                    '    =?ISO-8859-2?B?dSB1bmRlcnN0YW5kIHRoZSBleGFtcGxlLg==?=',
+                    'If you can read this you understand the example.' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(mime.decodeWords(c[0]), c[1], c[0]);
+        });
+    },
+
+    'charsets are resolved by the registry, and unknown charsets are left alone': function () {
+        assert.equal(mime.decodeWords('=?windows-1252?Q?Caf=E9?= ' +
+                '=?ISO-2022-JP?B?GyRCRnxLXDhsGyhC?='), 'Caf\u00E9\u65E5\u672C\u8A9E');
+        assert.equal(mime.decodeWords('=?US-ASCII*EN?Q?Keith_Moore?='), 'Keith Moore');
+        assert.equal(mime.decodeWords('=?no-such-charset?Q?x?= y'), '=?no-such-charset?Q?x?= y');
+    },
+
+    'a character split between adjacent words is decoded': function () {
+        assert.equal(mime.decodeWords('=?utf-8?Q?=E2=82?= =?utf-8?Q?=AC?='), '\u20AC');
+        assert.equal(mime.decodeWords('=?utf-8?B?4oI=?= =?UTF-8?B?rA==?='), '\u20AC');
+    },
+
+    'each word in UTF-16 or UTF-32 has its own BOM': function () {
+        assert.equal(mime.decodeWords('=?utf-16?B?//5lZQ==?= =?utf-16?B?//5sZw==?='),
+                '\u6565\u676C');
+        [ 'utf-16', 'utf-32' ].forEach(function (charset) {
+            var str = new Array(11).join('\u65E5\u672C\u8A9E');
+            var header = mime.encodeWord(str, charset, 'B');
+            assert(header.split(' ').length > 1, charset);
+            assert.equal(mime.decodeWords(header), str, charset);
+        });
+    },
+
+    'encodeWord uses the Q or B encoding in the given charset': function () {
+        assert.equal(mime.encodeWord('Caf\u00E9'), '=?utf-8?Q?Caf=C3=A9?=');
+        assert.equal(mime.encodeWord('Caf\u00E9 au lait', 'windows-1252'),
+                '=?windows-1252?Q?Caf=E9_au_lait?=');
+        assert.equal(mime.encodeWord('Caf\u00E9', Encoding.iso88591, 'B'),
+                '=?iso-8859-1?B?Q2Fm6Q==?=');
+        assert.throws(function () {
+            mime.encodeWord('x', 'no-such-charset');
+        }, /Unknown encoding/);
+        assert.throws(function () {
+            mime.encodeWord('x', 'utf-8', 'X');
+        }, /Unknown encoded-word encoding/);
+    },
+
+    'long strings are split into words at character boundaries': function () {
+        var supplementary = japanese + ' \uD83D\uDE00';
+        var cases = [
+            [ 'utf-8', 'Q', supplementary ],
+            [ 'utf-8', 'B', supplementary ],
+            [ 'gb18030', 'B', supplementary ],
+            [ 'shift_jis', 'Q', japanese ],
+            [ 'iso-2022-jp', 'B', japanese ],
+            [ 'iso-2022-jp', 'Q', japanese ]
+        ];
+        cases.forEach(function (c) {
+            var header = mime.encodeWord(c[2], c[0], c[1]);
+            var description = c[0] + ' ' + c[1];
+            var words = header.split(' ');
+            assert(words.length > 1, description);
+            words.forEach(function (word) {
+                assert(word.length <= 75, description);
+                var str = mime.decodeWords(word);
+                assert.equal(str.indexOf('\uFFFD'), -1, description);
+                assert.equal(/[\uD800-\uDBFF]$/.test(str), false, description);
+            });
+            assert.equal(mime.decodeWords(header), c[2], description);
+        });
+    },
+
+    'a very long string is split in reasonable time': function () {
+        var str = new Array(501).join(japanese);
+        var start = Date.now();
+        var header = mime.encodeWord(str, 'iso-2022-jp', 'Q');
+        assert(Date.now() - start < 2000);
+        assert.equal(mime.decodeWords(header), str);
+    },
+
+    'each ISO-2022-JP word returns to ASCII': function () {
+        mime.encodeWord(japanese, 'iso-2022-jp', 'B').split(' ').forEach(function (word) {
+            var buf = new Buffer(word.split('?')[3], 'base64');
+            assert.equal(buf.slice(-3).toString('binary'), '\x1B(B');
+        });
+    },
+
+    'decodeParameters decodes the examples of RFC 2231': function () {
+        assert.deepEqual(mime.decodeParameters('message/external-body; access-type=URL; ' +
+                'URL*0="ftp://"; URL*1="cs.utk.edu/pub/moore/bulk-mailer/bulk-mailer.tar"'), {
+            value: 'message/external-body',
+            params: {
+                'access-type': 'URL',
+                url: 'ftp://cs.utk.edu/pub/moore/bulk-mailer/bulk-mailer.tar'
+            }
+        });
+        assert.deepEqual(mime.decodeParameters('application/x-stuff; ' +
+                'title*0*=us-ascii\'en\'This%20is%20even%20more%20; ' +
+                'title*1*=%2A%2A%2Afun%2A%2A%2A%20; title*2="isn\'t it!"'), {
+            value: 'application/x-stuff',
+            params: { title: 'This is even more ***fun*** isn\'t it!' }
+        });
+        assert.deepEqual(mime.decodeParameters('attachment; ' +
+                'filename*=iso-8859-1\'en\'%A3%20rates.txt'),
+                { value: 'attachment', params: { filename: '\u00A3 rates.txt' } });
+    },
+
+    'an extended parameter takes precedence, and a malformed header is null': function () {
+        var header = 'attachment; filename="resume.pdf"; ' +
+                'filename*=utf-8\'\'r%C3%A9sum%C3%A9.pdf';
+        assert.equal(mime.decodeParameters(header).params.filename, 'r\u00E9sum\u00E9.pdf');
+        assert.strictEqual(mime.decodeParameters('; ;'), null);
+    },
+
+    'encodeParameter uses a quoted string or an extended parameter': function () {
+        assert.equal(mime.encodeParameter('filename', 'plain.txt'), 'filename="plain.txt"');
+        assert.equal(mime.encodeParameter('filename', 'a"b'), 'filename="a\\"b"');
+        assert.equal(mime.encodeParameter('filename', 'r\u00E9sum\u00E9.pdf'),
+                'filename*=utf-8\'\'r%C3%A9sum%C3%A9.pdf');
+        assert.equal(mime.encodeParameter('filename', '\u20ACuro.txt', 'windows-1252'),
+                'filename*=windows-1252\'\'%80uro.txt');
+    },
+
+    'a long parameter is split into continuations at character boundaries': function () {
+        var name = japanese + '.txt';
+        var param = mime.encodeParameter('filename', name);
+        var sections = param.split('; ');
+        assert(sections.length > 1);
+        sections.forEach(function (section, i) {
+            assert.equal(section.indexOf('filename*' + i + '*='), 0);
+            assert(section.length <= 78);
+            var value = section.replace(/^[^=]*=(utf-8'')?/, '');
+            var bytes = value.replace(/%(..)/g, function (s, hex) {
+                return String.fromCharCode(parseInt(hex, 16));
+            });
+            assert.doesNotThrow(function () {
+                Encoding.utf8.decode(new Buffer(bytes, 'binary'), { errorFatal: true });
+            });
+        });
+        assert.equal(mime.decodeParameters('attachment; ' + param).params.filename, name);
+    }
+};
@@ -0,0 +1,70 @@
+/*
+ * Tests of Accept-Charset negotiation and Content-Type charset parsing.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+
+/**
+ * Negotiate an encoding, and return its name.
+ *
+ * @param {String}  header      the Accept-Charset header
+ * @param {Array}   [preferred] the encodings that may be used
+ * @returns {String}            the name of the encoding, or null
+ */
+function negotiate(header, preferred) {
+    var encoding = Encoding.negotiate(header, preferred);
+    return encoding && encoding.name;
+}
+
+module.exports = {
+    'the RFC 7231 example': function () {
+        assert.equal(negotiate('iso-8859-5, unicode-1-1;q=0.8'), 'iso-8859-5');
+    },
+
+    'the highest qvalue is chosen, and ties go to the preferred order': function () {
+        var preferred = [ 'utf-8', 'windows-1252', 'shift_jis' ];
+        assert.equal(negotiate('windows-1252;q=0.5, utf-8;q=0.7', preferred), 'utf-8');
+        assert.equal(negotiate('windows-1252;q=0.5, utf-8;q=0.3', preferred), 'windows-1252');
+        assert.equal(negotiate('shift_jis, windows-1252', preferred), 'windows-1252');
+        assert.equal(negotiate('utf-8;q=0.001, iso-8859-1;q=0.0001'), 'utf-8');
+    },
+
+    'charsets are matched by label': function () {
+        assert.equal(negotiate('latin1;q=0.9, SJIS', [ 'windows-1252', Encoding.shiftjis ]),
+                'shift_jis');
+        assert.equal(negotiate('cp1252', [ 'utf-8', 'windows-1252' ]), 'windows-1252');
+    },
+
+    'q=0 excludes a charset, and * accepts the others': function () {
+        var preferred = [ 'utf-8', 'windows-1252' ];
+        assert.equal(negotiate('*;q=0.5, utf-8;q=0', preferred), 'windows-1252');
+        assert.equal(negotiate('utf-8;Q=0', preferred), null);
+        assert.equal(negotiate('iso-8859-1, *;q=0.1', preferred), 'utf-8');
+        assert.equal(negotiate('iso-8859-2', preferred), null);
+        assert.equal(negotiate('no-such-charset'), null);
+    },
+
+    'a missing or empty header accepts any encoding': function () {
+        assert.equal(negotiate(undefined, [ 'shift_jis', 'utf-8' ]), 'shift_jis');
+        assert.equal(negotiate(''), 'utf-8');
+    },
+
+    'fromContentType finds the charset parameter, as a token or a quoted string': function () {
+        var cases = [
+            [ 'text/html; charset="ISO-8859-1"', 'iso-8859-1' ],
+            [ 'text/plain;charset=utf-8', 'utf-8' ],
+            [ 'text/plain; format=flowed; CHARSET=Shift_JIS', 'shift_jis' ],
+            [ 'text/plain; charset="utf-8"; format=fixed', 'utf-8' ],
+            [ 'text/plain', null ],
+            [ 'text/plain; charset=no-such-charset', null ],
+            [ 'text/plain; charset="a\\"b"', null ]
+        ];
+        cases.forEach(function (c) {
+            var encoding = Encoding.fromContentType(c[0]);
+            assert.strictEqual(encoding && encoding.name, c[1], c[0]);
+        });
+    }
+};
@@ -0,0 +1,53 @@
+/*
+ * Tests of the DOS OEM, Macintosh and KOI8 code pages.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    'characters particular to each code page': function () {
+        var cases = [
+            [ 'cp437', [ 0xB0, 0xE1 ], '\u2591\u00DF' ],
+            [ 'cp850', [ 0x9B ], '\u00F8' ],
+            [ 'cp866', [ 0x80, 0xEF ], '\u0410\u044F' ],
+            [ 'mac', [ 0x80, 0xDB ], '\u00C4\u20AC' ],
+            [ 'x-mac-cyrillic', [ 0x80 ], '\u0410' ],
+            [ 'koi8-r', [ 0xC1, 0xE1 ], '\u0430\u0410' ],
+            [ 'koi8-u', [ 0xA4 ], '\u0454' ]
+        ];
+        cases.forEach(function (c) {
+            var encoding = Encoding.getEncoding(c[0]);
+            assert.equal(encoding.decode(new Buffer(c[1])), c[2], c[0]);
+            assert.deepEqual(encoding.encode(c[2]), new Buffer(c[1]), c[0]);
+        });
+    },
+
+    'IBM437 maps the control bytes to the graphic characters of the IBM PC': function () {
+        var ibm437 = Encoding.ibm437;
+        assert.equal(ibm437.decode(new Buffer([ 0x01, 0x0A, 0x7F ])), '\u263A\u25D9\u2302');
+        assert.deepEqual(ibm437.encode('\u263A'), new Buffer([ 0x01 ]));
+        assert.deepEqual(ibm437.encode('\n'), new Buffer('?'));
+    },
+
+    'KOI8-R text round-trips through the streams': function (done) {
+        var koi8r = Encoding.getEncoding('KOI8-R');
+        var text = '\u0421\u044A\u0435\u0448\u044C \u0436\u0435 \u0435\u0449\u0451 ' +
+                '\u044D\u0442\u0438\u0445 \u043C\u044F\u0433\u043A\u0438\u0445 ' +
+                '\u0444\u0440\u0430\u043D\u0446\u0443\u0437\u0441\u043A\u0438\u0445 ' +
+                '\u0431\u0443\u043B\u043E\u043A';
+        helpers.encodeChunked(koi8r, text, 5, null, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, koi8r.encode(text));
+            assert.equal(buf.length, text.length);
+            helpers.decodeChunked(koi8r, buf, 7, null, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text);
+                done();
+            });
+        });
+    }
+};
@@ -0,0 +1,143 @@
+/*
+ * Tests of the quoted-printable streams.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var QPEncodeStream = encodingstream.QPEncodeStream;
+var QPDecodeStream = encodingstream.QPDecodeStream;
+var helpers = require('./helpers');
+
+var latin9 = Encoding.getEncoding('iso-8859-15');
+
+/**
+ * Encode data with a quoted-printable encode stream.
+ *
+ * @param {QPEncodeStream}  stream      the stream
+ * @param {Array}           chunks      the chunks to write
+ * @param {Function}        callback    the function to call with the result, as a string
+ */
+function qpEncode(stream, chunks, callback) {
+    helpers.collect(stream, function (err, buf) {
+        assert.ifError(err);
+        callback(buf.toString('binary'));
+    });
+    chunks.forEach(function (chunk) {
+        stream.write(chunk);
+    });
+    stream.end();
+}
+
+module.exports = {
+    'the README example': function (done) {
+        qpEncode(latin9.qpEncodeStream(), [ 'Prix : 10 \u20AC\n' ], function (body) {
+            assert.equal(body, 'Prix : 10 =A4\r\n');
+            done();
+        });
+    },
+
+    'long lines are broken by soft line breaks at 76 columns': function (done) {
+        var line = new Array(101).join('x');
+        qpEncode(latin9.qpEncodeStream(), [ line + '\n' + new Array(31).join('\u00E9') ],
+                function (body) {
+            var lines = body.split('\r\n');
+            assert.deepEqual(lines.map(function (l) {
+                return l.length;
+            }), [ 76, 25, 76, 15 ]);
+            assert.equal(lines[0], line.slice(0, 75) + '=');
+            assert.equal(lines[2].slice(-4), '=E9=');
+            done();
+        });
+    },
+
+    'equals signs and whitespace at the end of a line are encoded': function (done) {
+        qpEncode(latin9.qpEncodeStream(), [ 'a = b  \r\nc\t\n' ], function (body) {
+            assert.equal(body, 'a =3D b =20\r\nc=09\r\n');
+            done();
+        });
+    },
+
+    'line breaks split between chunks, and the lineLength option': function (done) {
+        qpEncode(latin9.qpEncodeStream({ lineLength: 10 }), [ 'ab', 'c\r', '\nd', 'xxxxxxxxxxx' ],
+                function (body) {
+            assert.equal(body, 'abc\r\ndxxxxxxxx=\r\nxxx');
+            done();
+        });
+    },
+
+    'binary data is encoded by a stream without a charset': function (done) {
+        var stream = new QPEncodeStream(null, { binary: true });
+        qpEncode(stream, [ new Buffer([ 0x0D, 0x0A, 0x41, 0xFF ]) ], function (body) {
+            assert.equal(body, '=0D=0AA=FF');
+            assert.equal(stream.stats.bytesIn, 4);
+            assert.equal(stream.stats.bytesOut, 10);
+            done();
+        });
+    },
+
+    'the decode stream removes soft line breaks and trailing whitespace': function (done) {
+        var body = 'Prix : 10 =A4\r\nsoft=\r\nbreak=\nhere  \r\nx=ZZ=4';
+        var stream = latin9.qpDecodeStream();
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, 'Prix : 10 \u20AC\r\nsoftbreakhere\r\nx=ZZ=4');
+            done();
+        });
+        helpers.writeChunks(stream, new Buffer(body, 'binary'), 1);
+    },
+
+    'the lineBreak option': function (done) {
+        var stream = latin9.qpDecodeStream({ lineBreak: '\n' });
+        helpers.collect(stream, function (err, str) {
+            assert.ifError(err);
+            assert.equal(str, 'a\nb\n');
+            done();
+        });
+        stream.end(new Buffer('a\r\nb\r\n'));
+    },
+
+    'a decode stream without a charset outputs bytes': function (done) {
+        var stream = new QPDecodeStream(null);
+        helpers.collect(stream, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, new Buffer([ 0xFF, 0x41 ]));
+            done();
+        });
+        helpers.writeChunks(stream, new Buffer('=FF=41'), 1);
+    },
+
+    'invalid data in the charset is reported': function (done) {
+        var stream = Encoding.utf8.qpDecodeStream();
+        helpers.collect(stream, function (err, str, invalid) {
+            assert.ifError(err);
+            assert.equal(str, '\uFFFD');
+            assert.equal(invalid.length, 1);
+            assert.equal(stream.stats.replacements, 1);
+            done();
+        });
+        stream.end(new Buffer('=E9=81'));
+    },
+
+    'text round-trips in windows-1252': function (done) {
+        var windows1252 = Encoding.windows1252;
+        var text = 'Tsch\u00FC\u00DF \u2014 \u201Cquoted\u201D text = ' +
+                new Array(20).join('na\u00EFve ') + '\r\nend \r\n';
+        qpEncode(windows1252.qpEncodeStream(), [ text.slice(0, 7), text.slice(7) ],
+                function (body) {
+            body.split('\r\n').forEach(function (line) {
+                assert(line.length <= 76);
+                assert(/^[\x21-\x7E \t]*$/.test(line));
+            });
+            var stream = windows1252.qpDecodeStream();
+            helpers.collect(stream, function (err, str) {
+                assert.ifError(err);
+                assert.equal(str, text);
+                done();
+            });
+            helpers.writeChunks(stream, new Buffer(body, 'binary'), 5);
+        });
+    }
+};
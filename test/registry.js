@@ -0,0 +1,94 @@
+/*
+ * Tests of the table of encodings and labels.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var CodePageEncoding = encodingstream.CodePageEncoding;
+
+/**
+ * Create a code page for the bytes 0x80 to 0xFF, mapping each to the character 0x100 above it.
+ *
+ * @returns {String}    the code page
+ */
+function shiftedCodePage() {
+    var a = [];
+    for (var i = 0x80; i < 0x100; i++)
+        a.push(String.fromCharCode(i + 0x100));
+    return a.join('');
+}
+
+module.exports = {
+    'labels are found regardless of case and surrounding space': function () {
+        var cases = [
+            [ ' Windows-874 ', 'windows-874' ],
+            [ 'DOS-874', 'windows-874' ],
+            [ 'x-user-defined', 'x-user-defined' ],
+            [ 'csISO2022KR', 'replacement' ],
+            [ 'hz-gb-2312', 'replacement' ],
+            [ 'cp949', 'euc-kr' ],
+            [ 'cp1200', 'utf-16le' ],
+            [ 'UTF-32', 'utf-32' ],
+            [ 'csUTF32', 'utf-32' ],
+            [ 'iso-ir-100', 'iso-8859-1' ],
+            [ 'latin1', 'iso-8859-1' ]
+        ];
+        cases.forEach(function (c) {
+            var encoding = Encoding.getEncoding(c[0]);
+            assert(encoding, c[0]);
+            assert.equal(encoding.name, c[1], c[0]);
+        });
+    },
+
+    'spellings that are not labels are matched by the regular expressions': function () {
+        assert.strictEqual(Encoding.getEncoding('UTF_16LE'), Encoding.utf16le);
+        assert.strictEqual(Encoding.getEncoding('ISO8859_15'), Encoding.getEncoding('l9'));
+        assert.strictEqual(Encoding.getEncoding('not-an-encoding'), null);
+    },
+
+    'x-user-defined maps the high bytes to the private use area': function () {
+        var buf = new Buffer([ 0x41, 0x80, 0xFF ]);
+        assert.equal(Encoding.xuserdefined.decode(buf), 'A\uF780\uF7FF');
+        assert.deepEqual(Encoding.xuserdefined.encode('A\uF780\uF7FF'), buf);
+    },
+
+    'the replacement encoding decodes any data to a single replacement character': function () {
+        assert.equal(Encoding.replacement.decode(new Buffer('abc')), '\uFFFD');
+        assert.equal(Encoding.replacement.decode(new Buffer(0)), '');
+    },
+
+    'encodings with a qvalue of 0 are not offered': function () {
+        var offered = Encoding.getAcceptCharset().split(',').map(function (s) {
+            return s.split(';')[0];
+        });
+        assert(offered.indexOf('utf-8') >= 0);
+        assert(offered.indexOf('windows-874') >= 0);
+        assert.equal(offered.indexOf('x-user-defined'), -1);
+        assert.equal(offered.indexOf('replacement'), -1);
+    },
+
+    'register() adds an encoding, and transfers labels to it': function () {
+        var shifted = new CodePageEncoding(shiftedCodePage(), 'x-test-shifted',
+                /^x-test-shifted$/i, 0);
+        assert.strictEqual(Encoding.register(shifted, [ 'X-Test-Alias' ]), shifted);
+        assert.strictEqual(Encoding.getEncoding('x-test-alias'), shifted);
+        assert(Encoding.list().indexOf(shifted) >= 0);
+        assert.deepEqual(shifted.labels, [ 'x-test-shifted', 'x-test-alias' ]);
+        assert.equal(shifted.decode(new Buffer([ 0x61, 0x80 ])), 'a\u0180');
+
+        var other = new CodePageEncoding(shiftedCodePage(), 'x-test-other',
+                /^x-test-other$/i, 0);
+        Encoding.register(other, [ 'x-test-alias' ]);
+        assert.strictEqual(Encoding.getEncoding('x-test-alias'), other);
+        assert.deepEqual(shifted.labels, [ 'x-test-shifted' ]);
+    },
+
+    'list() returns a copy': function () {
+        var list = Encoding.list();
+        list.length = 0;
+        assert(Encoding.list().length > 0);
+    }
+};
@@ -0,0 +1,112 @@
+/*
+ * Tests of the TextDecoder and TextEncoder classes.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var encodingstream = require('../encodingstream');
+var Encoding = encodingstream.Encoding;
+var TextDecoder = encodingstream.TextDecoder;
+var TextEncoder = encodingstream.TextEncoder;
+
+module.exports = {
+    'labels are resolved as the WHATWG standard requires': function () {
+        var decoder = new TextDecoder('latin1');
+        assert.equal(decoder.encoding, 'windows-1252');
+        assert.strictEqual(decoder.fatal, false);
+        assert.strictEqual(decoder.ignoreBOM, false);
+        assert.equal(new TextDecoder().encoding, 'utf-8');
+        assert.equal(new TextDecoder(' ASCII ').encoding, 'windows-1252');
+        assert.equal(new TextDecoder('sjis').encoding, 'shift_jis');
+        assert.equal(new TextDecoder('ibm037').encoding, 'ibm037');
+        assert.equal(new TextEncoder('iso-8859-1').encoding, 'windows-1252');
+    },
+
+    'an unknown label, or the replacement encoding, is a RangeError': function () {
+        [ 'bogus', 'iso-2022-kr', 'replacement' ].forEach(function (label) {
+            assert.throws(function () {
+                new TextDecoder(label);
+            }, RangeError, label);
+            assert.throws(function () {
+                new TextEncoder(label);
+            }, RangeError, label);
+        });
+    },
+
+    'decode accepts a Buffer, an ArrayBuffer or any ArrayBufferView': function () {
+        var decoder = new TextDecoder('windows-1252');
+        assert.equal(decoder.decode(new Buffer([ 0x80 ])), '\u20AC');
+        assert.equal(decoder.decode(new Uint8Array([ 0x80, 0x61 ]).buffer), '\u20ACa');
+        assert.equal(decoder.decode(new DataView(new Uint8Array([ 0x62 ]).buffer)), 'b');
+        assert.equal(decoder.decode(new Uint8Array([ 0, 0x63, 0 ]).subarray(1, 2)), 'c');
+        assert.strictEqual(decoder.decode(), '');
+    },
+
+    'a BOM is dropped unless ignoreBOM is set': function () {
+        var buf = new Buffer([ 0xEF, 0xBB, 0xBF, 0x61 ]);
+        assert.equal(new TextDecoder().decode(buf), 'a');
+        assert.equal(new TextDecoder('utf-8', { ignoreBOM: true }).decode(buf), '\uFEFFa');
+        assert.equal(new TextDecoder('utf-16le').decode(new Buffer([ 0xFF, 0xFE, 0x61, 0 ])),
+                'a');
+    },
+
+    'with the stream option, incomplete sequences are held for the next call': function () {
+        var buf = Encoding.shiftjis.encode('\u65E5\u672C\u8A9E');
+        var decoder = new TextDecoder('shift_jis');
+        var str = '';
+        for (var i = 0; i < buf.length; i++)
+            str += decoder.decode(buf.slice(i, i + 1), { stream: true });
+        assert.equal(str + decoder.decode(), '\u65E5\u672C\u8A9E');
+        decoder.decode(buf.slice(0, 1), { stream: true });
+        assert.equal(decoder.decode(), '\uFFFD');
+        assert.equal(decoder.decode(buf), '\u65E5\u672C\u8A9E');
+    },
+
+    'when fatal, invalid data is a TypeError with the EncodingError as its cause': function () {
+        var decoder = new TextDecoder('utf-8', { fatal: true });
+        assert.strictEqual(decoder.fatal, true);
+        assert.throws(function () {
+            decoder.decode(new Buffer([ 0x61, 0xFF ]));
+        }, function (e) {
+            return e instanceof TypeError && e.code == 'ERR_INVALID_SEQUENCE' &&
+                    e.cause instanceof encodingstream.EncodingError && e.cause.offset == 1;
+        });
+        decoder.decode(new Buffer([ 0xE2, 0x82 ]), { stream: true });
+        assert.throws(function () {
+            decoder.decode();
+        }, function (e) {
+            return e instanceof TypeError && e.code == 'ERR_INCOMPLETE_SEQUENCE';
+        });
+        assert.equal(decoder.decode(new Buffer('ok')), 'ok');
+    },
+
+    'TextEncoder encodes to UTF-8, or to the given encoding': function () {
+        var encoder = new TextEncoder();
+        assert.equal(encoder.encoding, 'utf-8');
+        assert(Buffer.isBuffer(encoder.encode('\u00E9')));
+        assert(encoder.encode('\u00E9') instanceof Uint8Array);
+        assert.deepEqual(encoder.encode('\u00E9'), new Buffer([ 0xC3, 0xA9 ]));
+        assert.equal(encoder.encode().length, 0);
+        assert.deepEqual(new TextEncoder('windows-1252').encode('\u20AC'), new Buffer([ 0x80 ]));
+        assert.equal(new TextEncoder('latin1', { encodeFallback: 'html' }).encode('\u2603')
+                .toString(), '&#x2603;');
+        assert.throws(function () {
+            new TextEncoder('latin1', { fatal: true }).encode('\u2603');
+        }, function (e) {
+            return e instanceof TypeError && e.code == 'ERR_UNENCODABLE_CHARACTER' &&
+                    e.cause instanceof encodingstream.EncodingError;
+        });
+    },
+
+    'encodeInto encodes only complete characters': function () {
+        var encoder = new TextEncoder();
+        var dest = new Uint8Array(4);
+        assert.deepEqual(encoder.encodeInto('a\u00E9\u4E2D', dest), { read: 2, written: 3 });
+        assert.deepEqual(Array.prototype.slice.call(dest, 0, 3), [ 0x61, 0xC3, 0xA9 ]);
+        assert.deepEqual(encoder.encodeInto('a\uD83D\uDE00', new Uint8Array(4)),
+                { read: 1, written: 1 });
+        assert.deepEqual(encoder.encodeInto('a\uD83D\uDE00', new Uint8Array(5)),
+                { read: 3, written: 5 });
+    }
+};
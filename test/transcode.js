@@ -0,0 +1,98 @@
+/*
+ * Tests of transcoding between encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var text = 'Gr\u00F6\u00DFe: 10 \u20AC \u2013 na\u00EFve caf\u00E9';
+
+module.exports = {
+    'transcode is equivalent to decoding and encoding': function () {
+        var cases = [
+            [ 'windows-1252', 'utf-8' ],
+            [ 'utf-8', 'iso-8859-15' ],
+            [ 'utf-8', 'utf-16be' ],
+            [ 'iso-8859-15', 'ibm1047' ],
+            [ 'macintosh', 'shift_jis' ],
+            [ 'utf-8', 'iso-2022-jp' ]
+        ];
+        cases.forEach(function (c) {
+            var from = Encoding.getEncoding(c[0]), to = Encoding.getEncoding(c[1]);
+            var buf = from.encode(text);
+            assert.deepEqual(Encoding.transcode(buf, from, to), to.encode(from.decode(buf)),
+                    c[0] + ' to ' + c[1]);
+            assert.deepEqual(Encoding.transcode(buf, c[0], c[1]), to.encode(from.decode(buf)),
+                    c[0] + ' to ' + c[1]);
+        });
+    },
+
+    'ASCII data between ASCII-compatible encodings is returned as it is': function () {
+        var buf = new Buffer('plain ASCII text');
+        assert.strictEqual(Encoding.transcode(buf, 'windows-1252', 'utf-8'), buf);
+        assert.strictEqual(Encoding.transcode(buf, 'utf-8', 'euc-jp'), buf);
+        assert.notStrictEqual(Encoding.transcode(buf, 'utf-8', 'ibm037'), buf);
+        assert.deepEqual(Encoding.transcode(buf, 'utf-8', 'ibm037'),
+                Encoding.ibm037.encode('plain ASCII text'));
+    },
+
+    'the options are applied to both decoding and encoding': function () {
+        var buf = new Buffer([ 0x61, 0xFF, 0xE2, 0x98, 0x83 ]);
+        assert.deepEqual(Encoding.transcode(buf, 'utf-8', 'iso-8859-1', { replChar: '#' }),
+                new Buffer('a#?'));
+        assert.equal(Encoding.transcode(buf, 'utf-8', 'iso-8859-1',
+                { replChar: '#', encodeFallback: 'html' }).toString(), 'a#&#x2603;');
+        assert.throws(function () {
+            Encoding.transcode(buf, 'utf-8', 'utf-16le', { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INVALID_SEQUENCE' && e.offset == 1;
+        });
+    },
+
+    'an unknown encoding is an error': function () {
+        assert.throws(function () {
+            Encoding.transcode(new Buffer('a'), 'utf-8', 'no-such-encoding');
+        }, Error);
+    },
+
+    'the transcode stream handles sequences split between chunks': function (done) {
+        var cases = [
+            [ 'utf-8', 'windows-1252' ],
+            [ 'windows-1252', 'utf-8' ],
+            [ 'shift_jis', 'utf-16le' ],
+            [ 'utf-8', 'iso-2022-jp' ]
+        ];
+        var str = text + ' \u65E5\u672C\u8A9E';
+        helpers.series(cases, function (c, next) {
+            var from = Encoding.getEncoding(c[0]), to = Encoding.getEncoding(c[1]);
+            var buf = from.encode(str);
+            var stream = Encoding.transcodeStream(c[0], c[1]);
+            helpers.collect(stream, function (err, out) {
+                assert.ifError(err);
+                assert.deepEqual(out, to.encode(from.decode(buf)), c[0] + ' to ' + c[1]);
+                assert.equal(stream.stats.bytesIn, buf.length);
+                assert.equal(stream.stats.bytesOut, out.length);
+                next();
+            });
+            helpers.writeChunks(stream, buf, 1);
+        }, done);
+    },
+
+    'the transcode stream reports replacements': function (done) {
+        var stream = Encoding.transcodeStream(Encoding.utf8, Encoding.iso88591);
+        helpers.collect(stream, function (err, out, invalid) {
+            assert.ifError(err);
+            assert.deepEqual(out, new Buffer('a??b'));
+            assert.deepEqual(invalid.map(function (e) {
+                return e.code;
+            }), [ 'ERR_INVALID_SEQUENCE', 'ERR_UNENCODABLE_CHARACTER',
+                    'ERR_UNENCODABLE_CHARACTER' ]);
+            assert.equal(stream.stats.replacements, 3);
+            done();
+        });
+        stream.end(new Buffer([ 0x61, 0xFF, 0xE2, 0x98, 0x83, 0x62 ]));
+    }
+};
@@ -0,0 +1,90 @@
+/*
+ * Tests of the UTF-32 encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+module.exports = {
+    'supplementary characters are encoded from surrogate pairs': function () {
+        assert.deepEqual(Encoding.utf32le.encode('a\uD83D\uDE00'),
+                new Buffer([ 0x61, 0, 0, 0, 0x00, 0xF6, 0x01, 0x00 ]));
+        assert.deepEqual(Encoding.getEncoding('UTF-32BE').encode('a\uD83D\uDE00'),
+                new Buffer([ 0, 0, 0, 0x61, 0x00, 0x01, 0xF6, 0x00 ]));
+    },
+
+    'supplementary characters are decoded to surrogate pairs': function () {
+        assert.equal(Encoding.utf32le.decode(new Buffer([ 0x00, 0xF6, 0x01, 0x00 ])),
+                '\uD83D\uDE00');
+        assert.equal(Encoding.utf32be.decode(new Buffer([ 0x00, 0x10, 0xFF, 0xFF ])),
+                '\uDBFF\uDFFF');
+    },
+
+    'values above 0x10FFFF, surrogates and incomplete units are invalid': function () {
+        var buf = new Buffer([ 0, 0, 0x11, 0, 0, 0xD8, 0, 0, 0x61, 0, 0, 0, 0x62 ]);
+        assert.equal(Encoding.utf32le.decode(buf), '\uFFFD\uFFFDa\uFFFD');
+        [
+            [ [ 0, 0, 0x11, 0 ], 'ERR_INVALID_SEQUENCE' ],
+            [ [ 0x61, 0, 0, 0, 0, 0xDC, 0, 0 ], 'ERR_INVALID_SEQUENCE', 4 ],
+            [ [ 0x61, 0 ], 'ERR_INCOMPLETE_SEQUENCE' ]
+        ].forEach(function (c) {
+            assert.throws(function () {
+                Encoding.utf32le.decode(new Buffer(c[0]), { errorFatal: true });
+            }, function (e) {
+                return e.code == c[1] && e.offset == (c[2] || 0);
+            });
+        });
+    },
+
+    'a lone surrogate is not encoded': function () {
+        assert.deepEqual(Encoding.utf32le.encode('\uD800'), new Buffer([ 0xFD, 0xFF, 0, 0 ]));
+        assert.throws(function () {
+            Encoding.utf32be.encode('a\uDC00', { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INVALID_SURROGATE';
+        });
+    },
+
+    'the encode stream honours outputBOM': function (done) {
+        helpers.encodeChunked(Encoding.utf32be, 'a', 1, { outputBOM: true }, function (err, buf) {
+            assert.ifError(err);
+            assert.deepEqual(buf, new Buffer([ 0, 0, 0xFE, 0xFF, 0, 0, 0, 0x61 ]));
+            helpers.encodeChunked(Encoding.utf32le, 'a', 1, null, function (err, buf) {
+                assert.ifError(err);
+                assert.deepEqual(buf, new Buffer([ 0x61, 0, 0, 0 ]));
+                done();
+            });
+        });
+    },
+
+    '"utf-32" sniffs the BOM, and encodes little-endian with a BOM': function () {
+        assert.strictEqual(Encoding.getEncoding('csUTF32'), Encoding.utf32);
+        assert.deepEqual(Encoding.utf32.encode('a'),
+                new Buffer([ 0xFF, 0xFE, 0, 0, 0x61, 0, 0, 0 ]));
+        assert.equal(Encoding.utf32.decode(new Buffer([ 0, 0, 0xFE, 0xFF, 0, 0, 0, 0x61 ])), 'a');
+        assert.equal(Encoding.utf32.decode(new Buffer([ 0xFF, 0xFE, 0, 0, 0x61, 0, 0, 0 ])), 'a');
+        assert.equal(Encoding.utf32.decode(new Buffer([ 0x61, 0, 0, 0 ])), 'a');
+    },
+
+    'the decode streams handle units and BOMs split between chunks': function (done) {
+        var text = 'a\uD83D\uDE00\u00E9\u4E2D';
+        var cases = [
+            [ Encoding.utf32le, Encoding.utf32le.encode(text) ],
+            [ Encoding.utf32be, Encoding.utf32be.encode(text) ],
+            [ Encoding.utf32, Buffer.concat([ new Buffer([ 0, 0, 0xFE, 0xFF ]),
+                    Encoding.utf32be.encode(text) ]) ]
+        ];
+        helpers.series(cases, function (c, next) {
+            helpers.series([ 1, 3, 5 ], function (size, next) {
+                helpers.decodeChunked(c[0], c[1], size, null, function (err, str) {
+                    assert.ifError(err);
+                    assert.equal(str, text, c[0].name + ' chunk size ' + size);
+                    next();
+                });
+            }, next);
+        }, done);
+    }
+};
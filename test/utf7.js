@@ -0,0 +1,121 @@
+/*
+ * Tests of the UTF-7 encodings.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+var helpers = require('./helpers');
+
+var text = 'Hi Mom -\u263A-! \u65E5\u672C\u8A9E \uD83D\uDE00 a+b&c ~';
+
+module.exports = {
+    'the labels select the encodings': function () {
+        [ 'UTF-7', 'unicode-1-1-utf-7', 'csUTF7' ].forEach(function (label) {
+            assert.strictEqual(Encoding.getEncoding(label), Encoding.utf7, label);
+        });
+        [ 'UTF-7-IMAP', 'x-imap4-modified-utf7' ].forEach(function (label) {
+            assert.strictEqual(Encoding.getEncoding(label), Encoding.utf7imap, label);
+        });
+    },
+
+    'the examples of RFC 2152': function () {
+        var cases = [
+            [ 'A\u2262\u0391.', 'A+ImIDkQ-.' ],
+            [ 'Hi Mom -\u263A-!', 'Hi Mom -+Jjo--!' ],
+            [ '\u65E5\u672C\u8A9E', '+ZeVnLIqe-' ],
+            [ 'Item 3 is \u00A31.', 'Item 3 is +AKM-1.' ],
+            [ 'a+b', 'a+-b' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(Encoding.utf7.encode(c[0]).toString('binary'), c[1]);
+            assert.equal(Encoding.utf7.decode(new Buffer(c[1], 'binary')), c[0]);
+        });
+        assert.equal(Encoding.utf7.decode(new Buffer('A+ImIDkQ.')), 'A\u2262\u0391.');
+        assert.equal(Encoding.utf7.decode(new Buffer('+AGEAYgBj')), 'abc');
+    },
+
+    'the modified UTF-7 of RFC 3501': function () {
+        var cases = [
+            [ '~peter/mail/\u53F0\u5317/\u65E5\u672C\u8A9E',
+                    '~peter/mail/&U,BTFw-/&ZeVnLIqe-' ],
+            [ 'Hi Mom -\u263A-!', 'Hi Mom -&Jjo--!' ],
+            [ 'a&b', 'a&-b' ],
+            [ 'a+b', 'a+b' ],
+            [ '\uD83D\uDE00', '&2D3eAA-' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(Encoding.utf7imap.encode(c[0]).toString('binary'), c[1]);
+            assert.equal(Encoding.utf7imap.decode(new Buffer(c[1], 'binary')), c[0]);
+        });
+    },
+
+    'invalid data is replaced, or is an error if errorFatal is set': function () {
+        assert.equal(Encoding.utf7.decode(new Buffer([ 0x61, 0x80, 0x62 ])), 'a\uFFFDb');
+        assert.equal(Encoding.utf7.decode(new Buffer('+AG')), '\uFFFD');
+        assert.throws(function () {
+            Encoding.utf7.decode(new Buffer([ 0x61, 0x80 ]), { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INVALID_SEQUENCE' && e.offset === 1;
+        });
+        assert.throws(function () {
+            Encoding.utf7.decode(new Buffer('+AG'), { errorFatal: true });
+        }, function (e) {
+            return e.code == 'ERR_INCOMPLETE_SEQUENCE' && e.offset === 3;
+        });
+    },
+
+    'the decode streams keep the shift state between chunks': function (done) {
+        helpers.series([ Encoding.utf7, Encoding.utf7imap ], function (encoding, next) {
+            var buf = encoding.encode(text);
+            helpers.series([ 1, 2, 3, 5 ], function (size, next) {
+                helpers.decodeChunked(encoding, buf, size, null, function (err, str, invalid) {
+                    assert.ifError(err);
+                    assert.equal(str, text, encoding.name + ' ' + size);
+                    assert.equal(invalid.length, 0);
+                    next();
+                });
+            }, next);
+        }, done);
+    },
+
+    'the encode streams keep the shift state between chunks': function (done) {
+        helpers.series([ Encoding.utf7, Encoding.utf7imap ], function (encoding, next) {
+            var buf = encoding.encode(text);
+            helpers.series([ 1, 2, 3, 5 ], function (size, next) {
+                helpers.encodeChunked(encoding, text, size, null, function (err, out) {
+                    assert.ifError(err);
+                    assert.deepEqual(out, buf, encoding.name + ' ' + size);
+                    next();
+                });
+            }, next);
+        }, done);
+    },
+
+    'the encode stream terminates the base64 form when it ends': function (done) {
+        var stream = Encoding.utf7.encodeStream();
+        helpers.collect(stream, function (err, buf) {
+            assert.ifError(err);
+            assert.equal(buf.toString('binary'), '+Jjo-');
+            done();
+        });
+        stream.end('\u263A');
+    },
+
+    'the decode stream reports a base64 form that is incomplete at the end': function (done) {
+        helpers.decodeChunked(Encoding.utf7, new Buffer('x+AG'), 1, null,
+                function (err, str, invalid) {
+            assert.ifError(err);
+            assert.equal(str, 'x\uFFFD');
+            assert.equal(invalid.length, 1);
+            assert.equal(invalid[0].code, 'ERR_INCOMPLETE_SEQUENCE');
+            helpers.decodeChunked(Encoding.utf7, new Buffer('x+AG'), 1, { errorFatal: true },
+                    function (err) {
+                assert.equal(err.code, 'ERR_INCOMPLETE_SEQUENCE');
+                assert.equal(err.offset, 4);
+                done();
+            });
+        });
+    }
+};
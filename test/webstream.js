@@ -0,0 +1,135 @@
+/*
+ * Tests of the WHATWG web stream variants of the encode and decode streams.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+
+var ReadableStream = getReadableStream();
+
+/**
+ * Get the ReadableStream class, which is global in recent versions of node.js, and is in the
+ * 'stream/web' module from version 16.5.
+ *
+ * @returns {Function}  the class, or <code>null</code> if web streams are not supported
+ */
+function getReadableStream() {
+    if (typeof global.ReadableStream === 'function')
+        return global.ReadableStream;
+    try {
+        return require('stream/web').ReadableStream;
+    }
+    catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Create a readable web stream that enqueues the given chunks.
+ *
+ * @param {Array}   chunks  the chunks
+ * @returns {ReadableStream}    the stream
+ */
+function fromChunks(chunks) {
+    return new ReadableStream({
+        start: function (controller) {
+            chunks.forEach(function (chunk) {
+                controller.enqueue(chunk);
+            });
+            controller.close();
+        }
+    });
+}
+
+/**
+ * Read a web stream to the end.  The callback is called with any error, and the chunks read.
+ *
+ * @param {ReadableStream}  readable    the stream
+ * @param {Function}        callback    the function to call when the stream ends
+ */
+function readAll(readable, callback) {
+    var reader = readable.getReader(), chunks = [];
+    (function next() {
+        reader.read().then(function (result) {
+            if (result.done)
+                return callback(null, chunks);
+            chunks.push(result.value);
+            next();
+        }, function (e) {
+            callback(e, chunks);
+        });
+    })();
+}
+
+var tests = {
+    'the decode web stream decodes chunks of any kind of byte array': function (done) {
+        var buf = Encoding.eucjp.encode('\u65E5\u672C\u8A9E\u306E\u30C6\u30AD\u30B9\u30C8');
+        var chunks = [
+            buf.slice(0, 1),
+            new Uint8Array(buf.slice(1, 4)).buffer,
+            new Uint8Array(buf.slice(4, 9)),
+            new DataView(new Uint8Array(buf.slice(9)).buffer)
+        ];
+        var webStream = Encoding.eucjp.decodeWebStream();
+        readAll(fromChunks(chunks).pipeThrough(webStream), function (err, strs) {
+            assert.ifError(err);
+            strs.forEach(function (str) {
+                assert.equal(typeof str, 'string');
+            });
+            assert.equal(strs.join(''), '\u65E5\u672C\u8A9E\u306E\u30C6\u30AD\u30B9\u30C8');
+            assert.equal(webStream.stats.bytesIn, buf.length);
+            done();
+        });
+    },
+
+    'the encode web stream encodes strings, including split surrogate pairs': function (done) {
+        var webStream = Encoding.utf16be.encodeWebStream();
+        var readable = fromChunks([ 'a\uD83D', '\uDE00', 'b' ]).pipeThrough(webStream);
+        readAll(readable, function (err, chunks) {
+            assert.ifError(err);
+            chunks.forEach(function (chunk) {
+                assert(chunk instanceof Uint8Array);
+            });
+            assert.deepEqual(Buffer.concat(chunks), Encoding.utf16be.encode('a\uD83D\uDE00b'));
+            assert.equal(webStream.stats.charsIn, 4);
+            done();
+        });
+    },
+
+    'a stateful encoding returns to its initial state at the end': function (done) {
+        var webStream = Encoding.iso2022jp.encodeWebStream();
+        var readable = fromChunks([ 'a', '\u3042' ]).pipeThrough(webStream);
+        readAll(readable, function (err, chunks) {
+            assert.ifError(err);
+            assert.deepEqual(Buffer.concat(chunks), Encoding.iso2022jp.encode('a\u3042'));
+            done();
+        });
+    },
+
+    'replacements are counted, or are errors when errorFatal is set': function (done) {
+        var webStream = Encoding.utf8.decodeWebStream();
+        readAll(fromChunks([ new Buffer([ 0x61, 0xFF, 0xE2 ]) ]).pipeThrough(webStream),
+                function (err, strs) {
+            assert.ifError(err);
+            assert.equal(strs.join(''), 'a\uFFFD\uFFFD');
+            assert.equal(webStream.stats.replacements, 2);
+            var fatal = Encoding.utf8.decodeWebStream({ errorFatal: true });
+            readAll(fromChunks([ new Buffer([ 0x61, 0xFF ]) ]).pipeThrough(fatal),
+                    function (err) {
+                assert(err);
+                assert.equal(err.code, 'ERR_INVALID_SEQUENCE');
+                assert.equal(err.offset, 1);
+                done();
+            });
+        });
+    }
+};
+
+if (ReadableStream)
+    module.exports = tests;
+else {
+    console.log('skip - webstream: web streams are not supported by this version of node.js');
+    module.exports = {};
+}
@@ -0,0 +1,103 @@
+/*
+ * Tests of the XML encoding detection.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var Encoding = require('../encodingstream').Encoding;
+
+/**
+ * Create an XML document with an XML declaration.
+ *
+ * @param {String}  encoding    the encoding to declare
+ * @returns {String}            the document
+ */
+function xml(encoding) {
+    return '<?xml version="1.0" encoding="' + encoding + '"?><doc/>';
+}
+
+/**
+ * Detect the encoding of an XML document, and return its name.
+ *
+ * @param {Buffer}  buf         the document
+ * @param {Object}  [options]   the options for sniffXml()
+ * @returns {String}            the name of the encoding
+ */
+function sniff(buf, options) {
+    return Encoding.sniffXml(buf, options).name;
+}
+
+module.exports = {
+    'the declared encoding selects the ASCII-compatible encoding': function () {
+        assert.equal(sniff(new Buffer(xml('ISO-8859-1'))), 'iso-8859-1');
+        assert.equal(sniff(new Buffer(xml('Shift_JIS'))), 'shift_jis');
+        assert.equal(sniff(new Buffer('<?xml version=\'1.0\' encoding=\'koi8-r\'?>')), 'koi8-r');
+        assert.equal(sniff(new Buffer('<?xml version="1.0"?><doc/>')), 'utf-8');
+        assert.equal(sniff(new Buffer('<doc/>')), 'utf-8');
+        assert.equal(sniff(new Buffer(xml('no-such-encoding'))), 'utf-8');
+    },
+
+    'the UTF-16 and UTF-32 families are recognised without a BOM': function () {
+        var cases = [
+            [ Encoding.utf16le, 'UTF-16', 'utf-16le' ],
+            [ Encoding.utf16be, 'utf-16', 'utf-16be' ],
+            [ Encoding.utf16le, 'UTF-16LE', 'utf-16le' ],
+            [ Encoding.utf32le, 'UTF-32', 'utf-32le' ],
+            [ Encoding.utf32be, 'utf-32', 'utf-32be' ],
+            [ Encoding.utf32be, 'UTF-32BE', 'utf-32be' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(sniff(c[0].encode(xml(c[1]))), c[2], c[1]);
+        });
+    },
+
+    'a BOM is recognised': function () {
+        var buf = Buffer.concat([ new Buffer([ 0xFF, 0xFE ]),
+                Encoding.utf16le.encode(xml('UTF-16')) ]);
+        assert.equal(sniff(buf), 'utf-16le');
+        buf = Buffer.concat([ new Buffer([ 0xEF, 0xBB, 0xBF ]), new Buffer(xml('utf-8')) ]);
+        assert.equal(sniff(buf), 'utf-8');
+    },
+
+    'the declared encoding selects the EBCDIC encoding': function () {
+        assert.equal(sniff(Encoding.ibm037.encode(xml('IBM037'))), 'ibm037');
+        assert.equal(sniff(Encoding.ibm037.encode(xml('IBM1047'))), 'ibm1047');
+        assert.equal(sniff(Encoding.ibm037.encode('<?xml version="1.0"?>')), 'ibm037');
+    },
+
+    'an inconsistent declaration is ignored, or is an error if errorFatal is set': function () {
+        var cases = [
+            [ Encoding.utf16le.encode(xml('iso-8859-1')), 'utf-16le' ],
+            [ new Buffer(xml('utf-16')), 'utf-8' ],
+            [ Encoding.ibm037.encode(xml('utf-8')), 'ibm037' ],
+            [ Buffer.concat([ new Buffer([ 0xEF, 0xBB, 0xBF ]), new Buffer(xml('shift_jis')) ]),
+                    'utf-8' ]
+        ];
+        cases.forEach(function (c) {
+            assert.equal(sniff(c[0]), c[1]);
+            assert.throws(function () {
+                Encoding.sniffXml(c[0], { errorFatal: true });
+            }, function (e) {
+                return e.code == 'ERR_ENCODING_MISMATCH';
+            });
+        });
+    },
+
+    'a UTF-7 or replacement declaration is never consistent': function () {
+        [ 'UTF-7', 'csUTF7', 'replacement', 'iso-2022-kr' ].forEach(function (encoding) {
+            var buf = new Buffer(xml(encoding) + '+ADw-script+AD4-');
+            assert.equal(sniff(buf), 'utf-8', encoding);
+            assert.throws(function () {
+                Encoding.sniffXml(buf, { errorFatal: true });
+            }, function (e) {
+                return e.code == 'ERR_ENCODING_MISMATCH';
+            }, encoding);
+        });
+    },
+
+    'the default encoding is used if the first bytes match no pattern': function () {
+        assert.equal(sniff(new Buffer('abc'), { defaultEncoding: Encoding.windows1252 }),
+                'windows-1252');
+    }
+};